@@ -0,0 +1,209 @@
+/*
+ * MARCHING SQUARES CONTOURS
+ * =========================
+ *
+ * Turns a regular grid of values into GeoJSON polygons. Used to draw the
+ * coverage analysis as true distance bands ("everything within 200 m of a
+ * restroom") instead of a density heatmap.
+ *
+ * The grid is padded with a ring of "outside" values so every contour closes.
+ * Crossing points are keyed by the grid edge they lie on, which lets segments
+ * from neighbouring cells be chained into rings without comparing floats.
+ * Nested rings are turned into polygons with holes by containment depth.
+ */
+
+// Segments per marching-squares case, as pairs of cell edges.
+// Bit order: 1 = bottom-left, 2 = bottom-right, 4 = top-right, 8 = top-left.
+const MARCHING_SQUARES_SEGMENTS = {
+    1: [['left', 'bottom']],
+    2: [['bottom', 'right']],
+    3: [['left', 'right']],
+    4: [['right', 'top']],
+    6: [['bottom', 'top']],
+    7: [['left', 'top']],
+    8: [['left', 'top']],
+    9: [['bottom', 'top']],
+    11: [['right', 'top']],
+    12: [['left', 'right']],
+    13: [['bottom', 'right']],
+    14: [['left', 'bottom']]
+};
+
+/**
+ * Rings (arrays of [lng, lat], first point repeated last) enclosing the area
+ * where value < level.
+ *
+ * @param {ArrayLike<number>} values  row-major, row 0 = south, col 0 = west
+ * @param {number} size               nodes per side
+ * @param {Function} toCoordinates    (row, col) -> [lng, lat], fractional allowed
+ */
+function traceContourRings(values, size, level, toCoordinates) {
+    const padded = size + 2;
+    // Anything non-finite (e.g. "no restroom within range") counts as far away
+    const outside = level * 4 + 1;
+    const valueAt = (row, col) => {
+        if (row <= 0 || col <= 0 || row >= padded - 1 || col >= padded - 1) return outside;
+        const value = values[(row - 1) * size + (col - 1)];
+        return Number.isFinite(value) ? value : outside;
+    };
+
+    const neighbours = new Map(); // edge key -> [edge key, edge key]
+    const points = new Map();     // edge key -> [lng, lat]
+
+    const edgePoint = (key, rowA, colA, rowB, colB) => {
+        if (points.has(key)) return;
+        const a = valueAt(rowA, colA);
+        const b = valueAt(rowB, colB);
+        const t = a === b ? 0.5 : (level - a) / (b - a);
+        // Padded indices are one larger than grid indices
+        points.set(key, toCoordinates(rowA - 1 + t * (rowB - rowA), colA - 1 + t * (colB - colA)));
+    };
+
+    const link = (from, to) => {
+        if (!neighbours.has(from)) neighbours.set(from, []);
+        if (!neighbours.has(to)) neighbours.set(to, []);
+        neighbours.get(from).push(to);
+        neighbours.get(to).push(from);
+    };
+
+    for (let row = 0; row < padded - 1; row++) {
+        for (let col = 0; col < padded - 1; col++) {
+            const bl = valueAt(row, col);
+            const br = valueAt(row, col + 1);
+            const tr = valueAt(row + 1, col + 1);
+            const tl = valueAt(row + 1, col);
+            const caseIndex = (bl < level ? 1 : 0) | (br < level ? 2 : 0) | (tr < level ? 4 : 0) | (tl < level ? 8 : 0);
+            if (caseIndex === 0 || caseIndex === 15) continue;
+
+            const edges = {
+                bottom: `h${row}:${col}`,
+                top: `h${row + 1}:${col}`,
+                left: `v${row}:${col}`,
+                right: `v${row}:${col + 1}`
+            };
+            edgePoint(edges.bottom, row, col, row, col + 1);
+            edgePoint(edges.top, row + 1, col, row + 1, col + 1);
+            edgePoint(edges.left, row, col, row + 1, col);
+            edgePoint(edges.right, row, col + 1, row + 1, col + 1);
+
+            let segments = MARCHING_SQUARES_SEGMENTS[caseIndex];
+            if (caseIndex === 5 || caseIndex === 10) {
+                // Saddle: the cell centre decides whether the inside corners connect
+                const centreInside = (bl + br + tr + tl) / 4 < level;
+                const cutBottomLeft = (caseIndex === 5) !== centreInside;
+                segments = cutBottomLeft
+                    ? [['left', 'bottom'], ['right', 'top']]
+                    : [['bottom', 'right'], ['left', 'top']];
+            }
+
+            segments.forEach(([from, to]) => link(edges[from], edges[to]));
+        }
+    }
+
+    // Chain segments into closed rings
+    const rings = [];
+    const visited = new Set();
+    neighbours.forEach((_, start) => {
+        if (visited.has(start)) return;
+
+        const ring = [];
+        let previous = null;
+        let current = start;
+        while (current && !visited.has(current)) {
+            visited.add(current);
+            ring.push(points.get(current));
+            const [first, second] = neighbours.get(current);
+            const next = first !== previous ? first : second;
+            previous = current;
+            current = next;
+        }
+
+        if (ring.length >= 3) {
+            ring.push(ring[0]);
+            rings.push(ring);
+        }
+    });
+
+    return rings;
+}
+
+/**
+ * Group non-crossing rings into polygons: rings at an even nesting depth are
+ * outer boundaries, odd ones are holes of the ring directly around them.
+ * Returns MultiPolygon coordinates.
+ */
+function assemblePolygons(rings) {
+    const infos = rings.map(ring => ({ ring, bbox: ringBoundingBox(ring), area: Math.abs(ringArea(ring)) }));
+
+    infos.forEach(info => {
+        const containers = infos.filter(other =>
+            other !== info &&
+            other.area > info.area &&
+            bboxContains(other.bbox, info.bbox) &&
+            pointInRing(info.ring[0], other.ring)
+        );
+        info.depth = containers.length;
+        info.parent = containers.reduce((smallest, other) =>
+            !smallest || other.area < smallest.area ? other : smallest, null);
+    });
+
+    const polygons = new Map();
+    infos.filter(info => info.depth % 2 === 0).forEach(info => {
+        polygons.set(info, [orientRing(info.ring, true)]);
+    });
+    infos.filter(info => info.depth % 2 === 1).forEach(info => {
+        if (polygons.has(info.parent)) {
+            polygons.get(info.parent).push(orientRing(info.ring, false));
+        }
+    });
+
+    return Array.from(polygons.values());
+}
+
+// Shoelace formula; positive for counter-clockwise rings
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+// GeoJSON wants outer rings counter-clockwise and holes clockwise
+function orientRing(ring, counterClockwise) {
+    return (ringArea(ring) > 0) === counterClockwise ? ring : ring.slice().reverse();
+}
+
+function ringBoundingBox(ring) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    ring.forEach(([x, y]) => {
+        bbox[0] = Math.min(bbox[0], x);
+        bbox[1] = Math.min(bbox[1], y);
+        bbox[2] = Math.max(bbox[2], x);
+        bbox[3] = Math.max(bbox[3], y);
+    });
+    return bbox;
+}
+
+function bboxContains(outer, inner) {
+    return outer[0] <= inner[0] && outer[1] <= inner[1] && outer[2] >= inner[2] && outer[3] >= inner[3];
+}
+
+// Ray casting point-in-polygon test for a single ring
+function pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Node (contours.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { traceContourRings, assemblePolygons, pointInRing };
+}
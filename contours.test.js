@@ -0,0 +1,60 @@
+/*
+ * MARCHING SQUARES CONTOUR TESTS
+ * ==============================
+ *
+ *   node --test contours.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { traceContourRings, assemblePolygons, pointInRing } = require('./contours.js');
+
+// Grid node (row, col) straight to [x, y] = [col, row]
+const toCoordinates = (row, col) => [col, row];
+
+// size x size grid of distance-like values from `value(row, col)`
+function grid(size, value) {
+    const values = new Float64Array(size * size);
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) values[row * size + col] = value(row, col);
+    }
+    return values;
+}
+
+function isClosed(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1];
+}
+
+test('one low spot gives one closed ring around it', () => {
+    const values = grid(9, (row, col) => Math.hypot(row - 4, col - 4));
+    const rings = traceContourRings(values, 9, 2.5, toCoordinates);
+
+    assert.strictEqual(rings.length, 1);
+    assert.ok(isClosed(rings[0]));
+    assert.ok(pointInRing([4, 4], rings[0]));
+    assert.ok(!pointInRing([0, 0], rings[0]));
+});
+
+test('a ring of low values becomes a polygon with a hole', () => {
+    // Low between 2 and 4 cells from the centre, high in the middle and outside
+    const values = grid(13, (row, col) => Math.abs(Math.hypot(row - 6, col - 6) - 3));
+    const polygons = assemblePolygons(traceContourRings(values, 13, 1, toCoordinates));
+
+    assert.strictEqual(polygons.length, 1);
+    assert.strictEqual(polygons[0].length, 2, 'outer ring and one hole');
+    const [outer, hole] = polygons[0];
+    assert.ok(pointInRing([9, 6], outer));
+    assert.ok(pointInRing([6, 6], hole));
+});
+
+test('values touching the edge still close, non-finite values count as far', () => {
+    const values = grid(5, (row, col) => (col === 4 ? Infinity : col));
+    const rings = traceContourRings(values, 5, 1.5, toCoordinates);
+
+    assert.strictEqual(rings.length, 1);
+    assert.ok(isClosed(rings[0]));
+    assert.ok(pointInRing([0.5, 2], rings[0]));
+    assert.ok(!pointInRing([3, 2], rings[0]));
+});
@@ -0,0 +1,205 @@
+/*
+ * COVERAGE ANALYSIS
+ * =================
+ *
+ * Computes the "danger zone" grid: for every node of a regular grid over NYC,
+ * the distance to the nearest restroom. The grid is then contoured into
+ * distance bands (isochrone polygons) at fractions of maxDistance, clipped to
+ * land when borough boundaries are available, and summarised per borough.
+ *
+ * Runs inside coverage-worker.js, or on the main thread where workers are
+ * unavailable (e.g. when the page is opened from file://). Distances are a
+ * typed array in row-major order: cell (row, col) is at index
+ * row * gridSize + col, with row 0 at the southern edge and col 0 at the
+ * western edge.
+ */
+
+// NYC bounds with slightly expanded area for better coverage
+const COVERAGE_BOUNDS = {
+    north: 40.925,
+    south: 40.470,
+    east: -73.680,
+    west: -74.280
+};
+
+// Defaults for the user-adjustable settings
+const DEFAULT_COVERAGE_SETTINGS = {
+    maxDistance: 1000 // meters beyond which a spot counts as fully "dangerous"
+};
+
+// Legend bands as fractions of maxDistance; the last band is open-ended.
+// The page shows them translated by id; label and range go into the export
+const COVERAGE_BANDS = [
+    { id: 'safe', upTo: 0.2, color: '#00ff00', label: 'Safe Zone' },
+    { id: 'caution', upTo: 0.4, color: '#80ff00', label: 'Caution Zone' },
+    { id: 'risk', upTo: 0.6, color: '#ffff00', label: 'Risk Zone' },
+    { id: 'danger', upTo: 0.8, color: '#ff8000', label: 'Danger Zone' },
+    { id: 'avoid', upTo: null, color: '#ff0000', label: 'AVOID AT ALL COSTS' }
+];
+
+/**
+ * Legend rows for a given maxDistance, e.g.
+ * { id: 'caution', color, label: 'Caution Zone', range: '200-400m', from: 200, to: 400 }
+ */
+function getCoverageLegendBands(maxDistance) {
+    let from = 0;
+    return COVERAGE_BANDS.map(band => {
+        const to = band.upTo === null ? null : Math.round(band.upTo * maxDistance);
+        let range;
+        if (from === 0) {
+            range = `< ${to}m to restroom`;
+        } else if (to === null) {
+            range = `> ${from}m`;
+        } else {
+            range = `${from}-${to}m`;
+        }
+
+        const row = { id: band.id, color: band.color, label: band.label, range, from, to };
+        from = to;
+        return row;
+    });
+}
+
+/**
+ * @param {Float64Array} points  restroom coordinates as lng, lat, lng, lat, ...
+ * @param {Object} options       { gridSize, bounds, maxDistance }
+ * @param {Function} [onProgress] called with the completed fraction (0-1)
+ * @returns {{ gridSize, bounds, distances: Float32Array }}
+ *          distances are Infinity where no restroom is within maxDistance
+ */
+function computeCoverageGrid(points, options, onProgress) {
+    const { gridSize, bounds, maxDistance } = options;
+    const pointCount = points.length / 2;
+    const pointIds = Array.from({ length: pointCount }, (_, i) => i);
+    const index = createSpatialIndex(pointIds, i => [points[2 * i], points[2 * i + 1]]);
+
+    const latStep = (bounds.north - bounds.south) / gridSize;
+    const lngStep = (bounds.east - bounds.west) / gridSize;
+    const distances = new Float32Array(gridSize * gridSize);
+    const progressEvery = Math.max(1, Math.floor(gridSize / 50));
+
+    for (let row = 0; row < gridSize; row++) {
+        const lat = bounds.south + row * latStep;
+
+        for (let col = 0; col < gridSize; col++) {
+            const lng = bounds.west + col * lngStep;
+
+            // Every band beyond maxDistance looks the same, so stop searching there
+            distances[row * gridSize + col] = index.nearestDistance(lng, lat, maxDistance);
+        }
+
+        if (onProgress && (row % progressEvery === 0 || row === gridSize - 1)) {
+            onProgress((row + 1) / gridSize);
+        }
+    }
+
+    return { gridSize, bounds, distances };
+}
+
+/**
+ * Contour a coverage grid into one MultiPolygon feature per legend band, e.g.
+ * the "Caution Zone" is everywhere 200-400 m from the nearest restroom.
+ * With a land mask (see createLandMask) every band stops at the shoreline;
+ * without one the last band is closed off by a frame one cell outside the grid.
+ *
+ * @returns {Object} GeoJSON FeatureCollection; properties are the legend row
+ */
+function buildCoverageBands(grid, maxDistance, landMask = null) {
+    const { gridSize, bounds } = grid;
+    const latStep = (bounds.north - bounds.south) / gridSize;
+    const lngStep = (bounds.east - bounds.west) / gridSize;
+    // ~10 cm precision keeps exported files small
+    const round = value => Math.round(value * 1e6) / 1e6;
+    const toCoordinates = (row, col) => [round(bounds.west + col * lngStep), round(bounds.south + row * latStep)];
+
+    // Water is pushed above every level, so one field yields both the clipped
+    // bands and (at landLevel) the shoreline itself
+    const landLevel = maxDistance * 1.5;
+    const values = landMask ? maskDistancesToLand(grid.distances, landMask, maxDistance) : grid.distances;
+
+    const ringsByLevel = new Map();
+    const ringsAt = level => {
+        if (!ringsByLevel.has(level)) {
+            ringsByLevel.set(level, traceContourRings(values, gridSize, level, toCoordinates));
+        }
+        return ringsByLevel.get(level);
+    };
+
+    const frame = [
+        toCoordinates(-1, -1),
+        toCoordinates(-1, gridSize),
+        toCoordinates(gridSize, gridSize),
+        toCoordinates(gridSize, -1),
+        toCoordinates(-1, -1)
+    ];
+    const outerRings = () => landMask ? ringsAt(landLevel) : [frame];
+
+    const features = getCoverageLegendBands(maxDistance).map((band, i) => {
+        // A band is the area below its upper level minus the area below its lower one
+        const rings = [
+            ...(band.to === null ? outerRings() : ringsAt(band.to)),
+            ...(band.from > 0 ? ringsAt(band.from) : [])
+        ];
+        return {
+            type: 'Feature',
+            properties: { band: i, ...band },
+            geometry: { type: 'MultiPolygon', coordinates: assemblePolygons(rings) }
+        };
+    });
+
+    return {
+        type: 'FeatureCollection',
+        features: features.filter(feature => feature.geometry.coordinates.length > 0)
+    };
+}
+
+// Land keeps its distance (capped at maxDistance), water goes to 2 * maxDistance
+function maskDistancesToLand(distances, landMask, maxDistance) {
+    const masked = new Float32Array(distances.length);
+    for (let cell = 0; cell < distances.length; cell++) {
+        masked[cell] = landMask[cell] === NOT_ON_LAND ? maxDistance * 2 : Math.min(distances[cell], maxDistance);
+    }
+    return masked;
+}
+
+/**
+ * The whole analysis as run by the worker (or the main-thread fallback).
+ *
+ * @param {Object} input  { points, operationalPoints, land } - point arrays as
+ *                        for computeCoverageGrid; land is the borough
+ *                        FeatureCollection, or null to skip clipping and summary
+ * @returns {{ gridSize, bounds, distances, bands, summary }}
+ */
+function runCoverageAnalysis(input, options, onProgress = () => {}) {
+    const { points, operationalPoints, land } = input;
+    // The summary needs a second grid, so split the progress between the two
+    const gridShare = land ? 0.6 : 1;
+
+    const grid = computeCoverageGrid(points, options, fraction => onProgress(fraction * gridShare));
+    if (!land) {
+        return { ...grid, bands: buildCoverageBands(grid, options.maxDistance), summary: null };
+    }
+
+    const landMask = createLandMask(land, options.gridSize, options.bounds);
+    const operationalGrid = computeCoverageGrid(
+        operationalPoints,
+        { ...options, maxDistance: Math.max(...BOROUGH_SUMMARY_DISTANCES) },
+        fraction => onProgress(gridShare + fraction * (1 - gridShare))
+    );
+
+    return {
+        ...grid,
+        bands: buildCoverageBands(grid, options.maxDistance, landMask),
+        summary: summarizeCoverageByBorough(land, landMask, operationalGrid, operationalPoints)
+    };
+}
+
+// Flatten GeoJSON point features into the Float64Array computeCoverageGrid expects
+function featuresToPointArray(features) {
+    const points = new Float64Array(features.length * 2);
+    features.forEach((feature, i) => {
+        points[2 * i] = feature.geometry.coordinates[0];
+        points[2 * i + 1] = feature.geometry.coordinates[1];
+    });
+    return points;
+}
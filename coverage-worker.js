@@ -0,0 +1,34 @@
+/*
+ * COVERAGE ANALYSIS WORKER
+ * ========================
+ *
+ * Runs runCoverageAnalysis (grid, band contouring and borough summary) off the
+ * main thread so the map stays responsive.
+ *
+ * Messages in:   { type: 'compute', jobId, points, operationalPoints, land, options }
+ *                (points are Float64Arrays, land a GeoJSON FeatureCollection or null)
+ * Messages out:  { type: 'progress', jobId, fraction }
+ *                { type: 'result', jobId, gridSize, bounds, distances, bands, summary }
+ *                { type: 'error', jobId, message }
+ *
+ * The distances array is transferred, not copied; bands is a GeoJSON
+ * FeatureCollection. Cancelling is done by the page terminating this worker,
+ * which stops a run immediately.
+ */
+
+importScripts('geo-utils.js', 'spatial-index.js', 'contours.js', 'land-boundaries.js', 'coverage-analysis.js');
+
+self.addEventListener('message', (event) => {
+    const { type, jobId, points, operationalPoints, land, options } = event.data;
+    if (type !== 'compute') return;
+
+    try {
+        const result = runCoverageAnalysis({ points, operationalPoints, land }, options, fraction => {
+            self.postMessage({ type: 'progress', jobId, fraction });
+        });
+
+        self.postMessage({ type: 'result', jobId, ...result }, [result.distances.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+});
@@ -0,0 +1,200 @@
+/*
+ * DATASET NORMALIZATION
+ * =====================
+ *
+ * The NYC Open Data restroom export has a handful of inconsistent spellings for
+ * the same thing ("Limited Accessibility" vs "Partially Accessible",
+ * "Single -Stall All Gender Restroom(s)", changing station values wrapped in
+ * literal quotes, a lone "Closed" status, ...).
+ *
+ * normalizeRestroomData() rewrites each categorical property to a canonical
+ * value so filters, popups and paint expressions only ever see one spelling.
+ * The original value is kept next to it as `raw_<field>`. Values that can't be
+ * mapped become "Unknown" and are listed in the returned report.
+ */
+
+// ============================================================================
+// CANONICAL VALUES
+// ============================================================================
+const UNKNOWN_VALUE = 'Unknown';
+
+const CANONICAL_VALUES = {
+    status: {
+        OPERATIONAL: 'Operational',
+        NOT_OPERATIONAL: 'Not Operational',
+        CONSTRUCTION: 'Closed for Construction',
+        CLOSED: 'Closed'
+    },
+    accessibility: {
+        FULL: 'Fully Accessible',
+        PARTIAL: 'Partially Accessible',
+        NONE: 'Not Accessible'
+    },
+    location_type: {
+        PARK: 'Park',
+        LIBRARY: 'Library',
+        POPS: 'Privately Owned Public Space',
+        PLAZA: 'Public Plaza',
+        TRANSIT: 'Transit'
+    },
+    restroom_type: {
+        MULTI_STALL_WM: 'Multi-Stall W/M Restrooms',
+        SINGLE_STALL_ALL_GENDER: 'Single-Stall All Gender Restroom(s)',
+        BOTH: 'Both Single-Stall All Gender and Multi-Stall W/M',
+        MULTI_STALL_ALL_GENDER: 'Multi-Stall All Gender Restrooms'
+    },
+    changing_stations: {
+        YES: 'Yes',
+        WOMENS_ONLY: "Yes, in women's restroom only",
+        MENS_ONLY: "Yes, in men's restroom only",
+        ALL_GENDER_ONLY: 'Yes, in single-stall all gender restroom only',
+        NO: 'No',
+        NOT_APPLICABLE: 'N/A, restrooms closed'
+    },
+    open: {
+        YEAR_ROUND: 'Year Round',
+        SEASONAL: 'Seasonal',
+        FUTURE: 'Future'
+    }
+};
+
+// Extra spellings seen in the data, keyed by normalizeKey() output
+const VALUE_ALIASES = {
+    accessibility: {
+        'limited accessibility': CANONICAL_VALUES.accessibility.PARTIAL,
+        'limited access': CANONICAL_VALUES.accessibility.PARTIAL,
+        'accessible': CANONICAL_VALUES.accessibility.FULL,
+        'inaccessible': CANONICAL_VALUES.accessibility.NONE
+    },
+    changing_stations: {
+        'n/a': CANONICAL_VALUES.changing_stations.NOT_APPLICABLE,
+        'n/a - closed for capital': CANONICAL_VALUES.changing_stations.NOT_APPLICABLE
+    },
+    open: {
+        'year-round': CANONICAL_VALUES.open.YEAR_ROUND
+    }
+};
+
+// Operators are free text rather than an enum; only fix known misspellings
+const OPERATOR_ALIASES = {
+    'nyc dot/jcdeceaux': 'NYC DOT/JCDecaux',
+    'boston properties inc.': 'Boston Properties'
+};
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+function normalizeKey(value) {
+    return String(value)
+        .trim()
+        .replace(/^["']+|["']+$/g, '')   // literal quotes around the value
+        .replace(/\s*-\s*/g, '-')        // "Single -Stall" -> "Single-Stall"
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+}
+
+function buildLookup(field) {
+    const lookup = {};
+    Object.values(CANONICAL_VALUES[field]).forEach(value => {
+        lookup[normalizeKey(value)] = value;
+    });
+    Object.entries(VALUE_ALIASES[field] || {}).forEach(([alias, value]) => {
+        lookup[normalizeKey(alias)] = value;
+    });
+    return lookup;
+}
+
+const FIELD_LOOKUPS = {};
+Object.keys(CANONICAL_VALUES).forEach(field => {
+    FIELD_LOOKUPS[field] = buildLookup(field);
+});
+
+/**
+ * Map a single raw value to its canonical form.
+ * Returns { value, mapped } where mapped is false for values we didn't recognise.
+ * Missing values (null, empty, "null") are a legitimate "Unknown", not a failure.
+ */
+function normalizeFieldValue(field, rawValue) {
+    if (rawValue === null || rawValue === undefined) {
+        return { value: UNKNOWN_VALUE, mapped: true };
+    }
+
+    const key = normalizeKey(rawValue);
+    if (key === '' || key === 'null') {
+        return { value: UNKNOWN_VALUE, mapped: true };
+    }
+
+    const canonical = FIELD_LOOKUPS[field][key];
+    return canonical
+        ? { value: canonical, mapped: true }
+        : { value: UNKNOWN_VALUE, mapped: false };
+}
+
+function normalizeOperator(rawValue) {
+    if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+        return UNKNOWN_VALUE;
+    }
+    const cleaned = String(rawValue).trim().replace(/\s+/g, ' ');
+    return OPERATOR_ALIASES[cleaned.toLowerCase()] || cleaned;
+}
+
+/**
+ * Normalize every feature in place and return a report of what happened:
+ * { changed: { field: count }, unmapped: { field: { rawValue: count } } }
+ */
+function normalizeRestroomData(data) {
+    const report = { changed: {}, unmapped: {} };
+
+    const countChange = (field, before, after) => {
+        if (before !== after) {
+            report.changed[field] = (report.changed[field] || 0) + 1;
+        }
+    };
+
+    data.features.forEach(feature => {
+        const props = feature.properties;
+
+        Object.keys(CANONICAL_VALUES).forEach(field => {
+            const rawValue = props[field] === undefined ? null : props[field];
+            const result = normalizeFieldValue(field, rawValue);
+
+            props[`raw_${field}`] = rawValue;
+            props[field] = result.value;
+            countChange(field, rawValue, result.value);
+
+            if (!result.mapped) {
+                report.unmapped[field] = report.unmapped[field] || {};
+                report.unmapped[field][rawValue] = (report.unmapped[field][rawValue] || 0) + 1;
+            }
+        });
+
+        props.raw_operator = props.operator === undefined ? null : props.operator;
+        props.operator = normalizeOperator(props.operator);
+        countChange('operator', props.raw_operator, props.operator);
+    });
+
+    return report;
+}
+
+// Console friendly summary of a normalization report
+function logNormalizationReport(report) {
+    console.log('Normalized values per field:', report.changed);
+
+    const unmappedFields = Object.keys(report.unmapped);
+    if (unmappedFields.length === 0) {
+        console.log('All categorical values mapped to canonical values.');
+        return;
+    }
+
+    console.warn('Values that could not be mapped (shown as "Unknown"):');
+    unmappedFields.forEach(field => {
+        Object.entries(report.unmapped[field]).forEach(([value, count]) => {
+            console.warn(`  ${field}: "${value}" (${count})`);
+        });
+    });
+}
+
+// Node (data-normalizer.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CANONICAL_VALUES, UNKNOWN_VALUE, normalizeFieldValue, normalizeRestroomData };
+}
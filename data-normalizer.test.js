@@ -0,0 +1,57 @@
+/*
+ * DATASET NORMALIZATION TESTS
+ * ===========================
+ *
+ * Spellings taken from the bundled dataset:
+ *
+ *   node --test data-normalizer.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { CANONICAL_VALUES, UNKNOWN_VALUE, normalizeFieldValue, normalizeRestroomData } = require('./data-normalizer.js');
+
+const DATASET_FILE = path.join(__dirname, 'Public Restrooms_20250720.geojson');
+
+test('variant spellings map to one canonical value', () => {
+    const cases = [
+        ['accessibility', 'Limited Accessibility', CANONICAL_VALUES.accessibility.PARTIAL],
+        ['changing_stations', '"Yes, in women\'s restroom only"', CANONICAL_VALUES.changing_stations.WOMENS_ONLY],
+        ['changing_stations', 'N/A - closed for capital', CANONICAL_VALUES.changing_stations.NOT_APPLICABLE],
+        ['restroom_type', 'Single -Stall All Gender Restroom(s)', CANONICAL_VALUES.restroom_type.SINGLE_STALL_ALL_GENDER],
+        ['status', '  operational ', CANONICAL_VALUES.status.OPERATIONAL]
+    ];
+    cases.forEach(([field, raw, expected]) => {
+        assert.deepStrictEqual(normalizeFieldValue(field, raw), { value: expected, mapped: true }, raw);
+    });
+});
+
+test('missing values are Unknown, unrecognised ones are reported', () => {
+    assert.deepStrictEqual(normalizeFieldValue('accessibility', null), { value: UNKNOWN_VALUE, mapped: true });
+    assert.deepStrictEqual(normalizeFieldValue('accessibility', 'null'), { value: UNKNOWN_VALUE, mapped: true });
+    assert.deepStrictEqual(normalizeFieldValue('status', 'Sometimes'), { value: UNKNOWN_VALUE, mapped: false });
+});
+
+test('features keep their raw values next to the canonical ones', () => {
+    const data = {
+        features: [{
+            properties: { status: 'Closed', accessibility: 'Limited Accessibility', operator: 'NYC DOT/JCDeceaux', open: 'Whenever' }
+        }]
+    };
+    const report = normalizeRestroomData(data);
+    const props = data.features[0].properties;
+
+    assert.strictEqual(props.accessibility, CANONICAL_VALUES.accessibility.PARTIAL);
+    assert.strictEqual(props.raw_accessibility, 'Limited Accessibility');
+    assert.strictEqual(props.operator, 'NYC DOT/JCDecaux');
+    assert.strictEqual(props.restroom_type, UNKNOWN_VALUE);
+    assert.deepStrictEqual(report.unmapped, { open: { Whenever: 1 } });
+    assert.strictEqual(report.changed.operator, 1);
+});
+
+test('every value in the bundled dataset is recognised', () => {
+    const data = JSON.parse(fs.readFileSync(DATASET_FILE, 'utf8'));
+    assert.deepStrictEqual(normalizeRestroomData(data).unmapped, {});
+});
@@ -0,0 +1,369 @@
+/*
+ * RESTROOM DATA SOURCES
+ * =====================
+ *
+ * Pluggable sources for the restroom dataset. Every source exposes the same
+ * interface:
+ *
+ *   source.load() -> Promise<GeoJSON FeatureCollection of Point features>
+ *
+ * plus an id, an English label for the console and a detail (the endpoint's
+ * host or the file name) the page shows in its own wording. Features have
+ * the properties of the NYC Open Data "Public Restrooms" export. Sources:
+ * the bundled snapshot file, a Socrata (SODA) JSON endpoint such as NYC Open
+ * Data or a local mock of it, and a file the user uploads (GeoJSON or a SODA
+ * JSON export).
+ *
+ * The last dataset that loaded successfully is kept in localStorage with a
+ * timestamp, both as a fallback when a source can't be reached and as the
+ * baseline for diffDatasets(), which lists the facilities added, removed,
+ * renamed or moved, or with a changed status since that load.
+ *
+ * The dataset has no ID column; assignFacilityIds() derives one from each
+ * facility's name and position. SODA endpoints also send their own row ID
+ * (:id), kept as the feature's `id` so a facility can be followed across a
+ * rename.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const LOCAL_DATASET_URL = 'Public Restrooms_20250720.geojson';
+const SODA_PAGE_SIZE = 1000;                       // SODA's default $limit
+const DIFF_MATCH_DISTANCE = 100;                   // meters a facility of the same name may move between loads
+const DATASET_CACHE_KEY = 'restroom_dataset_cache';
+const DATA_SOURCE_SETTINGS_KEY = 'restroom_data_source';
+const DEFAULT_SODA_ENDPOINT = 'https://data.cityofnewyork.us/resource/i7jb-7jku.json';
+
+// Columns of the Public Restrooms dataset, as properties of every feature
+const RESTROOM_PROPERTIES = [
+    'facility_name', 'location_type', 'operator', 'status', 'open',
+    'hours_of_operation', 'accessibility', 'changing_stations', 'restroom_type',
+    'additional_notes', 'website', 'latitude', 'longitude'
+];
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+// The snapshot shipped with the app (also cached for offline use)
+function createLocalFileSource(url = LOCAL_DATASET_URL) {
+    return {
+        id: 'local',
+        label: 'Bundled snapshot (July 20, 2025)',
+        detail: '',
+        load() {
+            return fetchJson(url).then(toRestroomFeatureCollection);
+        }
+    };
+}
+
+/**
+ * A Socrata endpoint, e.g. https://data.cityofnewyork.us/resource/<id>.json.
+ * Rows are fetched a page at a time ($limit / $offset) until a short page,
+ * whether the endpoint answers with rows (.json) or GeoJSON (.geojson).
+ */
+function createSodaSource(endpoint) {
+    // Relative URLs are fine, e.g. a mock server next to the app
+    const endpointUrl = new URL(endpoint, location.href);
+    if (endpointUrl.protocol !== 'http:' && endpointUrl.protocol !== 'https:') {
+        throw new Error(`Not an http(s) URL: ${endpoint}`);
+    }
+
+    return {
+        id: 'soda',
+        label: `SODA endpoint (${endpointUrl.host})`,
+        detail: endpointUrl.host,
+        endpoint,
+        load() {
+            const collected = [];
+            const loadPage = offset => {
+                const url = new URL(endpointUrl);
+                url.searchParams.set('$limit', SODA_PAGE_SIZE);
+                url.searchParams.set('$offset', offset);
+                url.searchParams.set('$order', ':id');
+                url.searchParams.set('$select', ':id,*');
+
+                return fetchJson(url.toString()).then(page => {
+                    const isRows = Array.isArray(page);
+                    const items = isRows ? page : toRestroomFeatureCollection(page).features;
+                    collected.push(...items);
+                    if (items.length >= SODA_PAGE_SIZE) {
+                        return loadPage(offset + SODA_PAGE_SIZE);
+                    }
+                    return isRows
+                        ? toRestroomFeatureCollection(collected)
+                        : { type: 'FeatureCollection', features: collected };
+                });
+            };
+            return loadPage(0);
+        }
+    };
+}
+
+// A GeoJSON or SODA JSON file picked by the user
+function createUploadedFileSource(file) {
+    return {
+        id: 'upload',
+        label: `Uploaded file (${file.name})`,
+        detail: file.name,
+        load() {
+            return file.text()
+                .then(text => JSON.parse(text))
+                .then(toRestroomFeatureCollection);
+        }
+    };
+}
+
+// Network failures are flagged so the page can tell "offline" from bad data;
+// from file:// a failed request means there is no local server instead
+function fetchJson(url) {
+    return fetch(url)
+        .catch(error => {
+            error.isNetworkFailure = location.protocol !== 'file:';
+            throw error;
+        })
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            return response.json();
+        });
+}
+
+// ============================================================================
+// SOURCE SETTINGS
+// ============================================================================
+
+// The chosen source is remembered between visits as { type, endpoint }.
+// Uploads are not: the next visit goes back to the saved source
+function saveDataSourceSettings(settings) {
+    try {
+        localStorage.setItem(DATA_SOURCE_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save the data source setting:', error.message);
+    }
+}
+
+function loadDataSourceSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(DATA_SOURCE_SETTINGS_KEY)) || { type: 'local' };
+    } catch (error) {
+        return { type: 'local' };
+    }
+}
+
+function createDataSourceFromSettings(settings) {
+    if (settings.type === 'soda' && settings.endpoint) {
+        try {
+            return createSodaSource(settings.endpoint);
+        } catch (error) {
+            console.warn('Saved SODA endpoint is not a valid URL, using the bundled snapshot:', error.message);
+        }
+    }
+    return createLocalFileSource();
+}
+
+// ============================================================================
+// FORMAT CONVERSION
+// ============================================================================
+
+// A FeatureCollection as is, or SODA rows converted to one
+function toRestroomFeatureCollection(json) {
+    if (json && json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+        return json;
+    }
+    if (!Array.isArray(json)) {
+        throw new Error('Expected a GeoJSON FeatureCollection or a list of SODA rows');
+    }
+
+    const features = json.map(sodaRowToFeature).filter(Boolean);
+    if (features.length < json.length) {
+        console.warn(`${json.length - features.length} rows without coordinates were skipped`);
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+// SODA leaves out empty columns and returns URL columns as { url } and
+// location columns as GeoJSON points
+function sodaRowToFeature(row) {
+    const properties = {};
+    RESTROOM_PROPERTIES.forEach(property => {
+        const value = row[property];
+        if (value === undefined || value === null) {
+            properties[property] = null;
+        } else {
+            properties[property] = typeof value === 'object' ? value.url || null : value;
+        }
+    });
+
+    const point = Object.values(row).find(value =>
+        value && value.type === 'Point' && Array.isArray(value.coordinates));
+    const coordinates = point
+        ? point.coordinates.map(Number)
+        : [parseFloat(row.longitude), parseFloat(row.latitude)];
+    if (!coordinates.every(Number.isFinite)) return null;
+
+    const feature = {
+        type: 'Feature',
+        properties,
+        geometry: { type: 'Point', coordinates }
+    };
+    if (row[':id'] !== undefined) feature.id = row[':id'];
+    return feature;
+}
+
+// ============================================================================
+// LAST GOOD DATASET
+// ============================================================================
+
+// Stored before normalization, so normalizer changes also apply to cached data.
+// Returns the timestamp, or null when the dataset does not fit in storage
+function saveDatasetCache(data, source) {
+    const savedAt = new Date().toISOString();
+    try {
+        localStorage.setItem(DATASET_CACHE_KEY, JSON.stringify({
+            savedAt,
+            source: { id: source.id, label: source.label, detail: source.detail },
+            data
+        }));
+        return savedAt;
+    } catch (error) {
+        console.warn('Could not save the dataset for next time:', error.message);
+        return null;
+    }
+}
+
+// { savedAt, source: { id, label, detail }, data } or null
+function loadDatasetCache() {
+    try {
+        return JSON.parse(localStorage.getItem(DATASET_CACHE_KEY));
+    } catch (error) {
+        console.warn('Ignoring an unreadable saved dataset:', error.message);
+        return null;
+    }
+}
+
+// ============================================================================
+// FACILITY IDS
+// ============================================================================
+
+/**
+ * Give every feature a `facility_id` built from its name and position, e.g.
+ * "bryant-park@40.75404,-73.98270", so a facility keeps its ID whichever
+ * source or snapshot it is loaded from. Facilities sharing a name and spot
+ * are told apart by "~2", "~3"... in dataset order.
+ */
+function assignFacilityIds(features) {
+    const seen = new Map();
+    features.forEach(feature => {
+        const base = facilityIdBase(feature);
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        feature.properties.facility_id = count === 1 ? base : `${base}~${count}`;
+    });
+}
+
+function facilityIdBase(feature) {
+    const [lng, lat] = feature.geometry.coordinates;
+    return `${slugifyFacilityName(feature.properties.facility_name)}@${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`;
+}
+
+// "St. Mary's Park (North)" -> "st-marys-park-north"
+function slugifyFacilityName(name) {
+    const slug = String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['\u2019]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'facility';
+}
+
+// ============================================================================
+// VERSION DIFF
+// ============================================================================
+
+/**
+ * What changed between two (normalized) datasets whose features have their
+ * facility IDs (see assignFacilityIds). A facility is matched by the source's
+ * row ID when both loads have one, then by facility ID, then by the same name
+ * within DIFF_MATCH_DISTANCE, so a rename or a corrected position counts as a
+ * change rather than a removal and an addition.
+ * @returns {{ added: Array, removed: Array, statusChanged: Array, detailsChanged: Array }}
+ *   features, { feature, from, to } for status changes and
+ *   { feature, previous } for facilities renamed or moved
+ */
+function diffDatasets(previous, current) {
+    const remaining = new Set(previous.features);
+    const byRowId = new Map();
+    const byFacilityId = new Map();
+    previous.features.forEach(feature => {
+        if (feature.id !== undefined) byRowId.set(feature.id, feature);
+        byFacilityId.set(feature.properties.facility_id, feature);
+    });
+    const take = feature => {
+        if (!feature || !remaining.has(feature)) return null;
+        remaining.delete(feature);
+        return feature;
+    };
+
+    const pairs = [];
+    const unmatched = [];
+    current.features.forEach(feature => {
+        const before = take(byRowId.get(feature.id)) || take(byFacilityId.get(feature.properties.facility_id));
+        if (before) {
+            pairs.push([before, feature]);
+        } else {
+            unmatched.push(feature);
+        }
+    });
+
+    const added = [];
+    unmatched.forEach(feature => {
+        const before = take(findNearestNamesake(feature, remaining));
+        if (before) {
+            pairs.push([before, feature]);
+        } else {
+            added.push(feature);
+        }
+    });
+
+    const statusChanged = [];
+    const detailsChanged = [];
+    pairs.forEach(([before, feature]) => {
+        if (before.properties.status !== feature.properties.status) {
+            statusChanged.push({ feature, from: before.properties.status, to: feature.properties.status });
+        }
+        if (facilityIdBase(before) !== facilityIdBase(feature)) {
+            detailsChanged.push({ feature, previous: before });
+        }
+    });
+
+    return { added, removed: [...remaining], statusChanged, detailsChanged };
+}
+
+// The closest of `candidates` with the feature's name, within DIFF_MATCH_DISTANCE
+function findNearestNamesake(feature, candidates) {
+    const slug = slugifyFacilityName(feature.properties.facility_name);
+    const [lng, lat] = feature.geometry.coordinates;
+    let nearest = null;
+    let nearestDistance = DIFF_MATCH_DISTANCE;
+
+    candidates.forEach(candidate => {
+        if (slugifyFacilityName(candidate.properties.facility_name) !== slug) return;
+        const [candidateLng, candidateLat] = candidate.geometry.coordinates;
+        const distance = calculateDistance(lat, lng, candidateLat, candidateLng);
+        if (distance <= nearestDistance) {
+            nearest = candidate;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Node (data-validator.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { facilityIdBase };
+}
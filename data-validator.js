@@ -0,0 +1,180 @@
+/*
+ * DATASET VALIDATION
+ * ==================
+ *
+ * Checks every loaded dataset before it is normalized and drawn.
+ * validateRestroomData() returns the features that are safe to use and a list
+ * of issues, each either
+ *
+ *   - an error: the feature is left out (no usable point, a point outside NYC
+ *     that would stretch the map to another continent, or an exact copy of a
+ *     feature already listed), or
+ *   - a warning: the feature is kept but something is off (latitude/longitude
+ *     properties that disagree with the geometry, a missing required field, a
+ *     value the normalizer does not recognise, a likely duplicate).
+ *
+ * Points come in twice, as geometry.coordinates and as the string properties
+ * latitude/longitude; the geometry is what gets drawn.
+ *
+ * Issues carry the facts behind them rather than sentences; the page words
+ * them in the reader's language (see validation.* in messages-en.js).
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// The five boroughs with some margin, as west, south, east, north
+const NYC_BOUNDS = [-74.27, 40.47, -73.68, 40.93];
+
+// Allowed disagreement between the geometry and the latitude/longitude strings
+const COORDINATE_TOLERANCE_DEGREES = 0.0001; // about 10 m
+
+const REQUIRED_PROPERTIES = ['facility_name', 'status', 'location_type', 'operator', 'latitude', 'longitude'];
+
+const VALIDATION_ISSUE_TYPES = {
+    'invalid-feature': { severity: 'error' },     // not a GeoJSON feature
+    'bad-geometry': { severity: 'error' },        // missing or invalid point
+    'outside-nyc': { severity: 'error' },
+    'duplicate': { severity: 'error' },           // exact copy of another feature
+    'coordinate-mismatch': { severity: 'warning' },
+    'missing-field': { severity: 'warning' },
+    'unknown-value': { severity: 'warning' },
+    'possible-duplicate': { severity: 'warning' } // same name and place, other details
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a FeatureCollection without changing it.
+ * @returns {{ features: Array, issues: Array, excluded: number }}
+ *   issues are { type, severity, index, feature, details }, where index is
+ *   the position in data.features, feature is null when it is not a usable
+ *   feature, and details holds what the message needs: the facility `name`
+ *   (null if it has none) plus, by type, { lat, lng, swapped },
+ *   { count }, { field }, { field, value } or
+ *   { mismatches: [{ field, value, expected }] } (expected is null when the
+ *   value is not a number)
+ */
+function validateRestroomData(data) {
+    const features = [];
+    const issues = [];
+    const seen = new Map(); // facilityIdBase -> serialized features with that ID
+
+    data.features.forEach((feature, index) => {
+        const usable = isFeatureObject(feature);
+        const name = usable && feature.properties.facility_name ? feature.properties.facility_name : null;
+        const report = (type, details = {}) => {
+            const { severity } = VALIDATION_ISSUE_TYPES[type];
+            issues.push({ type, severity, index, feature: usable ? feature : null, details: { name, ...details } });
+        };
+
+        if (!usable) {
+            report('invalid-feature');
+            return;
+        }
+
+        const props = feature.properties;
+        const coordinates = getPointCoordinates(feature.geometry);
+        if (!coordinates) {
+            report('bad-geometry');
+            return;
+        }
+
+        // A point that lands in NYC the other way round had its axes swapped
+        const [lng, lat] = coordinates;
+        if (!isInNyc(lng, lat)) {
+            report('outside-nyc', { lat, lng, swapped: isInNyc(lat, lng) });
+            return;
+        }
+
+        // Exact copies are dropped, whatever row ID the source gave them; same
+        // name and place with other details is flagged
+        const key = facilityIdBase(feature);
+        const serialized = JSON.stringify({ properties: props, geometry: feature.geometry });
+        const sameKey = seen.get(key) || [];
+        if (sameKey.includes(serialized)) {
+            report('duplicate');
+            return;
+        }
+        if (sameKey.length > 0) {
+            report('possible-duplicate', { count: sameKey.length + 1 });
+        }
+        seen.set(key, sameKey.concat(serialized));
+
+        REQUIRED_PROPERTIES.forEach(property => {
+            if (props[property] === null || props[property] === undefined || String(props[property]).trim() === '') {
+                report('missing-field', { field: property });
+            }
+        });
+
+        const mismatches = findCoordinateMismatches(props, lng, lat);
+        if (mismatches.length > 0) {
+            report('coordinate-mismatch', { mismatches });
+        }
+
+        Object.keys(CANONICAL_VALUES).forEach(field => {
+            if (!normalizeFieldValue(field, props[field]).mapped) {
+                report('unknown-value', { field, value: props[field] });
+            }
+        });
+
+        features.push(feature);
+    });
+
+    return { features, issues, excluded: data.features.length - features.length };
+}
+
+function isFeatureObject(feature) {
+    return Boolean(feature) && typeof feature === 'object' &&
+        Boolean(feature.properties) && typeof feature.properties === 'object';
+}
+
+// [lng, lat] of a valid Point geometry, otherwise null
+function getPointCoordinates(geometry) {
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) return null;
+
+    const [lng, lat] = geometry.coordinates;
+    const valid = typeof lng === 'number' && typeof lat === 'number' &&
+        Number.isFinite(lng) && Number.isFinite(lat) &&
+        Math.abs(lng) <= 180 && Math.abs(lat) <= 90;
+    return valid ? [lng, lat] : null;
+}
+
+function isInNyc(lng, lat) {
+    const [west, south, east, north] = NYC_BOUNDS;
+    return lng >= west && lng <= east && lat >= south && lat <= north;
+}
+
+// Latitude/longitude strings that disagree with the point, as
+// { field, value, expected }; expected is null for a value that is not a
+// number. Missing strings are reported as missing fields instead
+function findCoordinateMismatches(props, lng, lat) {
+    const mismatches = [];
+    [['latitude', lat], ['longitude', lng]].forEach(([property, expected]) => {
+        const text = props[property];
+        if (text === null || text === undefined || String(text).trim() === '') return;
+
+        const value = Number(text);
+        if (!Number.isFinite(value)) {
+            mismatches.push({ field: property, value: text, expected: null });
+        } else if (Math.abs(value - expected) > COORDINATE_TOLERANCE_DEGREES) {
+            mismatches.push({ field: property, value: text, expected });
+        }
+    });
+    return mismatches;
+}
+
+// Issues per type, errors first, for the data-quality panel and the console
+function groupValidationIssues(issues) {
+    return Object.keys(VALIDATION_ISSUE_TYPES)
+        .map(type => ({ type, ...VALIDATION_ISSUE_TYPES[type], issues: issues.filter(issue => issue.type === type) }))
+        .filter(group => group.issues.length > 0);
+}
+
+// Node (data-validator.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateRestroomData, groupValidationIssues };
+}
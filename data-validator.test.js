@@ -0,0 +1,136 @@
+/*
+ * DATASET VALIDATION TESTS
+ * ========================
+ *
+ * Broken copies of a real dataset row, and the bundled dataset itself:
+ *
+ *   node --test data-validator.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The page shares these between its scripts as globals
+Object.assign(global, require('./data-sources.js'), require('./data-normalizer.js'));
+const { validateRestroomData, groupValidationIssues } = require('./data-validator.js');
+
+const DATASET_FILE = path.join(__dirname, 'Public Restrooms_20250720.geojson');
+
+// First row of the bundled dataset
+function batteryPark(changes = {}, coordinates = [-74.0159, 40.70441]) {
+    return {
+        type: 'Feature',
+        properties: {
+            website: null,
+            latitude: '40.704410',
+            accessibility: null,
+            additional_notes: null,
+            changing_stations: 'Yes',
+            open: null,
+            longitude: '-74.015900',
+            operator: 'NYC Parks',
+            status: 'Not Operational',
+            location_type: 'Park',
+            facility_name: 'Battery Park Zone 1',
+            hours_of_operation: null,
+            restroom_type: null,
+            ...changes
+        },
+        geometry: { type: 'Point', coordinates }
+    };
+}
+
+function issueTypes(result) {
+    return result.issues.map(issue => issue.type);
+}
+
+test('a clean row passes untouched', () => {
+    const feature = batteryPark();
+    const before = JSON.stringify(feature);
+    const result = validateRestroomData({ features: [feature] });
+
+    assert.deepStrictEqual(result.features, [feature]);
+    assert.deepStrictEqual(result.issues, []);
+    assert.strictEqual(result.excluded, 0);
+    assert.strictEqual(JSON.stringify(feature), before);
+});
+
+test('unusable rows are left out as errors', () => {
+    const result = validateRestroomData({
+        features: [
+            null,
+            { type: 'Feature', geometry: null },
+            batteryPark({}, null),
+            batteryPark({}, ['-74.0159', '40.70441']),
+            batteryPark({}, [-74.0159, 95]),
+            batteryPark({}, [2.3522, 48.8566]),
+            batteryPark({}, [40.70441, -74.0159])
+        ]
+    });
+
+    assert.strictEqual(result.features.length, 0);
+    assert.strictEqual(result.excluded, 7);
+    assert.deepStrictEqual(issueTypes(result), [
+        'invalid-feature', 'invalid-feature', 'bad-geometry', 'bad-geometry', 'bad-geometry', 'outside-nyc', 'outside-nyc'
+    ]);
+    assert.ok(result.issues.every(issue => issue.severity === 'error'));
+    assert.strictEqual(result.issues[0].feature, null);
+    assert.deepStrictEqual(result.issues[5].details, { name: 'Battery Park Zone 1', lat: 48.8566, lng: 2.3522, swapped: false });
+    assert.strictEqual(result.issues[6].details.swapped, true);
+});
+
+test('exact copies are dropped, near copies are flagged', () => {
+    const result = validateRestroomData({
+        features: [batteryPark(), batteryPark(), batteryPark({ status: 'Operational' })]
+    });
+
+    assert.strictEqual(result.features.length, 2);
+    assert.deepStrictEqual(issueTypes(result), ['duplicate', 'possible-duplicate']);
+    assert.strictEqual(result.issues[0].index, 1);
+    assert.deepStrictEqual(result.issues[1].details, { name: 'Battery Park Zone 1', count: 2 });
+});
+
+test('suspicious but usable rows are kept with warnings', () => {
+    const result = validateRestroomData({
+        features: [
+            batteryPark({ latitude: '40.714410', longitude: 'n/a' }),
+            batteryPark({ facility_name: ' ', operator: null }, [-74.0, 40.71]),
+            batteryPark({ facility_name: 'Odd Values', status: 'Sometimes', accessibility: 'Limited Accessibility' })
+        ]
+    });
+
+    assert.strictEqual(result.features.length, 3);
+    assert.deepStrictEqual(issueTypes(result), [
+        'coordinate-mismatch', 'missing-field', 'missing-field', 'coordinate-mismatch', 'unknown-value'
+    ]);
+    assert.deepStrictEqual(result.issues[0].details.mismatches, [
+        { field: 'latitude', value: '40.714410', expected: 40.70441 },
+        { field: 'longitude', value: 'n/a', expected: null }
+    ]);
+    assert.deepStrictEqual(result.issues.slice(1, 3).map(issue => issue.details),
+        [{ name: ' ', field: 'facility_name' }, { name: ' ', field: 'operator' }]);
+    assert.deepStrictEqual(result.issues[4].details, { name: 'Odd Values', field: 'status', value: 'Sometimes' });
+    assert.ok(result.issues.every(issue => issue.severity === 'warning'));
+});
+
+test('issues group by type with errors first', () => {
+    const { issues } = validateRestroomData({
+        features: [batteryPark({ status: 'Sometimes' }), batteryPark({ status: 'Sometimes' }), batteryPark({}, null)]
+    });
+    const groups = groupValidationIssues(issues);
+
+    assert.deepStrictEqual(groups.map(group => [group.type, group.severity, group.issues.length]), [
+        ['bad-geometry', 'error', 1], ['duplicate', 'error', 1], ['unknown-value', 'warning', 1]
+    ]);
+});
+
+test('the bundled dataset loses only its exact copies', () => {
+    const data = JSON.parse(fs.readFileSync(DATASET_FILE, 'utf8'));
+    const result = validateRestroomData(data);
+
+    assert.strictEqual(result.excluded, 2);
+    assert.deepStrictEqual(groupValidationIssues(result.issues).map(group => [group.type, group.issues.length]),
+        [['duplicate', 2], ['possible-duplicate', 1]]);
+});
@@ -0,0 +1,209 @@
+/*
+ * EXPORT FORMATS
+ * ==============
+ *
+ * Writes a list of restroom features to the files field teams load into their
+ * own tools: GeoJSON, CSV (spreadsheets), KML (Google Earth, My Maps) and GPX
+ * waypoints (GPS units and hiking apps). The features are whatever the page
+ * passes in, normally the filtered facilities, optionally narrowed to an area:
+ *
+ *   { bounds: [west, south, east, north] }   e.g. the current map view
+ *   { ring: [[lng, lat], ...] }              a polygon drawn on the map
+ *
+ * Property values are written as they are in the dataset (canonical values,
+ * see data-normalizer.js), so files read the same whatever the page language.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const EXPORT_APP_NAME = 'NYC Public Restroom Map';
+
+// Leading CSV columns; other properties follow in the order first seen
+const CSV_LEADING_COLUMNS = ['facility_id', 'facility_name', 'latitude', 'longitude'];
+
+// Shown in the description of KML placemarks and GPX waypoints
+const EXPORT_SUMMARY_FIELDS = ['status', 'accessibility', 'restroom_type', 'operator', 'hours_of_operation'];
+
+const EXPORT_FORMATS = {
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json', write: toGeoJson },
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8', write: toCsv },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', write: toKml },
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', write: toGpx }
+};
+
+// ============================================================================
+// AREA
+// ============================================================================
+
+// Features inside `area` (see above); every feature when there is no area
+function filterFeaturesByArea(features, area) {
+    if (!area) return features;
+
+    return features.filter(feature => {
+        const [lng, lat] = feature.geometry.coordinates;
+        if (area.bounds) {
+            const [west, south, east, north] = area.bounds;
+            return lng >= west && lng <= east && lat >= south && lat <= north;
+        }
+        return pointInRing([lng, lat], area.ring);
+    });
+}
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+function toGeoJson(features, title) {
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name: title,
+        features: features.map(feature => ({
+            type: 'Feature',
+            properties: feature.properties,
+            geometry: feature.geometry
+        }))
+    }, null, 2);
+}
+
+/**
+ * One row per facility with nested properties flattened to "parent.child"
+ * columns. Fields holding commas, quotes or line breaks (opening hours are
+ * often one line per day) are quoted as RFC 4180 describes, so spreadsheets
+ * keep them in one cell. Starts with a byte order mark so Excel reads UTF-8.
+ */
+function toCsv(features) {
+    const rows = features.map(feature => {
+        const [lng, lat] = feature.geometry.coordinates;
+        return { ...flattenProperties(feature.properties), latitude: lat, longitude: lng };
+    });
+
+    const columns = CSV_LEADING_COLUMNS.slice();
+    rows.forEach(row => {
+        Object.keys(row).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(formatCsvField).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function toKml(features, title) {
+    const placemarks = features.map(feature => {
+        const props = feature.properties;
+        const [lng, lat] = feature.geometry.coordinates;
+        const data = Object.entries(flattenProperties(props))
+            .filter(([, value]) => value !== null && value !== '')
+            .map(([key, value]) => `        <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`);
+
+        return [
+            '    <Placemark>',
+            `      <name>${escapeXml(props.facility_name || '')}</name>`,
+            `      <description>${escapeXml(describeForExport(props))}</description>`,
+            '      <ExtendedData>',
+            ...data,
+            '      </ExtendedData>',
+            `      <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+            '    </Placemark>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(title)}</name>`,
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+// Waypoints only; `type` carries the location type (Park, Library, ...)
+function toGpx(features, title) {
+    const waypoints = features.map(feature => {
+        const props = feature.properties;
+        const [lng, lat] = feature.geometry.coordinates;
+        return [
+            `  <wpt lat="${lat}" lon="${lng}">`,
+            `    <name>${escapeXml(props.facility_name || '')}</name>`,
+            `    <desc>${escapeXml(describeForExport(props))}</desc>`,
+            props.location_type ? `    <type>${escapeXml(props.location_type)}</type>` : null,
+            '  </wpt>'
+        ].filter(line => line !== null).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeXml(EXPORT_APP_NAME)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        '  <metadata>',
+        `    <name>${escapeXml(title)}</name>`,
+        `    <time>${new Date().toISOString()}</time>`,
+        '  </metadata>',
+        ...waypoints,
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Properties as one level of "key" / "parent.child" keys. Lists of plain
+ * values are joined with "; ", other lists are kept as JSON.
+ */
+function flattenProperties(props, prefix = '', flat = {}) {
+    Object.entries(props || {}).forEach(([key, value]) => {
+        const name = prefix + key;
+        if (Array.isArray(value)) {
+            flat[name] = value.every(item => item === null || typeof item !== 'object')
+                ? value.join('; ')
+                : JSON.stringify(value);
+        } else if (value && typeof value === 'object') {
+            flattenProperties(value, `${name}.`, flat);
+        } else {
+            flat[name] = value === undefined ? null : value;
+        }
+    });
+    return flat;
+}
+
+// Text a spreadsheet would run as a formula gets a leading apostrophe;
+// numbers such as negative longitudes are left alone
+function formatCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Control characters other than tab and line breaks are not allowed in XML
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// "Status: Operational" and so on, one line per field the facility has
+function describeForExport(props) {
+    return EXPORT_SUMMARY_FIELDS
+        .filter(field => props[field] !== null && props[field] !== undefined && props[field] !== '')
+        .map(field => `${field.replace(/_/g, ' ')}: ${props[field]}`)
+        .join('\n');
+}
+
+// Node (export-formats.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EXPORT_FORMATS, filterFeaturesByArea, toCsv, toKml, toGpx };
+}
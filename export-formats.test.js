@@ -0,0 +1,99 @@
+/*
+ * EXPORT FORMAT TESTS
+ * ===================
+ *
+ * Escaping in the CSV, KML and GPX writers:
+ *
+ *   node --test export-formats.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Drawn areas are tested with the contour module's point-in-ring check
+Object.assign(global, require('./contours.js'));
+const { EXPORT_FORMATS, filterFeaturesByArea, toCsv, toKml, toGpx } = require('./export-formats.js');
+
+function facility(properties, coordinates = [-73.9832, 40.7536]) {
+    return { type: 'Feature', properties, geometry: { type: 'Point', coordinates } };
+}
+
+// The kind of text the dataset and user notes can hold
+const AWKWARD = facility({
+    facility_id: 'bryant-park',
+    facility_name: 'Bryant Park "Upper" Terrace, <West> & Co\'s',
+    location_type: 'Park',
+    status: 'Operational',
+    operator: '=HYPERLINK("http://example.com")',
+    hours_of_operation: 'Mon-Fri: 7am-10pm\nSat-Sun: 8am-8pm',
+    additional_notes: 'bell\u0007 here',
+    tags: ['family', 'clean'],
+    report: { count: -3, note: '-closed' }
+});
+
+test('CSV quotes commas, quotes and line breaks', () => {
+    const csv = toCsv([AWKWARD]);
+    assert.ok(csv.startsWith('\uFEFFfacility_id,facility_name,latitude,longitude,'));
+    assert.ok(csv.endsWith('\r\n'));
+
+    const [header, row] = csv.slice(1).split('\r\n');
+    assert.ok(header.endsWith(',tags,report.count,report.note'), header);
+    assert.ok(row.startsWith('bryant-park,"Bryant Park ""Upper"" Terrace, <West> & Co\'s",40.7536,-73.9832,'), row);
+    assert.ok(row.includes(',"Mon-Fri: 7am-10pm\nSat-Sun: 8am-8pm",'), row);
+    assert.ok(row.includes(',family; clean,'), row);
+});
+
+test('CSV defuses spreadsheet formulas but not negative numbers', () => {
+    const row = toCsv([AWKWARD]).split('\r\n')[1];
+    assert.ok(row.includes(',"\'=HYPERLINK(""http://example.com"")",'), row);
+    assert.ok(row.endsWith(',-3,\'-closed'), row);
+
+    const text = toCsv([facility({ facility_name: '-73.5', operator: '@SUM(A1)', status: '+1 555' })]);
+    assert.ok(text.includes(',-73.5,'), text);
+    assert.ok(text.includes(',\'@SUM(A1),'), text);
+    assert.ok(text.includes(',\'+1 555'), text);
+});
+
+test('KML escapes markup and drops control characters', () => {
+    const kml = toKml([AWKWARD], 'Restrooms <Midtown> & more');
+
+    assert.ok(kml.includes('<name>Restrooms &lt;Midtown&gt; &amp; more</name>'));
+    assert.ok(kml.includes('<name>Bryant Park &quot;Upper&quot; Terrace, &lt;West&gt; &amp; Co&apos;s</name>'));
+    assert.ok(kml.includes('<Data name="additional_notes"><value>bell here</value></Data>'));
+    assert.ok(kml.includes('<Data name="report.count"><value>-3</value></Data>'));
+    assert.ok(kml.includes('<Point><coordinates>-73.9832,40.7536</coordinates></Point>'));
+    assert.ok(!kml.includes('\u0007'));
+});
+
+test('GPX escapes markup in names, descriptions and types', () => {
+    const gpx = toGpx([AWKWARD, facility({ facility_name: 'No type' }, [-73.9, 40.8])], 'A & B');
+
+    assert.ok(gpx.includes('<gpx version="1.1" creator="NYC Public Restroom Map"'));
+    assert.ok(gpx.includes('<metadata>\n    <name>A &amp; B</name>'));
+    assert.ok(gpx.includes('<wpt lat="40.7536" lon="-73.9832">'));
+    assert.ok(gpx.includes('<desc>status: Operational\noperator: =HYPERLINK(&quot;http://example.com&quot;)\n'));
+    assert.ok(gpx.includes('<type>Park</type>'));
+    assert.strictEqual(gpx.match(/<type>/g).length, 1);
+});
+
+test('every format writes the same facilities back out', () => {
+    const features = [AWKWARD, facility({ facility_name: 'Second' }, [-73.9, 40.8])];
+    const geojson = JSON.parse(EXPORT_FORMATS.geojson.write(features, 'Title'));
+
+    assert.strictEqual(geojson.name, 'Title');
+    assert.deepStrictEqual(geojson.features.map(feature => feature.properties), features.map(feature => feature.properties));
+    assert.strictEqual(EXPORT_FORMATS.csv.write(features).split('\r\n').length, 4);
+    assert.strictEqual(EXPORT_FORMATS.kml.write(features, 'Title').match(/<Placemark>/g).length, 2);
+    assert.strictEqual(EXPORT_FORMATS.gpx.write(features, 'Title').match(/<wpt /g).length, 2);
+});
+
+test('export area limits to the view or a drawn ring', () => {
+    const inside = facility({ facility_name: 'Inside' }, [-73.98, 40.75]);
+    const outside = facility({ facility_name: 'Outside' }, [-73.80, 40.70]);
+    const features = [inside, outside];
+
+    assert.deepStrictEqual(filterFeaturesByArea(features, null), features);
+    assert.deepStrictEqual(filterFeaturesByArea(features, { bounds: [-74, 40.7, -73.9, 40.8] }), [inside]);
+    const ring = [[-74, 40.7], [-73.9, 40.7], [-73.9, 40.8], [-74, 40.8], [-74, 40.7]];
+    assert.deepStrictEqual(filterFeaturesByArea(features, { ring }), [inside]);
+});
@@ -0,0 +1,224 @@
+/*
+ * FILTER PROFILES
+ * ===============
+ *
+ * Named sets of filter criteria applied in one step, e.g. "Wheelchair user"
+ * = operational and fully accessible. A few profiles are built in; the
+ * user's own are kept in localStorage and can be exported to or imported
+ * from a JSON file of the shape
+ *
+ *   { "format": "nyc-restroom-filter-profiles", "version": 1,
+ *     "profiles": [{ "name": "Family trip", "filters": { "changingStations": ["Yes"] } }] }
+ *
+ * Filters use the keys of the page's filter state (see createDefaultFilters
+ * in restroom-map.js) with canonical dataset values (see data-normalizer.js).
+ * The search text is not part of a profile.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const FILTER_PROFILES_KEY = 'restroom_filter_profiles';
+const FILTER_PROFILES_FORMAT = 'nyc-restroom-filter-profiles';
+const FILTER_PROFILES_VERSION = 1;
+const PROFILE_NAME_MAX_LENGTH = 60;
+const OPEN_TIME_MODES = ['any', 'now', 'at'];
+const OPEN_DAYS = ['today', '0', '1', '2', '3', '4', '5', '6'];
+
+// Named by message key so they follow the page language
+const BUILT_IN_FILTER_PROFILES = [
+    {
+        id: 'wheelchair',
+        nameKey: 'profiles.builtIn.wheelchair',
+        filters: {
+            status: [CANONICAL_VALUES.status.OPERATIONAL],
+            accessibility: [CANONICAL_VALUES.accessibility.FULL]
+        }
+    },
+    {
+        id: 'changingStation',
+        nameKey: 'profiles.builtIn.changingStation',
+        filters: {
+            status: [CANONICAL_VALUES.status.OPERATIONAL],
+            changingStations: [
+                CANONICAL_VALUES.changing_stations.YES,
+                CANONICAL_VALUES.changing_stations.WOMENS_ONLY,
+                CANONICAL_VALUES.changing_stations.MENS_ONLY,
+                CANONICAL_VALUES.changing_stations.ALL_GENDER_ONLY
+            ]
+        }
+    },
+    {
+        id: 'allGender',
+        nameKey: 'profiles.builtIn.allGender',
+        filters: {
+            status: [CANONICAL_VALUES.status.OPERATIONAL],
+            restroomType: [
+                CANONICAL_VALUES.restroom_type.SINGLE_STALL_ALL_GENDER,
+                CANONICAL_VALUES.restroom_type.BOTH
+            ]
+        }
+    },
+    {
+        id: 'openNow',
+        nameKey: 'profiles.builtIn.openNow',
+        filters: {
+            status: [CANONICAL_VALUES.status.OPERATIONAL],
+            openTime: 'now',
+            includeUnknownHours: false
+        }
+    }
+];
+
+// ============================================================================
+// CRITERIA
+// ============================================================================
+
+/**
+ * The criteria of `filters` worth keeping in a profile: every filter key of
+ * `defaultFilters` except the search, with values of the default's type.
+ * Values that differ from the defaults are kept; anything else is dropped.
+ */
+function pickProfileFilters(filters, defaultFilters) {
+    const picked = {};
+
+    Object.keys(defaultFilters).forEach(key => {
+        if (key === 'search' || !(key in filters)) return;
+        const value = filters[key];
+        const defaultValue = defaultFilters[key];
+
+        if (Array.isArray(defaultValue)) {
+            if (!Array.isArray(value)) return;
+            const values = [...new Set(value.filter(item => typeof item === 'string'))];
+            if (values.length > 0) picked[key] = values;
+        } else if (typeof value === typeof defaultValue && value !== defaultValue) {
+            picked[key] = value;
+        }
+    });
+
+    if (picked.openTime && !OPEN_TIME_MODES.includes(picked.openTime)) {
+        delete picked.openTime;
+    }
+    if (picked.openAt && !/^([01]\d|2[0-3]):[0-5]\d$/.test(picked.openAt)) {
+        delete picked.openAt;
+    }
+    if (picked.openDay && !OPEN_DAYS.includes(picked.openDay)) {
+        delete picked.openDay;
+    }
+    return picked;
+}
+
+// Whether `filters` are exactly the profile's criteria on top of the defaults
+function filtersMatchProfile(filters, profile, defaultFilters) {
+    const current = pickProfileFilters(filters, defaultFilters);
+    const wanted = pickProfileFilters(profile.filters, defaultFilters);
+    const keys = new Set([...Object.keys(current), ...Object.keys(wanted)]);
+
+    return [...keys].every(key => {
+        const a = current[key];
+        const b = wanted[key];
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every(item => b.includes(item));
+        }
+        return a === b;
+    });
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+// The user's profiles as [{ name, filters }], oldest first
+function loadFilterProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FILTER_PROFILES_KEY));
+        return Array.isArray(saved) ? saved.filter(isValidProfile) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveFilterProfiles(profiles) {
+    try {
+        localStorage.setItem(FILTER_PROFILES_KEY, JSON.stringify(profiles));
+    } catch (error) {
+        console.warn('Could not save filter profiles:', error.message);
+    }
+}
+
+/**
+ * Add `additions` to `profiles`, replacing a profile of the same name
+ * (ignoring case) in place. Returns a new array.
+ */
+function mergeFilterProfiles(profiles, additions) {
+    const merged = profiles.slice();
+    additions.forEach(profile => {
+        const index = merged.findIndex(existing =>
+            existing.name.toLowerCase() === profile.name.toLowerCase()
+        );
+        if (index === -1) {
+            merged.push(profile);
+        } else {
+            merged[index] = profile;
+        }
+    });
+    return merged;
+}
+
+function isValidProfile(profile) {
+    return Boolean(profile) && typeof profile.name === 'string' && profile.name.trim() !== ''
+        && Boolean(profile.filters) && typeof profile.filters === 'object';
+}
+
+// ============================================================================
+// IMPORT AND EXPORT
+// ============================================================================
+
+function exportFilterProfiles(profiles) {
+    return JSON.stringify({
+        format: FILTER_PROFILES_FORMAT,
+        version: FILTER_PROFILES_VERSION,
+        exported: new Date().toISOString(),
+        profiles: profiles.map(profile => ({ name: profile.name, filters: profile.filters }))
+    }, null, 2);
+}
+
+/**
+ * Profiles from an exported file (or a bare array of profiles), with names
+ * trimmed and criteria cleaned by pickProfileFilters(). Throws an Error
+ * describing the first problem found.
+ */
+function parseFilterProfiles(text, defaultFilters) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    const list = Array.isArray(json) ? json : json && json.profiles;
+    if (!Array.isArray(list)) {
+        throw new Error('No "profiles" list found');
+    }
+    if (json.format !== undefined && json.format !== FILTER_PROFILES_FORMAT) {
+        throw new Error(`Unknown format "${json.format}"`);
+    }
+    if (json.version > FILTER_PROFILES_VERSION) {
+        throw new Error(`Version ${json.version} is newer than this app supports`);
+    }
+
+    return list.map((profile, index) => {
+        if (!isValidProfile(profile)) {
+            throw new Error(`Profile ${index + 1} needs a name and filters`);
+        }
+        return {
+            name: profile.name.trim().slice(0, PROFILE_NAME_MAX_LENGTH),
+            filters: pickProfileFilters(profile.filters, defaultFilters)
+        };
+    });
+}
+
+// Node (filter-profiles.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { pickProfileFilters, filtersMatchProfile, mergeFilterProfiles, exportFilterProfiles, parseFilterProfiles };
+}
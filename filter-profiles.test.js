@@ -0,0 +1,86 @@
+/*
+ * FILTER PROFILE TESTS
+ * ====================
+ *
+ *   node --test filter-profiles.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The built-in profiles are written in canonical dataset values
+Object.assign(global, require('./data-normalizer.js'));
+const {
+    pickProfileFilters, filtersMatchProfile, mergeFilterProfiles, exportFilterProfiles, parseFilterProfiles
+} = require('./filter-profiles.js');
+
+// Same shape as createDefaultFilters() in restroom-map.js
+const DEFAULT_FILTERS = {
+    search: '',
+    openTime: 'any',
+    openAt: '12:00',
+    openDay: 'today',
+    includeUnknownHours: true,
+    favoritesOnly: false,
+    hideReportedClosed: false,
+    status: [],
+    accessibility: [],
+    locationType: [],
+    operator: [],
+    restroomType: [],
+    changingStations: [],
+    season: []
+};
+
+test('profiles keep only non-default criteria, never the search', () => {
+    const picked = pickProfileFilters({
+        ...DEFAULT_FILTERS,
+        search: 'library',
+        status: ['Operational', 'Operational', 7],
+        openTime: 'soon',
+        openAt: '9:00',
+        openDay: '3',
+        favoritesOnly: 'yes',
+        hideReportedClosed: true,
+        unknownKey: ['x']
+    }, DEFAULT_FILTERS);
+
+    assert.deepStrictEqual(picked, { status: ['Operational'], openDay: '3', hideReportedClosed: true });
+});
+
+test('a profile matches filters with the same criteria in any order', () => {
+    const profile = { name: 'Wheelchair', filters: { status: ['Operational'], accessibility: ['Fully Accessible'] } };
+    const filters = { ...DEFAULT_FILTERS, search: 'park', accessibility: ['Fully Accessible'], status: ['Operational'] };
+
+    assert.ok(filtersMatchProfile(filters, profile, DEFAULT_FILTERS));
+    assert.ok(!filtersMatchProfile({ ...filters, favoritesOnly: true }, profile, DEFAULT_FILTERS));
+    assert.ok(!filtersMatchProfile({ ...filters, status: [] }, profile, DEFAULT_FILTERS));
+});
+
+test('merging replaces a profile of the same name in place', () => {
+    const profiles = [{ name: 'Family trip', filters: {} }, { name: 'Night out', filters: {} }];
+    const merged = mergeFilterProfiles(profiles, [
+        { name: 'FAMILY TRIP', filters: { season: ['Year Round'] } },
+        { name: 'Commute', filters: {} }
+    ]);
+
+    assert.deepStrictEqual(merged.map(profile => profile.name), ['FAMILY TRIP', 'Night out', 'Commute']);
+    assert.strictEqual(profiles[0].name, 'Family trip');
+});
+
+test('exported profiles import again', () => {
+    const profiles = [{ name: 'Family trip', filters: { changingStations: ['Yes'], openTime: 'now' } }];
+    const text = exportFilterProfiles(profiles);
+
+    assert.deepStrictEqual(parseFilterProfiles(text, DEFAULT_FILTERS), profiles);
+    assert.deepStrictEqual(parseFilterProfiles(JSON.stringify([{ name: '  Bare  ', filters: {} }]), DEFAULT_FILTERS),
+        [{ name: 'Bare', filters: {} }]);
+});
+
+test('broken or foreign files are rejected with a reason', () => {
+    assert.throws(() => parseFilterProfiles('{', DEFAULT_FILTERS), /Not valid JSON/);
+    assert.throws(() => parseFilterProfiles('{"format":"other","profiles":[]}', DEFAULT_FILTERS), /Unknown format "other"/);
+    assert.throws(() => parseFilterProfiles('{"version":2,"profiles":[]}', DEFAULT_FILTERS), /Version 2 is newer/);
+    assert.throws(() => parseFilterProfiles('{"profiles":{}}', DEFAULT_FILTERS), /No "profiles" list/);
+    assert.throws(() => parseFilterProfiles('[{"name":" ","filters":{}}]', DEFAULT_FILTERS), /Profile 1 needs a name/);
+});
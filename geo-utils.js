@@ -0,0 +1,52 @@
+/*
+ * GEOGRAPHIC HELPERS
+ * ==================
+ *
+ * Distance functions shared by the map, routing and coverage analysis.
+ * Coordinates are plain numbers in degrees; distances are in meters.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+const FAST_METERS_PER_DEGREE_LAT = 111000; // ~111km per degree latitude
+const FAST_METERS_PER_DEGREE_LNG = 85000;  // ~85km per degree longitude at NYC latitude
+
+// Faster distance calculation for bulk work such as heatmap generation
+function calculateFastDistance(lat1, lng1, lat2, lng2) {
+    // Simplified distance calculation for performance
+    const dLat = (lat2 - lat1) * FAST_METERS_PER_DEGREE_LAT;
+    const dLng = (lng2 - lng1) * FAST_METERS_PER_DEGREE_LNG;
+    return Math.sqrt(dLat * dLat + dLng * dLng);
+}
+
+// Great-circle (haversine) distance
+function calculateDistance(lat1, lng1, lat2, lng2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLng/2) * Math.sin(dLng/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return EARTH_RADIUS_METERS * c;
+}
+
+// Local east/north offset in meters of (lat2, lng2) from (lat1, lng1)
+function offsetInMeters(lat1, lng1, lat2, lng2) {
+    const metersPerDegreeLat = Math.PI * EARTH_RADIUS_METERS / 180;
+    const metersPerDegreeLng = metersPerDegreeLat * Math.cos(lat1 * Math.PI / 180);
+    return {
+        east: (lng2 - lng1) * metersPerDegreeLng,
+        north: (lat2 - lat1) * metersPerDegreeLat
+    };
+}
+
+// Inverse of offsetInMeters: [lng, lat] of a point east/north meters away
+function pointAtOffset(lat, lng, east, north) {
+    const metersPerDegreeLat = Math.PI * EARTH_RADIUS_METERS / 180;
+    const metersPerDegreeLng = metersPerDegreeLat * Math.cos(lat * Math.PI / 180);
+    return [lng + east / metersPerDegreeLng, lat + north / metersPerDegreeLat];
+}
+
+// Node (spatial-index.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FAST_METERS_PER_DEGREE_LAT, FAST_METERS_PER_DEGREE_LNG, calculateDistance, calculateFastDistance };
+}
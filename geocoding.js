@@ -0,0 +1,227 @@
+/*
+ * PLACE SEARCH (GEOCODING)
+ * ========================
+ *
+ * Pluggable geocoders that turn what people type ("Union Square",
+ * "W 34th St & 8th Ave") into a location. Every geocoder exposes the same
+ * interface:
+ *
+ *   geocoder.geocode(query, limit)
+ *     -> Promise<[{ name, detail, kind, borough, center: [lng, lat], score }]>
+ *
+ * best match first; detail is a short description such as
+ * "Neighborhood · Brooklyn". Gazetteer places also give their kind and
+ * borough separately, so the page can show them translated; Mapbox places
+ * have borough null and a detail already in the page's language.
+ *
+ * The bundled gazetteer (nyc-gazetteer.json) needs no network access and is
+ * the default; the Mapbox Geocoding backend is optional and falls back to the
+ * gazetteer if the request fails.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const GAZETTEER_URL = 'nyc-gazetteer.json';
+const GEOCODER_MIN_SCORE = 0.3;                      // weaker matches are noise
+const GEOCODING_BBOX = '-74.26,40.49,-73.69,40.92'; // NYC as west,south,east,north
+
+// "A & B", "A and B", "A at B", "A / B"
+const INTERSECTION_SEPARATOR = /\s+(?:and|at)\s+|\s*[&@/]\s*/i;
+const DIRECTION_TOKENS = ['east', 'west', 'north', 'south'];
+
+const GAZETTEER_KIND_LABELS = {
+    neighborhood: 'Neighborhood',
+    landmark: 'Place',
+    intersection: 'Intersection'
+};
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+// Neighborhoods, landmarks and intersections from the bundled gazetteer
+function createGazetteerGeocoder(url = GAZETTEER_URL) {
+    let gazetteerRequest = null;
+
+    // Loaded on the first search; a failed load is retried on the next one
+    function loadGazetteer() {
+        if (!gazetteerRequest) {
+            gazetteerRequest = fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(prepareGazetteer)
+                .catch(error => {
+                    gazetteerRequest = null;
+                    throw error;
+                });
+        }
+        return gazetteerRequest;
+    }
+
+    return {
+        id: 'gazetteer',
+        label: 'NYC gazetteer (offline)',
+        geocode(query, limit = 5) {
+            return loadGazetteer().then(gazetteer => searchGazetteer(gazetteer, query).slice(0, limit));
+        }
+    };
+}
+
+// Mapbox Geocoding API; needs network access and a token
+function createMapboxGeocoder(accessToken, fallbackGeocoder = createGazetteerGeocoder()) {
+    return {
+        id: 'mapbox',
+        label: 'Mapbox Geocoding (online)',
+        geocode(query, limit = 5) {
+            const url = 'https://api.mapbox.com/geocoding/v5/mapbox.places/' +
+                `${encodeURIComponent(query)}.json?bbox=${GEOCODING_BBOX}&limit=${limit}` +
+                `&types=address,neighborhood,locality,poi&language=${getLocale()}` +
+                `&access_token=${encodeURIComponent(accessToken)}`;
+
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Geocoding request failed: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => data.features.map(feature => ({
+                    name: feature.address ? `${feature.address} ${feature.text}` : feature.text,
+                    detail: feature.place_name.split(', ').slice(1).join(', '),
+                    kind: feature.place_type[0],
+                    borough: null,
+                    center: feature.center,
+                    score: feature.relevance
+                })))
+                .catch(error => {
+                    console.warn('Mapbox Geocoding unavailable, using offline gazetteer:', error.message);
+                    return fallbackGeocoder.geocode(query, limit);
+                });
+        }
+    };
+}
+
+// ============================================================================
+// GAZETTEER MATCHING
+// ============================================================================
+
+// Tokenize every name once; streets keep their alternative names
+function prepareGazetteer(gazetteer) {
+    const places = gazetteer.places.map(place => ({
+        name: place.name,
+        detail: `${GAZETTEER_KIND_LABELS[place.kind]} · ${place.borough}`,
+        kind: place.kind,
+        boroughName: place.borough,
+        center: place.center,
+        names: [place.name, ...place.aliases].map(tokenizeSearchText),
+        borough: tokenizeSearchText(place.borough)
+    }));
+
+    const intersections = gazetteer.intersections.map(intersection => ({
+        name: intersection.streets.map(names => names[0]).join(' & '),
+        detail: `${GAZETTEER_KIND_LABELS.intersection} · ${intersection.borough}`,
+        kind: 'intersection',
+        boroughName: intersection.borough,
+        center: intersection.center,
+        streets: intersection.streets.map(names => names.map(tokenizeSearchText))
+    }));
+
+    return { places, intersections };
+}
+
+/**
+ * Gazetteer entries matching `query`, best first. A query with two parts
+ * ("34th St & 8th Ave") is looked up as an intersection, in either order;
+ * anything else, or an intersection that is not in the gazetteer, is matched
+ * against place names and aliases.
+ */
+function searchGazetteer(gazetteer, query) {
+    const parts = query.split(INTERSECTION_SEPARATOR).map(tokenizeSearchText);
+    let matches = [];
+
+    if (parts.length === 2 && parts.every(tokens => tokens.length > 0)) {
+        // Both streets have to match; one of them alone is not a location
+        const pairScore = (a, b) => {
+            const scoreA = streetMatchScore(parts[0], a, false);
+            const scoreB = streetMatchScore(parts[1], b, true);
+            return scoreA > 0 && scoreB > 0 ? (scoreA + scoreB) / 2 : 0;
+        };
+        matches = gazetteer.intersections.map(intersection => {
+            const [first, second] = intersection.streets;
+            return { entry: intersection, score: Math.max(pairScore(first, second), pairScore(second, first)) };
+        });
+    }
+
+    if (!matches.some(match => match.score >= GEOCODER_MIN_SCORE)) {
+        const queryTokens = tokenizeSearchText(query);
+        matches = gazetteer.places.map(place => ({
+            entry: place,
+            score: Math.max(...place.names.map(name => nameMatchScore(queryTokens, name, place.borough)))
+        }));
+    }
+
+    return matches
+        .filter(match => match.score >= GEOCODER_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .map(({ entry, score }) => ({
+            name: entry.name,
+            detail: entry.detail,
+            kind: entry.kind,
+            borough: entry.boroughName,
+            center: entry.center,
+            score
+        }));
+}
+
+/**
+ * 0-1: every query token has to match a token of the name (or of the
+ * borough, to narrow a search down), and names the query covers completely
+ * rank first: "harlem" scores 1 for Harlem but 0.5 for East Harlem.
+ */
+function nameMatchScore(queryTokens, nameTokens, boroughTokens = [], allowPrefix = true) {
+    if (queryTokens.length === 0) return 0;
+
+    let total = 0;
+    let nameMatches = 0;
+    for (let i = 0; i < queryTokens.length; i++) {
+        const prefix = allowPrefix && i === queryTokens.length - 1;
+        const quality = bestTokenMatch(queryTokens[i], nameTokens, prefix);
+        if (quality > 0) {
+            total += quality;
+            nameMatches++;
+        } else if (bestTokenMatch(queryTokens[i], boroughTokens, prefix) === 0) {
+            return 0;
+        }
+    }
+
+    return nameMatches === 0 ? 0 : total / Math.max(nameMatches, nameTokens.length);
+}
+
+/**
+ * Best score of a street description ("w 34th st", "8th") against the
+ * alternative names of one street. East/West only count when both sides
+ * give one, so "34th St" finds West 34th Street but "E 34th St" does not.
+ */
+function streetMatchScore(queryTokens, streetNames, allowPrefix) {
+    const queryDirections = queryTokens.filter(token => DIRECTION_TOKENS.includes(token));
+    const queryRest = queryTokens.filter(token => !DIRECTION_TOKENS.includes(token));
+
+    return Math.max(...streetNames.map(nameTokens => {
+        const nameDirections = nameTokens.filter(token => DIRECTION_TOKENS.includes(token));
+        if (queryDirections.length > 0 && nameDirections.length > 0 &&
+            !queryDirections.every(direction => nameDirections.includes(direction))) {
+            return 0;
+        }
+        const nameRest = nameTokens.filter(token => !DIRECTION_TOKENS.includes(token));
+        return nameMatchScore(queryRest, nameRest, [], allowPrefix);
+    }));
+}
+
+function bestTokenMatch(queryToken, tokens, allowPrefix) {
+    return tokens.reduce((best, token) => Math.max(best, tokenMatchQuality(queryToken, token, allowPrefix)), 0);
+}
@@ -0,0 +1,370 @@
+/*
+ * HOURS OF OPERATION PARSER
+ * =========================
+ *
+ * The `hours_of_operation` field in the NYC Open Data restroom dataset is free
+ * text. This script turns it into a structured weekly schedule so the map can
+ * answer "is it open now?" and "when does it close?".
+ *
+ * Formats seen in the data include:
+ * - "8am-4pm, Open later seasonally"
+ * - "6:00am-8:00pm Daily", "Everyday 8:00 am-10:00 pm", "24 Hours"
+ * - Library schedules, one day per line: "Monday: 10:00 am - 6:00 pm" or
+ *   "Monday\t10 am - 6 pm", with "Closed" / "CLOSED" for closed days
+ * - Day ranges: "Monday to Saturday: 7:00 am-11:00 pm; Sunday: 11:00 am-7:00 pm"
+ * - Breaks: "7 a.m.-7 p.m., with a one-hour closure for cleaning from 12 noon-1 p.m."
+ *
+ * A schedule is an array of 7 entries (0 = Sunday, like Date#getDay), each a
+ * list of [openMinute, closeMinute] pairs. closeMinute can exceed 1440 when a
+ * facility stays open past midnight. Anything we cannot read confidently
+ * (e.g. "Park Hours", "7:30am - dusk", "M-T 10am-2pm", "except Mondays") is
+ * reported as unknown, and hours that change with the season are marked
+ * approximate.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Longest prefixes first so "thurs" wins over "thu"
+const DAY_PATTERN = 'sunday|sun|monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat';
+const TIME_PATTERN = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+const TOKEN_REGEX = new RegExp(
+    `(${TIME_PATTERN}\\s*-\\s*${TIME_PATTERN})` +   // 1: time range
+    `|\\b(${DAY_PATTERN})s?\\b` +                   // 8: single day, "Sundays" too
+    '|\\b(weekdays|weekends|everyday|every day|daily)\\b' + // 9: day group
+    '|\\b(closed)\\b',                              // 10: closed marker
+    'g'
+);
+
+// Wording that means the hours depend on something we can't compute
+const UNKNOWABLE_REGEX = /\b(dusk|sunset|sunrise|permit|park hours|operating hours)\b|https?:\/\//;
+
+// Wording we could read, but only wrongly: exceptions to the days given, and
+// single-letter day ranges ("M-T" is Monday-Tuesday or Monday-Thursday)
+const AMBIGUOUS_REGEX = /\bexcept\b|\b[mtwfs]\s*-\s*[mtwfs]\b/;
+
+// Wording before a time range that makes it a break in the previous one
+const BREAK_REGEX = /\b(closure|closed|closes|closing|break|cleaning)\b/;
+
+// Wording that means the hours only hold for part of the year
+const SEASONAL_REGEX = /\b(seasonal(ly)?|season|summer|winter)\b/;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+function parseHoursOfOperation(rawText) {
+    if (rawText === null || rawText === undefined || String(rawText).trim() === '') {
+        return createUnknownSchedule(rawText);
+    }
+
+    const text = normalizeHoursText(String(rawText));
+
+    if (/\b24\s*hours\b/.test(text)) {
+        return createSchedule(rawText, DAY_NAMES.map(() => [[0, MINUTES_PER_DAY]]));
+    }
+
+    if (/\btemp(orarily)?\s+closed\b/.test(text)) {
+        return createSchedule(rawText, DAY_NAMES.map(() => []));
+    }
+
+    if (UNKNOWABLE_REGEX.test(text) || AMBIGUOUS_REGEX.test(text)) {
+        return createUnknownSchedule(rawText);
+    }
+
+    const entries = [];       // { days: number[] | null, open, close }
+    const breaks = [];        // same shape, cut out of the entries' days
+    const closedDays = new Set();
+    let pendingDays = [];
+    let lastDays = null;
+    let lastDayToken = null;  // { end, index } of the last single day token
+    let lastRangeEnd = 0;
+    let match;
+
+    TOKEN_REGEX.lastIndex = 0;
+    while ((match = TOKEN_REGEX.exec(text)) !== null) {
+        if (match[1]) {
+            const range = parseTimeRange(match);
+            if (!range) return createUnknownSchedule(rawText);
+
+            // "..., with a closure for cleaning from 12pm-1pm"
+            const isBreak = entries.length > 0 && pendingDays.length === 0 &&
+                BREAK_REGEX.test(text.slice(lastRangeEnd, match.index));
+            const days = pendingDays.length ? pendingDays : lastDays;
+            (isBreak ? breaks : entries).push({ days, open: range[0], close: range[1] });
+            lastDays = days;
+            lastRangeEnd = match.index + match[0].length;
+            pendingDays = [];
+            lastDayToken = null;
+        } else if (match[8]) {
+            const day = dayIndexFromToken(match[8]);
+            const gap = lastDayToken ? text.slice(lastDayToken.end, match.index).trim() : null;
+
+            if (gap === '-') {
+                // "Mon-Fri": replace the start day with the whole range
+                pendingDays.pop();
+                pendingDays.push(...expandDayRange(lastDayToken.day, day));
+            } else {
+                pendingDays.push(day);
+            }
+            lastDayToken = { day, end: match.index + match[0].length };
+        } else if (match[9]) {
+            pendingDays.push(...dayGroup(match[9]));
+            lastDayToken = null;
+        } else if (match[10]) {
+            pendingDays.forEach(day => closedDays.add(day));
+            pendingDays = [];
+            lastDayToken = null;
+        }
+    }
+
+    // Days left without hours, e.g. "11am-10pm, midnight on weekends"; a
+    // trailing "Daily" is fine, it's what day-less hours mean anyway
+    if (pendingDays.length > 0 && new Set(pendingDays).size < 7) {
+        return createUnknownSchedule(rawText);
+    }
+
+    if (entries.length === 0) {
+        if (closedDays.size === 0) return createUnknownSchedule(rawText);
+        return createSchedule(rawText, DAY_NAMES.map(() => []));
+    }
+
+    const schedule = buildScheduleFromEntries(rawText, entries, breaks, closedDays);
+    if (SEASONAL_REGEX.test(text)) schedule.approximate = true;
+    return schedule;
+}
+
+function buildScheduleFromEntries(rawText, entries, breaks, closedDays) {
+    const week = DAY_NAMES.map(() => []);
+    const assigned = entries.filter(entry => entry.days);
+    const unassigned = entries.filter(entry => !entry.days);
+    let approximate = false;
+
+    assigned.forEach(entry => {
+        entry.days.forEach(day => week[day].push([entry.open, entry.close]));
+    });
+
+    if (unassigned.length > 0) {
+        // Several day-less ranges ("6am - 1am, 7am - 10pm") are seasonal
+        // alternatives; the first one listed is the current one in practice.
+        approximate = unassigned.length > 1;
+        const [open, close] = [unassigned[0].open, unassigned[0].close];
+        week.forEach((intervals, day) => {
+            if (intervals.length === 0 && !closedDays.has(day) && assigned.length === 0) {
+                intervals.push([open, close]);
+            }
+        });
+    }
+
+    breaks.forEach(entry => {
+        (entry.days || DAY_NAMES.map((name, day) => day)).forEach(day => {
+            week[day] = removeBreak(week[day], entry.open, entry.close);
+        });
+    });
+
+    week.forEach(intervals => intervals.sort((a, b) => a[0] - b[0]));
+
+    const schedule = createSchedule(rawText, week);
+    schedule.approximate = approximate;
+    return schedule;
+}
+
+// Intervals with [start, end) cut out, splitting any interval it falls inside
+function removeBreak(intervals, start, end) {
+    const pieces = [];
+    intervals.forEach(([open, close]) => {
+        if (end <= open || start >= close) {
+            pieces.push([open, close]);
+            return;
+        }
+        if (start > open) pieces.push([open, start]);
+        if (end < close) pieces.push([end, close]);
+    });
+    return pieces;
+}
+
+function normalizeHoursText(text) {
+    return text
+        .toLowerCase()
+        .replace(/[–—]/g, '-')
+        .replace(/\ba\.m\.?/g, 'am')
+        .replace(/\bp\.m\.?/g, 'pm')
+        .replace(/\b12\s*noon\b|\bnoon\b/g, '12pm')
+        .replace(/\bmidnight\b/g, '12am')
+        .replace(/\s+(to|through|thru)\s+/g, ' - ')
+        .replace(/[\t\r]+/g, ' ');
+}
+
+function parseTimeRange(match) {
+    let openMeridiem = match[4];
+    const closeMeridiem = match[7];
+
+    // "4:00-10:00pm" - the opening time borrows the closing meridiem
+    if (!openMeridiem && closeMeridiem) {
+        openMeridiem = closeMeridiem;
+    }
+    if (!openMeridiem || !closeMeridiem) return null;
+
+    let open = toMinutes(match[2], match[3], openMeridiem);
+    let close = toMinutes(match[5], match[6], closeMeridiem);
+    if (open === null || close === null) return null;
+
+    if (close <= open) {
+        if (openMeridiem === 'pm' && open - 12 * 60 < close) {
+            // Typo in the source data such as "10:00 pm - 7:00 pm"
+            open -= 12 * 60;
+        } else {
+            // Open past midnight, e.g. "6am-1am"
+            close += MINUTES_PER_DAY;
+        }
+    }
+
+    return [open, close];
+}
+
+function toMinutes(hourText, minuteText, meridiem) {
+    let hours = parseInt(hourText, 10);
+    const minutes = minuteText ? parseInt(minuteText, 10) : 0;
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+    if (hours === 12) hours = 0;
+    if (meridiem === 'pm') hours += 12;
+    return hours * 60 + minutes;
+}
+
+function dayIndexFromToken(token) {
+    return DAY_NAMES.findIndex(name => name.toLowerCase().startsWith(token.slice(0, 3)));
+}
+
+function expandDayRange(startDay, endDay) {
+    const days = [];
+    let day = startDay;
+    while (true) {
+        days.push(day);
+        if (day === endDay) break;
+        day = (day + 1) % 7;
+    }
+    return days;
+}
+
+function dayGroup(token) {
+    switch (token) {
+        case 'weekdays': return [1, 2, 3, 4, 5];
+        case 'weekends': return [0, 6];
+        default: return [0, 1, 2, 3, 4, 5, 6];
+    }
+}
+
+function createSchedule(rawText, week) {
+    return { raw: rawText, known: true, approximate: false, week };
+}
+
+function createUnknownSchedule(rawText) {
+    return { raw: rawText === undefined ? null : rawText, known: false, approximate: false, week: null };
+}
+
+// ============================================================================
+// OPEN / CLOSED QUERIES
+// ============================================================================
+
+// Current day of week and minute of day in New York, regardless of the
+// visitor's own time zone
+function getNycClock(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: 'America/New_York',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const lookup = {};
+    parts.forEach(part => { lookup[part.type] = part.value; });
+
+    return {
+        day: DAY_NAMES.indexOf(lookup.weekday),
+        minutes: (parseInt(lookup.hour, 10) % 24) * 60 + parseInt(lookup.minute, 10)
+    };
+}
+
+// Clock for "HH:MM" on `day` (0 = Sunday), or on the current New York day
+function getClockAtTime(timeText, day = null, date = new Date()) {
+    const [hours, minutes] = String(timeText).split(':').map(value => parseInt(value, 10));
+    if (Number.isNaN(hours) || Number.isNaN(minutes)) return null;
+    return { day: day === null ? getNycClock(date).day : day, minutes: hours * 60 + minutes };
+}
+
+/**
+ * Work out whether a schedule is open at a given clock.
+ * Returns { known: false } for unparsed hours, otherwise
+ * { known: true, isOpen, minutesUntilClose, minutesUntilOpen, nextOpen }.
+ * minutesUntilClose is Infinity for facilities that never close.
+ */
+function getOpenState(schedule, clock) {
+    if (!schedule || !schedule.known) {
+        return { known: false };
+    }
+
+    const now = clock.day * MINUTES_PER_DAY + clock.minutes;
+    const intervals = weeklyIntervals(schedule.week);
+
+    if (intervals.length === 0) {
+        return { known: true, isOpen: false, minutesUntilClose: null, minutesUntilOpen: null, nextOpen: null };
+    }
+
+    // Check this week's intervals plus last week's spilling into this one
+    for (const [open, close] of intervals) {
+        for (const offset of [0, -MINUTES_PER_WEEK]) {
+            if (now >= open + offset && now < close + offset) {
+                const alwaysOpen = intervals.length === 7 &&
+                    intervals.every(([s, e]) => s % MINUTES_PER_DAY === 0 && e - s >= MINUTES_PER_DAY);
+                return {
+                    known: true,
+                    isOpen: true,
+                    minutesUntilClose: alwaysOpen ? Infinity : close + offset - now,
+                    minutesUntilOpen: 0,
+                    nextOpen: null
+                };
+            }
+        }
+    }
+
+    let minutesUntilOpen = Infinity;
+    let nextOpenAt = null;
+    intervals.forEach(([open]) => {
+        const wait = (open - now + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+        if (wait < minutesUntilOpen) {
+            minutesUntilOpen = wait;
+            nextOpenAt = open;
+        }
+    });
+
+    return {
+        known: true,
+        isOpen: false,
+        minutesUntilClose: null,
+        minutesUntilOpen,
+        nextOpen: {
+            day: Math.floor(nextOpenAt / MINUTES_PER_DAY) % 7,
+            minutes: nextOpenAt % MINUTES_PER_DAY
+        }
+    };
+}
+
+function weeklyIntervals(week) {
+    const intervals = [];
+    week.forEach((dayIntervals, day) => {
+        dayIntervals.forEach(([open, close]) => {
+            intervals.push([day * MINUTES_PER_DAY + open, day * MINUTES_PER_DAY + close]);
+        });
+    });
+    return intervals;
+}
+
+// Node (hours-parser.test.js) loads the parser directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseHoursOfOperation, getOpenState, getClockAtTime, MINUTES_PER_DAY };
+}
@@ -0,0 +1,138 @@
+/*
+ * HOURS OF OPERATION PARSER TESTS
+ * ===============================
+ *
+ * Hours strings taken from the bundled dataset:
+ *
+ *   node --test hours-parser.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseHoursOfOperation, getOpenState, getClockAtTime } = require('./hours-parser.js');
+
+const SUNDAY = 0;
+const MONDAY = 1;
+const SATURDAY = 6;
+
+// "10:00" -> minutes after midnight
+function at(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// The intervals of one day as "HH:MM-HH:MM" strings, close times past midnight as 24:00+
+function hoursOn(schedule, day) {
+    const format = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    return schedule.week[day].map(([open, close]) => `${format(open)}-${format(close)}`);
+}
+
+test('one range applies to every day', () => {
+    for (const text of ['8am-8pm', '9:00am-5:00pm', '6:00am-8:00pm Daily', 'Everyday 8:00 am-10:00 pm']) {
+        const schedule = parseHoursOfOperation(text);
+        assert.strictEqual(schedule.known, true, text);
+        assert.strictEqual(schedule.approximate, false, text);
+        assert.deepStrictEqual(schedule.week.map(day => day.length), [1, 1, 1, 1, 1, 1, 1], text);
+    }
+    assert.deepStrictEqual(hoursOn(parseHoursOfOperation('6:00am-8:00pm Daily'), MONDAY), ['06:00-20:00']);
+});
+
+test('hours past midnight and around the clock', () => {
+    assert.deepStrictEqual(hoursOn(parseHoursOfOperation('6am-1am'), MONDAY), ['06:00-25:00']);
+    assert.deepStrictEqual(hoursOn(parseHoursOfOperation('Everyday 7:00 am-12:00 am'), MONDAY), ['07:00-24:00']);
+    assert.deepStrictEqual(hoursOn(parseHoursOfOperation('24 Hours'), SUNDAY), ['00:00-24:00']);
+});
+
+test('library schedules, one day per line', () => {
+    const schedule = parseHoursOfOperation(
+        'Sunday: Closed \nMonday: 10:00 am - 5:00 pm \nTuesday: 12:00 pm - 7:00 pm\nWednesday: 10:00 am - 5:00 pm\n' +
+        'Thursday: 12:00 pm - 7:00 pm\nFriday: 10:00 am - 5:00 pm\nSaturday: 10:00 am - 5:00 pm'
+    );
+    assert.deepStrictEqual(schedule.week[SUNDAY], []);
+    assert.deepStrictEqual(hoursOn(schedule, MONDAY), ['10:00-17:00']);
+    assert.deepStrictEqual(hoursOn(schedule, 2), ['12:00-19:00']);
+
+    const tabbed = parseHoursOfOperation('Monday\t10 am - 6 pm\nTuesday\t1 pm - 8 pm\nSaturday\t10 am - 5 pm\nSunday\tCLOSED');
+    assert.deepStrictEqual(hoursOn(tabbed, 2), ['13:00-20:00']);
+    assert.deepStrictEqual(tabbed.week[SUNDAY], []);
+});
+
+test('day ranges and day names', () => {
+    const schedule = parseHoursOfOperation('Monday to Saturday: 7:00 am-11:00 pm; Sunday & holidays: 11:00 am-7:00 pm');
+    assert.deepStrictEqual(hoursOn(schedule, SUNDAY), ['11:00-19:00']);
+    assert.deepStrictEqual(hoursOn(schedule, SATURDAY), ['07:00-23:00']);
+
+    const split = parseHoursOfOperation('Mon-Fri - 7:00am - 12:00am Sat-Sun 7:00am-10:00pm');
+    assert.deepStrictEqual(hoursOn(split, MONDAY), ['07:00-24:00']);
+    assert.deepStrictEqual(hoursOn(split, SATURDAY), ['07:00-22:00']);
+
+    const tuesdayOn = parseHoursOfOperation('Tues-Sun 12pm-10pm');
+    assert.deepStrictEqual(tuesdayOn.week[MONDAY], []);
+    assert.deepStrictEqual(hoursOn(tuesdayOn, SUNDAY), ['12:00-22:00']);
+
+    // The opening time borrows the closing meridiem
+    assert.deepStrictEqual(hoursOn(parseHoursOfOperation('Friday 4:00-10:00pm, Saturday 12:00pm-10:00pm'), 5), ['16:00-22:00']);
+});
+
+test('a cleaning closure splits the day', () => {
+    const schedule = parseHoursOfOperation('Bathrooms are open from 7 a.m.-7 p.m., with a one-hour closure for cleaning from 12 noon-1 p.m.');
+    assert.deepStrictEqual(hoursOn(schedule, MONDAY), ['07:00-12:00', '13:00-19:00']);
+});
+
+test('seasonal hours are approximate', () => {
+    const seasonal = parseHoursOfOperation('8am-4pm, Open later seasonally');
+    assert.strictEqual(seasonal.approximate, true);
+    assert.deepStrictEqual(hoursOn(seasonal, MONDAY), ['08:00-16:00']);
+
+    assert.strictEqual(parseHoursOfOperation('7:00am-11:00pm (indoor season) 8:00am-7:30pm (outdoor season)').approximate, true);
+    assert.strictEqual(parseHoursOfOperation('6am - 1am, 7am - 10pm').approximate, true);
+});
+
+test('closed facilities', () => {
+    const schedule = parseHoursOfOperation('Temp Closed');
+    assert.strictEqual(schedule.known, true);
+    assert.deepStrictEqual(schedule.week, [[], [], [], [], [], [], []]);
+});
+
+test('hours we cannot read confidently are unknown', () => {
+    for (const text of [
+        null,
+        '',
+        'Park Hours',
+        '7:30am - dusk',
+        'Open by permit',
+        'Tuesday-Saturday',
+        'https://sifunpark.com/2023-hours/',
+        'M-T 10:00am-2:20pm W-S 10:00am-10:00pm',
+        'M-F 10:30am-5:15pm S-S 12:00pm-8:00pm',
+        '11:00am - 10:00pm midnight on weekends',
+        'Everyday 11:30 am-7:30 pm, except Mondays, Thanksgiving, Christmas, and New Year\'s'
+    ]) {
+        assert.strictEqual(parseHoursOfOperation(text).known, false, String(text));
+    }
+});
+
+test('open state at a given clock', () => {
+    const schedule = parseHoursOfOperation('Monday to Friday: 8:00 am-7:00 pm');
+
+    const open = getOpenState(schedule, { day: MONDAY, minutes: at('18:00') });
+    assert.strictEqual(open.isOpen, true);
+    assert.strictEqual(open.minutesUntilClose, 60);
+
+    const weekend = getOpenState(schedule, { day: SATURDAY, minutes: at('12:00') });
+    assert.strictEqual(weekend.isOpen, false);
+    assert.deepStrictEqual(weekend.nextOpen, { day: MONDAY, minutes: at('8:00') });
+
+    // Still open after midnight on the next day
+    const lateNight = getOpenState(parseHoursOfOperation('6am-1am'), { day: SUNDAY, minutes: at('0:30') });
+    assert.strictEqual(lateNight.isOpen, true);
+    assert.strictEqual(lateNight.minutesUntilClose, 30);
+
+    assert.strictEqual(getOpenState(parseHoursOfOperation('24 Hours'), { day: 3, minutes: 0 }).minutesUntilClose, Infinity);
+    assert.deepStrictEqual(getOpenState(parseHoursOfOperation('Park Hours'), { day: 3, minutes: 0 }), { known: false });
+});
+
+test('clock for "Open at" on a chosen day', () => {
+    assert.deepStrictEqual(getClockAtTime('07:30', SATURDAY), { day: SATURDAY, minutes: at('7:30') });
+    assert.strictEqual(getClockAtTime('soon'), null);
+});
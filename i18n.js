@@ -0,0 +1,300 @@
+/*
+ * LANGUAGES AND UNITS
+ * ===================
+ *
+ * Translation and locale-aware formatting for the page. Messages live in one
+ * catalog per language (messages-en.js, messages-ko.js, messages-es.js);
+ * translate('results.page', { page: 2, pages: 5 }) looks a key up in the
+ * current language, falling back to English, and fills in its placeholders.
+ * Static markup is translated from data-i18n attributes by translateDocument().
+ *
+ * Numbers, dates, times of day and distances are formatted with Intl for the
+ * current language. Distances are computed in meters everywhere and only
+ * converted for display, in imperial (ft, mi) or metric (m, km) units.
+ *
+ * Language and units are remembered between visits. Changing either fires a
+ * "localechange" event on window so the page can redraw what it rendered.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const LOCALE_SETTINGS_KEY = 'restroom_locale';
+const UNITS_SETTINGS_KEY = 'restroom_units';
+const DEFAULT_LOCALE = 'en';
+
+const MESSAGE_CATALOGS = {
+    en: MESSAGES_EN,
+    ko: MESSAGES_KO,
+    es: MESSAGES_ES
+};
+
+const METERS_PER_FOOT = 0.3048;
+const METERS_PER_MILE = 1609.344;
+const FEET_BEFORE_MILES = 1000;            // shorter distances are shown in feet
+const SQUARE_KM_PER_SQUARE_MILE = 2.589988;
+
+let activeLocale = loadLocaleSetting();
+let activeUnits = loadUnitsSetting();
+const formatterCache = new Map();          // Intl formatters by locale and options
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+// A saved choice, otherwise the first supported language the browser asks for
+function loadLocaleSetting() {
+    const saved = localStorage.getItem(LOCALE_SETTINGS_KEY);
+    if (MESSAGE_CATALOGS[saved]) return saved;
+
+    const preferred = (navigator.languages || [navigator.language || ''])
+        .map(language => String(language).split('-')[0].toLowerCase())
+        .find(language => MESSAGE_CATALOGS[language]);
+    return preferred || DEFAULT_LOCALE;
+}
+
+// A saved choice, otherwise imperial only for US English
+function loadUnitsSetting() {
+    const saved = localStorage.getItem(UNITS_SETTINGS_KEY);
+    if (saved === 'imperial' || saved === 'metric') return saved;
+
+    const language = navigator.language || DEFAULT_LOCALE;
+    return /^en(-US)?$/i.test(language) ? 'imperial' : 'metric';
+}
+
+function getLocale() {
+    return activeLocale;
+}
+
+function getUnits() {
+    return activeUnits;
+}
+
+function setLocale(locale) {
+    if (!MESSAGE_CATALOGS[locale] || locale === activeLocale) return;
+    activeLocale = locale;
+    saveSetting(LOCALE_SETTINGS_KEY, locale);
+    notifyLocaleChange();
+}
+
+function setUnits(units) {
+    if ((units !== 'imperial' && units !== 'metric') || units === activeUnits) return;
+    activeUnits = units;
+    saveSetting(UNITS_SETTINGS_KEY, units);
+    notifyLocaleChange();
+}
+
+// The choice still applies to this visit when the browser won't keep it
+function saveSetting(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.warn(`Could not save the ${key} setting:`, error.message);
+    }
+}
+
+function notifyLocaleChange() {
+    window.dispatchEvent(new CustomEvent('localechange', {
+        detail: { locale: activeLocale, units: activeUnits }
+    }));
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * The message for `key` in the current language (or English), with every
+ * {placeholder} replaced from `params`. Numbers are formatted for the
+ * language; a message with plural forms is chosen by params.count.
+ */
+function translate(key, params = {}) {
+    let message = MESSAGE_CATALOGS[activeLocale][key];
+    if (message === undefined) {
+        message = MESSAGES_EN[key];
+    }
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        const category = getFormatter('PluralRules').select(params.count);
+        message = message[category] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return placeholder;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+// A canonical dataset value (see data-normalizer.js) in the current language.
+// Free-text values such as operators are shown as published
+function translateValue(field, value) {
+    if (value === UNKNOWN_VALUE) {
+        return translate('value.Unknown');
+    }
+    const key = `value.${field}.${value}`;
+    return MESSAGES_EN[key] === undefined ? value : translate(key);
+}
+
+/**
+ * Translate the markup under `root`:
+ *   data-i18n="key"              text content
+ *   data-i18n-placeholder="key"  placeholder attribute
+ *   data-i18n-aria-label="key"   aria-label attribute
+ *   data-i18n-title="key"        title attribute
+ */
+function translateDocument(root = document) {
+    const attributes = { placeholder: 'placeholder', ariaLabel: 'aria-label', title: 'title' };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = translate(element.dataset.i18n);
+    });
+    Object.entries(attributes).forEach(([name, attribute]) => {
+        const dataAttribute = `data-i18n-${attribute}`;
+        root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+            element.setAttribute(attribute, translate(element.getAttribute(dataAttribute)));
+        });
+    });
+
+    if (root === document) {
+        document.documentElement.lang = activeLocale;
+    }
+}
+
+// ============================================================================
+// NUMBERS AND DATES
+// ============================================================================
+
+// Intl formatters are expensive to create, so each one is made once
+function getFormatter(type, options = {}) {
+    const cacheKey = `${activeLocale}|${type}|${JSON.stringify(options)}`;
+    if (!formatterCache.has(cacheKey)) {
+        formatterCache.set(cacheKey, new Intl[type](activeLocale, options));
+    }
+    return formatterCache.get(cacheKey);
+}
+
+function formatNumber(value, options = {}) {
+    return getFormatter('NumberFormat', options).format(value);
+}
+
+// 0.42 -> "42%"
+function formatPercent(fraction) {
+    return formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 });
+}
+
+function formatDateTime(isoTime) {
+    return getFormatter('DateTimeFormat', { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(isoTime));
+}
+
+// "just now", "3 hours ago", "yesterday"
+function formatRelativeTime(isoTime) {
+    const seconds = (Date.parse(isoTime) - Date.now()) / 1000;
+    if (Math.abs(seconds) < 60) return translate('time.justNow');
+
+    const units = [['day', 24 * 60 * 60], ['hour', 60 * 60], ['minute', 60]];
+    const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length);
+    return getFormatter('RelativeTimeFormat', { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+}
+
+// ["a", "b", "c"] -> "a, b and c"
+function formatList(items) {
+    return getFormatter('ListFormat', { type: 'conjunction' }).format(items);
+}
+
+// 0 = Sunday, like Date#getDay. 2023-01-01 was a Sunday
+function formatDayName(day) {
+    return getFormatter('DateTimeFormat', { weekday: 'long', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(2023, 0, 1 + day)));
+}
+
+// Minutes after midnight as a time of day, e.g. "7:30 PM" or "19:30"
+function formatTimeOfDay(minutes) {
+    const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return getFormatter('DateTimeFormat', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(2023, 0, 1, 0, normalized)));
+}
+
+// "45 min", "2 hr 15 min"
+function formatDuration(minutes) {
+    const unit = (value, name) => formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'short' });
+    if (minutes < 60) return unit(minutes, 'minute');
+
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return rest === 0 ? unit(hours, 'hour') : `${unit(hours, 'hour')} ${unit(rest, 'minute')}`;
+}
+
+// "12 min walk"
+function formatWalkingTime(seconds) {
+    return translate('nearest.walk', { duration: formatDuration(Math.max(1, Math.round(seconds / 60))) });
+}
+
+// Short summary of getOpenState(), e.g. "Open now · closes in 45 min"
+function describeOpenState(state, clock) {
+    if (!state.known) return translate('hours.unknown');
+
+    if (state.isOpen) {
+        if (state.minutesUntilClose === Infinity) return translate('hours.alwaysOpen');
+        return translate('hours.openUntil', { duration: formatDuration(state.minutesUntilClose) });
+    }
+
+    if (!state.nextOpen) return translate('hours.closed');
+
+    const time = formatTimeOfDay(state.nextOpen.minutes);
+    const sameDay = state.nextOpen.day === clock.day && state.minutesUntilOpen < MINUTES_PER_DAY;
+    return sameDay
+        ? translate('hours.opensToday', { time })
+        : translate('hours.opensOn', { day: formatDayName(state.nextOpen.day), time });
+}
+
+// ============================================================================
+// DISTANCES
+// ============================================================================
+
+/**
+ * Meters as a rounded distance in the current units:
+ * "850 m" / "1.2 km", or "650 ft" / "0.4 mi"
+ */
+function formatDistance(meters) {
+    const unit = (value, name, digits) => formatNumber(value, {
+        style: 'unit', unit: name, unitDisplay: 'short', maximumFractionDigits: digits
+    });
+
+    if (activeUnits === 'imperial') {
+        const feet = meters / METERS_PER_FOOT;
+        if (feet < FEET_BEFORE_MILES) return unit(Math.round(feet / 10) * 10, 'foot', 0);
+        return unit(meters / METERS_PER_MILE, 'mile', 1);
+    }
+
+    if (meters < 1000) return unit(Math.round(meters / 10) * 10, 'meter', 0);
+    return unit(meters / 1000, 'kilometer', 1);
+}
+
+// Settings such as the danger threshold are entered in feet or meters
+function toDisplayDistance(meters) {
+    return activeUnits === 'imperial' ? meters / METERS_PER_FOOT : meters;
+}
+
+function fromDisplayDistance(value) {
+    return activeUnits === 'imperial' ? value * METERS_PER_FOOT : value;
+}
+
+function getDistanceUnitLabel() {
+    return translate(activeUnits === 'imperial' ? 'units.feet' : 'units.meters');
+}
+
+// Land areas are per km² or per mi²
+function getAreaUnitLabel() {
+    return translate(activeUnits === 'imperial' ? 'units.squareMiles' : 'units.squareKilometers');
+}
+
+// Count per km² converted to the current area unit, e.g. "3.4"
+function formatDensity(perSquareKm) {
+    const value = activeUnits === 'imperial' ? perSquareKm * SQUARE_KM_PER_SQUARE_MILE : perSquareKm;
+    return formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
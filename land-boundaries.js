@@ -0,0 +1,147 @@
+/*
+ * LAND BOUNDARIES
+ * ===============
+ *
+ * Borough polygons (nyc-boroughs.geojson) used to keep the coverage analysis
+ * on land and to summarise coverage per borough. Works with any
+ * FeatureCollection of Polygon/MultiPolygon features that have a boro_name
+ * property, so the bundled generalized shoreline can be swapped for the
+ * official NYC borough boundaries without code changes.
+ */
+
+const LAND_BOUNDARIES_URL = 'nyc-boroughs.geojson';
+const BOROUGH_SUMMARY_DISTANCES = [200, 500, 1000]; // meters
+const NOT_ON_LAND = -1;
+
+// Polygon and MultiPolygon geometries as a list of polygons (arrays of rings)
+function geometryPolygons(geometry) {
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+}
+
+// Inside the outer ring and outside every hole
+function pointInPolygon(point, polygon) {
+    if (!pointInRing(point, polygon[0])) return false;
+    for (let i = 1; i < polygon.length; i++) {
+        if (pointInRing(point, polygon[i])) return false;
+    }
+    return true;
+}
+
+/**
+ * Lookup of the borough containing a point: returns (lng, lat) -> index into
+ * land.features, or NOT_ON_LAND for water and anywhere outside the city.
+ */
+function createBoroughLookup(land) {
+    const polygons = [];
+    land.features.forEach((feature, boroughIndex) => {
+        geometryPolygons(feature.geometry).forEach(polygon => {
+            polygons.push({ boroughIndex, polygon, bbox: ringBoundingBox(polygon[0]) });
+        });
+    });
+
+    return (lng, lat) => {
+        for (const { boroughIndex, polygon, bbox } of polygons) {
+            if (lng < bbox[0] || lat < bbox[1] || lng > bbox[2] || lat > bbox[3]) continue;
+            if (pointInPolygon([lng, lat], polygon)) return boroughIndex;
+        }
+        return NOT_ON_LAND;
+    };
+}
+
+/**
+ * Borough index of every node of a coverage grid (same layout as
+ * computeCoverageGrid), NOT_ON_LAND for water.
+ */
+function createLandMask(land, gridSize, bounds) {
+    const boroughAt = createBoroughLookup(land);
+    const latStep = (bounds.north - bounds.south) / gridSize;
+    const lngStep = (bounds.east - bounds.west) / gridSize;
+    const mask = new Int8Array(gridSize * gridSize);
+
+    for (let row = 0; row < gridSize; row++) {
+        const lat = bounds.south + row * latStep;
+        for (let col = 0; col < gridSize; col++) {
+            mask[row * gridSize + col] = boroughAt(bounds.west + col * lngStep, lat);
+        }
+    }
+
+    return mask;
+}
+
+// Planar area in km², good enough at city scale
+function geometryAreaSquareKm(geometry) {
+    const metersPerDegreeLat = Math.PI * EARTH_RADIUS_METERS / 180;
+    let area = 0;
+
+    geometryPolygons(geometry).forEach(polygon => {
+        const lat = polygon[0].reduce((sum, point) => sum + point[1], 0) / polygon[0].length;
+        const metersPerDegreeLng = metersPerDegreeLat * Math.cos(lat * Math.PI / 180);
+        polygon.forEach((ring, i) => {
+            const ringSquareMeters = Math.abs(ringArea(ring)) * metersPerDegreeLat * metersPerDegreeLng;
+            area += i === 0 ? ringSquareMeters : -ringSquareMeters;
+        });
+    });
+
+    return area / 1e6;
+}
+
+/**
+ * Per-borough coverage from a grid of distances to the nearest operational
+ * restroom (computed with maxDistance >= the largest summary distance).
+ *
+ * @param {Float64Array} points  the operational restrooms, lng, lat, ...
+ * @returns {Array} one row per borough plus a city-wide total:
+ *   { name, areaKm2, restrooms, restroomsPerKm2, shares: [{ distance, share }] }
+ */
+function summarizeCoverageByBorough(land, mask, grid, points) {
+    const boroughAt = createBoroughLookup(land);
+    const rows = land.features.map(feature => ({
+        name: feature.properties.boro_name,
+        areaKm2: geometryAreaSquareKm(feature.geometry),
+        restrooms: 0,
+        landCells: 0,
+        coveredCells: BOROUGH_SUMMARY_DISTANCES.map(() => 0)
+    }));
+    const total = {
+        name: 'New York City',
+        areaKm2: rows.reduce((sum, row) => sum + row.areaKm2, 0),
+        restrooms: 0,
+        landCells: 0,
+        coveredCells: BOROUGH_SUMMARY_DISTANCES.map(() => 0)
+    };
+
+    for (let i = 0; i < points.length; i += 2) {
+        const borough = boroughAt(points[i], points[i + 1]);
+        if (borough !== NOT_ON_LAND) {
+            rows[borough].restrooms++;
+            total.restrooms++;
+        }
+    }
+
+    for (let cell = 0; cell < mask.length; cell++) {
+        if (mask[cell] === NOT_ON_LAND) continue;
+        const row = rows[mask[cell]];
+        const distance = grid.distances[cell];
+        row.landCells++;
+        total.landCells++;
+        BOROUGH_SUMMARY_DISTANCES.forEach((limit, i) => {
+            if (distance <= limit) {
+                row.coveredCells[i]++;
+                total.coveredCells[i]++;
+            }
+        });
+    }
+
+    return [...rows, total].map(row => ({
+        name: row.name,
+        areaKm2: row.areaKm2,
+        restrooms: row.restrooms,
+        restroomsPerKm2: row.areaKm2 > 0 ? row.restrooms / row.areaKm2 : 0,
+        shares: BOROUGH_SUMMARY_DISTANCES.map((distance, i) => ({
+            distance,
+            share: row.landCells > 0 ? row.coveredCells[i] / row.landCells : 0
+        }))
+    }));
+}
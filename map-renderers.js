@@ -0,0 +1,289 @@
+/*
+ * MAP RENDERERS
+ * =============
+ *
+ * Pluggable map libraries. MapLibre GL JS started as a fork of Mapbox GL JS
+ * and both still share one API (Map, Popup, Marker, LngLatBounds, controls,
+ * sources and layers), so the app draws with whichever library the renderer
+ * hands it. Every renderer exposes:
+ *
+ *   renderer.load() -> Promise<{ gl, style }>
+ *                                       the library namespace, loaded on demand,
+ *                                       and the style to pass to new gl.Map()
+ *   renderer.textFont                   font stack the style's glyphs include
+ *   renderer.getClusterExpansionZoom(source, clusterId) -> Promise<zoom>
+ *   renderer.localizeLabels(map, locale)
+ *                                       show street and place names in a language
+ *
+ * MapLibre with the bundled style (map-style.json: OpenStreetMap vector tiles
+ * from OpenFreeMap) needs no account and is the default; any self-hosted
+ * MapLibre style URL works too. Mapbox needs an access token, which is also
+ * what enables the Mapbox Directions and Geocoding backends.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const RENDERER_SETTINGS_KEY = 'map_renderer_settings';
+const MAPBOX_TOKEN_KEY = 'mapbox_access_token';
+
+const DEFAULT_MAPLIBRE_STYLE = 'map-style.json';
+const MAPLIBRE_TEXT_FONT = ['Noto Sans Bold'];   // served by the bundled style's glyphs
+const MAPLIBRE_SCRIPT_URL = 'https://unpkg.com/maplibre-gl@4.7.1/dist/maplibre-gl.js';
+const MAPLIBRE_CSS_URL = 'https://unpkg.com/maplibre-gl@4.7.1/dist/maplibre-gl.css';
+
+const MAPBOX_STYLE = 'mapbox://styles/mapbox/streets-v12';
+const MAPBOX_TEXT_FONT = ['DIN Offc Pro Medium', 'Arial Unicode MS Bold'];
+const MAPBOX_SCRIPT_URL = 'https://api.mapbox.com/mapbox-gl-js/v2.15.0/mapbox-gl.js';
+const MAPBOX_CSS_URL = 'https://api.mapbox.com/mapbox-gl-js/v2.15.0/mapbox-gl.css';
+const MAPBOX_TOKEN_CHECK_URL = 'https://api.mapbox.com/tokens/v2';
+
+// ============================================================================
+// RENDERERS
+// ============================================================================
+
+// MapLibre GL JS; `textFont` has to exist on the style's glyph server
+function createMapLibreRenderer(styleUrl = DEFAULT_MAPLIBRE_STYLE, textFont = MAPLIBRE_TEXT_FONT) {
+    return {
+        id: 'maplibre',
+        label: 'MapLibre GL',
+        textFont,
+        load() {
+            // Fetched here so a bad style URL fails with a clear message
+            // instead of leaving an empty map
+            const styleRequest = fetch(styleUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(style => {
+                    if (style.version !== 8 || !Array.isArray(style.layers)) {
+                        throw new Error('not a MapLibre style (version 8)');
+                    }
+                    return style;
+                })
+                .catch(error => {
+                    throw new Error(`Could not load the map style ${styleUrl} (${error.message})`);
+                });
+
+            return Promise.all([loadMapLibrary('maplibregl', MAPLIBRE_SCRIPT_URL, MAPLIBRE_CSS_URL), styleRequest])
+                .then(([gl, style]) => ({ gl, style }));
+        },
+        getClusterExpansionZoom(source, clusterId) {
+            // Returns a promise since MapLibre 3
+            return Promise.resolve(source.getClusterExpansionZoom(clusterId));
+        },
+        localizeLabels(map, locale) {
+            // OpenMapTiles names are "name:en", "name:ko", ...
+            localizeMapLabels(map, 'name:en', `name:${locale}`);
+        }
+    };
+}
+
+function createMapboxRenderer(accessToken) {
+    return {
+        id: 'mapbox',
+        label: 'Mapbox GL',
+        textFont: MAPBOX_TEXT_FONT,
+        load() {
+            return loadMapLibrary('mapboxgl', MAPBOX_SCRIPT_URL, MAPBOX_CSS_URL).then(gl => {
+                gl.accessToken = accessToken;
+                return { gl, style: MAPBOX_STYLE };
+            });
+        },
+        getClusterExpansionZoom(source, clusterId) {
+            return new Promise((resolve, reject) => {
+                source.getClusterExpansionZoom(clusterId, (error, zoom) => (error ? reject(error) : resolve(zoom)));
+            });
+        },
+        localizeLabels(map, locale) {
+            // Mapbox Streets names are "name_en", "name_ko", ...
+            localizeMapLabels(map, 'name_en', `name_${locale}`);
+        }
+    };
+}
+
+// Add the library's script and stylesheet unless the page already has it
+function loadMapLibrary(globalName, scriptUrl, cssUrl) {
+    if (window[globalName]) {
+        return Promise.resolve(window[globalName]);
+    }
+
+    return new Promise((resolve, reject) => {
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = cssUrl;
+        document.head.appendChild(stylesheet);
+
+        const script = document.createElement('script');
+        script.src = scriptUrl;
+        script.addEventListener('load', () => resolve(window[globalName]));
+        script.addEventListener('error', () => reject(new Error(`Could not load ${scriptUrl}`)));
+        document.head.appendChild(script);
+    });
+}
+
+// ============================================================================
+// LABEL LANGUAGE
+// ============================================================================
+
+// Text fields of the style's English-label layers as first loaded, per map
+const englishLabelFields = new WeakMap();
+
+/**
+ * Make every symbol layer that shows `englishField` prefer `localField`,
+ * keeping the English name where the tiles have no translation. Called again
+ * with another language, it starts over from the style's own text fields.
+ */
+function localizeMapLabels(map, englishField, localField) {
+    if (!englishLabelFields.has(map)) {
+        const fields = {};
+        map.getStyle().layers.forEach(layer => {
+            const textField = layer.layout && layer.layout['text-field'];
+            if (textField && JSON.stringify(textField).includes(`"${englishField}"`)) {
+                fields[layer.id] = textField;
+            }
+        });
+        englishLabelFields.set(map, fields);
+    }
+
+    const fields = englishLabelFields.get(map);
+    Object.keys(fields).forEach(layerId => {
+        const textField = localField === englishField
+            ? fields[layerId]
+            : preferField(fields[layerId], englishField, localField);
+        map.setLayoutProperty(layerId, 'text-field', textField);
+    });
+}
+
+// Replace every ["get", englishField] in an expression with
+// ["coalesce", ["get", localField], ["get", englishField]]
+function preferField(expression, englishField, localField) {
+    if (!Array.isArray(expression)) return expression;
+    if (expression[0] === 'get' && expression[1] === englishField) {
+        return ['coalesce', ['get', localField], expression];
+    }
+    return expression.map(part => preferField(part, englishField, localField));
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+// { renderer: 'maplibre' | 'mapbox', styleUrl }. A token saved before
+// renderers existed keeps Mapbox as the renderer
+function loadRendererSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(RENDERER_SETTINGS_KEY));
+        if (settings) return settings;
+    } catch (error) {
+        console.warn('Ignoring unreadable map settings:', error.message);
+    }
+    return { renderer: loadMapboxToken() ? 'mapbox' : 'maplibre', styleUrl: '' };
+}
+
+// Both savers return false when the browser refuses to store the setting
+function saveRendererSettings(settings) {
+    try {
+        localStorage.setItem(RENDERER_SETTINGS_KEY, JSON.stringify(settings));
+        return true;
+    } catch (error) {
+        console.warn('Could not save map settings:', error.message);
+        return false;
+    }
+}
+
+function loadMapboxToken() {
+    return localStorage.getItem(MAPBOX_TOKEN_KEY);
+}
+
+// An empty token forgets the saved one
+function saveMapboxToken(token) {
+    try {
+        if (token) {
+            localStorage.setItem(MAPBOX_TOKEN_KEY, token);
+        } else {
+            localStorage.removeItem(MAPBOX_TOKEN_KEY);
+        }
+        return true;
+    } catch (error) {
+        console.warn('Could not save the Mapbox token:', error.message);
+        return false;
+    }
+}
+
+// Mapbox without a token falls back to MapLibre
+function createRendererFromSettings(settings) {
+    const token = loadMapboxToken();
+    if (settings.renderer === 'mapbox' && token) {
+        return createMapboxRenderer(token);
+    }
+    return createMapLibreRenderer(settings.styleUrl || DEFAULT_MAPLIBRE_STYLE);
+}
+
+// ============================================================================
+// TOKEN VALIDATION
+// ============================================================================
+
+/**
+ * Why `token` can't be a Mapbox public token, or null if it looks like one:
+ * 'missing', 'secret' (an sk. token), 'format' or 'incomplete'.
+ * Public tokens are "pk." followed by a base64url JSON payload (holding the
+ * account name as "u") and a signature.
+ */
+function checkMapboxTokenFormat(token) {
+    if (!token) {
+        return 'missing';
+    }
+    if (token.startsWith('sk.')) {
+        // Secret tokens must never be used in a web page
+        return 'secret';
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== 'pk' || !/^[\w-]+$/.test(parts[1]) || !/^[\w-]+$/.test(parts[2])) {
+        return 'format';
+    }
+
+    try {
+        const payload = JSON.parse(atob(parts[1].replace(/-/g, '+').replace(/_/g, '/')));
+        if (!payload.u) throw new Error('no account name');
+    } catch (error) {
+        return 'incomplete';
+    }
+    return null;
+}
+
+/**
+ * Check a token's format, then ask the Mapbox Tokens API whether it is valid.
+ * Resolves to { valid, reason }, reason being one of checkMapboxTokenFormat's
+ * or 'expired', 'revoked' or 'rejected'; without a connection a well-formed
+ * token is accepted unverified.
+ */
+function verifyMapboxToken(token) {
+    const formatError = checkMapboxTokenFormat(token);
+    if (formatError) {
+        return Promise.resolve({ valid: false, reason: formatError });
+    }
+
+    return fetch(`${MAPBOX_TOKEN_CHECK_URL}?access_token=${encodeURIComponent(token)}`)
+        .then(response => response.json())
+        .then(result => {
+            switch (result.code) {
+                case 'TokenValid':
+                    return { valid: true, reason: null };
+                case 'TokenExpired':
+                    return { valid: false, reason: 'expired' };
+                case 'TokenRevoked':
+                    return { valid: false, reason: 'revoked' };
+                default:
+                    return { valid: false, reason: 'rejected' };
+            }
+        })
+        .catch(error => {
+            console.warn('Could not verify the Mapbox token, using it unverified:', error.message);
+            return { valid: true, reason: null };
+        });
+}
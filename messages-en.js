@@ -0,0 +1,506 @@
+/*
+ * ENGLISH MESSAGES
+ * ================
+ *
+ * Message catalog for i18n.js, and the reference for the other languages:
+ * every key used by the page is defined here. `{name}` placeholders are
+ * filled in by translate(); a message with plural forms is an object keyed by
+ * Intl.PluralRules category ('one', 'other', ...) and chosen by its {count}.
+ * Dataset values are translated under "value.<field>.<canonical value>".
+ */
+
+const MESSAGES_EN = {
+    // ========================================================================
+    // PAGE
+    // ========================================================================
+    'page.title': 'NYC Emergency Zones - Areas to Avoid When Nature Calls',
+    'preferences.language': 'Language:',
+    'preferences.units': 'Units:',
+    'preferences.units.imperial': 'Imperial (ft, mi)',
+    'preferences.units.metric': 'Metric (m, km)',
+
+    'offline.title': "📴 You're offline.",
+    'offline.message': "Showing restroom data saved on this device. Map areas you haven't viewed recently may be blank.",
+    'offline.noData': "The restroom data hasn't been saved on this device yet. Open the map once while connected to use it offline.",
+
+    'intro.title': 'NYC Emergency Zones Map',
+    'intro.subtitle': 'Areas to Avoid When You Really Need a Restroom',
+    'intro.heading': 'Digital Object: Urban Emergency Navigation',
+    'intro.text': 'This interactive map reveals the most dangerous zones in New York City for those experiencing a restroom emergency. The red zones indicate areas where you could be stuck for dangerously long distances from the nearest public facility. Use this map to plan your routes wisely and avoid getting caught in a bathroom desert!',
+
+    // ========================================================================
+    // MAP SETTINGS
+    // ========================================================================
+    'settings.title': 'Map Settings',
+    'settings.intro': 'The map works without an account, using MapLibre and OpenStreetMap data. A Mapbox access token is optional: it lets you use Mapbox maps and Mapbox walking directions.',
+    'settings.map': 'Map',
+    'settings.maplibre': 'MapLibre with OpenStreetMap (no token needed)',
+    'settings.mapbox': 'Mapbox (needs a token)',
+    'settings.styleUrl': 'MapLibre style URL',
+    'settings.styleUrl.placeholder': "Style URL (optional, e.g. your own tile server's style.json)",
+    'settings.token': 'Mapbox access token',
+    'settings.token.placeholder': 'Enter your Mapbox access token here...',
+    'settings.token.optionalPlaceholder': 'Optional: a Mapbox token enables Mapbox directions and place search',
+    'settings.submit': 'Load Map',
+    'settings.checking': 'Checking...',
+    'settings.cancel': 'Cancel',
+    'settings.help.title': 'How to get a Mapbox token (optional):',
+    'settings.help.visit': 'Visit',
+    'settings.help.signUp': 'Sign up for a free account',
+    'settings.help.tokens': 'Go to "Access tokens" section',
+    'settings.help.copy': 'Copy your default public token (it starts with "pk.")',
+    'settings.help.note': 'Your settings and token are saved locally for future visits.',
+
+    'settings.error.needsToken': 'Mapbox needs an access token. Enter one, or choose MapLibre to use the map without one.',
+    'settings.error.styleUrl': 'The style URL must be an http(s) address of a MapLibre style JSON file.',
+    'settings.error.loadFailed': 'The map could not be loaded ({error}). Check your connection, or choose another map below.',
+    'settings.error.refused': '{renderer} refused the map request (HTTP {status}). Check the access token, or choose MapLibre to use the map without one.',
+    'settings.error.storage': 'The browser would not save the map settings (private browsing or full storage?). Allow site data, or keep using the current map.',
+
+    'token.error.missing': 'Please enter a Mapbox access token.',
+    'token.error.secret': 'This is a secret token (sk.). Secret tokens must never be used in a web page; copy a public token (pk.) instead.',
+    'token.error.format': 'This is not a Mapbox public token. Public tokens start with "pk." and have three parts separated by dots.',
+    'token.error.incomplete': 'This token looks incomplete or mistyped. Copy it again from your Mapbox account.',
+    'token.error.expired': 'This token has expired. Create a new one in your Mapbox account.',
+    'token.error.revoked': 'This token has been revoked. Create a new one in your Mapbox account.',
+    'token.error.rejected': 'Mapbox did not accept this token. Check that it was copied completely.',
+
+    // ========================================================================
+    // MAP AND RESULTS
+    // ========================================================================
+    'map.heading': 'NYC Restroom Emergency Zones Map',
+    'map.intro': "Explore the most dangerous areas for bathroom emergencies across NYC. Green dots show safe havens (public restrooms), while the red heat zones reveal where you definitely don't want to be caught when nature calls. Use the analysis tools below to identify the riskiest neighborhoods!",
+
+    'results.label': 'Matching restrooms',
+    'results.title': 'Matching Safe Zones',
+    'results.sortBy': 'Sort by:',
+    'results.sort.relevance': 'Best match',
+    'results.sort.name': 'Name',
+    'results.sort.distance': 'Distance',
+    'results.sort.status': 'Status',
+    'results.prev': '‹ Prev',
+    'results.prevLabel': 'Previous page',
+    'results.next': 'Next ›',
+    'results.nextLabel': 'Next page',
+    'results.noMatches': {
+        one: 'No matches out of {count} restroom',
+        other: 'No matches out of {count} restrooms'
+    },
+    'results.summary': 'Showing {from}-{to} of {count} matching ({operational} operational, {total} total)',
+    'results.page': 'Page {page} of {pages}',
+    'results.empty': 'No restrooms match the current filters.',
+    'results.fromCenter': 'from map center',
+    'results.fromPlace': 'from {place}',
+    'results.fromYou': 'from you',
+    'results.distance': '{distance} {origin}',
+
+    // ========================================================================
+    // SEARCH AND FILTERS
+    // ========================================================================
+    'search.label': 'Search Safe Zones:',
+    'search.placeholder': 'Search restrooms, neighborhoods or intersections...',
+    'search.suggestions': 'Matching places and facilities',
+
+    'filter.status': 'Facility Status:',
+    'filter.accessibility': 'Emergency Access:',
+    'filter.locationType': 'Safe Zone Type:',
+    'filter.operator': 'Operator:',
+    'filter.restroomType': 'Restroom Type:',
+    'filter.changingStations': 'Changing Stations:',
+    'filter.season': 'Season:',
+    'filter.all.status': 'All Facilities',
+    'filter.all.accessibility': 'All Access Types',
+    'filter.all.locationType': 'All Types',
+    'filter.all.operator': 'All Operators',
+    'filter.all.restroomType': 'All Restroom Types',
+    'filter.all.changingStations': 'Any',
+    'filter.all.season': 'Any Season',
+    'filter.selected': '{count} selected',
+    'filter.openHours': 'Open Hours:',
+    'filter.open.any': 'Any Time',
+    'filter.open.now': 'Open Now',
+    'filter.open.at': 'Open At...',
+    'filter.openAtTime': 'Open at time',
+    'filter.openAtDay': 'Open on day',
+    'filter.openDay.today': 'Today',
+    'filter.includeUnknownHours': 'Include unknown hours',
+    'filter.personal': 'My Restrooms:',
+    'filter.favoritesOnly': 'Favorites only',
+    'filter.reports': 'Visitor Reports:',
+    'filter.hideReportedClosed': 'Hide restrooms reported closed',
+
+    'controls.reset': 'Reset All Filters',
+    'controls.fit': 'Show All Zones',
+    'controls.nearMe': 'Find Safe Zones Near Me',
+
+    'profiles.label': 'Profile:',
+    'profiles.choose': 'Choose a profile...',
+    'profiles.builtInGroup': 'Built in',
+    'profiles.savedGroup': 'My profiles',
+    'profiles.builtIn.wheelchair': 'Wheelchair user',
+    'profiles.builtIn.changingStation': 'Needs a changing station',
+    'profiles.builtIn.allGender': 'All-gender single stall',
+    'profiles.builtIn.openNow': 'Open right now',
+    'profiles.save': 'Save',
+    'profiles.saveLabel': 'Save the current filters as a profile',
+    'profiles.delete': 'Delete',
+    'profiles.export': 'Export',
+    'profiles.import': 'Import',
+    'profiles.file': 'Filter profiles file (JSON)',
+    'profiles.namePrompt': 'Name for this profile:',
+    'profiles.nothingToSave': 'Choose some filters first. A profile keeps the current filters, except the search text.',
+    'profiles.confirmDelete': 'Delete the profile "{name}"?',
+    'profiles.noneToExport': 'There are no saved profiles to export yet.',
+    'profiles.imported': {
+        one: 'Imported {count} profile.',
+        other: 'Imported {count} profiles.'
+    },
+    'profiles.importFailed': 'Could not import the profiles: {message}',
+
+    'location.unavailable': 'Unable to access your location. Please enable location services.',
+    'location.unsupported': 'Geolocation is not supported by this browser.',
+
+    // ========================================================================
+    // NEAREST RESTROOMS
+    // ========================================================================
+    'nearest.title': 'Nearest Safe Zones',
+    'nearest.route': 'Route estimate:',
+    'nearest.route.manhattan': 'Street grid (offline)',
+    'nearest.route.straight': 'Straight line (offline)',
+    'nearest.route.mapbox': 'Mapbox Directions (online)',
+    'nearest.route.mapboxNeedsToken': 'Mapbox Directions (needs a token)',
+    'nearest.close': 'Close nearest results',
+    'nearest.fromPlace': 'from {place}',
+    'nearest.fromYou': 'from your location',
+    'nearest.calculating': 'Calculating walking distances...',
+    'nearest.failed': 'Could not calculate walking distances.',
+    'nearest.walk': '{duration} walk',
+
+    // ========================================================================
+    // POPUP
+    // ========================================================================
+    'popup.unnamed': 'Public Restroom',
+    'popup.status': 'Status:',
+    'popup.accessibility': 'Accessibility:',
+    'popup.locationType': 'Location Type:',
+    'popup.operator': 'Operated by:',
+    'popup.hours': 'Hours:',
+    'popup.nearby': 'Nearby:',
+    'popup.nearbyCount': '{count} more within {distance}',
+    'popup.restroomType': 'Type:',
+    'popup.changingStations': 'Changing Stations:',
+    'popup.website': 'Website:',
+    'popup.visitSite': 'Visit Site',
+    'popup.notes': 'Notes:',
+    'popup.coordinates': 'Coordinates:',
+
+    'hours.unknown': 'Hours unknown',
+    'hours.alwaysOpen': 'Open 24 hours',
+    'hours.openUntil': 'Open now · closes in {duration}',
+    'hours.closed': 'Closed',
+    'hours.opensToday': 'Closed · opens today at {time}',
+    'hours.opensOn': 'Closed · opens {day} at {time}',
+    'hours.approximate': '(approximate)',
+
+    // ========================================================================
+    // DANGER ZONE ANALYSIS
+    // ========================================================================
+    'coverage.show': 'Show Danger Zone Analysis',
+    'coverage.hide': 'Hide Danger Zone Analysis',
+    'coverage.progress': 'Analyzing... {percent} (click to cancel)',
+    'coverage.title': 'Bathroom Emergency Danger Zone Analysis',
+    'coverage.threshold': 'Danger threshold ({unit}):',
+    'coverage.download': 'Download zones (GeoJSON)',
+    'coverage.runFirst': 'Run the danger zone analysis first.',
+    'coverage.band.safe': 'Safe Zone',
+    'coverage.band.caution': 'Caution Zone',
+    'coverage.band.risk': 'Risk Zone',
+    'coverage.band.danger': 'Danger Zone',
+    'coverage.band.avoid': 'AVOID AT ALL COSTS',
+    'coverage.range.first': '< {to} to restroom',
+    'coverage.range.middle': '{from}-{to}',
+    'coverage.range.last': '> {from}',
+    'coverage.legendItem': '{band} ({range})',
+    'coverage.note': "Straight-line distance bands from a {grid}×{grid} grid analysis of {count} restrooms matching the current filters (threshold {threshold}). Hover the map for the exact distance - Don't get caught in the red zones!",
+    'coverage.readout': '{distance} to nearest restroom · {band}',
+
+    'borough.title': 'Coverage by borough',
+    'borough.note': "Share of each borough's land within each distance of an operational restroom matching the current filters, and operational restrooms per {area} of land.",
+    'borough.column.name': 'Borough',
+    'borough.column.restrooms': 'Operational',
+    'borough.column.density': 'Per {area}',
+    'borough.column.within': '≤ {distance}',
+
+    'units.meters': 'm',
+    'units.feet': 'ft',
+    'units.squareKilometers': 'km²',
+    'units.squareMiles': 'mi²',
+
+    // ========================================================================
+    // RESTROOM DATA
+    // ========================================================================
+    'dataSource.title': 'Restroom Data',
+    'dataSource.source': 'Source:',
+    'dataSource.option.local': 'Bundled snapshot (July 2025)',
+    'dataSource.option.soda': 'NYC Open Data (SODA endpoint)',
+    'dataSource.option.upload': 'Upload a file',
+    'dataSource.endpoint': 'SODA endpoint URL',
+    'dataSource.file': 'GeoJSON or SODA JSON file',
+    'dataSource.load': 'Load Data',
+    'dataSource.name.local': 'Bundled snapshot (July 20, 2025)',
+    'dataSource.name.soda': 'SODA endpoint ({detail})',
+    'dataSource.name.upload': 'Uploaded file ({detail})',
+    'dataSource.loading': 'Loading {source}...',
+    'dataSource.loaded': {
+        one: '{count} facility from {source}, loaded {time}.',
+        other: '{count} facilities from {source}, loaded {time}.'
+    },
+    'dataSource.failed': 'Could not load {source} ({error}).',
+    'dataSource.keptPrevious': 'Could not load {source} ({error}). The map still shows the previous data.',
+    'dataSource.showingSaved': 'Could not load {source} ({error}). Showing {count} facilities from {savedSource}, saved {time}.',
+    'dataSource.invalidEndpoint': 'Please enter a valid SODA endpoint URL.',
+    'dataSource.chooseFile': 'Please choose a GeoJSON or SODA JSON file to upload.',
+
+    'changes.dismiss': 'Dismiss changes',
+    'changes.summary': 'Changes since {time} ({source}): {added} added, {removed} removed, {changed} changed status, {updated} renamed or moved',
+    'changes.added': 'Added',
+    'changes.removed': 'Removed',
+    'changes.statusChanged': 'Status changed',
+    'changes.status': '{name}: {from} → {to}',
+    'changes.detailsChanged': 'Renamed or moved',
+    'changes.renamed': '{from} → {to}',
+    'changes.moved': '{name}: moved {distance}',
+    'changes.group': '{title} ({count})',
+    'changes.more': 'and {count} more',
+
+    'quality.summary': 'Data quality: {excluded} left off the map, {warnings}',
+    'quality.warnings': {
+        one: '{count} warning',
+        other: '{count} warnings'
+    },
+    'quality.notShown': '{label}, not shown',
+
+    'validation.invalid-feature': 'Not a GeoJSON feature',
+    'validation.bad-geometry': 'Missing or invalid point',
+    'validation.outside-nyc': 'Outside New York City',
+    'validation.duplicate': 'Exact duplicate',
+    'validation.coordinate-mismatch': 'Latitude/longitude differ from the point',
+    'validation.missing-field': 'Missing required field',
+    'validation.unknown-value': 'Unrecognized value',
+    'validation.possible-duplicate': 'Same name and location as another facility',
+    'validation.unnamed': 'Feature {position}',
+    'validation.message.invalid-feature': 'Item {position} is not a feature with properties',
+    'validation.message.bad-geometry': '{name} has no valid [longitude, latitude] point',
+    'validation.message.outside-nyc': '{name} is outside New York City ({lat}, {lng})',
+    'validation.message.swapped': '{name} has latitude and longitude swapped ({lat}, {lng})',
+    'validation.message.duplicate': '{name} is listed more than once',
+    'validation.message.possible-duplicate': '{name} appears {count} times at the same spot with different details',
+    'validation.message.missing-field': '{name} has no {field}',
+    'validation.message.coordinate-mismatch': '{name}: {mismatches}',
+    'validation.message.not-a-number': '{field} "{value}" is not a number',
+    'validation.message.differs': '{field} {value} but the point has {expected}',
+    'validation.message.unknown-value': '{name} has {field} "{value}"',
+
+    'field.facility_name': 'facility name',
+    'field.status': 'status',
+    'field.location_type': 'location type',
+    'field.operator': 'operator',
+    'field.latitude': 'latitude',
+    'field.longitude': 'longitude',
+    'field.accessibility': 'accessibility',
+    'field.restroom_type': 'restroom type',
+    'field.changing_stations': 'changing stations',
+    'field.open': 'season',
+
+    'error.title': '❌ Error Loading Data',
+    'error.text': "Could not load the public restroom data. Please make sure you're running this on a local server.",
+    'error.label': 'Error:',
+    'error.tip': '💡 Tip: Use VS Code Live Server or Python\'s http.server to run locally, or upload a copy of the data under "Restroom Data".',
+
+    // ========================================================================
+    // HOW TO USE
+    // ========================================================================
+    'info.title': 'How to Use This Emergency Zone Map',
+    'info.click': 'Click',
+    'info.clickMarkers': 'green markers to see safe restroom locations',
+    'info.clickClusters': 'a numbered bubble to zoom in - greener bubbles have more operational restrooms',
+    'info.search': 'Search',
+    'info.searchText': 'for specific areas or neighborhoods to check',
+    'info.filter': 'Filter',
+    'info.filterText': 'by facility status and accessibility',
+    'info.nearMe': '"Find Safe Zones Near Me"',
+    'info.nearMeText': 'to locate emergency options nearby',
+    'info.analysis': '"Danger Zone Analysis"',
+    'info.analysisText': 'reveals the riskiest areas to avoid',
+    'info.redZones': 'Red zones = DANGER!',
+    'info.redZonesText': 'Plan your route to avoid these areas',
+    'info.data': 'Restroom Data',
+    'info.dataText': 'loads the latest list from NYC Open Data or your own file, and shows what changed since last time',
+    'info.offline': 'No signal?',
+    'info.offlineText': 'Once opened, the map keeps working offline with the areas you viewed recently',
+    'info.language': 'Language and units',
+    'info.languageText': 'switch at the top of the page; distances follow the units you pick',
+    'info.profiles': 'Profiles',
+    'info.profilesText': 'apply a set of filters in one step; save your own, or share them as a file',
+    'info.personal': 'Stars and notes',
+    'info.personalText': 'keep your favorite restrooms and private notes on this device, with the ones you opened recently',
+    'info.reports': 'Report an issue',
+    'info.reportsText': 'in a popup when a restroom is locked, dirty, out of soap or not accessible; reports show as badges on the map',
+    'info.export': 'Export',
+    'info.exportText': 'the filtered restrooms everywhere, in the map view or in an area you draw, as GeoJSON, CSV, KML or GPX, or print them as a one-page list with a map',
+    'info.keyboard': 'Keyboard:',
+    'info.keyboardText': 'Enter on the map selects the restroom nearest the center and the arrow keys move between restrooms; F fits the map, R resets the filters, Escape clears the search',
+
+    // ========================================================================
+    // FAVORITES, NOTES AND HISTORY
+    // ========================================================================
+    'personal.title': 'My Restrooms',
+    'personal.favorites': 'Favorites',
+    'personal.recent': 'Recently viewed',
+    'personal.clearHistory': 'Clear',
+    'personal.clearHistoryLabel': 'Clear the recently viewed list',
+    'personal.export': 'Export',
+    'personal.import': 'Import',
+    'personal.file': 'Favorites and notes file (JSON)',
+    'personal.noFavorites': 'Star a restroom in its popup to keep it here.',
+    'personal.noRecent': 'Restrooms you open will show up here.',
+    'personal.missing': '(not in the loaded data)',
+    'personal.addFavorite': 'Add to favorites',
+    'personal.favorited': 'Favorite',
+    'personal.note': 'My note',
+    'personal.notePlaceholder': 'e.g. code is on the receipt',
+    'personal.noteHint': 'Only saved on this device',
+    'personal.noteSaved': 'Saved on this device',
+    'personal.imported': {
+        one: 'Imported favorites and notes for {count} restroom.',
+        other: 'Imported favorites and notes for {count} restrooms.'
+    },
+    'personal.importFailed': 'Could not import favorites and notes: {message}',
+
+    // ========================================================================
+    // VISITOR REPORTS
+    // ========================================================================
+    'reports.title': 'Visitor reports',
+    'reports.none': 'No reports in the last {hours} hours.',
+    'reports.line': {
+        one: '{type}',
+        other: '{type} ({count} reports)'
+    },
+    'reports.latest': 'Last report {time}',
+    'reports.type.closed': 'Closed or locked',
+    'reports.type.dirty': 'Dirty',
+    'reports.type.no_soap': 'No soap',
+    'reports.type.inaccessible': 'Not accessible',
+    'reports.commentLine': '“{comment}” ({type}, {time})',
+    'reports.action': 'Report an issue',
+    'reports.typeLabel': 'Problem',
+    'reports.comment': 'Comment (optional)',
+    'reports.send': 'Send report',
+    'reports.sending': 'Sending...',
+    'reports.sent': 'Thanks! Your report shows on the map for the next {hours} hours.',
+    'reports.failed': 'Could not send the report: {message}',
+    'reports.disclaimer': 'Reports come from other visitors and are not checked by the city.',
+    'time.justNow': 'just now',
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+    'export.title': 'Export Restrooms',
+    'export.area': 'Area:',
+    'export.area.all': 'Everywhere',
+    'export.area.view': 'Current map view',
+    'export.area.drawn': 'Drawn area',
+    'export.draw': 'Draw area',
+    'export.finish': 'Finish area',
+    'export.clear': 'Clear area',
+    'export.print': 'Print list',
+    'export.summary': {
+        one: '{count} matching restroom will be exported.',
+        other: '{count} matching restrooms will be exported.'
+    },
+    'export.drawing': {
+        one: 'Click the map to add corners ({count} so far). Double-click or press Finish area to close the area, Escape to cancel.',
+        other: 'Click the map to add corners ({count} so far). Double-click or press Finish area to close the area, Escape to cancel.'
+    },
+    'export.noArea': 'Press Draw area and click the map around the restrooms you want.',
+    'export.tooFewCorners': 'An area needs at least three corners. Please draw it again.',
+    'export.nothing': 'No restrooms to export. Change the filters or the area.',
+    'export.printTitle': 'Public restrooms',
+    'export.printMeta': {
+        one: '{count} restroom · {area} · {date}',
+        other: '{count} restrooms · {area} · {date}'
+    },
+    'export.printFilters': 'Filters: {filters}',
+    'export.printNoFilters': 'Filters: none',
+    'export.printSearch': 'Search: "{query}"',
+    'export.printMore': {
+        one: 'And {count} more restroom not listed here; export a file for the full list.',
+        other: 'And {count} more restrooms not listed here; export a file for the full list.'
+    },
+    'export.printMapLabel': 'Map of the listed restrooms',
+
+    // ========================================================================
+    // KEYBOARD AND SCREEN READERS
+    // ========================================================================
+    'a11y.mapLabel': 'Map of public restrooms. Press Enter to select the restroom nearest the center, then use the arrow keys to move to the next restroom in that direction.',
+    'a11y.resultsChanged': {
+        one: '{count} restroom matches the filters, {operational} operational.',
+        other: '{count} restrooms match the filters, {operational} operational.'
+    },
+    'a11y.facility': '{name}: {status}, {hours}',
+    'a11y.noneInDirection': 'No matching restroom further in that direction.',
+    'a11y.visible.title': {
+        one: '{count} matching restroom in view',
+        other: '{count} matching restrooms in view'
+    },
+    'a11y.visible.help': 'The restrooms shown on the map as a list, nearest the center first. It follows the map as you pan and zoom.',
+    'a11y.visible.empty': 'No matching restrooms in this part of the map.',
+    'a11y.visible.more': 'and {count} more; zoom in to list them',
+
+    // ========================================================================
+    // DATASET VALUES
+    // ========================================================================
+    'value.Unknown': 'Unknown',
+
+    'value.status.Operational': 'Operational',
+    'value.status.Not Operational': 'Not Operational',
+    'value.status.Closed for Construction': 'Closed for Construction',
+    'value.status.Closed': 'Closed',
+
+    'value.accessibility.Fully Accessible': 'Fully Accessible',
+    'value.accessibility.Partially Accessible': 'Partially Accessible',
+    'value.accessibility.Not Accessible': 'Not Accessible',
+
+    'value.location_type.Park': 'Park',
+    'value.location_type.Library': 'Library',
+    'value.location_type.Privately Owned Public Space': 'Privately Owned Public Space',
+    'value.location_type.Public Plaza': 'Public Plaza',
+    'value.location_type.Transit': 'Transit',
+
+    'value.restroom_type.Multi-Stall W/M Restrooms': 'Multi-Stall W/M Restrooms',
+    'value.restroom_type.Single-Stall All Gender Restroom(s)': 'Single-Stall All Gender Restroom(s)',
+    'value.restroom_type.Both Single-Stall All Gender and Multi-Stall W/M': 'Both Single-Stall All Gender and Multi-Stall W/M',
+    'value.restroom_type.Multi-Stall All Gender Restrooms': 'Multi-Stall All Gender Restrooms',
+
+    'value.changing_stations.Yes': 'Yes',
+    "value.changing_stations.Yes, in women's restroom only": "Yes, in women's restroom only",
+    "value.changing_stations.Yes, in men's restroom only": "Yes, in men's restroom only",
+    'value.changing_stations.Yes, in single-stall all gender restroom only': 'Yes, in single-stall all gender restroom only',
+    'value.changing_stations.No': 'No',
+    'value.changing_stations.N/A, restrooms closed': 'N/A, restrooms closed',
+
+    'value.open.Year Round': 'Year Round',
+    'value.open.Seasonal': 'Seasonal',
+    'value.open.Future': 'Future',
+
+    'value.borough.Manhattan': 'Manhattan',
+    'value.borough.Brooklyn': 'Brooklyn',
+    'value.borough.Queens': 'Queens',
+    'value.borough.Bronx': 'Bronx',
+    'value.borough.Staten Island': 'Staten Island',
+    'value.borough.New York City': 'New York City',
+
+    'place.kind.neighborhood': 'Neighborhood',
+    'place.kind.landmark': 'Place',
+    'place.kind.intersection': 'Intersection'
+};
@@ -0,0 +1,508 @@
+/*
+ * SPANISH MESSAGES (ESPAÑOL)
+ * ==========================
+ *
+ * Message catalog for i18n.js; keys and placeholders as in messages-en.js.
+ */
+
+const MESSAGES_ES = {
+    // ========================================================================
+    // PAGE
+    // ========================================================================
+    'page.title': 'Zonas de emergencia de NYC - Lugares a evitar cuando la naturaleza llama',
+    'preferences.language': 'Idioma:',
+    'preferences.units': 'Unidades:',
+    'preferences.units.imperial': 'Imperiales (ft, mi)',
+    'preferences.units.metric': 'Métricas (m, km)',
+
+    'offline.title': '📴 Estás sin conexión.',
+    'offline.message': 'Se muestran los datos de baños guardados en este dispositivo. Las zonas del mapa que no hayas visto recientemente pueden aparecer en blanco.',
+    'offline.noData': 'Los datos de baños aún no se han guardado en este dispositivo. Abre el mapa una vez con conexión para usarlo sin conexión.',
+
+    'intro.title': 'Mapa de zonas de emergencia de NYC',
+    'intro.subtitle': 'Zonas a evitar cuando de verdad necesitas un baño',
+    'intro.heading': 'Objeto digital: navegación urbana de emergencia',
+    'intro.text': 'Este mapa interactivo muestra las zonas más peligrosas de Nueva York para quien tiene una emergencia de baño. Las zonas rojas indican lugares donde podrías quedarte a una distancia peligrosamente larga del baño público más cercano. ¡Usa este mapa para planear bien tus rutas y no quedarte atrapado en un desierto sin baños!',
+
+    // ========================================================================
+    // MAP SETTINGS
+    // ========================================================================
+    'settings.title': 'Ajustes del mapa',
+    'settings.intro': 'El mapa funciona sin cuenta, con MapLibre y datos de OpenStreetMap. El token de acceso de Mapbox es opcional: permite usar los mapas y las indicaciones a pie de Mapbox.',
+    'settings.map': 'Mapa',
+    'settings.maplibre': 'MapLibre con OpenStreetMap (sin token)',
+    'settings.mapbox': 'Mapbox (necesita un token)',
+    'settings.styleUrl': 'URL del estilo de MapLibre',
+    'settings.styleUrl.placeholder': 'URL del estilo (opcional, p. ej. el style.json de tu propio servidor de teselas)',
+    'settings.token': 'Token de acceso de Mapbox',
+    'settings.token.placeholder': 'Introduce aquí tu token de acceso de Mapbox...',
+    'settings.token.optionalPlaceholder': 'Opcional: un token de Mapbox activa las indicaciones y la búsqueda de lugares de Mapbox',
+    'settings.submit': 'Cargar mapa',
+    'settings.checking': 'Comprobando...',
+    'settings.cancel': 'Cancelar',
+    'settings.help.title': 'Cómo obtener un token de Mapbox (opcional):',
+    'settings.help.visit': 'Visita',
+    'settings.help.signUp': 'Crea una cuenta gratuita',
+    'settings.help.tokens': 'Ve a la sección "Access tokens"',
+    'settings.help.copy': 'Copia tu token público predeterminado (empieza por "pk.")',
+    'settings.help.note': 'Tus ajustes y tu token se guardan en este dispositivo para próximas visitas.',
+
+    'settings.error.needsToken': 'Mapbox necesita un token de acceso. Introduce uno o elige MapLibre para usar el mapa sin token.',
+    'settings.error.styleUrl': 'La URL del estilo debe ser una dirección http(s) de un archivo JSON de estilo de MapLibre.',
+    'settings.error.loadFailed': 'No se pudo cargar el mapa ({error}). Revisa tu conexión o elige otro mapa abajo.',
+    'settings.error.refused': '{renderer} rechazó la solicitud del mapa (HTTP {status}). Revisa el token de acceso o elige MapLibre para usar el mapa sin token.',
+    'settings.error.storage': 'El navegador no guardó la configuración del mapa (¿navegación privada o almacenamiento lleno?). Permite los datos del sitio o sigue usando el mapa actual.',
+
+    'token.error.missing': 'Introduce un token de acceso de Mapbox.',
+    'token.error.secret': 'Este es un token secreto (sk.). Los tokens secretos nunca deben usarse en una página web; copia en su lugar un token público (pk.).',
+    'token.error.format': 'Esto no es un token público de Mapbox. Los tokens públicos empiezan por "pk." y tienen tres partes separadas por puntos.',
+    'token.error.incomplete': 'Este token parece incompleto o mal escrito. Cópialo de nuevo desde tu cuenta de Mapbox.',
+    'token.error.expired': 'Este token ha caducado. Crea uno nuevo en tu cuenta de Mapbox.',
+    'token.error.revoked': 'Este token ha sido revocado. Crea uno nuevo en tu cuenta de Mapbox.',
+    'token.error.rejected': 'Mapbox no aceptó este token. Comprueba que se copió completo.',
+
+    // ========================================================================
+    // MAP AND RESULTS
+    // ========================================================================
+    'map.heading': 'Mapa de zonas de emergencia de baños de NYC',
+    'map.intro': 'Explora las zonas más peligrosas de Nueva York para una emergencia de baño. Los puntos verdes son refugios seguros (baños públicos) y las zonas rojas muestran dónde no querrías estar cuando la naturaleza llama. ¡Usa las herramientas de análisis de abajo para encontrar los barrios más arriesgados!',
+
+    'results.label': 'Baños que coinciden',
+    'results.title': 'Zonas seguras que coinciden',
+    'results.sortBy': 'Ordenar por:',
+    'results.sort.relevance': 'Mejor coincidencia',
+    'results.sort.name': 'Nombre',
+    'results.sort.distance': 'Distancia',
+    'results.sort.status': 'Estado',
+    'results.prev': '‹ Anterior',
+    'results.prevLabel': 'Página anterior',
+    'results.next': 'Siguiente ›',
+    'results.nextLabel': 'Página siguiente',
+    'results.noMatches': {
+        one: 'Ninguna coincidencia entre {count} baño',
+        other: 'Ninguna coincidencia entre {count} baños'
+    },
+    'results.summary': 'Mostrando {from}-{to} de {count} coincidencias ({operational} en funcionamiento, {total} en total)',
+    'results.page': 'Página {page} de {pages}',
+    'results.empty': 'Ningún baño coincide con los filtros actuales.',
+    'results.fromCenter': 'desde el centro del mapa',
+    'results.fromPlace': 'desde {place}',
+    'results.fromYou': 'desde tu ubicación',
+    'results.distance': '{distance} {origin}',
+
+    // ========================================================================
+    // SEARCH AND FILTERS
+    // ========================================================================
+    'search.label': 'Buscar zonas seguras:',
+    'search.placeholder': 'Busca baños, barrios o intersecciones...',
+    'search.suggestions': 'Lugares e instalaciones que coinciden',
+
+    'filter.status': 'Estado de la instalación:',
+    'filter.accessibility': 'Accesibilidad:',
+    'filter.locationType': 'Tipo de zona segura:',
+    'filter.operator': 'Operador:',
+    'filter.restroomType': 'Tipo de baño:',
+    'filter.changingStations': 'Cambiadores de bebé:',
+    'filter.season': 'Temporada:',
+    'filter.all.status': 'Todas las instalaciones',
+    'filter.all.accessibility': 'Toda la accesibilidad',
+    'filter.all.locationType': 'Todos los tipos',
+    'filter.all.operator': 'Todos los operadores',
+    'filter.all.restroomType': 'Todos los tipos de baño',
+    'filter.all.changingStations': 'Cualquiera',
+    'filter.all.season': 'Cualquier temporada',
+    'filter.selected': {
+        one: '{count} seleccionado',
+        other: '{count} seleccionados'
+    },
+    'filter.openHours': 'Horario:',
+    'filter.open.any': 'A cualquier hora',
+    'filter.open.now': 'Abierto ahora',
+    'filter.open.at': 'Abierto a las...',
+    'filter.openAtTime': 'Hora a comprobar',
+    'filter.openAtDay': 'Día a comprobar',
+    'filter.openDay.today': 'Hoy',
+    'filter.includeUnknownHours': 'Incluir horario desconocido',
+    'filter.personal': 'Mis baños:',
+    'filter.favoritesOnly': 'Solo favoritos',
+    'filter.reports': 'Avisos de visitantes:',
+    'filter.hideReportedClosed': 'Ocultar baños reportados como cerrados',
+
+    'controls.reset': 'Restablecer filtros',
+    'controls.fit': 'Ver todas las zonas',
+    'controls.nearMe': 'Buscar zonas seguras cerca de mí',
+
+    'profiles.label': 'Perfil:',
+    'profiles.choose': 'Elige un perfil...',
+    'profiles.builtInGroup': 'Predefinidos',
+    'profiles.savedGroup': 'Mis perfiles',
+    'profiles.builtIn.wheelchair': 'Usuario de silla de ruedas',
+    'profiles.builtIn.changingStation': 'Necesito un cambiador',
+    'profiles.builtIn.allGender': 'Individual para todos los géneros',
+    'profiles.builtIn.openNow': 'Abiertos ahora',
+    'profiles.save': 'Guardar',
+    'profiles.saveLabel': 'Guardar los filtros actuales como perfil',
+    'profiles.delete': 'Eliminar',
+    'profiles.export': 'Exportar',
+    'profiles.import': 'Importar',
+    'profiles.file': 'Archivo de perfiles de filtros (JSON)',
+    'profiles.namePrompt': 'Nombre del perfil:',
+    'profiles.nothingToSave': 'Elige primero algunos filtros. Un perfil guarda los filtros actuales, salvo el texto de búsqueda.',
+    'profiles.confirmDelete': '¿Eliminar el perfil "{name}"?',
+    'profiles.noneToExport': 'Todavía no hay perfiles guardados para exportar.',
+    'profiles.imported': {
+        one: 'Se importó {count} perfil.',
+        other: 'Se importaron {count} perfiles.'
+    },
+    'profiles.importFailed': 'No se pudieron importar los perfiles: {message}',
+
+    'location.unavailable': 'No se puede acceder a tu ubicación. Activa los servicios de ubicación.',
+    'location.unsupported': 'Este navegador no admite la geolocalización.',
+
+    // ========================================================================
+    // NEAREST RESTROOMS
+    // ========================================================================
+    'nearest.title': 'Zonas seguras más cercanas',
+    'nearest.route': 'Estimación de ruta:',
+    'nearest.route.manhattan': 'Cuadrícula de calles (sin conexión)',
+    'nearest.route.straight': 'Línea recta (sin conexión)',
+    'nearest.route.mapbox': 'Indicaciones de Mapbox (en línea)',
+    'nearest.route.mapboxNeedsToken': 'Indicaciones de Mapbox (necesita un token)',
+    'nearest.close': 'Cerrar resultados cercanos',
+    'nearest.fromPlace': 'desde {place}',
+    'nearest.fromYou': 'desde tu ubicación',
+    'nearest.calculating': 'Calculando distancias a pie...',
+    'nearest.failed': 'No se pudieron calcular las distancias a pie.',
+    'nearest.walk': '{duration} a pie',
+
+    // ========================================================================
+    // POPUP
+    // ========================================================================
+    'popup.unnamed': 'Baño público',
+    'popup.status': 'Estado:',
+    'popup.accessibility': 'Accesibilidad:',
+    'popup.locationType': 'Tipo de lugar:',
+    'popup.operator': 'Operado por:',
+    'popup.hours': 'Horario:',
+    'popup.nearby': 'Cerca:',
+    'popup.nearbyCount': {
+        one: '{count} más a menos de {distance}',
+        other: '{count} más a menos de {distance}'
+    },
+    'popup.restroomType': 'Tipo:',
+    'popup.changingStations': 'Cambiadores de bebé:',
+    'popup.website': 'Sitio web:',
+    'popup.visitSite': 'Visitar sitio',
+    'popup.notes': 'Notas:',
+    'popup.coordinates': 'Coordenadas:',
+
+    'hours.unknown': 'Horario desconocido',
+    'hours.alwaysOpen': 'Abierto 24 horas',
+    'hours.openUntil': 'Abierto ahora · cierra en {duration}',
+    'hours.closed': 'Cerrado',
+    'hours.opensToday': 'Cerrado · abre hoy a las {time}',
+    'hours.opensOn': 'Cerrado · abre el {day} a las {time}',
+    'hours.approximate': '(aproximado)',
+
+    // ========================================================================
+    // DANGER ZONE ANALYSIS
+    // ========================================================================
+    'coverage.show': 'Mostrar análisis de zonas de peligro',
+    'coverage.hide': 'Ocultar análisis de zonas de peligro',
+    'coverage.progress': 'Analizando... {percent} (haz clic para cancelar)',
+    'coverage.title': 'Análisis de zonas de peligro para emergencias de baño',
+    'coverage.threshold': 'Umbral de peligro ({unit}):',
+    'coverage.download': 'Descargar zonas (GeoJSON)',
+    'coverage.runFirst': 'Primero ejecuta el análisis de zonas de peligro.',
+    'coverage.band.safe': 'Zona segura',
+    'coverage.band.caution': 'Zona de precaución',
+    'coverage.band.risk': 'Zona de riesgo',
+    'coverage.band.danger': 'Zona de peligro',
+    'coverage.band.avoid': 'EVITAR A TODA COSTA',
+    'coverage.range.first': '< {to} hasta un baño',
+    'coverage.range.middle': '{from}-{to}',
+    'coverage.range.last': '> {from}',
+    'coverage.legendItem': '{band} ({range})',
+    'coverage.note': 'Franjas de distancia en línea recta a partir de un análisis en cuadrícula de {grid}×{grid} de {count} baños que coinciden con los filtros actuales (umbral {threshold}). Pasa el cursor por el mapa para ver la distancia exacta. ¡Que no te pillen las zonas rojas!',
+    'coverage.readout': '{distance} hasta el baño más cercano · {band}',
+
+    'borough.title': 'Cobertura por distrito',
+    'borough.note': 'Proporción del terreno de cada distrito a cada distancia de un baño en funcionamiento que coincide con los filtros actuales, y baños en funcionamiento por {area} de terreno.',
+    'borough.column.name': 'Distrito',
+    'borough.column.restrooms': 'En funcionamiento',
+    'borough.column.density': 'Por {area}',
+    'borough.column.within': '≤ {distance}',
+
+    'units.meters': 'm',
+    'units.feet': 'ft',
+    'units.squareKilometers': 'km²',
+    'units.squareMiles': 'mi²',
+
+    // ========================================================================
+    // RESTROOM DATA
+    // ========================================================================
+    'dataSource.title': 'Datos de baños',
+    'dataSource.source': 'Fuente:',
+    'dataSource.option.local': 'Copia incluida (julio de 2025)',
+    'dataSource.option.soda': 'NYC Open Data (endpoint SODA)',
+    'dataSource.option.upload': 'Subir un archivo',
+    'dataSource.endpoint': 'URL del endpoint SODA',
+    'dataSource.file': 'Archivo GeoJSON o JSON de SODA',
+    'dataSource.load': 'Cargar datos',
+    'dataSource.name.local': 'Copia incluida (20 de julio de 2025)',
+    'dataSource.name.soda': 'Endpoint SODA ({detail})',
+    'dataSource.name.upload': 'Archivo subido ({detail})',
+    'dataSource.loading': 'Cargando {source}...',
+    'dataSource.loaded': {
+        one: '{count} instalación de {source}, cargada el {time}.',
+        other: '{count} instalaciones de {source}, cargadas el {time}.'
+    },
+    'dataSource.failed': 'No se pudo cargar {source} ({error}).',
+    'dataSource.keptPrevious': 'No se pudo cargar {source} ({error}). El mapa sigue mostrando los datos anteriores.',
+    'dataSource.showingSaved': 'No se pudo cargar {source} ({error}). Se muestran {count} instalaciones de {savedSource}, guardadas el {time}.',
+    'dataSource.invalidEndpoint': 'Introduce una URL de endpoint SODA válida.',
+    'dataSource.chooseFile': 'Elige un archivo GeoJSON o JSON de SODA para subir.',
+
+    'changes.dismiss': 'Descartar cambios',
+    'changes.summary': 'Cambios desde el {time} ({source}): {added} añadidas, {removed} eliminadas, {changed} con cambio de estado, {updated} renombradas o movidas',
+    'changes.added': 'Añadidas',
+    'changes.removed': 'Eliminadas',
+    'changes.statusChanged': 'Cambio de estado',
+    'changes.status': '{name}: {from} → {to}',
+    'changes.detailsChanged': 'Renombradas o movidas',
+    'changes.renamed': '{from} → {to}',
+    'changes.moved': '{name}: movida {distance}',
+    'changes.group': '{title} ({count})',
+    'changes.more': 'y {count} más',
+
+    'quality.summary': 'Calidad de los datos: {excluded} fuera del mapa, {warnings}',
+    'quality.warnings': {
+        one: '{count} advertencia',
+        other: '{count} advertencias'
+    },
+    'quality.notShown': '{label}, no se muestran',
+
+    'validation.invalid-feature': 'No es una entidad GeoJSON',
+    'validation.bad-geometry': 'Punto ausente o no válido',
+    'validation.outside-nyc': 'Fuera de la ciudad de Nueva York',
+    'validation.duplicate': 'Duplicado exacto',
+    'validation.coordinate-mismatch': 'Latitud/longitud distintas del punto',
+    'validation.missing-field': 'Falta un campo obligatorio',
+    'validation.unknown-value': 'Valor no reconocido',
+    'validation.possible-duplicate': 'Mismo nombre y lugar que otra instalación',
+    'validation.unnamed': 'Entidad {position}',
+    'validation.message.invalid-feature': 'El elemento {position} no es una entidad con propiedades',
+    'validation.message.bad-geometry': '{name} no tiene un punto [longitud, latitud] válido',
+    'validation.message.outside-nyc': '{name} está fuera de la ciudad de Nueva York ({lat}, {lng})',
+    'validation.message.swapped': '{name} tiene la latitud y la longitud intercambiadas ({lat}, {lng})',
+    'validation.message.duplicate': '{name} aparece más de una vez',
+    'validation.message.possible-duplicate': '{name} aparece {count} veces en el mismo lugar con datos distintos',
+    'validation.message.missing-field': 'A {name} le falta: {field}',
+    'validation.message.coordinate-mismatch': '{name}: {mismatches}',
+    'validation.message.not-a-number': '{field} "{value}" no es un número',
+    'validation.message.differs': '{field} es {value}, pero el punto tiene {expected}',
+    'validation.message.unknown-value': '{name} tiene {field} "{value}"',
+
+    'field.facility_name': 'nombre de la instalación',
+    'field.status': 'estado',
+    'field.location_type': 'tipo de lugar',
+    'field.operator': 'operador',
+    'field.latitude': 'latitud',
+    'field.longitude': 'longitud',
+    'field.accessibility': 'accesibilidad',
+    'field.restroom_type': 'tipo de baño',
+    'field.changing_stations': 'cambiadores de bebé',
+    'field.open': 'temporada',
+
+    'error.title': '❌ Error al cargar los datos',
+    'error.text': 'No se pudieron cargar los datos de baños públicos. Asegúrate de ejecutar la página en un servidor local.',
+    'error.label': 'Error:',
+    'error.tip': '💡 Consejo: usa Live Server de VS Code o http.server de Python para ejecutarla localmente, o sube una copia de los datos en "Datos de baños".',
+
+    // ========================================================================
+    // HOW TO USE
+    // ========================================================================
+    'info.title': 'Cómo usar este mapa de zonas de emergencia',
+    'info.click': 'Haz clic',
+    'info.clickMarkers': 'en los marcadores verdes para ver baños seguros',
+    'info.clickClusters': 'en una burbuja con número para acercar; cuanto más verde, más baños en funcionamiento',
+    'info.search': 'Busca',
+    'info.searchText': 'zonas o barrios concretos',
+    'info.filter': 'Filtra',
+    'info.filterText': 'por estado de la instalación y accesibilidad',
+    'info.nearMe': '"Buscar zonas seguras cerca de mí"',
+    'info.nearMeText': 'para encontrar opciones de emergencia cercanas',
+    'info.analysis': '"Análisis de zonas de peligro"',
+    'info.analysisText': 'muestra las zonas más arriesgadas que conviene evitar',
+    'info.redZones': '¡Zonas rojas = PELIGRO!',
+    'info.redZonesText': 'Planea tu ruta para evitarlas',
+    'info.data': 'Datos de baños',
+    'info.dataText': 'carga la lista más reciente de NYC Open Data o de tu propio archivo y muestra qué cambió desde la última vez',
+    'info.offline': '¿Sin señal?',
+    'info.offlineText': 'Una vez abierto, el mapa sigue funcionando sin conexión con las zonas que viste recientemente',
+    'info.language': 'Idioma y unidades',
+    'info.languageText': 'se cambian en la parte superior de la página; las distancias usan las unidades que elijas',
+    'info.profiles': 'Perfiles',
+    'info.profilesText': 'aplican varios filtros de una vez; guarda los tuyos o compártelos como archivo',
+    'info.personal': 'Estrellas y notas',
+    'info.personalText': 'guarda en este dispositivo tus baños favoritos, notas privadas y los que abriste hace poco',
+    'info.reports': 'Reportar un problema',
+    'info.reportsText': 'desde la ventana de un baño si está cerrado, sucio, sin jabón o no es accesible; los avisos aparecen como marcas en el mapa',
+    'info.export': 'Exporta',
+    'info.exportText': 'los baños filtrados de toda la ciudad, de la vista del mapa o de un área que dibujes, en GeoJSON, CSV, KML o GPX, o imprímelos en una lista de una página con un mapa',
+    'info.keyboard': 'Teclado:',
+    'info.keyboardText': 'Intro en el mapa selecciona el baño más cercano al centro y las flechas pasan de un baño a otro; F ajusta el mapa, R restablece los filtros, Escape borra la búsqueda',
+
+    // ========================================================================
+    // FAVORITES, NOTES AND HISTORY
+    // ========================================================================
+    'personal.title': 'Mis baños',
+    'personal.favorites': 'Favoritos',
+    'personal.recent': 'Vistos recientemente',
+    'personal.clearHistory': 'Borrar',
+    'personal.clearHistoryLabel': 'Borrar la lista de vistos recientemente',
+    'personal.export': 'Exportar',
+    'personal.import': 'Importar',
+    'personal.file': 'Archivo de favoritos y notas (JSON)',
+    'personal.noFavorites': 'Marca un baño con la estrella en su ventana para guardarlo aquí.',
+    'personal.noRecent': 'Aquí aparecerán los baños que abras.',
+    'personal.missing': '(no está en los datos cargados)',
+    'personal.addFavorite': 'Añadir a favoritos',
+    'personal.favorited': 'Favorito',
+    'personal.note': 'Mi nota',
+    'personal.notePlaceholder': 'p. ej., el código está en el recibo',
+    'personal.noteHint': 'Solo se guarda en este dispositivo',
+    'personal.noteSaved': 'Guardada en este dispositivo',
+    'personal.imported': {
+        one: 'Se importaron favoritos y notas de {count} baño.',
+        other: 'Se importaron favoritos y notas de {count} baños.'
+    },
+    'personal.importFailed': 'No se pudieron importar los favoritos y las notas: {message}',
+
+    // ========================================================================
+    // VISITOR REPORTS
+    // ========================================================================
+    'reports.title': 'Avisos de visitantes',
+    'reports.none': 'Sin avisos en las últimas {hours} horas.',
+    'reports.line': {
+        one: '{type}',
+        other: '{type} ({count} avisos)'
+    },
+    'reports.latest': 'Último aviso: {time}',
+    'reports.type.closed': 'Cerrado o con llave',
+    'reports.type.dirty': 'Sucio',
+    'reports.type.no_soap': 'Sin jabón',
+    'reports.type.inaccessible': 'No accesible',
+    'reports.commentLine': '«{comment}» ({type}, {time})',
+    'reports.action': 'Reportar un problema',
+    'reports.typeLabel': 'Problema',
+    'reports.comment': 'Comentario (opcional)',
+    'reports.send': 'Enviar aviso',
+    'reports.sending': 'Enviando...',
+    'reports.sent': '¡Gracias! Tu aviso se verá en el mapa durante las próximas {hours} horas.',
+    'reports.failed': 'No se pudo enviar el aviso: {message}',
+    'reports.disclaimer': 'Los avisos vienen de otros visitantes y la ciudad no los verifica.',
+    'time.justNow': 'hace un momento',
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+    'export.title': 'Exportar baños',
+    'export.area': 'Área:',
+    'export.area.all': 'Toda la ciudad',
+    'export.area.view': 'Vista actual del mapa',
+    'export.area.drawn': 'Área dibujada',
+    'export.draw': 'Dibujar área',
+    'export.finish': 'Terminar área',
+    'export.clear': 'Borrar área',
+    'export.print': 'Imprimir lista',
+    'export.summary': {
+        one: 'Se exportará {count} baño que coincide.',
+        other: 'Se exportarán {count} baños que coinciden.'
+    },
+    'export.drawing': {
+        one: 'Haz clic en el mapa para añadir vértices ({count} por ahora). Haz doble clic o pulsa Terminar área para cerrarla, o Escape para cancelar.',
+        other: 'Haz clic en el mapa para añadir vértices ({count} por ahora). Haz doble clic o pulsa Terminar área para cerrarla, o Escape para cancelar.'
+    },
+    'export.noArea': 'Pulsa Dibujar área y haz clic en el mapa alrededor de los baños que quieras.',
+    'export.tooFewCorners': 'Un área necesita al menos tres vértices. Vuelve a dibujarla.',
+    'export.nothing': 'No hay baños para exportar. Cambia los filtros o el área.',
+    'export.printTitle': 'Baños públicos',
+    'export.printMeta': {
+        one: '{count} baño · {area} · {date}',
+        other: '{count} baños · {area} · {date}'
+    },
+    'export.printFilters': 'Filtros: {filters}',
+    'export.printNoFilters': 'Filtros: ninguno',
+    'export.printSearch': 'Búsqueda: "{query}"',
+    'export.printMore': {
+        one: 'Y {count} baño más que no aparece aquí; exporta un archivo para ver la lista completa.',
+        other: 'Y {count} baños más que no aparecen aquí; exporta un archivo para ver la lista completa.'
+    },
+    'export.printMapLabel': 'Mapa de los baños de la lista',
+
+    // ========================================================================
+    // KEYBOARD AND SCREEN READERS
+    // ========================================================================
+    'a11y.mapLabel': 'Mapa de baños públicos. Pulsa Intro para seleccionar el baño más cercano al centro y usa las flechas para pasar al siguiente baño en esa dirección.',
+    'a11y.resultsChanged': {
+        one: '{count} baño coincide con los filtros, {operational} en funcionamiento.',
+        other: '{count} baños coinciden con los filtros, {operational} en funcionamiento.'
+    },
+    'a11y.facility': '{name}: {status}, {hours}',
+    'a11y.noneInDirection': 'No hay más baños que coincidan en esa dirección.',
+    'a11y.visible.title': {
+        one: '{count} baño coincidente a la vista',
+        other: '{count} baños coincidentes a la vista'
+    },
+    'a11y.visible.help': 'Los baños que aparecen en el mapa, en forma de lista y empezando por los más cercanos al centro. Se actualiza al mover o ampliar el mapa.',
+    'a11y.visible.empty': 'No hay baños que coincidan en esta parte del mapa.',
+    'a11y.visible.more': 'y {count} más; amplía el mapa para verlos en la lista',
+
+    // ========================================================================
+    // DATASET VALUES
+    // ========================================================================
+    'value.Unknown': 'Desconocido',
+
+    'value.status.Operational': 'En funcionamiento',
+    'value.status.Not Operational': 'Fuera de servicio',
+    'value.status.Closed for Construction': 'Cerrado por obras',
+    'value.status.Closed': 'Cerrado',
+
+    'value.accessibility.Fully Accessible': 'Totalmente accesible',
+    'value.accessibility.Partially Accessible': 'Parcialmente accesible',
+    'value.accessibility.Not Accessible': 'No accesible',
+
+    'value.location_type.Park': 'Parque',
+    'value.location_type.Library': 'Biblioteca',
+    'value.location_type.Privately Owned Public Space': 'Espacio público de propiedad privada',
+    'value.location_type.Public Plaza': 'Plaza pública',
+    'value.location_type.Transit': 'Transporte público',
+
+    'value.restroom_type.Multi-Stall W/M Restrooms': 'Baños de varios cubículos para mujeres y hombres',
+    'value.restroom_type.Single-Stall All Gender Restroom(s)': 'Baño(s) individual(es) para todos los géneros',
+    'value.restroom_type.Both Single-Stall All Gender and Multi-Stall W/M': 'Individuales para todos los géneros y de varios cubículos para mujeres y hombres',
+    'value.restroom_type.Multi-Stall All Gender Restrooms': 'Baños de varios cubículos para todos los géneros',
+
+    'value.changing_stations.Yes': 'Sí',
+    "value.changing_stations.Yes, in women's restroom only": 'Sí, solo en el baño de mujeres',
+    "value.changing_stations.Yes, in men's restroom only": 'Sí, solo en el baño de hombres',
+    'value.changing_stations.Yes, in single-stall all gender restroom only': 'Sí, solo en el baño individual para todos los géneros',
+    'value.changing_stations.No': 'No',
+    'value.changing_stations.N/A, restrooms closed': 'No aplica, baños cerrados',
+
+    'value.open.Year Round': 'Todo el año',
+    'value.open.Seasonal': 'De temporada',
+    'value.open.Future': 'Próximamente',
+
+    'value.borough.Manhattan': 'Manhattan',
+    'value.borough.Brooklyn': 'Brooklyn',
+    'value.borough.Queens': 'Queens',
+    'value.borough.Bronx': 'El Bronx',
+    'value.borough.Staten Island': 'Staten Island',
+    'value.borough.New York City': 'Ciudad de Nueva York',
+
+    'place.kind.neighborhood': 'Barrio',
+    'place.kind.landmark': 'Lugar',
+    'place.kind.intersection': 'Intersección'
+};
@@ -0,0 +1,491 @@
+/*
+ * KOREAN MESSAGES (한국어)
+ * ========================
+ *
+ * Message catalog for i18n.js; keys and placeholders as in messages-en.js.
+ * Korean has a single plural form, so plural messages only need 'other'.
+ */
+
+const MESSAGES_KO = {
+    // ========================================================================
+    // PAGE
+    // ========================================================================
+    'page.title': '뉴욕시 비상 구역 - 급할 때 피해야 할 곳',
+    'preferences.language': '언어:',
+    'preferences.units': '단위:',
+    'preferences.units.imperial': '야드파운드법 (ft, mi)',
+    'preferences.units.metric': '미터법 (m, km)',
+
+    'offline.title': '📴 오프라인 상태입니다.',
+    'offline.message': '이 기기에 저장된 화장실 데이터를 표시합니다. 최근에 보지 않은 지도 영역은 비어 있을 수 있습니다.',
+    'offline.noData': '화장실 데이터가 아직 이 기기에 저장되지 않았습니다. 오프라인으로 사용하려면 인터넷에 연결된 상태에서 지도를 한 번 열어 주세요.',
+
+    'intro.title': '뉴욕시 비상 구역 지도',
+    'intro.subtitle': '화장실이 정말 급할 때 피해야 할 지역',
+    'intro.heading': '디지털 오브젝트: 도시 비상 내비게이션',
+    'intro.text': '이 인터랙티브 지도는 화장실이 급한 사람에게 뉴욕시에서 가장 위험한 구역을 보여 줍니다. 빨간 구역은 가장 가까운 공중화장실에서 위험할 만큼 멀리 떨어진 곳입니다. 이 지도로 경로를 현명하게 계획하고 화장실 사막에 갇히지 마세요!',
+
+    // ========================================================================
+    // MAP SETTINGS
+    // ========================================================================
+    'settings.title': '지도 설정',
+    'settings.intro': '지도는 계정 없이 MapLibre와 OpenStreetMap 데이터로 작동합니다. Mapbox 액세스 토큰은 선택 사항이며, 토큰이 있으면 Mapbox 지도와 Mapbox 도보 길찾기를 사용할 수 있습니다.',
+    'settings.map': '지도',
+    'settings.maplibre': 'MapLibre + OpenStreetMap (토큰 필요 없음)',
+    'settings.mapbox': 'Mapbox (토큰 필요)',
+    'settings.styleUrl': 'MapLibre 스타일 URL',
+    'settings.styleUrl.placeholder': '스타일 URL (선택 사항, 예: 직접 운영하는 타일 서버의 style.json)',
+    'settings.token': 'Mapbox 액세스 토큰',
+    'settings.token.placeholder': 'Mapbox 액세스 토큰을 입력하세요...',
+    'settings.token.optionalPlaceholder': '선택 사항: Mapbox 토큰이 있으면 Mapbox 길찾기와 장소 검색을 사용할 수 있습니다',
+    'settings.submit': '지도 불러오기',
+    'settings.checking': '확인 중...',
+    'settings.cancel': '취소',
+    'settings.help.title': 'Mapbox 토큰 받는 방법 (선택 사항):',
+    'settings.help.visit': '방문하기:',
+    'settings.help.signUp': '무료 계정 가입',
+    'settings.help.tokens': '"Access tokens" 메뉴로 이동',
+    'settings.help.copy': '기본 공개 토큰 복사 ("pk."로 시작)',
+    'settings.help.note': '설정과 토큰은 다음 방문을 위해 이 기기에 저장됩니다.',
+
+    'settings.error.needsToken': 'Mapbox를 사용하려면 액세스 토큰이 필요합니다. 토큰을 입력하거나, 토큰 없이 사용하려면 MapLibre를 선택하세요.',
+    'settings.error.styleUrl': '스타일 URL은 MapLibre 스타일 JSON 파일의 http(s) 주소여야 합니다.',
+    'settings.error.loadFailed': '지도를 불러오지 못했습니다 ({error}). 인터넷 연결을 확인하거나 아래에서 다른 지도를 선택하세요.',
+    'settings.error.refused': '{renderer}에서 지도 요청을 거부했습니다 (HTTP {status}). 액세스 토큰을 확인하거나, 토큰 없이 사용하려면 MapLibre를 선택하세요.',
+    'settings.error.storage': '브라우저가 지도 설정을 저장하지 않았습니다 (비공개 모드이거나 저장 공간이 가득 찼을 수 있습니다). 사이트 데이터를 허용하거나 현재 지도를 계속 사용하세요.',
+
+    'token.error.missing': 'Mapbox 액세스 토큰을 입력하세요.',
+    'token.error.secret': '비밀 토큰(sk.)입니다. 비밀 토큰은 웹 페이지에서 절대 사용하면 안 됩니다. 대신 공개 토큰(pk.)을 복사하세요.',
+    'token.error.format': 'Mapbox 공개 토큰이 아닙니다. 공개 토큰은 "pk."로 시작하며 점으로 구분된 세 부분으로 이루어져 있습니다.',
+    'token.error.incomplete': '토큰이 불완전하거나 잘못 입력된 것 같습니다. Mapbox 계정에서 다시 복사하세요.',
+    'token.error.expired': '만료된 토큰입니다. Mapbox 계정에서 새 토큰을 만드세요.',
+    'token.error.revoked': '폐기된 토큰입니다. Mapbox 계정에서 새 토큰을 만드세요.',
+    'token.error.rejected': 'Mapbox에서 이 토큰을 받아들이지 않았습니다. 토큰 전체가 복사되었는지 확인하세요.',
+
+    // ========================================================================
+    // MAP AND RESULTS
+    // ========================================================================
+    'map.heading': '뉴욕시 화장실 비상 구역 지도',
+    'map.intro': '뉴욕시 전역에서 화장실이 급할 때 가장 위험한 지역을 살펴보세요. 초록 점은 안전한 피난처(공중화장실)이고, 빨간 구역은 급할 때 절대 있고 싶지 않은 곳입니다. 아래 분석 도구로 가장 위험한 동네를 찾아보세요!',
+
+    'results.label': '조건에 맞는 화장실',
+    'results.title': '조건에 맞는 안전 구역',
+    'results.sortBy': '정렬:',
+    'results.sort.relevance': '관련도순',
+    'results.sort.name': '이름순',
+    'results.sort.distance': '거리순',
+    'results.sort.status': '상태순',
+    'results.prev': '‹ 이전',
+    'results.prevLabel': '이전 페이지',
+    'results.next': '다음 ›',
+    'results.nextLabel': '다음 페이지',
+    'results.noMatches': {
+        other: '화장실 {count}곳 중 조건에 맞는 곳이 없습니다'
+    },
+    'results.summary': '조건에 맞는 {count}곳 중 {from}-{to} 표시 (운영 중 {operational}곳, 전체 {total}곳)',
+    'results.page': '{pages}쪽 중 {page}쪽',
+    'results.empty': '현재 필터에 맞는 화장실이 없습니다.',
+    'results.fromCenter': '지도 중심에서',
+    'results.fromPlace': '{place}에서',
+    'results.fromYou': '내 위치에서',
+    'results.distance': '{origin} {distance}',
+
+    // ========================================================================
+    // SEARCH AND FILTERS
+    // ========================================================================
+    'search.label': '안전 구역 검색:',
+    'search.placeholder': '화장실, 동네 또는 교차로 검색 (영문)...',
+    'search.suggestions': '일치하는 장소와 시설',
+
+    'filter.status': '시설 상태:',
+    'filter.accessibility': '접근성:',
+    'filter.locationType': '안전 구역 유형:',
+    'filter.operator': '운영 기관:',
+    'filter.restroomType': '화장실 유형:',
+    'filter.changingStations': '기저귀 교환대:',
+    'filter.season': '운영 시기:',
+    'filter.all.status': '모든 시설',
+    'filter.all.accessibility': '모든 접근성',
+    'filter.all.locationType': '모든 유형',
+    'filter.all.operator': '모든 운영 기관',
+    'filter.all.restroomType': '모든 화장실 유형',
+    'filter.all.changingStations': '전체',
+    'filter.all.season': '모든 시기',
+    'filter.selected': '{count}개 선택됨',
+    'filter.openHours': '운영 시간:',
+    'filter.open.any': '시간 무관',
+    'filter.open.now': '지금 운영 중',
+    'filter.open.at': '지정 시각에 운영...',
+    'filter.openAtTime': '운영 여부를 확인할 시각',
+    'filter.openAtDay': '운영 여부를 확인할 요일',
+    'filter.openDay.today': '오늘',
+    'filter.includeUnknownHours': '운영 시간 미상 포함',
+    'filter.personal': '내 화장실:',
+    'filter.favoritesOnly': '즐겨찾기만',
+    'filter.reports': '방문자 제보:',
+    'filter.hideReportedClosed': '폐쇄 제보가 있는 화장실 숨기기',
+
+    'controls.reset': '필터 모두 초기화',
+    'controls.fit': '전체 구역 보기',
+    'controls.nearMe': '내 주변 안전 구역 찾기',
+
+    'profiles.label': '프로필:',
+    'profiles.choose': '프로필 선택...',
+    'profiles.builtInGroup': '기본 제공',
+    'profiles.savedGroup': '내 프로필',
+    'profiles.builtIn.wheelchair': '휠체어 사용자',
+    'profiles.builtIn.changingStation': '기저귀 교환대 필요',
+    'profiles.builtIn.allGender': '성별 구분 없는 1인용',
+    'profiles.builtIn.openNow': '지금 운영 중',
+    'profiles.save': '저장',
+    'profiles.saveLabel': '현재 필터를 프로필로 저장',
+    'profiles.delete': '삭제',
+    'profiles.export': '내보내기',
+    'profiles.import': '가져오기',
+    'profiles.file': '필터 프로필 파일 (JSON)',
+    'profiles.namePrompt': '프로필 이름:',
+    'profiles.nothingToSave': '먼저 필터를 선택하세요. 프로필에는 검색어를 제외한 현재 필터가 저장됩니다.',
+    'profiles.confirmDelete': '"{name}" 프로필을 삭제할까요?',
+    'profiles.noneToExport': '내보낼 저장된 프로필이 아직 없습니다.',
+    'profiles.imported': {
+        other: '프로필 {count}개를 가져왔습니다.'
+    },
+    'profiles.importFailed': '프로필을 가져오지 못했습니다: {message}',
+
+    'location.unavailable': '위치에 접근할 수 없습니다. 위치 서비스를 켜 주세요.',
+    'location.unsupported': '이 브라우저는 위치 정보를 지원하지 않습니다.',
+
+    // ========================================================================
+    // NEAREST RESTROOMS
+    // ========================================================================
+    'nearest.title': '가장 가까운 안전 구역',
+    'nearest.route': '경로 추정:',
+    'nearest.route.manhattan': '도로 격자 (오프라인)',
+    'nearest.route.straight': '직선 거리 (오프라인)',
+    'nearest.route.mapbox': 'Mapbox 길찾기 (온라인)',
+    'nearest.route.mapboxNeedsToken': 'Mapbox 길찾기 (토큰 필요)',
+    'nearest.close': '가까운 결과 닫기',
+    'nearest.fromPlace': '{place}에서',
+    'nearest.fromYou': '내 위치에서',
+    'nearest.calculating': '도보 거리를 계산하는 중...',
+    'nearest.failed': '도보 거리를 계산하지 못했습니다.',
+    'nearest.walk': '도보 {duration}',
+
+    // ========================================================================
+    // POPUP
+    // ========================================================================
+    'popup.unnamed': '공중화장실',
+    'popup.status': '상태:',
+    'popup.accessibility': '접근성:',
+    'popup.locationType': '위치 유형:',
+    'popup.operator': '운영 기관:',
+    'popup.hours': '운영 시간:',
+    'popup.nearby': '주변:',
+    'popup.nearbyCount': '{distance} 이내에 {count}곳 더 있음',
+    'popup.restroomType': '유형:',
+    'popup.changingStations': '기저귀 교환대:',
+    'popup.website': '웹사이트:',
+    'popup.visitSite': '사이트 방문',
+    'popup.notes': '참고:',
+    'popup.coordinates': '좌표:',
+
+    'hours.unknown': '운영 시간 미상',
+    'hours.alwaysOpen': '24시간 운영',
+    'hours.openUntil': '운영 중 · {duration} 후 닫음',
+    'hours.closed': '운영 종료',
+    'hours.opensToday': '운영 종료 · 오늘 {time}에 엶',
+    'hours.opensOn': '운영 종료 · {day} {time}에 엶',
+    'hours.approximate': '(추정)',
+
+    // ========================================================================
+    // DANGER ZONE ANALYSIS
+    // ========================================================================
+    'coverage.show': '위험 구역 분석 보기',
+    'coverage.hide': '위험 구역 분석 숨기기',
+    'coverage.progress': '분석 중... {percent} (클릭하면 취소)',
+    'coverage.title': '화장실 비상 위험 구역 분석',
+    'coverage.threshold': '위험 기준 거리 ({unit}):',
+    'coverage.download': '구역 다운로드 (GeoJSON)',
+    'coverage.runFirst': '먼저 위험 구역 분석을 실행하세요.',
+    'coverage.band.safe': '안전 구역',
+    'coverage.band.caution': '주의 구역',
+    'coverage.band.risk': '위험 구역',
+    'coverage.band.danger': '고위험 구역',
+    'coverage.band.avoid': '무조건 피하세요',
+    'coverage.range.first': '화장실까지 {to} 미만',
+    'coverage.range.middle': '{from}-{to}',
+    'coverage.range.last': '{from} 초과',
+    'coverage.legendItem': '{band} ({range})',
+    'coverage.note': '현재 필터에 맞는 화장실 {count}곳을 {grid}×{grid} 격자로 분석한 직선 거리 구역입니다 (기준 {threshold}). 지도 위에 마우스를 올리면 정확한 거리가 표시됩니다. 빨간 구역에 갇히지 마세요!',
+    'coverage.readout': '가장 가까운 화장실까지 {distance} · {band}',
+
+    'borough.title': '자치구별 접근성',
+    'borough.note': '각 자치구 육지 중 현재 필터에 맞는 운영 중인 화장실로부터 각 거리 이내에 있는 비율과, 육지 {area}당 운영 중인 화장실 수입니다.',
+    'borough.column.name': '자치구',
+    'borough.column.restrooms': '운영 중',
+    'borough.column.density': '{area}당',
+    'borough.column.within': '{distance} 이내',
+
+    'units.meters': 'm',
+    'units.feet': 'ft',
+    'units.squareKilometers': 'km²',
+    'units.squareMiles': 'mi²',
+
+    // ========================================================================
+    // RESTROOM DATA
+    // ========================================================================
+    'dataSource.title': '화장실 데이터',
+    'dataSource.source': '출처:',
+    'dataSource.option.local': '내장 스냅샷 (2025년 7월)',
+    'dataSource.option.soda': 'NYC 오픈 데이터 (SODA 엔드포인트)',
+    'dataSource.option.upload': '파일 업로드',
+    'dataSource.endpoint': 'SODA 엔드포인트 URL',
+    'dataSource.file': 'GeoJSON 또는 SODA JSON 파일',
+    'dataSource.load': '데이터 불러오기',
+    'dataSource.name.local': '내장 스냅샷 (2025년 7월 20일)',
+    'dataSource.name.soda': 'SODA 엔드포인트 ({detail})',
+    'dataSource.name.upload': '업로드한 파일 ({detail})',
+    'dataSource.loading': '{source} 불러오는 중...',
+    'dataSource.loaded': {
+        other: '{source}에서 시설 {count}곳을 불러왔습니다 ({time}).'
+    },
+    'dataSource.failed': '{source}을(를) 불러오지 못했습니다 ({error}).',
+    'dataSource.keptPrevious': '{source}을(를) 불러오지 못했습니다 ({error}). 지도에는 이전 데이터가 그대로 표시됩니다.',
+    'dataSource.showingSaved': '{source}을(를) 불러오지 못했습니다 ({error}). {time}에 저장된 {savedSource}의 시설 {count}곳을 표시합니다.',
+    'dataSource.invalidEndpoint': '올바른 SODA 엔드포인트 URL을 입력하세요.',
+    'dataSource.chooseFile': '업로드할 GeoJSON 또는 SODA JSON 파일을 선택하세요.',
+
+    'changes.dismiss': '변경 내역 닫기',
+    'changes.summary': '{time} 이후 변경 사항 ({source}): 추가 {added}곳, 삭제 {removed}곳, 상태 변경 {changed}곳, 이름·위치 변경 {updated}곳',
+    'changes.added': '추가됨',
+    'changes.removed': '삭제됨',
+    'changes.statusChanged': '상태 변경',
+    'changes.status': '{name}: {from} → {to}',
+    'changes.detailsChanged': '이름·위치 변경',
+    'changes.renamed': '{from} → {to}',
+    'changes.moved': '{name}: {distance} 이동',
+    'changes.group': '{title} ({count})',
+    'changes.more': '외 {count}곳',
+
+    'quality.summary': '데이터 품질: 지도에서 제외 {excluded}곳, {warnings}',
+    'quality.warnings': {
+        other: '경고 {count}건'
+    },
+    'quality.notShown': '{label} (표시 안 함)',
+
+    'validation.invalid-feature': 'GeoJSON 피처가 아님',
+    'validation.bad-geometry': '좌표 없음 또는 잘못된 좌표',
+    'validation.outside-nyc': '뉴욕시 밖',
+    'validation.duplicate': '완전히 같은 중복 항목',
+    'validation.coordinate-mismatch': '위도/경도가 좌표와 다름',
+    'validation.missing-field': '필수 항목 누락',
+    'validation.unknown-value': '알 수 없는 값',
+    'validation.possible-duplicate': '다른 시설과 이름과 위치가 같음',
+    'validation.unnamed': '피처 {position}',
+    'validation.message.invalid-feature': '{position}번째 항목은 속성이 있는 피처가 아닙니다',
+    'validation.message.bad-geometry': '{name}에 올바른 [경도, 위도] 좌표가 없습니다',
+    'validation.message.outside-nyc': '{name}은(는) 뉴욕시 밖에 있습니다 ({lat}, {lng})',
+    'validation.message.swapped': '{name}의 위도와 경도가 뒤바뀌어 있습니다 ({lat}, {lng})',
+    'validation.message.duplicate': '{name}이(가) 두 번 이상 들어 있습니다',
+    'validation.message.possible-duplicate': '{name}이(가) 같은 위치에 서로 다른 내용으로 {count}번 나옵니다',
+    'validation.message.missing-field': '{name}에 {field} 항목이 없습니다',
+    'validation.message.coordinate-mismatch': '{name}: {mismatches}',
+    'validation.message.not-a-number': '{field} "{value}"은(는) 숫자가 아닙니다',
+    'validation.message.differs': '{field}는 {value}이지만 좌표는 {expected}입니다',
+    'validation.message.unknown-value': '{name}의 {field} 값 "{value}"',
+
+    'field.facility_name': '시설 이름',
+    'field.status': '상태',
+    'field.location_type': '위치 유형',
+    'field.operator': '운영 기관',
+    'field.latitude': '위도',
+    'field.longitude': '경도',
+    'field.accessibility': '접근성',
+    'field.restroom_type': '화장실 유형',
+    'field.changing_stations': '기저귀 교환대',
+    'field.open': '운영 시기',
+
+    'error.title': '❌ 데이터를 불러오지 못했습니다',
+    'error.text': '공중화장실 데이터를 불러올 수 없습니다. 로컬 서버에서 실행 중인지 확인하세요.',
+    'error.label': '오류:',
+    'error.tip': '💡 팁: VS Code Live Server나 Python의 http.server로 로컬에서 실행하거나, "화장실 데이터"에서 데이터 사본을 업로드하세요.',
+
+    // ========================================================================
+    // HOW TO USE
+    // ========================================================================
+    'info.title': '비상 구역 지도 사용법',
+    'info.click': '클릭',
+    'info.clickMarkers': '초록 마커를 누르면 안전한 화장실 위치를 볼 수 있습니다',
+    'info.clickClusters': '숫자가 적힌 원을 누르면 확대됩니다. 초록색에 가까울수록 운영 중인 화장실이 많습니다',
+    'info.search': '검색',
+    'info.searchText': '확인하고 싶은 지역이나 동네를 찾아보세요',
+    'info.filter': '필터',
+    'info.filterText': '시설 상태와 접근성으로 걸러 보세요',
+    'info.nearMe': '"내 주변 안전 구역 찾기"',
+    'info.nearMeText': '근처의 비상 선택지를 찾아 줍니다',
+    'info.analysis': '"위험 구역 분석"',
+    'info.analysisText': '피해야 할 가장 위험한 지역을 보여 줍니다',
+    'info.redZones': '빨간 구역 = 위험!',
+    'info.redZonesText': '이 지역을 피하도록 경로를 계획하세요',
+    'info.data': '화장실 데이터',
+    'info.dataText': 'NYC 오픈 데이터나 직접 가진 파일에서 최신 목록을 불러오고, 지난번 이후 바뀐 점을 보여 줍니다',
+    'info.offline': '신호가 없나요?',
+    'info.offlineText': '한 번 연 지도는 최근에 본 지역과 함께 오프라인에서도 계속 작동합니다',
+    'info.language': '언어와 단위',
+    'info.languageText': '페이지 맨 위에서 바꿀 수 있으며, 거리는 선택한 단위로 표시됩니다',
+    'info.profiles': '프로필',
+    'info.profilesText': '여러 필터를 한 번에 적용합니다. 직접 저장하거나 파일로 공유할 수 있습니다',
+    'info.personal': '별표와 메모',
+    'info.personalText': '즐겨찾는 화장실과 개인 메모, 최근 열어 본 화장실을 이 기기에 보관합니다',
+    'info.reports': '문제 제보',
+    'info.reportsText': '화장실이 잠겼거나 더럽거나 비누가 없거나 이용할 수 없을 때 팝업에서 알려 주세요. 제보는 지도에 배지로 표시됩니다',
+    'info.export': '내보내기',
+    'info.exportText': '필터링된 화장실을 전체, 지도 화면 또는 직접 그린 구역 기준으로 GeoJSON, CSV, KML, GPX 파일로 내보내거나 지도가 포함된 한 페이지 목록으로 인쇄합니다',
+    'info.keyboard': '키보드:',
+    'info.keyboardText': '지도에서 Enter를 누르면 중심에서 가장 가까운 화장실이 선택되고, 화살표 키로 화장실 사이를 이동합니다. F는 전체 보기, R은 필터 초기화, Escape는 검색 지우기입니다',
+
+    // ========================================================================
+    // FAVORITES, NOTES AND HISTORY
+    // ========================================================================
+    'personal.title': '내 화장실',
+    'personal.favorites': '즐겨찾기',
+    'personal.recent': '최근 본 화장실',
+    'personal.clearHistory': '지우기',
+    'personal.clearHistoryLabel': '최근 본 목록 지우기',
+    'personal.export': '내보내기',
+    'personal.import': '가져오기',
+    'personal.file': '즐겨찾기 및 메모 파일 (JSON)',
+    'personal.noFavorites': '팝업에서 별표를 누르면 여기에 저장됩니다.',
+    'personal.noRecent': '열어 본 화장실이 여기에 표시됩니다.',
+    'personal.missing': '(불러온 데이터에 없음)',
+    'personal.addFavorite': '즐겨찾기에 추가',
+    'personal.favorited': '즐겨찾기',
+    'personal.note': '내 메모',
+    'personal.notePlaceholder': '예: 비밀번호는 영수증에 있음',
+    'personal.noteHint': '이 기기에만 저장됩니다',
+    'personal.noteSaved': '이 기기에 저장했습니다',
+    'personal.imported': {
+        other: '화장실 {count}곳의 즐겨찾기와 메모를 가져왔습니다.'
+    },
+    'personal.importFailed': '즐겨찾기와 메모를 가져오지 못했습니다: {message}',
+
+    // ========================================================================
+    // VISITOR REPORTS
+    // ========================================================================
+    'reports.title': '방문자 제보',
+    'reports.none': '최근 {hours}시간 동안 제보가 없습니다.',
+    'reports.line': {
+        other: '{type} (제보 {count}건)'
+    },
+    'reports.latest': '마지막 제보: {time}',
+    'reports.type.closed': '폐쇄 또는 잠김',
+    'reports.type.dirty': '더러움',
+    'reports.type.no_soap': '비누 없음',
+    'reports.type.inaccessible': '이용 불가 (접근성)',
+    'reports.commentLine': '“{comment}” ({type}, {time})',
+    'reports.action': '문제 제보하기',
+    'reports.typeLabel': '문제 유형',
+    'reports.comment': '설명 (선택)',
+    'reports.send': '제보 보내기',
+    'reports.sending': '보내는 중...',
+    'reports.sent': '감사합니다! 제보는 앞으로 {hours}시간 동안 지도에 표시됩니다.',
+    'reports.failed': '제보를 보내지 못했습니다: {message}',
+    'reports.disclaimer': '제보는 다른 방문자가 보낸 것이며 시에서 확인하지 않았습니다.',
+    'time.justNow': '방금',
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+    'export.title': '화장실 내보내기',
+    'export.area': '구역:',
+    'export.area.all': '전체',
+    'export.area.view': '현재 지도 화면',
+    'export.area.drawn': '그린 구역',
+    'export.draw': '구역 그리기',
+    'export.finish': '구역 완성',
+    'export.clear': '구역 지우기',
+    'export.print': '목록 인쇄',
+    'export.summary': {
+        other: '조건에 맞는 화장실 {count}곳을 내보냅니다.'
+    },
+    'export.drawing': {
+        other: '지도를 클릭해 꼭짓점을 추가하세요(현재 {count}개). 두 번 클릭하거나 구역 완성을 누르면 구역이 닫히고, Esc를 누르면 취소됩니다.'
+    },
+    'export.noArea': '구역 그리기를 누른 뒤 원하는 화장실 주변의 지도를 클릭하세요.',
+    'export.tooFewCorners': '구역에는 꼭짓점이 세 개 이상 필요합니다. 다시 그려 주세요.',
+    'export.nothing': '내보낼 화장실이 없습니다. 필터나 구역을 바꿔 보세요.',
+    'export.printTitle': '공중화장실',
+    'export.printMeta': {
+        other: '화장실 {count}곳 · {area} · {date}'
+    },
+    'export.printFilters': '필터: {filters}',
+    'export.printNoFilters': '필터: 없음',
+    'export.printSearch': '검색: "{query}"',
+    'export.printMore': {
+        other: '여기에 없는 화장실 {count}곳이 더 있습니다. 전체 목록은 파일로 내보내세요.'
+    },
+    'export.printMapLabel': '목록에 있는 화장실 지도',
+
+    // ========================================================================
+    // KEYBOARD AND SCREEN READERS
+    // ========================================================================
+    'a11y.mapLabel': '공공 화장실 지도. Enter를 누르면 중심에서 가장 가까운 화장실이 선택되고, 화살표 키를 누르면 그 방향의 다음 화장실로 이동합니다.',
+    'a11y.resultsChanged': {
+        other: '필터에 맞는 화장실 {count}곳, 그중 운영 중 {operational}곳.'
+    },
+    'a11y.facility': '{name}: {status}, {hours}',
+    'a11y.noneInDirection': '그 방향에는 조건에 맞는 화장실이 더 없습니다.',
+    'a11y.visible.title': {
+        other: '화면에 보이는 조건에 맞는 화장실 {count}곳'
+    },
+    'a11y.visible.help': '지도에 표시된 화장실을 중심에서 가까운 순서로 나열한 목록입니다. 지도를 이동하거나 확대/축소하면 함께 바뀝니다.',
+    'a11y.visible.empty': '지도의 이 지역에는 조건에 맞는 화장실이 없습니다.',
+    'a11y.visible.more': '외 {count}곳 (확대하면 목록에 표시됩니다)',
+
+    // ========================================================================
+    // DATASET VALUES
+    // ========================================================================
+    'value.Unknown': '알 수 없음',
+
+    'value.status.Operational': '운영 중',
+    'value.status.Not Operational': '운영 안 함',
+    'value.status.Closed for Construction': '공사로 폐쇄',
+    'value.status.Closed': '폐쇄',
+
+    'value.accessibility.Fully Accessible': '완전 접근 가능',
+    'value.accessibility.Partially Accessible': '부분 접근 가능',
+    'value.accessibility.Not Accessible': '접근 불가',
+
+    'value.location_type.Park': '공원',
+    'value.location_type.Library': '도서관',
+    'value.location_type.Privately Owned Public Space': '민간 소유 공공 공간',
+    'value.location_type.Public Plaza': '공공 광장',
+    'value.location_type.Transit': '대중교통',
+
+    'value.restroom_type.Multi-Stall W/M Restrooms': '여러 칸 남녀 화장실',
+    'value.restroom_type.Single-Stall All Gender Restroom(s)': '1인용 성별 무관 화장실',
+    'value.restroom_type.Both Single-Stall All Gender and Multi-Stall W/M': '1인용 성별 무관 화장실과 여러 칸 남녀 화장실',
+    'value.restroom_type.Multi-Stall All Gender Restrooms': '여러 칸 성별 무관 화장실',
+
+    'value.changing_stations.Yes': '있음',
+    "value.changing_stations.Yes, in women's restroom only": '있음, 여자 화장실에만',
+    "value.changing_stations.Yes, in men's restroom only": '있음, 남자 화장실에만',
+    'value.changing_stations.Yes, in single-stall all gender restroom only': '있음, 1인용 성별 무관 화장실에만',
+    'value.changing_stations.No': '없음',
+    'value.changing_stations.N/A, restrooms closed': '해당 없음, 화장실 폐쇄',
+
+    'value.open.Year Round': '연중',
+    'value.open.Seasonal': '계절 운영',
+    'value.open.Future': '개장 예정',
+
+    'value.borough.Manhattan': '맨해튼',
+    'value.borough.Brooklyn': '브루클린',
+    'value.borough.Queens': '퀸스',
+    'value.borough.Bronx': '브롱크스',
+    'value.borough.Staten Island': '스태튼아일랜드',
+    'value.borough.New York City': '뉴욕시 전체',
+
+    'place.kind.neighborhood': '동네',
+    'place.kind.landmark': '장소',
+    'place.kind.intersection': '교차로'
+};
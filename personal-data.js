@@ -0,0 +1,262 @@
+/*
+ * FAVORITES, NOTES AND HISTORY
+ * ============================
+ *
+ * What a user keeps about facilities on this device: a star, a private note
+ * ("code is on the receipt") and when they last opened it. Entries live in
+ * localStorage under the facility's ID (see assignFacilityIds in
+ * data-sources.js) together with its name and position, so they can still be
+ * listed when the facility is missing from the loaded dataset, and can follow
+ * it to a new ID when its published coordinates are corrected. A renamed
+ * facility is not followed: a dataset that only covers some facilities can
+ * leave another one at the same spot, and entries must not jump to it.
+ *
+ * Export files have the shape
+ *
+ *   { "format": "nyc-restroom-personal-data", "version": 1,
+ *     "facilities": { "<id>": { "name", "coordinates": [lng, lat],
+ *                               "favorite", "note", "viewedAt" } } }
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const PERSONAL_DATA_KEY = 'restroom_personal_data';
+const PERSONAL_DATA_FORMAT = 'nyc-restroom-personal-data';
+const PERSONAL_DATA_VERSION = 1;
+const HISTORY_LIMIT = 10;               // recently viewed facilities kept
+const NOTE_MAX_LENGTH = 500;
+const FACILITY_RELINK_DISTANCE = 100;   // meters a facility may move and keep its entry
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * The user's favorites, notes and history, saved on every change.
+ * Setters take the facility's feature so its name and position are kept.
+ */
+function createPersonalStore() {
+    let records = loadRecords();
+
+    function loadRecords() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PERSONAL_DATA_KEY));
+            return saved && typeof saved === 'object' ? cleanRecords(saved) : {};
+        } catch (error) {
+            console.warn('Ignoring unreadable favorites and notes:', error.message);
+            return {};
+        }
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(PERSONAL_DATA_KEY, JSON.stringify(records));
+        } catch (error) {
+            console.warn('Could not save favorites and notes:', error.message);
+        }
+    }
+
+    function update(feature, changes) {
+        const id = feature.properties.facility_id;
+        const record = {
+            ...records[id],
+            ...changes,
+            name: feature.properties.facility_name || '',
+            coordinates: feature.geometry.coordinates.slice(0, 2)
+        };
+
+        if (isEmptyRecord(record)) {
+            delete records[id];
+        } else {
+            records[id] = record;
+        }
+        save();
+    }
+
+    // Only the HISTORY_LIMIT most recent views are kept
+    function trimHistory() {
+        Object.keys(records)
+            .filter(id => records[id].viewedAt)
+            .sort((a, b) => records[b].viewedAt.localeCompare(records[a].viewedAt))
+            .slice(HISTORY_LIMIT)
+            .forEach(id => {
+                delete records[id].viewedAt;
+                if (isEmptyRecord(records[id])) delete records[id];
+            });
+    }
+
+    function list(include) {
+        return Object.entries(records)
+            .filter(([, record]) => include(record))
+            .map(([id, record]) => ({ id, ...record }));
+    }
+
+    return {
+        isFavorite(id) {
+            return Boolean(records[id] && records[id].favorite);
+        },
+
+        getNote(id) {
+            return (records[id] && records[id].note) || '';
+        },
+
+        setFavorite(feature, favorite) {
+            update(feature, { favorite: Boolean(favorite) });
+        },
+
+        setNote(feature, note) {
+            update(feature, { note: String(note).trim().slice(0, NOTE_MAX_LENGTH) });
+        },
+
+        recordView(feature) {
+            update(feature, { viewedAt: new Date().toISOString() });
+            trimHistory();
+            save();
+        },
+
+        clearHistory() {
+            Object.keys(records).forEach(id => {
+                delete records[id].viewedAt;
+                if (isEmptyRecord(records[id])) delete records[id];
+            });
+            save();
+        },
+
+        // Sorted by name
+        getFavorites() {
+            return list(record => record.favorite).sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        // Most recent first
+        getRecent() {
+            return list(record => record.viewedAt).sort((a, b) => b.viewedAt.localeCompare(a.viewedAt));
+        },
+
+        /**
+         * Move entries whose ID is not in `features` to a facility of the same
+         * name within FACILITY_RELINK_DISTANCE, e.g. after the city corrects a
+         * location. Returns how many moved; the rest are kept as they are.
+         */
+        relink(features) {
+            const ids = new Set(features.map(feature => feature.properties.facility_id));
+            let moved = 0;
+
+            Object.keys(records).forEach(id => {
+                if (ids.has(id)) return;
+                const record = records[id];
+                const [lng, lat] = record.coordinates;
+                const slug = slugifyFacilityName(record.name);
+
+                let best = null;
+                let bestDistance = FACILITY_RELINK_DISTANCE;
+                features.forEach(feature => {
+                    const candidateId = feature.properties.facility_id;
+                    if (records[candidateId] || slugifyFacilityName(feature.properties.facility_name) !== slug) return;
+                    const [candidateLng, candidateLat] = feature.geometry.coordinates;
+                    const distance = calculateDistance(lat, lng, candidateLat, candidateLng);
+                    if (distance <= bestDistance) {
+                        best = feature;
+                        bestDistance = distance;
+                    }
+                });
+
+                if (best) {
+                    delete records[id];
+                    records[best.properties.facility_id] = {
+                        ...record,
+                        name: best.properties.facility_name || '',
+                        coordinates: best.geometry.coordinates.slice(0, 2)
+                    };
+                    moved++;
+                }
+            });
+
+            if (moved > 0) save();
+            return moved;
+        },
+
+        exportJson() {
+            return JSON.stringify({
+                format: PERSONAL_DATA_FORMAT,
+                version: PERSONAL_DATA_VERSION,
+                exported: new Date().toISOString(),
+                facilities: records
+            }, null, 2);
+        },
+
+        /**
+         * Merge an exported file into the store: a facility stays a favorite
+         * if either side has it starred, a note in the file replaces the one
+         * here, and the later view wins. Returns how many facilities the file
+         * had; throws an Error describing the first problem found.
+         */
+        importJson(text) {
+            const imported = parsePersonalData(text);
+            Object.entries(imported).forEach(([id, record]) => {
+                const existing = records[id] || {};
+                const viewedAt = [existing.viewedAt, record.viewedAt].filter(Boolean).sort().pop();
+                records[id] = {
+                    ...existing,
+                    ...record,
+                    favorite: Boolean(existing.favorite || record.favorite),
+                    note: record.note || existing.note || ''
+                };
+                if (viewedAt) records[id].viewedAt = viewedAt;
+            });
+            trimHistory();
+            save();
+            return Object.keys(imported).length;
+        }
+    };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function isEmptyRecord(record) {
+    return !record.favorite && !record.note && !record.viewedAt;
+}
+
+// Keeps records with a name and a position, and only the known fields
+function cleanRecords(facilities) {
+    const cleaned = {};
+    Object.entries(facilities).forEach(([id, record]) => {
+        if (!record || typeof record.name !== 'string') return;
+        const coordinates = Array.isArray(record.coordinates) ? record.coordinates.slice(0, 2).map(Number) : [];
+        if (coordinates.length !== 2 || !coordinates.every(Number.isFinite)) return;
+
+        const entry = {
+            name: record.name,
+            coordinates,
+            favorite: record.favorite === true,
+            note: typeof record.note === 'string' ? record.note.slice(0, NOTE_MAX_LENGTH) : ''
+        };
+        if (typeof record.viewedAt === 'string' && !Number.isNaN(Date.parse(record.viewedAt))) {
+            entry.viewedAt = record.viewedAt;
+        }
+        if (!isEmptyRecord(entry)) cleaned[id] = entry;
+    });
+    return cleaned;
+}
+
+function parsePersonalData(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    if (!json || json.format !== PERSONAL_DATA_FORMAT) {
+        throw new Error('Not an export of favorites and notes');
+    }
+    if (json.version > PERSONAL_DATA_VERSION) {
+        throw new Error(`Version ${json.version} is newer than this app supports`);
+    }
+    if (!json.facilities || typeof json.facilities !== 'object') {
+        throw new Error('No "facilities" found');
+    }
+    return cleanRecords(json.facilities);
+}
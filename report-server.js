@@ -0,0 +1,372 @@
+/*
+ * STATUS REPORT SERVER
+ * ====================
+ *
+ * A small backend for status reports from visitors: a restroom marked
+ * "Operational" in the dataset may be locked, dirty, out of soap or not
+ * accessible today. It uses only Node's standard library and also serves the
+ * app itself, so one command gives a complete local setup with no outside
+ * services:
+ *
+ *   node report-server.js                                # http://localhost:8080
+ *   PORT=3000 REPORTS_FILE=/tmp/reports.jsonl node report-server.js
+ *   ALLOWED_ORIGIN=http://localhost:5500 node report-server.js
+ *
+ * The API answers pages from its own origin. When the app is served from
+ * somewhere else (e.g. a separate static server during development), name
+ * that origin in ALLOWED_ORIGIN; posts from any other site are refused, so
+ * pages elsewhere can't file reports from a visitor's browser.
+ *
+ * Reports are appended to a JSON Lines file (data/reports.jsonl by default,
+ * one report per line), so they survive restarts and can be inspected or
+ * cleaned up with any text editor. Lines that can't be read are skipped.
+ *
+ * REST API, JSON in and out. Errors answer { "error": "<message>" }.
+ *
+ *   GET  /api/reports[?since=<ISO time>][&facility=<facility_id>]
+ *        Reports, newest first. `since` defaults to 24 hours ago and can go
+ *        back at most MAX_REPORT_AGE_DAYS; `facility` keeps one facility's.
+ *        200 { "reports": [report, ...] }
+ *        400 when `since` is not a date
+ *
+ *   POST /api/reports
+ *        Body { "facility_id", "facility_name"?, "type", "comment"? }, with
+ *        type one of "closed", "dirty", "no_soap", "inaccessible" (REPORT_TYPES
+ *        in status-reports.js, shared with the page), sent as application/json.
+ *        201 { "report": report }
+ *        400 invalid body, 403 from another site, 413 body over 10 KB,
+ *        415 not JSON, 429 too many reports
+ *
+ * A report is
+ *   { "id", "facility_id", "facility_name", "type", "comment", "created_at" }
+ * where facility_id is the ID the app derives from the facility's name and
+ * position (see assignFacilityIds in data-sources.js).
+ *
+ * Try it:
+ *   curl -X POST localhost:8080/api/reports -H 'Content-Type: application/json' \
+ *        -d '{"facility_id": "bryant-park@40.75404,-73.98270", "type": "no_soap"}'
+ *   curl 'localhost:8080/api/reports?facility=bryant-park@40.75404,-73.98270'
+ *
+ * Tests: node --test report-server.test.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { REPORT_TYPES, REPORT_COMMENT_MAX_LENGTH } = require('./status-reports.js');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const PORT = Number(process.env.PORT) || 8080;
+const APP_ROOT = __dirname;
+const REPORTS_FILE = process.env.REPORTS_FILE || path.join(APP_ROOT, 'data', 'reports.jsonl');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || null;
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_REPORT_AGE_DAYS = 30;
+const MAX_BODY_BYTES = 10 * 1024;
+const MAX_FACILITY_ID_LENGTH = 200;
+const REPORTS_PER_HOUR_PER_CLIENT = 30;   // from one address, to slow down spam
+const RATE_LIMIT_SWEEP_INTERVAL = 10 * 60 * 1000;  // ms between clean-ups of the rate limit
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.geojson': 'application/geo+json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Reports kept in memory and appended to `file` as they arrive.
+ * The file and its directory are created with the first report.
+ */
+function createReportStore(file) {
+    const reports = readReports(file);
+
+    return {
+        // Newest first
+        list({ since, facilityId = null }) {
+            return reports
+                .filter(report => report.created_at >= since)
+                .filter(report => !facilityId || report.facility_id === facilityId)
+                .sort((a, b) => b.created_at.localeCompare(a.created_at));
+        },
+
+        add(report) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.appendFileSync(file, `${JSON.stringify(report)}\n`);
+            reports.push(report);
+            return report;
+        }
+    };
+}
+
+function readReports(file) {
+    if (!fs.existsSync(file)) return [];
+
+    const reports = [];
+    fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            reports.push(JSON.parse(line));
+        } catch (error) {
+            console.warn(`Skipping unreadable line ${index + 1} of ${file}`);
+        }
+    });
+    console.log(`Loaded ${reports.length} reports from ${file}`);
+    return reports;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// A report from a request body, or { error } describing what is wrong
+function createReport(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Expected a JSON object' };
+    }
+    const facilityId = typeof body.facility_id === 'string' ? body.facility_id.trim() : '';
+    if (!facilityId || facilityId.length > MAX_FACILITY_ID_LENGTH) {
+        return { error: `facility_id must be a string of 1 to ${MAX_FACILITY_ID_LENGTH} characters` };
+    }
+    if (!REPORT_TYPES.includes(body.type)) {
+        return { error: `type must be one of ${REPORT_TYPES.join(', ')}` };
+    }
+    if (body.comment !== undefined && body.comment !== null && typeof body.comment !== 'string') {
+        return { error: 'comment must be a string' };
+    }
+
+    return {
+        report: {
+            id: crypto.randomUUID(),
+            facility_id: facilityId,
+            facility_name: typeof body.facility_name === 'string' ? body.facility_name.trim().slice(0, MAX_FACILITY_ID_LENGTH) : '',
+            type: body.type,
+            comment: (body.comment || '').trim().slice(0, REPORT_COMMENT_MAX_LENGTH),
+            created_at: new Date().toISOString()
+        }
+    };
+}
+
+// `since` as an ISO time within MAX_REPORT_AGE_DAYS, or null when unreadable
+function parseSince(value) {
+    const now = Date.now();
+    const oldest = now - MAX_REPORT_AGE_DAYS * 24 * 60 * 60 * 1000;
+    if (value === null) {
+        return new Date(now - DEFAULT_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+    }
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    return new Date(Math.max(time, oldest)).toISOString();
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function createReportServer({ reportsFile = REPORTS_FILE, allowedOrigin = ALLOWED_ORIGIN } = {}) {
+    const store = createReportStore(reportsFile);
+    const recentPosts = new Map();   // client address -> times of its reports in the last hour
+
+    function recentTimes(address) {
+        const hourAgo = Date.now() - 60 * 60 * 1000;
+        return (recentPosts.get(address) || []).filter(time => time > hourAgo);
+    }
+
+    function isRateLimited(address) {
+        const times = recentTimes(address);
+        if (times.length >= REPORTS_PER_HOUR_PER_CLIENT) {
+            recentPosts.set(address, times);
+            return true;
+        }
+        times.push(Date.now());
+        recentPosts.set(address, times);
+        return false;
+    }
+
+    // Forget addresses with no report in the last hour
+    function sweepRecentPosts() {
+        recentPosts.forEach((times, address) => {
+            const recent = recentTimes(address);
+            if (recent.length === 0) {
+                recentPosts.delete(address);
+            } else {
+                recentPosts.set(address, recent);
+            }
+        });
+    }
+
+    // Same-origin pages send no Origin on GET and their own origin on POST
+    function isAllowedOrigin(request) {
+        const origin = request.headers.origin;
+        if (!origin || origin === allowedOrigin) return true;
+        try {
+            return new URL(origin).host === request.headers.host;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function handleApi(request, response, url) {
+        const headers = request.headers.origin && allowedOrigin && request.headers.origin === allowedOrigin
+            ? corsHeaders(allowedOrigin)
+            : {};
+
+        if (request.method === 'OPTIONS') {
+            sendJson(response, 204, null, headers);
+        } else if (request.method === 'GET') {
+            const since = parseSince(url.searchParams.get('since'));
+            if (!since) {
+                sendJson(response, 400, { error: 'since must be an ISO date and time' }, headers);
+                return;
+            }
+            sendJson(response, 200, { reports: store.list({ since, facilityId: url.searchParams.get('facility') }) }, headers);
+        } else if (request.method === 'POST') {
+            // A form or no-cors fetch from another site skips the CORS
+            // preflight, so the origin and content type are checked here
+            if (!isAllowedOrigin(request)) {
+                sendJson(response, 403, { error: 'Reports are only accepted from the app' }, headers);
+                return;
+            }
+            if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+                sendJson(response, 415, { error: 'Expected Content-Type: application/json' }, headers);
+                return;
+            }
+            readJsonBody(request)
+                .then(body => {
+                    const { report, error } = createReport(body);
+                    if (error) {
+                        sendJson(response, 400, { error }, headers);
+                    } else if (isRateLimited(request.socket.remoteAddress)) {
+                        sendJson(response, 429, { error: 'Too many reports, please try again later' }, headers);
+                    } else {
+                        sendJson(response, 201, { report: store.add(report) }, headers);
+                        console.log(`Report: ${report.type} at ${report.facility_id}`);
+                    }
+                })
+                .catch(error => sendJson(response, error.status || 400, { error: error.message },
+                    error.status === 413 ? { ...headers, 'Connection': 'close' } : headers));
+        } else {
+            response.setHeader('Allow', 'GET, POST, OPTIONS');
+            sendJson(response, 405, { error: `${request.method} is not supported` }, headers);
+        }
+    }
+
+    const sweepTimer = setInterval(sweepRecentPosts, RATE_LIMIT_SWEEP_INTERVAL);
+    sweepTimer.unref();
+
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname === '/api/reports') {
+            handleApi(request, response, url);
+        } else if (url.pathname.startsWith('/api/')) {
+            sendJson(response, 404, { error: 'Not found' });
+        } else {
+            serveAppFile(url.pathname, request, response);
+        }
+    });
+    server.on('close', () => clearInterval(sweepTimer));
+    return server;
+}
+
+// Only for ALLOWED_ORIGIN; the app's own origin needs no CORS headers
+function corsHeaders(origin) {
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Vary': 'Origin'
+    };
+}
+
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(body === null ? undefined : JSON.stringify(body));
+}
+
+// Past MAX_BODY_BYTES the rest of the body is ignored; the 413 answer closes
+// the connection (destroying the request would lose the answer too)
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                chunks = [];
+                reject(Object.assign(new Error('Request body is too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+// Files of the app only: nothing outside its folder, no dotfiles, no reports
+function serveAppFile(pathname, request, response) {
+    let relativePath;
+    try {
+        relativePath = decodeURIComponent(pathname === '/' ? '/index.html' : pathname).replace(/^\/+/, '');
+    } catch (error) {
+        relativePath = '';
+    }
+    const filePath = path.resolve(APP_ROOT, relativePath);
+    const isHidden = relativePath.split('/').some(part => part.startsWith('.')) || relativePath.startsWith('data/');
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.writeHead(405, { 'Allow': 'GET, HEAD' });
+        response.end();
+        return;
+    }
+    if (!relativePath || isHidden || !filePath.startsWith(APP_ROOT + path.sep)
+            || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    if (request.method === 'HEAD') {
+        response.end();
+    } else {
+        fs.createReadStream(filePath).pipe(response);
+    }
+}
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+if (require.main === module) {
+    createReportServer().listen(PORT, () => {
+        console.log(`Restroom map and report API on http://localhost:${PORT}`);
+        console.log(`Reports are stored in ${REPORTS_FILE}`);
+        if (ALLOWED_ORIGIN) {
+            console.log(`Also accepting reports from pages on ${ALLOWED_ORIGIN}`);
+        }
+    });
+}
+
+module.exports = { createReportServer, createReport, REPORT_TYPES };
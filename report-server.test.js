@@ -0,0 +1,113 @@
+/*
+ * REPORT SERVER TESTS
+ * ===================
+ *
+ * Runs the report API on a free port with a temporary reports file:
+ *
+ *   node --test report-server.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReportServer } = require('./report-server.js');
+
+const FACILITY_ID = 'bryant-park@40.75404,-73.98270';
+
+// A server on its own temporary file; `request(path, options)` -> { status, body }
+function startServer(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'restroom-reports-'));
+    const reportsFile = options.reportsFile || path.join(dir, 'reports.jsonl');
+    const server = createReportServer({ reportsFile, allowedOrigin: options.allowedOrigin || null });
+
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve({
+            reportsFile,
+            request: (pathname, init) => fetch(baseUrl + pathname, init).then(response =>
+                response.text().then(text => ({
+                    status: response.status,
+                    headers: response.headers,
+                    body: text ? JSON.parse(text) : null
+                }))
+            )
+        });
+    }));
+}
+
+function postReport(request, report, headers = {}) {
+    return request('/api/reports', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(report)
+    });
+}
+
+test('a posted report is listed, newest first, and by facility', async (t) => {
+    const { request } = await startServer(t);
+
+    const first = await postReport(request, { facility_id: FACILITY_ID, type: 'no_soap', comment: '  empty  ' });
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.body.report.comment, 'empty');
+    await postReport(request, { facility_id: 'other@40.1,-73.9', type: 'dirty' });
+
+    const all = await request('/api/reports');
+    assert.strictEqual(all.status, 200);
+    assert.deepStrictEqual(all.body.reports.map(report => report.type), ['dirty', 'no_soap']);
+
+    const one = await request(`/api/reports?facility=${encodeURIComponent(FACILITY_ID)}`);
+    assert.deepStrictEqual(one.body.reports.map(report => report.id), [first.body.report.id]);
+});
+
+test('invalid reports and queries are rejected', async (t) => {
+    const { request } = await startServer(t);
+
+    assert.strictEqual((await postReport(request, { facility_id: FACILITY_ID, type: 'smelly' })).status, 400);
+    assert.strictEqual((await postReport(request, { type: 'closed' })).status, 400);
+    assert.strictEqual((await postReport(request, { facility_id: FACILITY_ID, type: 'closed', comment: 5 })).status, 400);
+    assert.strictEqual((await request('/api/reports', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' })).status, 400);
+    assert.strictEqual((await postReport(request, { facility_id: FACILITY_ID, type: 'closed', comment: 'x'.repeat(20000) })).status, 413);
+    assert.strictEqual((await request('/api/reports?since=yesterday')).status, 400);
+});
+
+test('posts from other sites and without a JSON content type are refused', async (t) => {
+    const { request } = await startServer(t, { allowedOrigin: 'http://localhost:5500' });
+    const report = { facility_id: FACILITY_ID, type: 'closed' };
+
+    const foreign = await postReport(request, report, { Origin: 'https://example.com' });
+    assert.strictEqual(foreign.status, 403);
+    assert.strictEqual(foreign.headers.get('access-control-allow-origin'), null);
+
+    const plain = await request('/api/reports', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: JSON.stringify(report) });
+    assert.strictEqual(plain.status, 415);
+
+    const allowed = await postReport(request, report, { Origin: 'http://localhost:5500' });
+    assert.strictEqual(allowed.status, 201);
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5500');
+});
+
+test('one address is limited to 30 reports an hour', async (t) => {
+    const { request } = await startServer(t);
+
+    for (let i = 0; i < 30; i++) {
+        assert.strictEqual((await postReport(request, { facility_id: FACILITY_ID, type: 'dirty' })).status, 201);
+    }
+    assert.strictEqual((await postReport(request, { facility_id: FACILITY_ID, type: 'dirty' })).status, 429);
+});
+
+test('reports are reloaded from the JSON Lines file, skipping broken lines', async (t) => {
+    const first = await startServer(t);
+    await postReport(first.request, { facility_id: FACILITY_ID, type: 'closed' });
+    fs.appendFileSync(first.reportsFile, 'not json\n');
+
+    const second = await startServer(t, { reportsFile: first.reportsFile });
+    const { body } = await second.request('/api/reports');
+    assert.deepStrictEqual(body.reports.map(report => report.type), ['closed']);
+});
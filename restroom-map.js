@@ -4,104 +4,333 @@
  * 
  * This script creates an interactive map displaying all public restroom facilities
  * across New York City. Features include:
- * - Real-time status filtering (Operational, Not Operational, Under Construction)
+ * - Real-time status filtering (Operational, Not Operational, Under Construction, Closed)
+ * - Normalization of inconsistent dataset values before filtering and styling
  * - Accessibility information and filtering
- * - Location type filtering (Parks, Libraries, Other facilities)
- * - Search functionality by facility name
- * - Geolocation support to find nearby facilities
- * - Detailed popup information for each facility
- * - Statistics panel showing current filter results
+ * - Location type, operator, restroom type, changing station and season
+ *   filters built from the loaded data, with multi-select and counts per option
+ * - Fuzzy, ranked search over names, operators, boroughs, types and notes,
+ *   with autocomplete that flies to the chosen facility
+ * - Neighborhood, landmark and intersection search through a pluggable
+ *   geocoder (offline gazetteer by default), listing the nearest restrooms
+ * - "Open now" / "Open at" filtering from parsed hours of operation
+ * - Geolocation support to rank the nearest facilities with walking estimates
+ * - Spatial index for nearest-neighbour, radius and coverage queries
+ * - Coverage ("danger zone") analysis in a Web Worker with progress and cancel,
+ *   computed from the filtered restrooms with an adjustable threshold and drawn
+ *   as distance-band polygons that can be downloaded as GeoJSON
+ * - Coverage clipped to land with bundled borough boundaries, plus a per-borough
+ *   summary of land within reach of an operational restroom
+ * - Clustered points with zoom-on-click, and location type / accessibility
+ *   icons at street level
+ * - Detailed popup information for each facility, built as DOM nodes so data
+ *   from any source shows as text; only http(s) links, and multi-line hours
+ *   and notes as lists
+ * - Shareable links: filters, viewport, heatmap and open popup live in the URL
+ * - Results list alongside the map (sortable, paged, in sync with the points)
+ *   showing the filtered counts
+ * - Installable and usable offline: a service worker caches the app, the data
+ *   and recently viewed map tiles, with a banner while the network is down
+ * - Pluggable data sources (bundled snapshot, NYC Open Data / SODA endpoint or
+ *   an uploaded file), with the last good dataset kept as a fallback and a
+ *   summary of facilities added, removed or changed since the previous load
+ * - Validation of every loaded dataset, with a data-quality panel; features
+ *   without a usable point in NYC are left off the map
+ * - Pluggable map renderer: MapLibre GL with a bundled OpenStreetMap style by
+ *   default (no account needed), or Mapbox GL with a verified access token
+ * - English, Korean and Spanish, switchable without reloading, with dataset
+ *   values, numbers, times and map labels in the chosen language, and every
+ *   distance (scale bar included) in imperial or metric units
+ * - Filter profiles (wheelchair user, changing station, all-gender single
+ *   stall...) applied in one step; users save their own in localStorage and
+ *   import or export them as JSON
+ * - Favorites, private notes and recently viewed facilities kept on the
+ *   device under stable facility IDs, with a favorites-only filter and
+ *   JSON export / import
+ * - Visitor status reports (closed, dirty, no soap, inaccessible) sent from
+ *   the popup to the bundled report server (report-server.js), shown as map
+ *   badges, with a filter hiding restrooms recently reported closed
+ * - Keyboard and screen-reader navigation: arrow keys move between nearby
+ *   restrooms on the map, filter results are announced, and the restrooms in
+ *   view are listed as text
+ * - Export of the filtered restrooms, everywhere, in the map view or inside
+ *   an area drawn on the map, as GeoJSON, CSV, KML or GPX, or printed as a
+ *   one-page list with a static map
  * 
  * DATA SOURCE: NYC Open Data - Public Restrooms
- * Map powered by Mapbox GL JS
+ * Map powered by MapLibre GL JS or Mapbox GL JS
  */
 
 // Main application function
 var restroomMapApp = function() {
   // ============================================================================
-  // TOKEN MANAGEMENT
+  // LANGUAGE AND UNITS
   // ============================================================================
-  const STORAGE_KEY = 'mapbox_access_token';
-  let userToken = localStorage.getItem(STORAGE_KEY);
-  
-  // Check if we have a stored token
-  if (userToken) {
-    // Hide token section and show map
-    document.getElementById('tokenSection').classList.add('hidden');
-    document.getElementById('mapSection').classList.remove('hidden');
-    initializeMap(userToken);
-  } else {
-    // Show token section and hide map
-    document.getElementById('tokenSection').classList.remove('hidden');
-    document.getElementById('mapSection').classList.add('hidden');
-    setupTokenInput();
-  }
+  translateDocument();
+  setupPreferences();
+
+  // ============================================================================
+  // OFFLINE SUPPORT
+  // ============================================================================
+  registerServiceWorker();
+  setupOfflineBanner();
+
+  // ============================================================================
+  // MAP RENDERER
+  // ============================================================================
+  // MapLibre needs no token, so the map opens straight away; Map Settings
+  // switches to Mapbox or to another style
+  setupMapSettings();
+  startMap(createRendererFromSettings(loadRendererSettings()));
 };
 
-// Setup token input handling
-function setupTokenInput() {
+// The language and units pickers. Everything the page has drawn listens for
+// "localechange" and redraws itself, so nothing is reloaded
+function setupPreferences() {
+  const languageSelect = document.getElementById('languageSelect');
+  const unitsSelect = document.getElementById('unitsSelect');
+  languageSelect.value = getLocale();
+  unitsSelect.value = getUnits();
+
+  languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+  unitsSelect.addEventListener('change', () => setUnits(unitsSelect.value));
+
+  window.addEventListener('localechange', () => {
+    translateDocument();
+    renderOfflineBanner();
+    renderMapSettingsError();
+  });
+}
+
+// Cache the app, its data and viewed map tiles (see service-worker.js).
+// Service workers need http(s); opened from file:// the app simply stays online-only
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('service-worker.js')
+      .catch(error => console.warn('Offline support unavailable:', error.message));
+  });
+}
+
+let offlineMessageKey = 'offline.message';
+
+function setupOfflineBanner() {
+  window.addEventListener('offline', () => showOfflineBanner());
+  window.addEventListener('online', hideOfflineBanner);
+  if (!navigator.onLine) {
+    showOfflineBanner();
+  }
+}
+
+function showOfflineBanner(messageKey = 'offline.message') {
+  offlineMessageKey = messageKey;
+  renderOfflineBanner();
+  document.getElementById('offlineBanner').classList.remove('hidden');
+}
+
+function renderOfflineBanner() {
+  document.getElementById('offlineBannerText').textContent = translate(offlineMessageKey);
+}
+
+function hideOfflineBanner() {
+  document.getElementById('offlineBanner').classList.add('hidden');
+}
+
+// Load the renderer's library and style, then build the map with them
+function startMap(renderer) {
+  console.log(`Starting the map with ${renderer.label}...`);
+  renderer.load()
+    .then(({ gl, style }) => initializeMap(gl, style, renderer, loadMapboxToken()))
+    .catch(error => {
+      console.error('Error loading the map:', error);
+      hideBrokenMap();
+      showMapSettings({ key: 'settings.error.loadFailed', params: { error: error.message } });
+    });
+}
+
+// The settings form: renderer, optional style URL and optional Mapbox token.
+// Saved settings take effect on reload; filters and view are kept in the URL
+function setupMapSettings() {
   const tokenInput = document.getElementById('mapboxToken');
+  const styleInput = document.getElementById('mapStyleUrl');
   const submitButton = document.getElementById('submitToken');
-  
-  // Handle token submission
+  const rendererInputs = document.querySelectorAll('input[name="mapRenderer"]');
+  const getRenderer = () => document.querySelector('input[name="mapRenderer"]:checked').value;
+
+  const settings = loadRendererSettings();
+  rendererInputs.forEach(input => {
+    input.checked = input.value === settings.renderer;
+  });
+  styleInput.value = settings.styleUrl || '';
+  tokenInput.value = loadMapboxToken() || '';
+
+  const updateFields = () => {
+    document.getElementById('mapStyleGroup').classList.toggle('hidden', getRenderer() !== 'maplibre');
+    tokenInput.placeholder = translate(getRenderer() === 'mapbox'
+      ? 'settings.token.placeholder'
+      : 'settings.token.optionalPlaceholder');
+  };
+  updateFields();
+  rendererInputs.forEach(input => input.addEventListener('change', updateFields));
+  window.addEventListener('localechange', updateFields);
+
   submitButton.addEventListener('click', function() {
+    const renderer = getRenderer();
     const token = tokenInput.value.trim();
-    
-    if (!token) {
-      alert('토큰을 입력해주세요!');
+    const styleUrl = styleInput.value.trim();
+    hideMapSettingsError();
+
+    if (renderer === 'mapbox' && !token) {
+      showMapSettingsError({ key: 'settings.error.needsToken' });
       tokenInput.focus();
       return;
     }
-    
-    if (!token.startsWith('pk.')) {
-      alert('유효한 Mapbox 토큰을 입력해주세요. 토큰은 "pk."로 시작해야 합니다.');
-      tokenInput.focus();
+
+    if (renderer === 'maplibre' && styleUrl && !isHttpUrl(styleUrl)) {
+      showMapSettingsError({ key: 'settings.error.styleUrl' });
+      styleInput.focus();
       return;
     }
-    
-    // Store token and initialize map
-    localStorage.setItem('mapbox_access_token', token);
-    
-    // Hide token section and show map with animation
-    document.getElementById('tokenSection').classList.add('hidden');
-    document.getElementById('mapSection').classList.remove('hidden');
-    
-    // Scroll to map section
-    setTimeout(() => {
-      document.getElementById('mapSection').scrollIntoView({ 
-        behavior: 'smooth', 
-        block: 'start' 
-      });
-    }, 100);
-    
-    initializeMap(token);
+
+    submitButton.disabled = true;
+    submitButton.textContent = translate('settings.checking');
+
+    const tokenCheck = token ? verifyMapboxToken(token) : Promise.resolve({ valid: true });
+    tokenCheck.then(result => {
+      if (!result.valid) {
+        submitButton.disabled = false;
+        submitButton.textContent = translate('settings.submit');
+        showMapSettingsError({ key: `token.error.${result.reason}` });
+        tokenInput.focus();
+        return;
+      }
+
+      if (!saveMapboxToken(token) || !saveRendererSettings({ renderer, styleUrl })) {
+        submitButton.disabled = false;
+        submitButton.textContent = translate('settings.submit');
+        showMapSettingsError({ key: 'settings.error.storage' });
+        return;
+      }
+      location.reload();
+    });
   });
-  
+
   // Handle Enter key
-  tokenInput.addEventListener('keypress', function(e) {
+  [tokenInput, styleInput].forEach(input => input.addEventListener('keypress', function(e) {
     if (e.key === 'Enter') {
       submitButton.click();
     }
+  }));
+
+  document.getElementById('closeMapSettings').addEventListener('click', () => {
+    document.getElementById('tokenSection').classList.add('hidden');
   });
-  
-  // Auto-focus on token input
+}
+
+// Relative URLs resolve against the page, e.g. a style next to the app
+function isHttpUrl(text) {
+  try {
+    return /^https?:$/.test(new URL(text, location.href).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Links from the data: only absolute http(s) addresses, otherwise null
+function getSafeExternalUrl(text) {
+  if (!text) return null;
+  try {
+    const url = new URL(String(text).trim());
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// An element with an optional class and text; text is never parsed as HTML
+function createTextElement(tag, className = null, text = null) {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== null) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+const DOWNLOAD_URL_LIFETIME = 60 * 1000; // ms a download's object URL stays valid
+
+// Save `text` as a file. The object URL is released a little later: revoking
+// it straight after the click can cancel the download in some browsers
+function downloadFile(name, mimeType, text) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), DOWNLOAD_URL_LIFETIME);
+}
+
+// Without a map there is nothing to go back to from the settings
+function hideBrokenMap() {
+  document.getElementById('mapSection').classList.add('hidden');
+  document.getElementById('closeMapSettings').classList.add('hidden');
+}
+
+// `error` is a message key with its params, e.g. { key: 'settings.error.styleUrl' },
+// so the message can be shown again in another language
+function showMapSettings(error = null) {
+  const section = document.getElementById('tokenSection');
+  section.classList.remove('hidden');
+  if (error) {
+    showMapSettingsError(error);
+  } else {
+    hideMapSettingsError();
+  }
+
   setTimeout(() => {
-    tokenInput.focus();
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }, 100);
 }
 
-// Initialize map with provided token
-function initializeMap(token) {
+let mapSettingsError = null;
+
+function showMapSettingsError(error) {
+  mapSettingsError = error;
+  renderMapSettingsError();
+  document.getElementById('mapSettingsError').classList.remove('hidden');
+}
+
+function renderMapSettingsError() {
+  if (!mapSettingsError) return;
+  document.getElementById('mapSettingsError').textContent =
+    translate(mapSettingsError.key, mapSettingsError.params);
+}
+
+function hideMapSettingsError() {
+  mapSettingsError = null;
+  document.getElementById('mapSettingsError').classList.add('hidden');
+}
+
+// Build the map with a renderer's library (`gl`, the mapboxgl or maplibregl
+// namespace) and style. `mapboxToken` is optional and enables the Mapbox
+// routing and geocoding backends
+function initializeMap(gl, style, renderer, mapboxToken) {
   // ============================================================================
-  // MAPBOX CONFIGURATION
+  // MAP CONFIGURATION
   // ============================================================================
-  mapboxgl.accessToken = token;
 
-  const map = new mapboxgl.Map({
+  // A shared link can carry its own viewport
+  const initialView = decodeAppState(window.location.hash, {}).view;
+
+  const map = new gl.Map({
       container: 'mapbox-container-restrooms',
-      style: 'mapbox://styles/mapbox/streets-v12', // Using streets style for better navigation
-      center: [-73.935242, 40.730610], // NYC center
-      zoom: 11,
+      style: style,
+      center: initialView ? initialView.center : [-73.935242, 40.730610], // NYC center
+      zoom: initialView ? initialView.zoom : 11,
       pitch: 0,
       bearing: 0
   });
@@ -110,30 +339,129 @@ function initializeMap(token) {
   // GLOBAL VARIABLES
   // ============================================================================
   let allRestroomData = null;
-  let currentFilters = {
-      search: '',
-      status: 'all',
-      accessibility: 'all',
-      locationType: 'all'
+
+  // Categorical filters whose options are built from the loaded data.
+  // An empty selection means "all".
+  const CATEGORY_FILTERS = [
+      { key: 'status', property: 'status', elementId: 'statusFilter', allKey: 'filter.all.status' },
+      { key: 'accessibility', property: 'accessibility', elementId: 'accessibilityFilter', allKey: 'filter.all.accessibility' },
+      { key: 'locationType', property: 'location_type', elementId: 'locationTypeFilter', allKey: 'filter.all.locationType' },
+      { key: 'operator', property: 'operator', elementId: 'operatorFilter', allKey: 'filter.all.operator' },
+      { key: 'restroomType', property: 'restroom_type', elementId: 'restroomTypeFilter', allKey: 'filter.all.restroomType' },
+      { key: 'changingStations', property: 'changing_stations', elementId: 'changingStationsFilter', allKey: 'filter.all.changingStations' },
+      { key: 'season', property: 'open', elementId: 'seasonFilter', allKey: 'filter.all.season' }
+  ];
+
+  function createDefaultFilters() {
+      const filters = {
+          search: '',
+          openTime: 'any',          // 'any' | 'now' | 'at'
+          openAt: '12:00',          // HH:MM used when openTime is 'at'
+          openDay: 'today',         // 'today' | '0'..'6' (0 = Sunday) for openAt
+          includeUnknownHours: true,
+          favoritesOnly: false,
+          hideReportedClosed: false
+      };
+      CATEGORY_FILTERS.forEach(filter => {
+          filters[filter.key] = [];
+      });
+      return filters;
+  }
+
+  let currentFilters = createDefaultFilters();
+  let userLocation = null;        // [lng, lat] once the user has shared it
+  let userMarker = null;
+  let currentFilteredFeatures = [];
+  let currentPopup = null;
+  let selectedFacilityKey = null; // facility whose popup is open, for the URL
+
+  // Routing backends for the nearest-restroom list; offline estimators first
+  const NEAREST_RESULT_COUNT = 5;
+  const routers = {
+      manhattan: createManhattanGridRouter(),
+      straight: createStraightLineRouter()
+  };
+  if (mapboxToken) {
+      routers.mapbox = createMapboxDirectionsRouter(mapboxToken);
+  }
+  let activeRouter = routers.manhattan;
+
+  // Geocoders for place search in the search box; the offline gazetteer first
+  const geocoders = {
+      gazetteer: createGazetteerGeocoder()
   };
-  let userLocation = null;
+  if (mapboxToken) {
+      geocoders.mapbox = createMapboxGeocoder(mapboxToken);
+  }
+  let activeGeocoder = geocoders.gazetteer;
+  const PLACE_SUGGESTION_COUNT = 3;
+  let placeSuggestions = [];
+  let searchedPlace = null;       // { name, center, ... } picked from the place suggestions
+  let placeMarker = null;
+  let geocodeRequestId = 0;
   let isHeatmapVisible = false;
-  let heatmapData = null;
+  let coverageResult = null;      // { grid fields..., bands: GeoJSON, summary }
+  let landBoundaries = null;      // borough polygons, null if they failed to load
+  let coverageReadout = null;     // popup following the cursor over the bands
+  let restroomIndex = null;       // spatial index over every facility
+  let filteredIndex = null;       // spatial index over the facilities passing the filters
+  const COVERAGE_GRID_SIZE = 200; // cells per side of the coverage grid
+  const CLUSTER_MAX_ZOOM = 14;    // individual points (and their icons) from zoom 15
+  const RESULTS_PAGE_SIZE = 25;
+  let resultsSort = 'relevance';
+  let resultsPage = 0;
+  let sortedResults = [];         // [{ feature, distance }] in list order
+  let searchIndex = null;
+  let searchScores = null;        // properties -> rank score while searching, else null
+  const SEARCH_SUGGESTION_COUNT = 8;
+  let activeSuggestion = -1;
+  const FACILITY_ICON_PREFIX = 'facility-icon-';
+  const REPORT_BADGE_PREFIX = 'report-badge-';
+  const REPORT_REFRESH_INTERVAL = 5 * 60 * 1000; // ms between fetches of visitor reports
+  const REPORT_COMMENTS_SHOWN = 3; // latest visitor comments in a popup
+  const NEARBY_RADIUS_METERS = 500;
+  let normalizationReport = null;
+  let dataQualityReport = null;   // validateRestroomData() result for the dataset shown
+  let dataSourceStatus = null;    // { describe, isError } for the line under the data source
+  let datasetChanges = null;      // { previous, changes } while the changes panel is open
+  let savedFilterProfiles = loadFilterProfiles(); // the user's own filter profiles
+  const personalStore = createPersonalStore();    // favorites, notes and history
+  const reportClient = createReportClient();
+  let recentReports = [];         // visitor reports from the last REPORT_WINDOW_HOURS
+  let reportSummaries = new Map(); // facility_id -> summarizeReports() entry
+  let activeDataSource = createDataSourceFromSettings(loadDataSourceSettings());
+  const DATASET_CHANGE_LIST_LIMIT = 50; // facilities listed per kind of change or issue
+  const scheduleCache = new Map(); // raw hours text -> parsed schedule
+  const VISIBLE_FACILITY_LIMIT = 50;    // rows in the text alternative to the map
+  const DIRECTION_CANDIDATE_COUNT = 40; // neighbours considered for an arrow-key move
+  const ARROW_KEY_ANGLES = { ArrowRight: 0, ArrowUp: 90, ArrowLeft: 180, ArrowDown: 270 };
+  const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'range', 'color'];
+  const RESULTS_ANNOUNCEMENT_DELAY = 1000; // ms of quiet before the match count is read out
+  let resultsAnnouncementTimer = null;
+  const SEARCH_FILTER_DELAY = 250; // ms of quiet in the search box before filtering
+  let searchFilterTimer = null;
+  let announcedResultCount = null;
+  let exportArea = null;          // closed ring [[lng, lat], ...] drawn on the map for exports
+  let drawingVertices = null;     // corners placed so far while drawing an area, else null
+  const PRINT_LIST_LIMIT = 30;    // restrooms listed on the printed page
+  const PRINT_MAP_SIZE = { width: 640, height: 340 };
+  const PRINT_MAP_MIN_SPAN = 0.01; // degrees shown around a single restroom
 
   // ============================================================================
   // MAP SETUP AND CONTROLS
   // ============================================================================
-  map.addControl(new mapboxgl.NavigationControl(), 'top-right');
-  map.addControl(new mapboxgl.FullscreenControl(), 'top-right');
-  map.addControl(new mapboxgl.ScaleControl({
+  map.addControl(new gl.NavigationControl(), 'top-right');
+  map.addControl(new gl.FullscreenControl(), 'top-right');
+  const scaleControl = new gl.ScaleControl({
       maxWidth: 80,
-      unit: 'imperial'
-  }), 'bottom-left');
+      unit: getUnits()
+  });
+  map.addControl(scaleControl, 'bottom-left');
 
   // ============================================================================
   // GEOLOCATION CONTROL
   // ============================================================================
-  const geolocateControl = new mapboxgl.GeolocateControl({
+  const geolocateControl = new gl.GeolocateControl({
       positionOptions: {
           enableHighAccuracy: true
       },
@@ -145,64 +473,550 @@ function initializeMap(token) {
   // ============================================================================
   // MAP LOAD EVENT
   // ============================================================================
+  let isMapLoaded = false;
+
   map.on('load', () => {
       console.log('Map loaded successfully!');
+      isMapLoaded = true;
+      renderer.localizeLabels(map, getLocale());
+      setupDataSourceControls();
       loadRestroomData();
-      addTokenControls(); // Add token management controls
+      addMapSettingsControl();
+  });
+
+  // A rejected token stops the map from ever loading; later errors (a tile
+  // that failed, say) only go to the console
+  map.on('error', (e) => {
+      console.error('Map error:', e.error);
+      const status = e.error && e.error.status;
+      if (!isMapLoaded && (status === 401 || status === 403)) {
+          hideBrokenMap();
+          showMapSettings({ key: 'settings.error.refused', params: { renderer: renderer.label, status: String(status) } });
+      }
   });
 
+  // Mapbox Directions needs a token
+  const mapboxRouteOption = document.querySelector('#routingMode option[value="mapbox"]');
+  mapboxRouteOption.disabled = !routers.mapbox;
+  if (!routers.mapbox) {
+      mapboxRouteOption.dataset.i18n = 'nearest.route.mapboxNeedsToken';
+      mapboxRouteOption.textContent = translate('nearest.route.mapboxNeedsToken');
+  }
+
   // ============================================================================
   // DATA LOADING FUNCTION
   // ============================================================================
+  let isRetryPending = false;     // a reload waits for the connection to return
+
+  function retryWhenOnline() {
+      isRetryPending = false;
+      loadRestroomData();
+  }
+
   function loadRestroomData() {
-      console.log('Loading public restroom data...');
+      const source = activeDataSource;
+      console.log(`Loading public restroom data from ${source.label}...`);
+      setDataSourceStatus(() => translate('dataSource.loading', { source: describeSource(source) }));
+      document.getElementById('loadDataSource').disabled = true;
+
+      // Boundaries are loaded once; loading another source only replaces the restrooms
+      const landRequest = landBoundaries ? Promise.resolve(landBoundaries) : loadLandBoundaries();
+      const previous = loadDatasetCache();
       
-      fetch('Public Restrooms_20250720.geojson')
-          .then(response => {
-              if (!response.ok) {
-                  throw new Error(`HTTP error! status: ${response.status}`);
-              }
-              return response.json();
-          })
+      source.load()
+          // Boundaries must be in place before a shared link can start the analysis
+          .then(data => landRequest.then(land => {
+              landBoundaries = land;
+              return data;
+          }))
           .then(data => {
               console.log('Restroom data loaded successfully!');
               console.log(`Total facilities: ${data.features.length}`);
-              
-              allRestroomData = data;
-              setupMapLayers(data);
-              setupEventListeners();
-              
-              // Auto-fit map to data
-              fitMapToData();
+
+              // Nothing to show must not replace the last good dataset
+              const report = validateRestroomData(data);
+              if (report.features.length === 0) {
+                  throw new Error('The dataset has no restrooms that can be shown');
+              }
+
+              // Saved as published; normalization below rewrites values in place
+              const savedAt = saveDatasetCache(data, source) || new Date().toISOString();
+              if (source.id !== 'upload') {
+                  saveDataSourceSettings({ type: source.id, endpoint: source.endpoint });
+              }
+
+              showDataset(data, report);
+              const count = data.features.length;
+              setDataSourceStatus(() => translate('dataSource.loaded', {
+                  count, source: describeSource(source), time: formatDateTime(savedAt)
+              }));
+              compareWithPreviousDataset(previous);
               
               console.log('Map initialization complete!');
           })
           .catch(error => {
               console.error('Error loading restroom data:', error);
-              showErrorMessage(error);
+              if (error.isNetworkFailure && !isRetryPending) {
+                  // Try again as soon as the connection is back, once however
+                  // often loading failed meanwhile
+                  isRetryPending = true;
+                  window.addEventListener('online', retryWhenOnline, { once: true });
+              }
+
+              const failure = { source: describeSource(source), error: error.message };
+              if (allRestroomData) {
+                  // Keep what is already on the map
+                  setDataSourceStatus(() => translate('dataSource.keptPrevious', failure), true);
+              } else if (previous) {
+                  // Start from the last dataset that loaded
+                  return landRequest.then(land => {
+                      landBoundaries = land;
+                      showDataset(previous.data);
+                      const count = previous.data.features.length;
+                      setDataSourceStatus(() => translate('dataSource.showingSaved', {
+                          source: describeSource(source),
+                          error: error.message,
+                          count,
+                          savedSource: describeSource(previous.source),
+                          time: formatDateTime(previous.savedAt)
+                      }), true);
+                      if (error.isNetworkFailure) {
+                          showOfflineBanner();
+                      }
+                  });
+              } else if (error.isNetworkFailure) {
+                  showOfflineBanner('offline.noData');
+                  setDataSourceStatus(() => translate('dataSource.failed', failure), true);
+              } else {
+                  setDataSourceStatus(() => translate('dataSource.failed', failure), true);
+                  showErrorMessage(error);
+              }
+          })
+          .then(() => {
+              document.getElementById('loadDataSource').disabled = false;
+          });
+  }
+
+  // Index and draw a dataset: the first one sets up the map, later ones
+  // replace the data behind the current filters
+  function showDataset(data, report = validateRestroomData(data)) {
+      // Leave out features that can't be drawn, then map raw categorical values
+      // to canonical ones, before anything reads them
+      dataQualityReport = report;
+      data.features = dataQualityReport.features;
+      if (dataQualityReport.issues.length > 0) {
+          console.warn(`Data quality: ${dataQualityReport.excluded} left off the map, ` +
+              `${dataQualityReport.issues.length - dataQualityReport.excluded} warning(s) (see getDataQualityReport())`);
+      }
+      renderDataQuality();
+
+      normalizationReport = normalizeRestroomData(data);
+      logNormalizationReport(normalizationReport);
+      assignFacilityIds(data.features);
+      const relinked = personalStore.relink(data.features);
+      if (relinked > 0) {
+          console.log(`${relinked} favorites or notes followed a facility that moved`);
+      }
+      
+      allRestroomData = data;
+      restroomIndex = createSpatialIndex(data.features);
+      searchIndex = createFacilitySearchIndex(data.features);
+
+      const errorMessage = document.getElementById('dataErrorMessage');
+      if (errorMessage) {
+          errorMessage.remove();
+      }
+
+      if (!map.getSource('restrooms')) {
+          setupMapLayers(data);
+          buildFilterOptions();
+          setupEventListeners();
+          
+          // Restore a shared link, otherwise start from the whole city
+          restoreStateFromUrl();
+          if (!initialView) {
+              fitMapToData();
+          }
+          renderPersonalPanel();
+          loadStatusReports();
+          return;
+      }
+
+      // Selected options missing from the new data have no checkbox left to clear
+      buildFilterOptions();
+      CATEGORY_FILTERS.forEach(filter => {
+          currentFilters[filter.key] = getMultiSelectValues(filter);
+      });
+      if (currentPopup && !findFeatureByKey(selectedFacilityKey)) {
+          currentPopup.remove();
+      }
+      applyFilters();
+      renderPersonalPanel();
+  }
+
+  // The dataset has no borough column; names come from the bundled boundaries
+  function createFacilitySearchIndex(features) {
+      const boroughAt = landBoundaries ? createBoroughLookup(landBoundaries) : null;
+
+      return createSearchIndex(features, feature => {
+          const [lng, lat] = feature.geometry.coordinates;
+          const borough = boroughAt ? boroughAt(lng, lat) : NOT_ON_LAND;
+          return {
+              ...feature.properties,
+              borough: borough === NOT_ON_LAND ? '' : landBoundaries.features[borough].properties.boro_name
+          };
+      });
+  }
+
+  // Optional: without borough boundaries the coverage analysis is not clipped
+  // to land and has no per-borough summary
+  function loadLandBoundaries() {
+      return fetch(LAND_BOUNDARIES_URL)
+          .then(response => {
+              if (!response.ok) {
+                  throw new Error(`HTTP error! status: ${response.status}`);
+              }
+              return response.json();
+          })
+          .catch(error => {
+              console.warn('Borough boundaries unavailable, coverage will not be clipped to land:', error.message);
+              return null;
+          });
+  }
+
+  // ============================================================================
+  // DATA SOURCES
+  // ============================================================================
+  function setupDataSourceControls() {
+      const typeSelect = document.getElementById('dataSourceType');
+      const endpointInput = document.getElementById('sodaEndpoint');
+      const fileInput = document.getElementById('dataSourceFile');
+
+      typeSelect.value = activeDataSource.id;
+      endpointInput.value = activeDataSource.endpoint || DEFAULT_SODA_ENDPOINT;
+
+      const showSourceInputs = () => {
+          endpointInput.classList.toggle('hidden', typeSelect.value !== 'soda');
+          fileInput.classList.toggle('hidden', typeSelect.value !== 'upload');
+      };
+      showSourceInputs();
+      typeSelect.addEventListener('change', showSourceInputs);
+
+      document.getElementById('loadDataSource').addEventListener('click', loadSelectedDataSource);
+      document.getElementById('dismissDatasetChanges').addEventListener('click', () => {
+          datasetChanges = null;
+          renderDatasetChanges();
+      });
+  }
+
+  function loadSelectedDataSource() {
+      const type = document.getElementById('dataSourceType').value;
+      let source = null;
+
+      if (type === 'soda') {
+          const endpoint = document.getElementById('sodaEndpoint').value.trim();
+          try {
+              source = endpoint ? createSodaSource(endpoint) : null;
+          } catch (error) {
+              source = null;
+          }
+          if (!source) {
+              alert(translate('dataSource.invalidEndpoint'));
+              return;
+          }
+      } else if (type === 'upload') {
+          const file = document.getElementById('dataSourceFile').files[0];
+          if (!file) {
+              alert(translate('dataSource.chooseFile'));
+              return;
+          }
+          source = createUploadedFileSource(file);
+      } else {
+          source = createLocalFileSource();
+      }
+
+      activeDataSource = source;
+      loadRestroomData();
+  }
+
+  // `describe` builds the message, so it can be rebuilt in another language
+  function setDataSourceStatus(describe, isError = false) {
+      dataSourceStatus = { describe, isError };
+      renderDataSourceStatus();
+  }
+
+  function renderDataSourceStatus() {
+      const status = document.getElementById('dataSourceStatus');
+      if (!dataSourceStatus) return;
+      status.textContent = dataSourceStatus.describe();
+      status.classList.toggle('is-error', dataSourceStatus.isError);
+  }
+
+  // A data source ({ id, detail }, or a cached copy of one) by name.
+  // Datasets cached before sources had a detail only kept their English label
+  function describeSource(source) {
+      if (source.detail === undefined) return source.label;
+      return translate(`dataSource.name.${source.id}`, { detail: source.detail });
+  }
+
+  // Facilities added, removed or with a new status since the last load
+  function compareWithPreviousDataset(previous) {
+      if (!previous) {
+          datasetChanges = null;
+          renderDatasetChanges();
+          return;
+      }
+
+      previous.data.features = validateRestroomData(previous.data).features;
+      normalizeRestroomData(previous.data);
+      assignFacilityIds(previous.data.features);
+      const changes = diffDatasets(previous.data, allRestroomData);
+
+      console.log(`Since the last load: ${changes.added.length} added, ${changes.removed.length} removed, ` +
+          `${changes.statusChanged.length} changed status, ${changes.detailsChanged.length} renamed or moved`);
+      const hasChanges = changes.added.length + changes.removed.length +
+          changes.statusChanged.length + changes.detailsChanged.length > 0;
+      datasetChanges = hasChanges ? { previous, changes } : null;
+      renderDatasetChanges();
+  }
+
+  function renderDatasetChanges() {
+      const panel = document.getElementById('datasetChanges');
+      if (!datasetChanges) {
+          panel.classList.add('hidden');
+          return;
+      }
+
+      const { previous, changes } = datasetChanges;
+      const facilityName = feature => feature.properties.facility_name || translate('popup.unnamed');
+      const groups = [
+          { title: translate('changes.added'), items: changes.added.map(feature => ({ feature, text: facilityName(feature) })) },
+          // Removed facilities are no longer on the map
+          { title: translate('changes.removed'), items: changes.removed.map(feature => ({ feature: null, text: facilityName(feature) })) },
+          {
+              title: translate('changes.statusChanged'),
+              items: changes.statusChanged.map(change => ({
+                  feature: change.feature,
+                  text: translate('changes.status', {
+                      name: facilityName(change.feature),
+                      from: translateValue('status', change.from),
+                      to: translateValue('status', change.to)
+                  })
+              }))
+          },
+          {
+              title: translate('changes.detailsChanged'),
+              items: changes.detailsChanged.map(change => ({
+                  feature: change.feature,
+                  text: describeDetailsChange(change)
+              }))
+          }
+      ];
+
+      document.getElementById('datasetChangesSummary').textContent = translate('changes.summary', {
+          time: formatDateTime(previous.savedAt),
+          source: describeSource(previous.source),
+          added: changes.added.length,
+          removed: changes.removed.length,
+          changed: changes.statusChanged.length,
+          updated: changes.detailsChanged.length
+      });
+
+      renderFacilityGroups(document.getElementById('datasetChangesLists'), groups);
+      panel.classList.remove('hidden');
+  }
+
+  // "Old name → New name", or how far a facility of the same name moved
+  function describeDetailsChange({ feature, previous }) {
+      const name = feature.properties.facility_name || translate('popup.unnamed');
+      const previousName = previous.properties.facility_name || translate('popup.unnamed');
+      if (previousName !== name) {
+          return translate('changes.renamed', { from: previousName, to: name });
+      }
+      const [lng, lat] = feature.geometry.coordinates;
+      const [previousLng, previousLat] = previous.geometry.coordinates;
+      return translate('changes.moved', { name, distance: formatDistance(calculateDistance(previousLat, previousLng, lat, lng)) });
+  }
+
+  // Problems found by the validator; errors were left off the map
+  function renderDataQuality() {
+      const panel = document.getElementById('dataQuality');
+      const groups = groupValidationIssues(dataQualityReport.issues);
+      const warningCount = dataQualityReport.issues.length - dataQualityReport.excluded;
+
+      if (groups.length === 0) {
+          panel.classList.add('hidden');
+          return;
+      }
+
+      document.getElementById('dataQualitySummary').textContent = translate('quality.summary', {
+          excluded: dataQualityReport.excluded,
+          warnings: translate('quality.warnings', { count: warningCount })
+      });
+
+      renderFacilityGroups(document.getElementById('dataQualityLists'), groups.map(group => {
+          const label = translate(`validation.${group.type}`);
+          return {
+              title: group.severity === 'error' ? translate('quality.notShown', { label }) : label,
+              className: `is-${group.severity}`,
+              // Excluded features are not on the map to show
+              items: group.issues.map(issue => ({
+                  feature: group.severity === 'error' ? null : issue.feature,
+                  text: describeValidationIssue(issue)
+              }))
+          };
+      }));
+
+      panel.classList.remove('hidden');
+  }
+
+  // The validator reports facts; the sentence is written here, in the current language.
+  // Coordinates are shown as published rather than as localized numbers
+  function describeValidationIssue(issue) {
+      const details = issue.details;
+      const position = String(issue.index + 1);
+      const name = details.name || translate('validation.unnamed', { position });
+      const fieldName = field => translate(`field.${field}`);
+
+      switch (issue.type) {
+          case 'invalid-feature':
+              return translate('validation.message.invalid-feature', { position });
+          case 'outside-nyc':
+              return translate(details.swapped ? 'validation.message.swapped' : 'validation.message.outside-nyc', {
+                  name, lat: String(details.lat), lng: String(details.lng)
+              });
+          case 'missing-field':
+              return translate('validation.message.missing-field', { name, field: fieldName(details.field) });
+          case 'unknown-value':
+              return translate('validation.message.unknown-value', {
+                  name, field: fieldName(details.field), value: String(details.value)
+              });
+          case 'coordinate-mismatch':
+              return translate('validation.message.coordinate-mismatch', {
+                  name,
+                  mismatches: formatList(details.mismatches.map(mismatch => translate(
+                      mismatch.expected === null ? 'validation.message.not-a-number' : 'validation.message.differs',
+                      { field: fieldName(mismatch.field), value: String(mismatch.value), expected: String(mismatch.expected) }
+                  )))
+              });
+          default:
+              // bad-geometry, duplicate, possible-duplicate
+              return translate(`validation.message.${issue.type}`, { name, count: details.count });
+      }
+  }
+
+  // Collapsible lists of facilities; items with a feature open it on the map
+  function renderFacilityGroups(container, groups) {
+      container.innerHTML = '';
+      groups.filter(group => group.items.length > 0).forEach(group => {
+          const details = document.createElement('details');
+          if (group.className) {
+              details.className = group.className;
+          }
+          const summary = document.createElement('summary');
+          summary.textContent = translate('changes.group', { title: group.title, count: group.items.length });
+
+          const list = document.createElement('ul');
+          list.className = 'dataset-change-list';
+          group.items.slice(0, DATASET_CHANGE_LIST_LIMIT).forEach(item => {
+              const li = document.createElement('li');
+              if (item.feature) {
+                  const link = document.createElement('button');
+                  link.type = 'button';
+                  link.className = 'dataset-change-link';
+                  link.textContent = item.text;
+                  link.addEventListener('click', () => selectResult({ feature: item.feature }));
+                  li.appendChild(link);
+              } else {
+                  li.textContent = item.text;
+              }
+              list.appendChild(li);
           });
+          if (group.items.length > DATASET_CHANGE_LIST_LIMIT) {
+              const more = document.createElement('li');
+              more.className = 'dataset-change-more';
+              more.textContent = translate('changes.more', { count: group.items.length - DATASET_CHANGE_LIST_LIMIT });
+              list.appendChild(more);
+          }
+
+          details.append(summary, list);
+          container.appendChild(details);
+      });
   }
 
   // ============================================================================
   // MAP LAYERS SETUP
   // ============================================================================
   function setupMapLayers(data) {
-      // Add data source
+      // Add data source; nearby points merge into clusters until CLUSTER_MAX_ZOOM
       map.addSource('restrooms', {
           'type': 'geojson',
-          'data': data
+          'data': data,
+          'cluster': true,
+          'clusterMaxZoom': CLUSTER_MAX_ZOOM,
+          'clusterRadius': 50,
+          'clusterProperties': {
+              // Number of operational restrooms in each cluster
+              'operational': ['+', ['case', ['==', ['get', 'status'], 'Operational'], 1, 0]]
+          }
+      });
+
+      // Cluster bubbles, green when most restrooms in them are operational
+      map.addLayer({
+          'id': 'restroom-clusters',
+          'type': 'circle',
+          'source': 'restrooms',
+          'filter': ['has', 'point_count'],
+          'paint': {
+              'circle-color': [
+                  'interpolate',
+                  ['linear'],
+                  ['/', ['get', 'operational'], ['get', 'point_count']],
+                  0, '#ef4444',   // none operational
+                  0.5, '#f59e0b', // half
+                  1, '#22c55e'    // all operational
+              ],
+              'circle-radius': [
+                  'step',
+                  ['get', 'point_count'],
+                  14,
+                  10, 18,
+                  50, 24,
+                  100, 30
+              ],
+              'circle-stroke-color': '#ffffff',
+              'circle-stroke-width': 2,
+              'circle-opacity': 0.85
+          }
+      });
+
+      map.addLayer({
+          'id': 'restroom-cluster-count',
+          'type': 'symbol',
+          'source': 'restrooms',
+          'filter': ['has', 'point_count'],
+          'layout': {
+              'text-field': ['get', 'point_count_abbreviated'],
+              'text-font': renderer.textFont,
+              'text-size': 12
+          },
+          'paint': {
+              'text-color': '#ffffff'
+          }
       });
 
-      // Add circle layer for restroom locations
+      // Add circle layer for individual restroom locations
       map.addLayer({
           'id': 'restroom-points',
           'type': 'circle',
           'source': 'restrooms',
+          'filter': ['!', ['has', 'point_count']],
           'paint': {
               'circle-radius': [
                   'case',
                   ['==', ['get', 'status'], 'Operational'], 8,
                   ['==', ['get', 'status'], 'Not Operational'], 6,
+                  ['==', ['get', 'status'], 'Closed'], 6,
                   5 // Default for other statuses
               ],
               'circle-color': [
@@ -210,6 +1024,7 @@ function initializeMap(token) {
                   ['==', ['get', 'status'], 'Operational'], '#22c55e', // Green for operational
                   ['==', ['get', 'status'], 'Not Operational'], '#ef4444', // Red for not operational
                   ['==', ['get', 'status'], 'Closed for Construction'], '#f59e0b', // Orange for construction
+                  ['==', ['get', 'status'], 'Closed'], '#991b1b', // Dark red for closed
                   '#6b7280' // Gray for unknown status
               ],
               'circle-stroke-color': '#ffffff',
@@ -218,111 +1033,351 @@ function initializeMap(token) {
           }
       });
 
-      // Add hover effects
-      map.on('mouseenter', 'restroom-points', () => {
-          map.getCanvas().style.cursor = 'pointer';
+      // Location type and accessibility badges once individual points are visible
+      map.addLayer({
+          'id': 'restroom-icons',
+          'type': 'symbol',
+          'source': 'restrooms',
+          'minzoom': CLUSTER_MAX_ZOOM + 1,
+          'filter': ['!', ['has', 'point_count']],
+          'layout': {
+              'icon-image': ['concat', FACILITY_ICON_PREFIX, ['get', 'location_type'], '|', ['get', 'accessibility']],
+              'icon-anchor': 'bottom',
+              'icon-offset': [0, -10]
+          }
       });
 
-      map.on('mouseleave', 'restroom-points', () => {
-          map.getCanvas().style.cursor = '';
+      // Recent visitor reports as a badge at the top right of the point
+      map.addSource('restroom-reports', {
+          'type': 'geojson',
+          'data': { 'type': 'FeatureCollection', 'features': [] }
       });
 
-      // Add click events for popups
-      map.on('click', 'restroom-points', (e) => {
-          const coordinates = e.features[0].geometry.coordinates.slice();
-          const props = e.features[0].properties;
-          
-          // Ensure popup appears even if map is zoomed out
-          while (Math.abs(e.lngLat.lng - coordinates[0]) > 180) {
-              coordinates[0] += e.lngLat.lng > coordinates[0] ? 360 : -360;
+      map.addLayer({
+          'id': 'restroom-report-badges',
+          'type': 'symbol',
+          'source': 'restroom-reports',
+          'minzoom': CLUSTER_MAX_ZOOM + 1,
+          'layout': {
+              'icon-image': ['concat', REPORT_BADGE_PREFIX, ['get', 'report_badge']],
+              'icon-anchor': 'bottom-left',
+              'icon-offset': [4, -4],
+              'icon-allow-overlap': true
           }
+      });
 
-          const popupContent = createPopupContent(props);
-          
-          new mapboxgl.Popup()
-              .setLngLat(coordinates)
-              .setHTML(popupContent)
-              .addTo(map);
+      // Ring around the facility hovered in the results list; its own source so
+      // it shows even while the point is inside a cluster
+      map.addSource('restroom-highlight', {
+          'type': 'geojson',
+          'data': { 'type': 'FeatureCollection', 'features': [] }
       });
-  }
 
-  // ============================================================================
-  // POPUP CONTENT CREATION
-  // ============================================================================
-  function createPopupContent(props) {
-      const statusColor = getStatusColor(props.status);
-      const accessibilityIcon = getAccessibilityIcon(props.accessibility);
-      const locationTypeIcon = getLocationTypeIcon(props.location_type);
-      
-      return `
-          <div class="restroom-popup">
-              <h3 style="margin: 0 0 10px 0; color: #333;">
-                  ${locationTypeIcon} ${props.facility_name || 'Public Restroom'}
-              </h3>
-              
-              <div class="popup-section">
-                  <strong>📍 Status:</strong> 
-                  <span style="color: ${statusColor}; font-weight: bold;">
-                      ${props.status || 'Unknown'}
-                  </span>
-              </div>
-              
-              ${props.accessibility ? `
-              <div class="popup-section">
-                  <strong>${accessibilityIcon} Accessibility:</strong> ${props.accessibility}
-              </div>` : ''}
-              
-              ${props.location_type ? `
-              <div class="popup-section">
-                  <strong>🏢 Location Type:</strong> ${props.location_type}
-              </div>` : ''}
-              
-              ${props.operator ? `
-              <div class="popup-section">
-                  <strong>🏛️ Operated by:</strong> ${props.operator}
-              </div>` : ''}
-              
-              ${props.hours_of_operation ? `
-              <div class="popup-section">
-                  <strong>🕐 Hours:</strong> ${props.hours_of_operation}
-              </div>` : ''}
-              
-              ${props.restroom_type ? `
-              <div class="popup-section">
-                  <strong>🚻 Type:</strong> ${props.restroom_type}
-              </div>` : ''}
-              
-              ${props.changing_stations && props.changing_stations !== 'null' ? `
-              <div class="popup-section">
-                  <strong>👶 Changing Stations:</strong> ${props.changing_stations}
-              </div>` : ''}
-              
-              ${props.website ? `
-              <div class="popup-section">
-                  <strong>🌐 Website:</strong> 
-                  <a href="${props.website}" target="_blank" style="color: #3b82f6;">Visit Site</a>
-              </div>` : ''}
-              
-              ${props.additional_notes ? `
-              <div class="popup-section">
-                  <strong>📝 Notes:</strong> ${props.additional_notes}
-              </div>` : ''}
+      map.addLayer({
+          'id': 'restroom-highlight',
+          'type': 'circle',
+          'source': 'restroom-highlight',
+          'paint': {
+              'circle-radius': 14,
+              'circle-color': 'rgba(59, 130, 246, 0.15)',
+              'circle-stroke-color': '#3b82f6',
+              'circle-stroke-width': 3
+          }
+      });
+
+      // Badge images are drawn on demand, the first time a combination shows up
+      map.on('styleimagemissing', (e) => {
+          if (e.id.startsWith(FACILITY_ICON_PREFIX)) {
+              addFacilityIconImage(e.id);
+          } else if (e.id.startsWith(REPORT_BADGE_PREFIX)) {
+              addReportBadgeImage(e.id);
+          }
+      });
+
+      // Add hover effects
+      ['restroom-clusters', 'restroom-points', 'restroom-icons', 'restroom-report-badges'].forEach(layerId => {
+          map.on('mouseenter', layerId, () => {
+              map.getCanvas().style.cursor = 'pointer';
+          });
+
+          map.on('mouseleave', layerId, () => {
+              map.getCanvas().style.cursor = drawingVertices ? 'crosshair' : '';
+          });
+      });
+
+      // Clicking a cluster zooms in until it breaks apart
+      map.on('click', 'restroom-clusters', (e) => {
+          if (drawingVertices) return;
+          const cluster = e.features[0];
+          renderer.getClusterExpansionZoom(map.getSource('restrooms'), cluster.properties.cluster_id)
+              .then(zoom => map.easeTo({ center: cluster.geometry.coordinates, zoom }))
+              .catch(error => console.warn('Could not expand cluster:', error.message));
+      });
+
+      // Add click events for popups
+      ['restroom-points', 'restroom-icons', 'restroom-report-badges'].forEach(layerId => {
+          map.on('click', layerId, (e) => {
+              if (drawingVertices) return;
+              const coordinates = e.features[0].geometry.coordinates.slice();
+              const props = e.features[0].properties;
               
-              <div class="popup-section" style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #e5e7eb; font-size: 12px; color: #6b7280;">
-                  📍 Coordinates: ${props.latitude}, ${props.longitude}
-              </div>
-          </div>
-      `;
+              // Ensure popup appears even if map is zoomed out
+              while (Math.abs(e.lngLat.lng - coordinates[0]) > 180) {
+                  coordinates[0] += e.lngLat.lng > coordinates[0] ? 360 : -360;
+              }
+
+              showFacilityPopup(coordinates, props);
+          });
+      });
+  }
+
+  // Mapbox glyph fonts have no emoji, so each location type / accessibility
+  // pair is drawn onto a canvas with the same icons the popups use
+  function addFacilityIconImage(id) {
+      const [locationType, accessibility] = id.slice(FACILITY_ICON_PREFIX.length).split('|');
+      const pixelRatio = window.devicePixelRatio || 1;
+      const width = 44;
+      const height = 24;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width * pixelRatio;
+      canvas.height = height * pixelRatio;
+      const context = canvas.getContext('2d');
+      if (!context) return;
+      context.scale(pixelRatio, pixelRatio);
+
+      // White pill behind the two icons
+      const radius = height / 2;
+      context.beginPath();
+      context.arc(radius, radius, radius - 1, Math.PI / 2, Math.PI * 1.5);
+      context.arc(width - radius, radius, radius - 1, -Math.PI / 2, Math.PI / 2);
+      context.closePath();
+      context.fillStyle = 'rgba(255, 255, 255, 0.95)';
+      context.strokeStyle = '#d1d5db';
+      context.fill();
+      context.stroke();
+
+      context.font = '14px sans-serif';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(getLocationTypeIcon(locationType), width * 0.28, radius + 1);
+      context.fillText(getAccessibilityIcon(accessibility), width * 0.72, radius + 1);
+
+      map.addImage(id, context.getImageData(0, 0, canvas.width, canvas.height), { pixelRatio });
+  }
+
+  function showFacilityPopup(coordinates, props) {
+      if (currentPopup) {
+          currentPopup.remove();
+      }
+
+      const popup = new gl.Popup()
+          .setLngLat(coordinates)
+          .setDOMContent(createPopupContent(props))
+          .addTo(map);
+
+      popup.on('close', () => {
+          if (currentPopup === popup) {
+              currentPopup = null;
+              selectedFacilityKey = null;
+              markSelectedResult();
+              updateUrlState();
+          }
+      });
+
+      currentPopup = popup;
+      selectedFacilityKey = getFacilityKey(props);
+      const feature = findFeatureByKey(selectedFacilityKey);
+      if (feature) {
+          personalStore.recordView(feature);
+          renderPersonalPanel();
+      }
+      revealResult(selectedFacilityKey);
+      updateUrlState();
+  }
+
+  // Assigned on load from the facility's name and position (see assignFacilityIds)
+  function getFacilityKey(props) {
+      return props.facility_id;
+  }
+
+  // Links shared before facilities had IDs name them by "latitude,longitude"
+  function findFeatureByKey(key) {
+      if (!allRestroomData || !key) return null;
+      return allRestroomData.features.find(feature => getFacilityKey(feature.properties) === key)
+          || allRestroomData.features.find(feature =>
+              `${feature.properties.latitude},${feature.properties.longitude}` === key)
+          || null;
+  }
+
+  // ============================================================================
+  // POPUP CONTENT CREATION
+  // ============================================================================
+  // Built as DOM nodes rather than HTML: dataset values only ever become text,
+  // whichever source they were loaded from
+  function createPopupContent(props) {
+      const popup = createTextElement('div', 'restroom-popup');
+      popup.appendChild(createTextElement('h3', 'popup-title', getFacilityLabel(props)));
+      popup.appendChild(createFavoriteButton(props));
+
+      const status = createTextElement('span', 'popup-status', translateValue('status', props.status || UNKNOWN_VALUE));
+      status.style.color = getStatusColor(props.status);
+      popup.appendChild(createPopupSection(`📍 ${translate('popup.status')}`, status));
+
+      if (hasValue(props.accessibility)) {
+          popup.appendChild(createPopupSection(`${getAccessibilityIcon(props.accessibility)} ${translate('popup.accessibility')}`,
+              translateValue('accessibility', props.accessibility)));
+      }
+      if (hasValue(props.location_type)) {
+          popup.appendChild(createPopupSection(`🏢 ${translate('popup.locationType')}`,
+              translateValue('location_type', props.location_type)));
+      }
+      if (hasValue(props.operator)) {
+          popup.appendChild(createPopupSection(`🏛️ ${translate('popup.operator')}`, props.operator));
+      }
+
+      popup.appendChild(createHoursSection(props));
+      const nearby = createNearbySection(props);
+      if (nearby) {
+          popup.appendChild(nearby);
+      }
+
+      if (hasValue(props.restroom_type)) {
+          popup.appendChild(createPopupSection(`🚻 ${translate('popup.restroomType')}`,
+              translateValue('restroom_type', props.restroom_type)));
+      }
+      if (hasValue(props.changing_stations)) {
+          popup.appendChild(createPopupSection(`👶 ${translate('popup.changingStations')}`,
+              translateValue('changing_stations', props.changing_stations)));
+      }
+
+      // Anything but an absolute http(s) address (javascript:, data:, ...) is left out
+      const website = getSafeExternalUrl(props.website);
+      if (website) {
+          const link = createTextElement('a', 'popup-link', translate('popup.visitSite'));
+          link.href = website;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          popup.appendChild(createPopupSection(`🌐 ${translate('popup.website')}`, link));
+      }
+
+      if (props.additional_notes) {
+          popup.appendChild(createPopupSection(`📝 ${translate('popup.notes')}`, createTextLines(props.additional_notes)));
+      }
+
+      popup.appendChild(createReportSection(props));
+      popup.appendChild(createNoteSection(props));
+
+      popup.appendChild(createTextElement('div', 'popup-section popup-coordinates',
+          `📍 ${translate('popup.coordinates')} ${props.latitude}, ${props.longitude}`));
+      return popup;
+  }
+
+  // A bold label followed by text or an element
+  function createPopupSection(label, content) {
+      const section = createTextElement('div', 'popup-section');
+      section.append(createTextElement('strong', null, label), ' ', content);
+      return section;
+  }
+
+  // Text spread over several lines becomes a list with one item per line
+  function createTextLines(text) {
+      const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+      if (lines.length <= 1) {
+          return createTextElement('span', null, lines.join(''));
+      }
+
+      const list = createTextElement('ul', 'popup-lines');
+      lines.forEach(line => list.appendChild(createTextElement('li', null, line)));
+      return list;
+  }
+
+  // ============================================================================
+  // OPENING HOURS
+  // ============================================================================
+  function getFacilitySchedule(props) {
+      const rawHours = props.hours_of_operation === undefined ? null : props.hours_of_operation;
+      if (!scheduleCache.has(rawHours)) {
+          scheduleCache.set(rawHours, parseHoursOfOperation(rawHours));
+      }
+      return scheduleCache.get(rawHours);
+  }
+
+  // "Today" and the days of the week, in the page language
+  function renderOpenDayOptions() {
+      const select = document.getElementById('openAtDay');
+      select.replaceChildren(...['today', '0', '1', '2', '3', '4', '5', '6'].map(value => {
+          const option = createTextElement('option', null, describeOpenDay(value));
+          option.value = value;
+          return option;
+      }));
+      select.value = currentFilters.openDay;
+  }
+
+  function describeOpenDay(value) {
+      return value === 'today' ? translate('filter.openDay.today') : formatDayName(Number(value));
+  }
+
+  // Clock the open-hours filter is evaluated against
+  function getFilterClock() {
+      if (currentFilters.openTime === 'at') {
+          const day = currentFilters.openDay === 'today' ? null : Number(currentFilters.openDay);
+          return getClockAtTime(currentFilters.openAt, day) || getNycClock();
+      }
+      return getNycClock();
+  }
+
+  function createHoursSection(props) {
+      const schedule = getFacilitySchedule(props);
+      const clock = getNycClock();
+      const state = getOpenState(schedule, clock);
+      const stateClass = !state.known ? 'is-unknown' : (state.isOpen ? 'is-open' : 'is-closed');
+      const approximateNote = schedule.approximate ? ` ${translate('hours.approximate')}` : '';
+
+      const openState = createTextElement('span', `open-state ${stateClass}`, `${describeOpenState(state, clock)}${approximateNote}`);
+      const section = createPopupSection(`🕐 ${translate('popup.hours')}`, openState);
+      if (props.hours_of_operation) {
+          // The hours as published, one line per day where the source has them
+          const rawHours = createTextElement('div', 'popup-hours-raw');
+          rawHours.appendChild(createTextLines(props.hours_of_operation));
+          section.appendChild(rawHours);
+      }
+      return section;
+  }
+
+  // Other facilities within walking distance of this one
+  function createNearbySection(props) {
+      const lat = parseFloat(props.latitude);
+      const lng = parseFloat(props.longitude);
+      if (!restroomIndex || Number.isNaN(lat) || Number.isNaN(lng)) return null;
+
+      // The facility itself is always the closest match
+      const others = restroomIndex.withinRadius(lng, lat, NEARBY_RADIUS_METERS).length - 1;
+      if (others <= 0) return null;
+
+      return createPopupSection(`🚻 ${translate('popup.nearby')}`,
+          translate('popup.nearbyCount', { count: others, distance: formatDistance(NEARBY_RADIUS_METERS) }));
   }
 
   // ============================================================================
   // HELPER FUNCTIONS FOR POPUP
   // ============================================================================
+  // Normalized fields use UNKNOWN_VALUE instead of null
+  function hasValue(value) {
+      return Boolean(value) && value !== UNKNOWN_VALUE;
+  }
+
+  // Icon and name, as listed in the results, suggestions and nearest list
+  function getFacilityLabel(props) {
+      return `${getLocationTypeIcon(props.location_type)} ${props.facility_name || translate('popup.unnamed')}`;
+  }
+
   function getStatusColor(status) {
       switch(status) {
           case 'Operational': return '#22c55e';
           case 'Not Operational': return '#ef4444';
           case 'Closed for Construction': return '#f59e0b';
+          case 'Closed': return '#991b1b';
           default: return '#6b7280';
       }
   }
@@ -331,6 +1386,7 @@ function initializeMap(token) {
       switch(accessibility) {
           case 'Fully Accessible': return '♿';
           case 'Partially Accessible': return '🚪';
+          case 'Not Accessible': return '🚫';
           default: return '❓';
       }
   }
@@ -339,353 +1395,1884 @@ function initializeMap(token) {
       switch(locationType) {
           case 'Park': return '🌳';
           case 'Library': return '📚';
+          case 'Transit': return '🚇';
+          case 'Public Plaza': return '⛲';
+          case 'Privately Owned Public Space': return '🏢';
           default: return '🏛️';
       }
   }
 
   // ============================================================================
-  // HEAT MAP FUNCTIONS
+  // COVERAGE ANALYSIS (WEB WORKER)
   // ============================================================================
-  function generateCoverageHeatmap() {
+  let coverageWorker = null;
+  let coverageJobId = 0;
+  let isCoverageRunning = false;
+  let coverageSettings = { ...DEFAULT_COVERAGE_SETTINGS };
+  let coverageInputCount = 0; // restrooms the current analysis was computed from
+  let coverageStartTime = 0;
+  let coverageProgress = 0;   // completed fraction of the run in progress
+  const COVERAGE_THRESHOLD_RANGE = [200, 5000]; // meters allowed for maxDistance
+
+  function getCoverageOptions() {
+      return {
+          gridSize: COVERAGE_GRID_SIZE,
+          bounds: COVERAGE_BOUNDS,
+          maxDistance: coverageSettings.maxDistance
+      };
+  }
+
+  function getCoverageWorker() {
+      if (coverageWorker) return coverageWorker;
+
+      try {
+          coverageWorker = new Worker('coverage-worker.js');
+      } catch (error) {
+          // Workers can't be created from file:// pages in some browsers
+          console.warn('Coverage worker unavailable, analysing on the main thread:', error.message);
+          return null;
+      }
+
+      coverageWorker.addEventListener('message', (event) => {
+          const message = event.data;
+          if (message.jobId !== coverageJobId) return; // stale or cancelled job
+
+          if (message.type === 'progress') {
+              showCoverageProgress(message.fraction);
+          } else if (message.type === 'result') {
+              finishCoverageAnalysis(message);
+          } else if (message.type === 'error') {
+              failCoverageAnalysis(new Error(message.message));
+          }
+      });
+
+      coverageWorker.addEventListener('error', (event) => {
+          failCoverageAnalysis(new Error(event.message || 'Coverage worker failed'));
+      });
+
+      return coverageWorker;
+  }
+
+  function startCoverageAnalysis() {
       if (!allRestroomData) return;
 
-      console.log('Generating emergency zone analysis with moderate criteria (1km max danger zone)...');
+      cancelCoverageAnalysis();
+      const jobId = ++coverageJobId;
+      // Only restrooms passing the current filters count as coverage
+      const points = featuresToPointArray(currentFilteredFeatures);
+      const operationalPoints = featuresToPointArray(currentFilteredFeatures
+          .filter(feature => feature.properties.status === 'Operational'));
+      const options = getCoverageOptions();
+      coverageInputCount = currentFilteredFeatures.length;
+
+      isCoverageRunning = true;
+      coverageStartTime = performance.now();
+      showCoverageProgress(0);
+      console.log(`Processing ${options.gridSize}x${options.gridSize} grid (${options.gridSize * options.gridSize} points)...`);
+
+      const worker = getCoverageWorker();
+      if (worker) {
+          worker.postMessage(
+              { type: 'compute', jobId, points, operationalPoints, land: landBoundaries, options },
+              [points.buffer, operationalPoints.buffer]
+          );
+          return;
+      }
+
+      // Fallback: same computation on the main thread, after the button repaints
+      setTimeout(() => {
+          if (jobId !== coverageJobId) return;
+          try {
+              finishCoverageAnalysis(runCoverageAnalysis({ points, operationalPoints, land: landBoundaries }, options));
+          } catch (error) {
+              failCoverageAnalysis(error);
+          }
+      }, 50);
+  }
 
-      // NYC bounds with slightly expanded area for better coverage
-      const nycBounds = {
-          north: 40.925,
-          south: 40.470,
-          east: -73.680,
-          west: -74.280
-      };
+  // Stop a run in progress; terminating the worker is the only way to
+  // interrupt it mid-computation
+  function cancelCoverageAnalysis() {
+      if (!isCoverageRunning) return;
 
-      const gridSize = 100; // 100x100 grid for higher resolution
-      const latStep = (nycBounds.north - nycBounds.south) / gridSize;
-      const lngStep = (nycBounds.east - nycBounds.west) / gridSize;
+      coverageJobId++;
+      isCoverageRunning = false;
+      if (coverageWorker) {
+          coverageWorker.terminate();
+          coverageWorker = null;
+      }
+      console.log('Danger zone analysis cancelled');
+  }
 
-      const heatmapPoints = [];
-      
-      // Pre-extract restroom coordinates for faster processing
-      const restroomCoords = allRestroomData.features.map(restroom => 
-          restroom.geometry.coordinates
-      );
+  function showCoverageProgress(fraction) {
+      coverageProgress = fraction;
+      updateCoverageButton();
+  }
+
+  function updateCoverageButton() {
+      const button = document.getElementById('toggleHeatmap');
+      if (isCoverageRunning) {
+          button.textContent = translate('coverage.progress', { percent: formatPercent(coverageProgress) });
+      } else {
+          button.textContent = translate(isHeatmapVisible ? 'coverage.hide' : 'coverage.show');
+      }
+  }
+
+  function finishCoverageAnalysis(result) {
+      isCoverageRunning = false;
+      coverageResult = result;
+      console.log(`Emergency zone analysis completed in ${(performance.now() - coverageStartTime).toFixed(2)}ms`);
+
+      addCoverageLayers();
+      isHeatmapVisible = true;
+      updateCoverageButton();
+      renderHeatmapLegend();
+      renderBoroughSummary();
+      document.getElementById('heatmapLegend').classList.remove('hidden');
+      updateUrlState();
+      console.log('Danger zone analysis layer added and visible');
+  }
+
+  function failCoverageAnalysis(error) {
+      console.error('Error generating danger zone analysis:', error);
+      cancelCoverageAnalysis();
+      isHeatmapVisible = false;
+      updateCoverageButton();
+  }
+
+  function toggleHeatmap() {
+      const legend = document.getElementById('heatmapLegend');
+
+      console.log('Toggle heatmap clicked. Current state:', isHeatmapVisible);
+
+      if (isCoverageRunning) {
+          // Clicking while analysing cancels the run
+          cancelCoverageAnalysis();
+          updateCoverageButton();
+      } else if (!isHeatmapVisible) {
+          startCoverageAnalysis();
+      } else {
+          // Hide the distance bands
+          coverageResult = null;
+          removeCoverageLayers();
+          renderBoroughSummary();
+          isHeatmapVisible = false;
+          updateCoverageButton();
+          legend.classList.add('hidden');
+          updateUrlState();
+          console.log('Danger zone analysis hidden');
+      }
+  }
+
+  // Recompute a visible (or running) analysis after filters or settings changed
+  function refreshCoverageAnalysis() {
+      if (isHeatmapVisible || isCoverageRunning) {
+          startCoverageAnalysis();
+      }
+  }
+
+  // Legend rows follow the configured threshold instead of fixed distances
+  function renderHeatmapLegend() {
+      const container = document.getElementById('heatmapLegendItems');
+      container.innerHTML = '';
+
+      getCoverageLegendBands(coverageSettings.maxDistance).forEach(band => {
+          const item = document.createElement('div');
+          item.className = 'legend-item';
+
+          const swatch = document.createElement('div');
+          swatch.className = 'legend-color';
+          swatch.style.background = band.color;
+
+          const text = document.createElement('span');
+          text.textContent = translate('coverage.legendItem', {
+              band: translate(`coverage.band.${band.id}`),
+              range: describeBandRange(band)
+          });
+
+          item.append(swatch, text);
+          container.appendChild(item);
+      });
+
+      document.getElementById('heatmapLegendNote').textContent = translate('coverage.note', {
+          grid: COVERAGE_GRID_SIZE,
+          count: coverageInputCount,
+          threshold: formatDistance(coverageSettings.maxDistance)
+      });
+  }
+
+  // The band's distances in the current units; the exported GeoJSON keeps the
+  // English label and range from getCoverageLegendBands()
+  function describeBandRange(band) {
+      if (band.from === 0) return translate('coverage.range.first', { to: formatDistance(band.to) });
+      if (band.to === null) return translate('coverage.range.last', { from: formatDistance(band.from) });
+      return translate('coverage.range.middle', { from: formatDistance(band.from), to: formatDistance(band.to) });
+  }
+
+  // The threshold is kept in meters and entered in the current units
+  function renderCoverageThresholdInput() {
+      const input = document.getElementById('coverageMaxDistance');
+      const [min, max] = COVERAGE_THRESHOLD_RANGE.map(toDisplayDistance);
+      document.getElementById('coverageMaxDistanceLabel').textContent =
+          translate('coverage.threshold', { unit: getDistanceUnitLabel() });
+      input.min = Math.ceil(min / 100) * 100;
+      input.max = Math.floor(max / 100) * 100;
+      input.value = Math.round(toDisplayDistance(coverageSettings.maxDistance));
+  }
+
+  // Share of each borough's land within reach of an operational restroom
+  function renderBoroughSummary() {
+      const container = document.getElementById('boroughSummary');
+      const summary = coverageResult && coverageResult.summary;
+      container.classList.toggle('hidden', !summary);
+      if (!summary) return;
+
+      document.getElementById('boroughSummaryNote').textContent =
+          translate('borough.note', { area: getAreaUnitLabel() });
+      const table = document.getElementById('boroughSummaryTable');
+      table.innerHTML = '';
+
+      const headRow = table.createTHead().insertRow();
+      [
+          translate('borough.column.name'),
+          translate('borough.column.restrooms'),
+          translate('borough.column.density', { area: getAreaUnitLabel() }),
+          ...BOROUGH_SUMMARY_DISTANCES.map(distance => translate('borough.column.within', { distance: formatDistance(distance) }))
+      ].forEach(label => {
+          const th = document.createElement('th');
+          th.textContent = label;
+          headRow.appendChild(th);
+      });
+
+      const body = table.createTBody();
+      summary.forEach((row, i) => {
+          const tr = body.insertRow();
+          tr.classList.toggle('is-total', i === summary.length - 1);
+          [
+              translateValue('borough', row.name),
+              formatNumber(row.restrooms),
+              formatDensity(row.restroomsPerKm2),
+              ...row.shares.map(({ share }) => formatPercent(share))
+          ].forEach(value => {
+              tr.insertCell().textContent = value;
+          });
+      });
+  }
+
+  // One fill per distance band, under the restroom points
+  function addCoverageLayers() {
+      if (!coverageResult) {
+          console.error('No coverage data available');
+          return;
+      }
+
+      const source = map.getSource('coverage-bands');
+      if (source) {
+          source.setData(coverageResult.bands);
+          return;
+      }
+
+      map.addSource('coverage-bands', {
+          type: 'geojson',
+          data: coverageResult.bands
+      });
+
+      map.addLayer({
+          id: 'coverage-bands-fill',
+          type: 'fill',
+          source: 'coverage-bands',
+          paint: {
+              'fill-color': ['get', 'color'],
+              'fill-opacity': 0.35
+          }
+      }, 'restroom-clusters');
+
+      map.addLayer({
+          id: 'coverage-bands-outline',
+          type: 'line',
+          source: 'coverage-bands',
+          paint: {
+              'line-color': ['get', 'color'],
+              'line-width': 1,
+              'line-opacity': 0.8
+          }
+      }, 'restroom-clusters');
+
+      console.log(`Danger zone bands added (${coverageResult.bands.features.length} bands)`);
+  }
+
+  function removeCoverageLayers() {
+      ['coverage-bands-outline', 'coverage-bands-fill'].forEach(id => {
+          if (map.getLayer(id)) {
+              map.removeLayer(id);
+          }
+      });
+      if (map.getSource('coverage-bands')) {
+          map.removeSource('coverage-bands');
+      }
+      hideCoverageReadout();
+  }
+
+  // Exact distance from the cursor to the nearest restroom counted in the analysis
+  function showCoverageReadout(lngLat) {
+      if (!isHeatmapVisible || !filteredIndex) return;
+
+      const nearest = filteredIndex.nearest(lngLat.lng, lngLat.lat);
+      if (!nearest) {
+          hideCoverageReadout();
+          return;
+      }
+
+      const [lng, lat] = nearest.item.geometry.coordinates;
+      const distance = calculateDistance(lngLat.lat, lngLat.lng, lat, lng);
+      const band = getCoverageLegendBands(coverageSettings.maxDistance)
+          .find(row => row.to === null || distance < row.to);
+
+      if (!coverageReadout) {
+          coverageReadout = new gl.Popup({
+              closeButton: false,
+              closeOnClick: false,
+              offset: 12,
+              className: 'coverage-readout'
+          });
+      }
+      coverageReadout
+          .setLngLat(lngLat)
+          .setText(translate('coverage.readout', {
+              distance: formatDistance(distance),
+              band: translate(`coverage.band.${band.id}`)
+          }))
+          .addTo(map);
+  }
+
+  function hideCoverageReadout() {
+      if (coverageReadout) {
+          coverageReadout.remove();
+      }
+  }
+
+  function exportCoverageBands() {
+      if (!coverageResult) {
+          alert(translate('coverage.runFirst'));
+          return;
+      }
+
+      downloadFile(`restroom-coverage-${coverageSettings.maxDistance}m.geojson`, 'application/geo+json',
+          JSON.stringify(coverageResult.bands));
+  }
+
+  // ============================================================================
+  // EVENT LISTENERS SETUP
+  // ============================================================================
+  function setupEventListeners() {
+      // Search functionality. Suggestions follow every keystroke; the filters
+      // (and with them the coverage analysis and the URL) wait for a pause
+      const searchInput = document.getElementById('searchFacility');
+      searchInput.addEventListener('input', (e) => {
+          currentFilters.search = e.target.value.toLowerCase();
+          clearTimeout(searchFilterTimer);
+          searchFilterTimer = setTimeout(applyFilters, SEARCH_FILTER_DELAY);
+          updatePlaceSuggestions(e.target.value);
+      });
+      searchInput.addEventListener('keydown', handleSuggestionKeys);
+      searchInput.addEventListener('blur', hideSearchSuggestions);
+
+      // Categorical multi-select filters
+      CATEGORY_FILTERS.forEach(filter => {
+          document.getElementById(filter.elementId).addEventListener('change', () => {
+              currentFilters[filter.key] = getMultiSelectValues(filter);
+              updateMultiSelectSummary(filter);
+              applyFilters();
+          });
+      });
+
+      // Close open multi-select dropdowns when clicking elsewhere
+      document.addEventListener('click', (e) => {
+          document.querySelectorAll('.multi-select[open]').forEach(dropdown => {
+              if (!dropdown.contains(e.target)) {
+                  dropdown.removeAttribute('open');
+              }
+          });
+      });
+
+      // Open hours filter
+      const openAtInput = document.getElementById('openAtTime');
+      const openAtDaySelect = document.getElementById('openAtDay');
+      renderOpenDayOptions();
+      document.getElementById('openFilter').addEventListener('change', (e) => {
+          currentFilters.openTime = e.target.value;
+          openAtInput.classList.toggle('hidden', e.target.value !== 'at');
+          openAtDaySelect.classList.toggle('hidden', e.target.value !== 'at');
+          applyFilters();
+      });
+
+      openAtDaySelect.addEventListener('change', (e) => {
+          currentFilters.openDay = e.target.value;
+          applyFilters();
+      });
+
+      openAtInput.addEventListener('change', (e) => {
+          currentFilters.openAt = e.target.value;
+          applyFilters();
+      });
+
+      document.getElementById('includeUnknownHours').addEventListener('change', (e) => {
+          currentFilters.includeUnknownHours = e.target.checked;
+          applyFilters();
+      });
+
+      // Re-evaluate "Open now" as the clock moves on. Only a facility opening
+      // or closing re-filters, which keeps the results page and coverage
+      setInterval(() => {
+          if (currentFilters.openTime !== 'now' || !allRestroomData) return;
+
+          const openClock = getFilterClock();
+          const features = getFilteredFeatures(openClock);
+          const unchanged = features.length === currentFilteredFeatures.length &&
+              features.every((feature, index) => feature === currentFilteredFeatures[index]);
+          if (unchanged) {
+              updateFilterCounts(openClock);
+          } else {
+              applyFilters();
+          }
+      }, 60 * 1000);
+
+      document.getElementById('favoritesOnly').addEventListener('change', (e) => {
+          currentFilters.favoritesOnly = e.target.checked;
+          applyFilters();
+      });
+
+      document.getElementById('hideReportedClosed').addEventListener('change', (e) => {
+          currentFilters.hideReportedClosed = e.target.checked;
+          applyFilters();
+      });
+
+      // Pick up other visitors' reports
+      setInterval(loadStatusReports, REPORT_REFRESH_INTERVAL);
+
+      // Filter profiles
+      setupFilterProfileControls();
+
+      // Favorites, notes and history
+      setupPersonalControls();
+
+      // Export of the filtered restrooms
+      setupExportControls();
+
+      // Button event listeners
+      document.getElementById('resetAllFilters').addEventListener('click', resetAllFilters);
+      document.getElementById('fitToRestrooms').addEventListener('click', fitMapToData);
+      document.getElementById('findNearMe').addEventListener('click', findNearMe);
+      document.getElementById('toggleHeatmap').addEventListener('click', toggleHeatmap);
+
+      // Coverage analysis settings
+      document.getElementById('coverageMaxDistance').addEventListener('change', (e) => {
+          const value = Math.round(fromDisplayDistance(parseFloat(e.target.value)));
+          if (Number.isNaN(value) || value <= 0) {
+              renderCoverageThresholdInput();
+              return;
+          }
+          const [min, max] = COVERAGE_THRESHOLD_RANGE;
+          coverageSettings.maxDistance = Math.min(Math.max(value, min), max);
+          renderCoverageThresholdInput();
+          renderHeatmapLegend();
+          refreshCoverageAnalysis();
+      });
+
+      document.getElementById('exportCoverageBands').addEventListener('click', exportCoverageBands);
+
+      // Distance readout while the bands are shown
+      map.on('mousemove', (e) => showCoverageReadout(e.lngLat));
+      map.getCanvas().addEventListener('mouseleave', hideCoverageReadout);
+
+      // Results list
+      document.getElementById('resultsSort').addEventListener('change', (e) => {
+          resultsSort = e.target.value;
+          updateResultsList();
+      });
+      document.getElementById('resultsPrev').addEventListener('click', () => changeResultsPage(-1));
+      document.getElementById('resultsNext').addEventListener('click', () => changeResultsPage(1));
+
+      // Routing backend for the nearest list
+      document.getElementById('routingMode').addEventListener('change', (e) => {
+          activeRouter = routers[e.target.value] || routers.manhattan;
+          if (getNearestOrigin()) {
+              updateNearestResults();
+          }
+      });
+      document.getElementById('closeNearestResults').addEventListener('click', clearNearestResults);
+
+      // Keyboard shortcuts, and moving between restrooms on the map and in
+      // its text alternative
+      document.addEventListener('keydown', handleKeyboardShortcuts);
+      map.getContainer().addEventListener('keydown', handleMapKeys, true);
+      document.getElementById('visibleFacilitiesList').addEventListener('keydown', handleVisibleListKeys);
+
+      // Keep the viewport in the URL and follow back/forward navigation
+      map.on('moveend', () => {
+          updateUrlState();
+          updateVisibleFacilities();
+          updateExportSummary();
+      });
+      window.addEventListener('popstate', restoreStateFromUrl);
+  }
+
+  // ============================================================================
+  // FILTER OPTIONS
+  // ============================================================================
+
+  // Build every categorical dropdown from the values present in the data
+  function buildFilterOptions() {
+      CATEGORY_FILTERS.forEach(filter => {
+          const totals = countValues(allRestroomData.features, filter.property);
+          const values = Object.keys(totals).sort((a, b) => {
+              // Unknown always goes last, everything else by frequency
+              if (a === UNKNOWN_VALUE) return 1;
+              if (b === UNKNOWN_VALUE) return -1;
+              return totals[b] - totals[a] || a.localeCompare(b);
+          });
+
+          const container = document.getElementById(filter.elementId);
+          const optionList = container.querySelector('.multi-select-options');
+          optionList.innerHTML = '';
+
+          values.forEach(value => {
+              const label = document.createElement('label');
+              label.className = 'multi-select-option';
+
+              const checkbox = document.createElement('input');
+              checkbox.type = 'checkbox';
+              checkbox.value = value;
+              checkbox.checked = currentFilters[filter.key].includes(value);
+
+              const text = document.createElement('span');
+              text.textContent = translateValue(filter.property, value);
+
+              const count = document.createElement('span');
+              count.className = 'option-count';
+              count.dataset.value = value;
+              count.textContent = formatNumber(totals[value]);
+
+              label.append(checkbox, text, count);
+              optionList.appendChild(label);
+          });
+
+          updateMultiSelectSummary(filter);
+      });
+  }
+
+  function countValues(features, property) {
+      const counts = {};
+      features.forEach(feature => {
+          const value = feature.properties[property] || UNKNOWN_VALUE;
+          counts[value] = (counts[value] || 0) + 1;
+      });
+      return counts;
+  }
+
+  function getMultiSelectValues(filter) {
+      const container = document.getElementById(filter.elementId);
+      return Array.from(container.querySelectorAll('input[type="checkbox"]:checked'))
+          .map(checkbox => checkbox.value);
+  }
+
+  function setMultiSelectValues(filter, values) {
+      const container = document.getElementById(filter.elementId);
+      container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+          checkbox.checked = values.includes(checkbox.value);
+      });
+      updateMultiSelectSummary(filter);
+  }
+
+  function updateMultiSelectSummary(filter) {
+      const selected = currentFilters[filter.key];
+      const summary = document.querySelector(`#${filter.elementId} summary`);
+
+      if (selected.length === 0) {
+          summary.textContent = translate(filter.allKey);
+      } else if (selected.length === 1) {
+          summary.textContent = translateValue(filter.property, selected[0]);
+      } else {
+          summary.textContent = translate('filter.selected', { count: selected.length });
+      }
+  }
+
+  // Counts per option given every *other* active filter, so each number is
+  // what you would get by ticking that option
+  function updateFilterCounts(openClock) {
+      CATEGORY_FILTERS.forEach(filter => {
+          const matching = allRestroomData.features.filter(feature =>
+              matchesFilters(feature.properties, openClock, filter.key)
+          );
+          const counts = countValues(matching, filter.property);
+
+          document.querySelectorAll(`#${filter.elementId} .option-count`).forEach(countElement => {
+              const count = counts[countElement.dataset.value] || 0;
+              countElement.textContent = formatNumber(count);
+              countElement.closest('.multi-select-option').classList.toggle('is-empty', count === 0);
+          });
+      });
+  }
+
+  // ============================================================================
+  // FILTER APPLICATION
+  // ============================================================================
+  function matchesFilters(props, openClock, skipFilterKey) {
+      // Search filter (ranked once per applyFilters)
+      if (searchScores && !searchScores.has(props)) {
+          return false;
+      }
+
+      if (currentFilters.favoritesOnly && !personalStore.isFavorite(props.facility_id)) {
+          return false;
+      }
+
+      // Restrooms a visitor reported closed in the last REPORT_WINDOW_HOURS
+      if (currentFilters.hideReportedClosed) {
+          const reports = reportSummaries.get(props.facility_id);
+          if (reports && reports.closedAt) {
+              return false;
+          }
+      }
+
+      // Categorical filters
+      for (const filter of CATEGORY_FILTERS) {
+          const selected = currentFilters[filter.key];
+          if (filter.key === skipFilterKey || selected.length === 0) continue;
+
+          if (!selected.includes(props[filter.property] || UNKNOWN_VALUE)) {
+              return false;
+          }
+      }
+
+      // Open hours filter - unparseable hours are kept (and flagged) unless excluded
+      if (openClock) {
+          const openState = getOpenState(getFacilitySchedule(props), openClock);
+          if (!openState.known) {
+              return currentFilters.includeUnknownHours;
+          }
+          if (!openState.isOpen) {
+              return false;
+          }
+      }
+
+      return true;
+  }
+
+  // Facilities matching the filters at `openClock`, in dataset order
+  function getFilteredFeatures(openClock) {
+      return allRestroomData.features.filter(feature =>
+          matchesFilters(feature.properties, openClock)
+      );
+  }
+
+  function applyFilters() {
+      clearTimeout(searchFilterTimer);
+      if (!allRestroomData) return;
+
+      const openClock = currentFilters.openTime !== 'any' ? getFilterClock() : null;
+
+      searchScores = currentFilters.search.trim() === '' ? null : new Map(
+          searchIndex.search(currentFilters.search).map(result => [result.item.properties, result.score])
+      );
+
+      const filteredFeatures = getFilteredFeatures(openClock);
+
+      if (openClock) {
+          const unknownHoursCount = filteredFeatures.filter(feature =>
+              !getFacilitySchedule(feature.properties).known
+          ).length;
+          if (unknownHoursCount > 0) {
+              console.log(`${unknownHoursCount} facilities have hours we could not read (hours unknown)`);
+          }
+      }
+
+      updateFilterCounts(openClock);
+      currentFilteredFeatures = filteredFeatures;
+      filteredIndex = createSpatialIndex(filteredFeatures);
+
+      // Keep the nearest list in step with the filters
+      if (getNearestOrigin()) {
+          updateNearestResults();
+      }
+
+      // Coverage follows the filters; restart a stale run or refresh the layer
+      refreshCoverageAnalysis();
+
+      // Each filter change becomes a history entry
+      updateUrlState({ pushHistory: true });
+
+      // Update map data
+      map.getSource('restrooms').setData({
+          type: 'FeatureCollection',
+          features: filteredFeatures
+      });
+      updateReportBadges();
+
+      updateResultsList();
+      updateVisibleFacilities();
+      updateExportSummary();
+      scheduleResultsAnnouncement();
+      syncFilterProfileSelect();
+  }
+
+  // ============================================================================
+  // STATUS REPORTS
+  // ============================================================================
+
+  // Reports are optional: without the report server the page works as before
+  function loadStatusReports() {
+      return reportClient.fetchRecent()
+          .then(reports => {
+              recentReports = reports;
+              handleReportsChanged();
+          })
+          .catch(error => {
+              console.warn('Status reports unavailable:', error.message);
+          });
+  }
+
+  function handleReportsChanged() {
+      reportSummaries = summarizeReports(recentReports);
+      if (currentFilters.hideReportedClosed) {
+          applyFilters();
+      } else {
+          updateReportBadges();
+      }
+  }
+
+  // A badge on every filtered facility with recent reports, carrying the
+  // facility's properties so clicking it opens the popup
+  function updateReportBadges() {
+      const source = map.getSource('restroom-reports');
+      if (!source) return;
+
+      source.setData({
+          type: 'FeatureCollection',
+          features: currentFilteredFeatures
+              .filter(feature => reportSummaries.has(feature.properties.facility_id))
+              .map(feature => ({
+                  type: 'Feature',
+                  geometry: feature.geometry,
+                  properties: {
+                      ...feature.properties,
+                      report_badge: reportSummaries.get(feature.properties.facility_id).closedAt ? 'closed' : 'issue'
+                  }
+              }))
+      });
+  }
+
+  // Round "!" badge: red for a reported closure, amber for other problems
+  function addReportBadgeImage(id) {
+      const isClosed = id === `${REPORT_BADGE_PREFIX}closed`;
+      const pixelRatio = window.devicePixelRatio || 1;
+      const size = 18;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = size * pixelRatio;
+      canvas.height = size * pixelRatio;
+      const context = canvas.getContext('2d');
+      if (!context) return;
+      context.scale(pixelRatio, pixelRatio);
+
+      context.beginPath();
+      context.arc(size / 2, size / 2, size / 2 - 1.5, 0, Math.PI * 2);
+      context.fillStyle = isClosed ? '#dc2626' : '#f59e0b';
+      context.strokeStyle = '#ffffff';
+      context.lineWidth = 2;
+      context.fill();
+      context.stroke();
+
+      context.font = 'bold 12px sans-serif';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillStyle = isClosed ? '#ffffff' : '#1f2937';
+      context.fillText('!', size / 2, size / 2 + 1);
+
+      map.addImage(id, context.getImageData(0, 0, canvas.width, canvas.height), { pixelRatio });
+  }
+
+  // What visitors reported lately, and a form to add a report
+  function createReportSection(props) {
+      const summaryList = createTextElement('ul', 'popup-lines popup-reports');
+      const renderSummary = () => {
+          const summary = reportSummaries.get(props.facility_id);
+          summaryList.replaceChildren();
+          if (!summary) {
+              summaryList.appendChild(createTextElement('li', null, translate('reports.none', { hours: REPORT_WINDOW_HOURS })));
+              return;
+          }
+          REPORT_TYPES.filter(type => summary.counts[type]).forEach(type => {
+              summaryList.appendChild(createTextElement('li', `popup-report-${type}`,
+                  translate('reports.line', { type: translate(`reports.type.${type}`), count: summary.counts[type] })));
+          });
+          summaryList.appendChild(createTextElement('li', 'popup-report-latest',
+              translate('reports.latest', { time: formatRelativeTime(summary.latest) })));
+          summary.comments.slice(0, REPORT_COMMENTS_SHOWN).forEach(report => {
+              summaryList.appendChild(createTextElement('li', 'popup-report-comment', translate('reports.commentLine', {
+                  comment: report.comment,
+                  type: translate(`reports.type.${report.type}`),
+                  time: formatRelativeTime(report.created_at)
+              })));
+          });
+      };
+      renderSummary();
+
+      const form = createTextElement('form', 'popup-report-form hidden');
+      const typeSelect = document.createElement('select');
+      typeSelect.setAttribute('aria-label', translate('reports.typeLabel'));
+      REPORT_TYPES.forEach(type => {
+          const option = createTextElement('option', null, translate(`reports.type.${type}`));
+          option.value = type;
+          typeSelect.appendChild(option);
+      });
+      const comment = document.createElement('textarea');
+      comment.rows = 2;
+      comment.maxLength = REPORT_COMMENT_MAX_LENGTH;
+      comment.placeholder = translate('reports.comment');
+      comment.setAttribute('aria-label', translate('reports.comment'));
+      const sendButton = createTextElement('button', null, translate('reports.send'));
+      sendButton.type = 'submit';
+      const status = createTextElement('small', 'popup-report-status');
+      status.setAttribute('role', 'status');
+      form.append(typeSelect, comment, sendButton, status);
+
+      const toggle = createTextElement('button', 'popup-report-toggle', translate('reports.action'));
+      toggle.type = 'button';
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.addEventListener('click', () => {
+          const isOpen = form.classList.toggle('hidden') === false;
+          toggle.setAttribute('aria-expanded', String(isOpen));
+          if (isOpen) typeSelect.focus();
+      });
+
+      form.addEventListener('submit', (e) => {
+          e.preventDefault();
+          sendButton.disabled = true;
+          status.textContent = translate('reports.sending');
+          reportClient.submit({
+              facilityId: props.facility_id,
+              facilityName: props.facility_name || '',
+              type: typeSelect.value,
+              comment: comment.value
+          })
+              .then(report => {
+                  recentReports.push(report);
+                  handleReportsChanged();
+                  renderSummary();
+                  comment.value = '';
+                  status.textContent = translate('reports.sent', { hours: REPORT_WINDOW_HOURS });
+              })
+              .catch(error => {
+                  console.warn('Report could not be sent:', error.message);
+                  status.textContent = translate('reports.failed', { message: error.message });
+              })
+              .then(() => {
+                  sendButton.disabled = false;
+              });
+      });
+
+      const section = createPopupSection(`📣 ${translate('reports.title')}`, summaryList);
+      section.append(toggle, form, createTextElement('small', 'popup-report-note', translate('reports.disclaimer')));
+      return section;
+  }
+
+  // ============================================================================
+  // FAVORITES, NOTES AND HISTORY
+  // ============================================================================
+  function setupPersonalControls() {
+      const fileInput = document.getElementById('personalDataFile');
+
+      document.getElementById('exportPersonalData').addEventListener('click', downloadPersonalData);
+      document.getElementById('importPersonalData').addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+          if (fileInput.files[0]) {
+              importPersonalDataFile(fileInput.files[0]);
+          }
+          fileInput.value = '';
+      });
+      document.getElementById('clearHistory').addEventListener('click', () => {
+          personalStore.clearHistory();
+          renderPersonalPanel();
+      });
+  }
+
+  // Favorites and recently viewed facilities; ones missing from the loaded
+  // dataset stay listed but can't be opened
+  function renderPersonalPanel() {
+      renderPersonalList('favoritesList', personalStore.getFavorites(), 'personal.noFavorites');
+      renderPersonalList('recentList', personalStore.getRecent(), 'personal.noRecent');
+      document.getElementById('clearHistory').disabled = personalStore.getRecent().length === 0;
+  }
+
+  function renderPersonalList(elementId, records, emptyKey) {
+      const list = document.getElementById(elementId);
+      list.replaceChildren();
+      if (records.length === 0) {
+          list.appendChild(createTextElement('li', 'personal-empty', translate(emptyKey)));
+          return;
+      }
+
+      records.forEach(record => {
+          const feature = findFeatureByKey(record.id);
+          const item = document.createElement('li');
+          const button = createTextElement('button', 'personal-item',
+              feature ? getFacilityLabel(feature.properties) : record.name || translate('popup.unnamed'));
+          button.type = 'button';
+          button.disabled = !feature;
+          if (feature) {
+              button.addEventListener('click', () => selectResult({ feature }));
+              button.addEventListener('mouseenter', () => highlightFacility(feature));
+              button.addEventListener('mouseleave', () => highlightFacility(null));
+          } else {
+              button.append(' ', createTextElement('small', 'personal-missing', translate('personal.missing')));
+          }
+          item.appendChild(button);
+          if (record.note) {
+              item.appendChild(createTextElement('small', 'personal-note', record.note));
+          }
+          list.appendChild(item);
+      });
+  }
+
+  // ☆ / ★ toggle at the top of a popup
+  function createFavoriteButton(props) {
+      const button = createTextElement('button', 'popup-favorite');
+      button.type = 'button';
+      const render = () => {
+          const isFavorite = personalStore.isFavorite(props.facility_id);
+          button.textContent = isFavorite ? `★ ${translate('personal.favorited')}` : `☆ ${translate('personal.addFavorite')}`;
+          button.setAttribute('aria-pressed', String(isFavorite));
+          button.classList.toggle('is-favorite', isFavorite);
+      };
+      render();
+
+      button.addEventListener('click', () => {
+          const feature = findFeatureByKey(props.facility_id);
+          if (!feature) return;
+          personalStore.setFavorite(feature, !personalStore.isFavorite(props.facility_id));
+          render();
+          renderPersonalPanel();
+          if (currentFilters.favoritesOnly) {
+              applyFilters();
+          } else {
+              renderResultsList();
+          }
+      });
+      return button;
+  }
+
+  // Private note, saved when the field loses focus
+  function createNoteSection(props) {
+      const input = document.createElement('textarea');
+      input.className = 'popup-note-input';
+      input.rows = 2;
+      input.maxLength = NOTE_MAX_LENGTH;
+      input.value = personalStore.getNote(props.facility_id);
+      input.placeholder = translate('personal.notePlaceholder');
+      input.setAttribute('aria-label', translate('personal.note'));
+
+      const hint = createTextElement('small', 'popup-note-hint', translate('personal.noteHint'));
+      input.addEventListener('change', () => {
+          const feature = findFeatureByKey(props.facility_id);
+          if (!feature) return;
+          personalStore.setNote(feature, input.value);
+          hint.textContent = translate('personal.noteSaved');
+          renderPersonalPanel();
+      });
+
+      const section = createPopupSection(`🗒️ ${translate('personal.note')}`, input);
+      section.classList.add('popup-note');
+      section.appendChild(hint);
+      return section;
+  }
+
+  function downloadPersonalData() {
+      downloadFile('restroom-favorites-and-notes.json', 'application/json', personalStore.exportJson());
+  }
+
+  function importPersonalDataFile(file) {
+      return file.text()
+          .then(text => {
+              const count = personalStore.importJson(text);
+              personalStore.relink(allRestroomData ? allRestroomData.features : []);
+              console.log(`Imported favorites and notes for ${count} facilities from ${file.name}`);
+              renderPersonalPanel();
+              applyFilters();
+              alert(translate('personal.imported', { count }));
+          })
+          .catch(error => {
+              console.warn('Favorites and notes could not be imported:', error.message);
+              alert(translate('personal.importFailed', { message: error.message }));
+          });
+  }
+
+  // ============================================================================
+  // FILTER PROFILES
+  // ============================================================================
+  function setupFilterProfileControls() {
+      const fileInput = document.getElementById('filterProfilesFile');
+
+      document.getElementById('filterProfile').addEventListener('change', (e) => {
+          const profile = getFilterProfile(e.target.value);
+          if (profile) {
+              applyFilterProfile(profile);
+          }
+      });
+      document.getElementById('saveFilterProfile').addEventListener('click', saveCurrentFilterProfile);
+      document.getElementById('deleteFilterProfile').addEventListener('click', deleteSelectedFilterProfile);
+      document.getElementById('exportFilterProfiles').addEventListener('click', downloadFilterProfiles);
+      document.getElementById('importFilterProfiles').addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+          if (fileInput.files[0]) {
+              importFilterProfilesFile(fileInput.files[0]);
+          }
+          fileInput.value = '';
+      });
+  }
+
+  // Option values are "builtin:<id>" and "saved:<index>"
+  function renderFilterProfileOptions() {
+      const select = document.getElementById('filterProfile');
+      const group = (labelKey, profiles, value, label) => {
+          const optgroup = document.createElement('optgroup');
+          optgroup.label = translate(labelKey);
+          profiles.forEach((profile, index) => {
+              const option = createTextElement('option', null, label(profile));
+              option.value = value(profile, index);
+              optgroup.appendChild(option);
+          });
+          return optgroup;
+      };
+
+      const placeholder = createTextElement('option', null, translate('profiles.choose'));
+      placeholder.value = '';
+      select.replaceChildren(placeholder, group('profiles.builtInGroup', BUILT_IN_FILTER_PROFILES,
+          profile => `builtin:${profile.id}`, profile => translate(profile.nameKey)));
+      if (savedFilterProfiles.length > 0) {
+          select.appendChild(group('profiles.savedGroup', savedFilterProfiles,
+              (profile, index) => `saved:${index}`, profile => profile.name));
+      }
+      syncFilterProfileSelect();
+  }
+
+  function getFilterProfile(value) {
+      const [kind, id] = String(value).split(/:(.*)/);
+      if (kind === 'builtin') {
+          return BUILT_IN_FILTER_PROFILES.find(profile => profile.id === id) || null;
+      }
+      if (kind === 'saved') {
+          return savedFilterProfiles[Number(id)] || null;
+      }
+      return null;
+  }
+
+  // The picker names the profile the filters match, so it clears as soon as
+  // a filter is changed by hand
+  function syncFilterProfileSelect() {
+      const select = document.getElementById('filterProfile');
+      const defaults = createDefaultFilters();
+      const matching = Array.from(select.querySelectorAll('option'))
+          .find(option => {
+              const profile = getFilterProfile(option.value);
+              return profile && filtersMatchProfile(currentFilters, profile, defaults);
+          });
+
+      select.value = matching ? matching.value : '';
+      document.getElementById('deleteFilterProfile').disabled = !select.value.startsWith('saved:');
+  }
+
+  // A profile replaces every filter but the search
+  function applyFilterProfile(profile) {
+      currentFilters = {
+          ...createDefaultFilters(),
+          ...pickProfileFilters(profile.filters, createDefaultFilters()),
+          search: currentFilters.search
+      };
+      syncFilterControls();
+      applyFilters();
+  }
+
+  function saveCurrentFilterProfile() {
+      const filters = pickProfileFilters(currentFilters, createDefaultFilters());
+      if (Object.keys(filters).length === 0) {
+          alert(translate('profiles.nothingToSave'));
+          return;
+      }
+
+      const selected = getFilterProfile(document.getElementById('filterProfile').value);
+      const suggestedName = selected && selected.name ? selected.name : '';
+      const name = (prompt(translate('profiles.namePrompt'), suggestedName) || '').trim();
+      if (!name) return;
+
+      savedFilterProfiles = mergeFilterProfiles(savedFilterProfiles, [
+          { name: name.slice(0, PROFILE_NAME_MAX_LENGTH), filters }
+      ]);
+      saveFilterProfiles(savedFilterProfiles);
+      renderFilterProfileOptions();
+  }
+
+  function deleteSelectedFilterProfile() {
+      const value = document.getElementById('filterProfile').value;
+      const profile = value.startsWith('saved:') ? getFilterProfile(value) : null;
+      if (!profile || !confirm(translate('profiles.confirmDelete', { name: profile.name }))) return;
+
+      savedFilterProfiles = savedFilterProfiles.filter(saved => saved !== profile);
+      saveFilterProfiles(savedFilterProfiles);
+      renderFilterProfileOptions();
+  }
+
+  // Only the user's own profiles; the built-in ones come with every copy
+  function downloadFilterProfiles() {
+      if (savedFilterProfiles.length === 0) {
+          alert(translate('profiles.noneToExport'));
+          return;
+      }
+
+      downloadFile('restroom-filter-profiles.json', 'application/json', exportFilterProfiles(savedFilterProfiles));
+  }
+
+  // Imported profiles replace saved ones of the same name
+  function importFilterProfilesFile(file) {
+      return file.text()
+          .then(text => {
+              const imported = parseFilterProfiles(text, createDefaultFilters());
+              savedFilterProfiles = mergeFilterProfiles(savedFilterProfiles, imported);
+              saveFilterProfiles(savedFilterProfiles);
+              renderFilterProfileOptions();
+              console.log(`Imported ${imported.length} filter profiles from ${file.name}`);
+              alert(translate('profiles.imported', { count: imported.length }));
+          })
+          .catch(error => {
+              console.warn('Filter profiles could not be imported:', error.message);
+              alert(translate('profiles.importFailed', { message: error.message }));
+          });
+  }
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+  function setupExportControls() {
+      document.getElementById('exportArea').addEventListener('change', (e) => {
+          if (e.target.value === 'drawn' && !exportArea && !drawingVertices) {
+              startDrawingExportArea();
+          }
+          updateExportSummary();
+      });
+      document.getElementById('drawExportArea').addEventListener('click', startDrawingExportArea);
+      document.getElementById('finishExportArea').addEventListener('click', finishDrawingExportArea);
+      document.getElementById('clearExportArea').addEventListener('click', clearExportArea);
+      document.querySelectorAll('[data-export-format]').forEach(button => {
+          button.addEventListener('click', () => downloadExport(button.dataset.exportFormat));
+      });
+      document.getElementById('printExportList').addEventListener('click', printExportList);
+
+      // While drawing, each click adds a corner and a double click closes the
+      // area (instead of zooming in)
+      map.on('click', (e) => {
+          if (!drawingVertices) return;
+          drawingVertices.push([e.lngLat.lng, e.lngLat.lat]);
+          renderExportArea();
+          updateExportSummary();
+      });
+      map.on('dblclick', (e) => {
+          if (!drawingVertices) return;
+          e.preventDefault();
+          finishDrawingExportArea();
+      });
+
+      window.addEventListener('afterprint', () => document.body.classList.remove('printing-export'));
+  }
+
+  function startDrawingExportArea() {
+      drawingVertices = [];
+      exportArea = null;
+      document.getElementById('exportArea').value = 'drawn';
+      map.getCanvas().style.cursor = 'crosshair';
+      renderExportArea();
+      updateExportSummary();
+  }
+
+  // The two clicks of the closing double click land on the same spot
+  function finishDrawingExportArea() {
+      if (!drawingVertices) return;
+      const corners = drawingVertices.filter((vertex, i) =>
+          i === 0 || vertex[0] !== drawingVertices[i - 1][0] || vertex[1] !== drawingVertices[i - 1][1]
+      );
+
+      drawingVertices = null;
+      map.getCanvas().style.cursor = '';
+      if (corners.length < 3) {
+          exportArea = null;
+          alert(translate('export.tooFewCorners'));
+      } else {
+          exportArea = [...corners, corners[0]];
+      }
+      renderExportArea();
+      updateExportSummary();
+  }
+
+  function clearExportArea() {
+      drawingVertices = null;
+      exportArea = null;
+      map.getCanvas().style.cursor = '';
+      renderExportArea();
+      updateExportSummary();
+  }
+
+  // The finished area as a polygon, or the corners placed so far joined by a line
+  function renderExportArea() {
+      const features = [];
+      if (exportArea) {
+          features.push({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [exportArea] }, properties: {} });
+      } else if (drawingVertices && drawingVertices.length > 0) {
+          if (drawingVertices.length > 1) {
+              features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: drawingVertices }, properties: {} });
+          }
+          drawingVertices.forEach(vertex => {
+              features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: vertex }, properties: {} });
+          });
+      }
+      const data = { type: 'FeatureCollection', features };
+
+      if (map.getSource('export-area')) {
+          map.getSource('export-area').setData(data);
+          return;
+      }
+
+      map.addSource('export-area', { type: 'geojson', data });
+      map.addLayer({
+          id: 'export-area-fill',
+          type: 'fill',
+          source: 'export-area',
+          filter: ['==', ['geometry-type'], 'Polygon'],
+          paint: { 'fill-color': '#3b82f6', 'fill-opacity': 0.1 }
+      }, 'restroom-clusters');
+      map.addLayer({
+          id: 'export-area-line',
+          type: 'line',
+          source: 'export-area',
+          filter: ['!=', ['geometry-type'], 'Point'],
+          paint: { 'line-color': '#3b82f6', 'line-width': 2, 'line-dasharray': [2, 1] }
+      }, 'restroom-clusters');
+      map.addLayer({
+          id: 'export-area-corners',
+          type: 'circle',
+          source: 'export-area',
+          filter: ['==', ['geometry-type'], 'Point'],
+          paint: { 'circle-radius': 4, 'circle-color': 'white', 'circle-stroke-color': '#3b82f6', 'circle-stroke-width': 2 }
+      }, 'restroom-clusters');
+  }
+
+  // The filtered restrooms inside the chosen area
+  function getExportFeatures() {
+      const mode = document.getElementById('exportArea').value;
+      if (mode === 'view') {
+          const bounds = map.getBounds();
+          return filterFeaturesByArea(currentFilteredFeatures, {
+              bounds: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+          });
+      }
+      if (mode === 'drawn') {
+          return exportArea ? filterFeaturesByArea(currentFilteredFeatures, { ring: exportArea }) : [];
+      }
+      return currentFilteredFeatures;
+  }
+
+  function updateExportSummary() {
+      const summary = document.getElementById('exportSummary');
+      const isDrawing = Boolean(drawingVertices);
+      const count = isDrawing ? 0 : getExportFeatures().length;
+
+      if (isDrawing) {
+          summary.textContent = translate('export.drawing', { count: drawingVertices.length });
+      } else if (document.getElementById('exportArea').value === 'drawn' && !exportArea) {
+          summary.textContent = translate('export.noArea');
+      } else {
+          summary.textContent = translate('export.summary', { count });
+      }
+
+      document.getElementById('drawExportArea').classList.toggle('hidden', isDrawing);
+      document.getElementById('finishExportArea').classList.toggle('hidden', !isDrawing);
+      document.getElementById('clearExportArea').disabled = !isDrawing && !exportArea;
+      document.querySelectorAll('#exportPanel .export-actions button').forEach(button => {
+          button.disabled = count === 0;
+      });
+  }
+
+  function downloadExport(format) {
+      const features = getExportFeatures();
+      if (features.length === 0) {
+          alert(translate('export.nothing'));
+          return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      const { extension, mimeType, write } = EXPORT_FORMATS[format];
+      downloadFile(`nyc-restrooms-${date}.${extension}`, mimeType, write(features, `NYC public restrooms, ${date}`));
+      console.log(`Exported ${features.length} restrooms as ${format.toUpperCase()}`);
+  }
+
+  // One page: the filters used, a map and the first PRINT_LIST_LIMIT restrooms
+  // by name, numbered as on the map. The sheet only shows on paper (see style.css).
+  function printExportList() {
+      const features = getExportFeatures().slice().sort((a, b) =>
+          (a.properties.facility_name || '').localeCompare(b.properties.facility_name || '')
+      );
+      if (features.length === 0) {
+          alert(translate('export.nothing'));
+          return;
+      }
+
+      const listed = features.slice(0, PRINT_LIST_LIMIT);
+      const filters = describeActiveFilters();
+      const list = document.createElement('ol');
+      list.className = 'print-list';
+      listed.forEach(feature => {
+          const props = feature.properties;
+          const item = document.createElement('li');
+          item.append(
+              createTextElement('strong', null, props.facility_name || translate('popup.unnamed')),
+              ` — ${translateValue('status', props.status || UNKNOWN_VALUE)}, ${translateValue('accessibility', props.accessibility || UNKNOWN_VALUE)}`
+          );
+          if (hasValue(props.hours_of_operation)) {
+              item.appendChild(createTextElement('small', null, props.hours_of_operation.split('\n').map(line => line.trim()).filter(Boolean).join('; ')));
+          }
+          list.appendChild(item);
+      });
+
+      const sheet = document.getElementById('printSheet');
+      sheet.replaceChildren(
+          createTextElement('h1', null, translate('export.printTitle')),
+          createTextElement('p', 'print-meta', translate('export.printMeta', {
+              count: features.length,
+              area: translate(`export.area.${document.getElementById('exportArea').value}`),
+              date: formatDateTime(new Date().toISOString())
+          })),
+          createTextElement('p', 'print-meta', filters.length > 0
+              ? translate('export.printFilters', { filters: filters.join(' · ') })
+              : translate('export.printNoFilters')),
+          createPrintMap(features, listed.length),
+          list
+      );
+      if (features.length > listed.length) {
+          sheet.appendChild(createTextElement('p', 'print-meta', translate('export.printMore', { count: features.length - listed.length })));
+      }
+
+      document.body.classList.add('printing-export');
+      window.print();
+  }
+
+  // "Facility Status: Operational" and so on, for every filter in use
+  function describeActiveFilters() {
+      const descriptions = [];
+      if (currentFilters.search.trim() !== '') {
+          descriptions.push(translate('export.printSearch', { query: currentFilters.search.trim() }));
+      }
+      CATEGORY_FILTERS.forEach(filter => {
+          const selected = currentFilters[filter.key];
+          if (selected.length === 0) return;
+          descriptions.push(`${translate(`filter.${filter.key}`)} ${selected.map(value => translateValue(filter.property, value)).join(', ')}`);
+      });
+      if (currentFilters.openTime !== 'any') {
+          const when = currentFilters.openTime === 'now'
+              ? translate('filter.open.now')
+              : `${describeOpenDay(currentFilters.openDay)} ${currentFilters.openAt}`;
+          descriptions.push(`${translate('filter.openHours')} ${when}`);
+      }
+      if (currentFilters.favoritesOnly) {
+          descriptions.push(translate('filter.favoritesOnly'));
+      }
+      if (currentFilters.hideReportedClosed) {
+          descriptions.push(translate('filter.hideReportedClosed'));
+      }
+      return descriptions;
+  }
+
+  // Static map for paper: borough outlines, the drawn area, and the restrooms
+  // colored by status; the first `numberedCount` carry their list number
+  function createPrintMap(features, numberedCount) {
+      const { width, height } = PRINT_MAP_SIZE;
+      const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+      features.forEach(({ geometry: { coordinates: [lng, lat] } }) => {
+          bbox[0] = Math.min(bbox[0], lng);
+          bbox[1] = Math.min(bbox[1], lat);
+          bbox[2] = Math.max(bbox[2], lng);
+          bbox[3] = Math.max(bbox[3], lat);
+      });
+
+      // Equirectangular, with longitudes shrunk to their length at this
+      // latitude, and a margin so points on the edge keep their labels
+      const margin = Math.max(bbox[2] - bbox[0], bbox[3] - bbox[1], PRINT_MAP_MIN_SPAN) * 0.08;
+      const [west, south, east, north] = [bbox[0] - margin, bbox[1] - margin, bbox[2] + margin, bbox[3] + margin];
+      const xScale = Math.cos(((south + north) / 2) * Math.PI / 180);
+      const scale = Math.min(width / ((east - west) * xScale), height / (north - south));
+      const offsetX = (width - (east - west) * xScale * scale) / 2;
+      const offsetY = (height - (north - south) * scale) / 2;
+      const project = ([lng, lat]) => [
+          (offsetX + (lng - west) * xScale * scale).toFixed(1),
+          (offsetY + (north - lat) * scale).toFixed(1)
+      ];
+      const ringPath = ring => `M${ring.map(point => project(point).join(',')).join('L')}Z`;
+
+      const svg = createSvgElement('svg', {
+          class: 'print-map', viewBox: `0 0 ${width} ${height}`, role: 'img', 'aria-label': translate('export.printMapLabel')
+      });
+      svg.appendChild(createSvgElement('rect', { width, height, fill: '#dbeafe' }));
+
+      if (landBoundaries) {
+          landBoundaries.features.forEach(borough => {
+              geometryPolygons(borough.geometry).forEach(polygon => {
+                  const outer = ringBoundingBox(polygon[0]);
+                  if (outer[0] > east || outer[2] < west || outer[1] > north || outer[3] < south) return;
+                  svg.appendChild(createSvgElement('path', {
+                      d: polygon.map(ringPath).join(''), fill: '#f8fafc', stroke: '#94a3b8', 'stroke-width': 0.8, 'fill-rule': 'evenodd'
+                  }));
+              });
+          });
+      }
+      if (exportArea && document.getElementById('exportArea').value === 'drawn') {
+          svg.appendChild(createSvgElement('path', {
+              d: ringPath(exportArea), fill: 'none', stroke: '#3b82f6', 'stroke-width': 1.5, 'stroke-dasharray': '4 3'
+          }));
+      }
+
+      // Unnumbered points underneath, numbered ones on top
+      features.slice(numberedCount).forEach(feature => {
+          const [x, y] = project(feature.geometry.coordinates);
+          svg.appendChild(createSvgElement('circle', { cx: x, cy: y, r: 2.5, fill: getStatusColor(feature.properties.status) }));
+      });
+      features.slice(0, numberedCount).forEach((feature, index) => {
+          const [x, y] = project(feature.geometry.coordinates);
+          svg.appendChild(createSvgElement('circle', {
+              cx: x, cy: y, r: 6.5, fill: getStatusColor(feature.properties.status), stroke: 'white', 'stroke-width': 1
+          }));
+          const label = createSvgElement('text', { x, y, dy: '0.35em', 'text-anchor': 'middle', 'font-size': 7, fill: 'white' });
+          label.textContent = String(index + 1);
+          svg.appendChild(label);
+      });
+      return svg;
+  }
+
+  function createSvgElement(tag, attributes) {
+      const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+      return element;
+  }
+
+  // ============================================================================
+  // SEARCH AUTOCOMPLETE
+  // ============================================================================
+
+  // Places matching the query, then the best-ranked facilities among those
+  // passing every filter
+  function renderSearchSuggestions() {
+      const input = document.getElementById('searchFacility');
+      const list = document.getElementById('searchSuggestions');
+      list.innerHTML = '';
+      activeSuggestion = -1;
+      input.removeAttribute('aria-activedescendant');
+
+      if (!searchScores) {
+          hideSearchSuggestions();
+          return;
+      }
+
+      const facilities = currentFilteredFeatures
+          .slice()
+          .sort((a, b) => searchScores.get(b.properties) - searchScores.get(a.properties))
+          .slice(0, SEARCH_SUGGESTION_COUNT);
+
+      const addSuggestion = (className, nameText, metaText, onSelect) => {
+          const item = document.createElement('li');
+          item.className = className;
+          item.id = `searchSuggestion-${list.children.length}`;
+          item.setAttribute('role', 'option');
+
+          const name = document.createElement('div');
+          name.className = 'search-suggestion-name';
+          name.textContent = nameText;
+
+          const meta = document.createElement('div');
+          meta.className = 'search-suggestion-meta';
+          meta.textContent = metaText;
+
+          item.append(name, meta);
+          // mousedown fires before the input's blur would hide the list
+          item.addEventListener('mousedown', (e) => {
+              e.preventDefault();
+              onSelect();
+          });
+          list.appendChild(item);
+      };
+
+      placeSuggestions.forEach(place => {
+          addSuggestion('search-suggestion search-suggestion-place', `📍 ${place.name}`, describePlace(place),
+              () => selectPlace(place));
+      });
+
+      facilities.forEach(feature => {
+          const props = feature.properties;
+          addSuggestion(
+              'search-suggestion',
+              getFacilityLabel(props),
+              [
+                  hasValue(props.operator) && props.operator,
+                  hasValue(props.status) && translateValue('status', props.status)
+              ].filter(Boolean).join(' · '),
+              () => selectSearchSuggestion(feature)
+          );
+      });
+
+      const hasSuggestions = list.children.length > 0;
+      list.classList.toggle('hidden', !hasSuggestions);
+      input.setAttribute('aria-expanded', String(hasSuggestions));
+  }
+
+  // Gazetteer places are described in the page's language; other geocoders
+  // already answer in it
+  function describePlace(place) {
+      if (!place.borough) return place.detail;
+      return `${translate(`place.kind.${place.kind}`)} · ${translateValue('borough', place.borough)}`;
+  }
+
+  // Facilities are listed straight away; places follow once the geocoder answers
+  function updatePlaceSuggestions(query) {
+      const requestId = ++geocodeRequestId;
+      placeSuggestions = [];
+      renderSearchSuggestions();
+      if (query.trim() === '') return;
+
+      activeGeocoder.geocode(query, PLACE_SUGGESTION_COUNT)
+          .then(places => {
+              // The query changed while the geocoder was busy
+              if (requestId !== geocodeRequestId) return;
+              placeSuggestions = places;
+              renderSearchSuggestions();
+          })
+          .catch(error => {
+              console.warn('Place search unavailable:', error.message);
+          });
+  }
+
+  function hideSearchSuggestions() {
+      document.getElementById('searchSuggestions').classList.add('hidden');
+      document.getElementById('searchFacility').setAttribute('aria-expanded', 'false');
+      activeSuggestion = -1;
+  }
+
+  function handleSuggestionKeys(e) {
+      const list = document.getElementById('searchSuggestions');
+      const items = Array.from(list.querySelectorAll('.search-suggestion'));
+      if (list.classList.contains('hidden') || items.length === 0) {
+          if (e.key === 'ArrowDown' && searchScores) {
+              e.preventDefault();
+              renderSearchSuggestions();
+          }
+          return;
+      }
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          activeSuggestion = (activeSuggestion + step + items.length) % items.length;
+          items.forEach((item, index) => item.classList.toggle('is-active', index === activeSuggestion));
+          e.target.setAttribute('aria-activedescendant', items[activeSuggestion].id);
+      } else if (e.key === 'Enter' && activeSuggestion !== -1) {
+          e.preventDefault();
+          items[activeSuggestion].dispatchEvent(new MouseEvent('mousedown'));
+      } else if (e.key === 'Enter' && placeSuggestions.length > 0) {
+          // An address typed out in full goes to the best matching place
+          e.preventDefault();
+          selectPlace(placeSuggestions[0]);
+      } else if (e.key === 'Escape') {
+          // Close the list first; a second Escape clears the search as before
+          e.stopPropagation();
+          hideSearchSuggestions();
+      }
+  }
 
-      console.log(`Processing ${gridSize}x${gridSize} grid (${gridSize * gridSize} points)...`);
-
-      // Generate grid points and calculate distance to nearest restroom
-      for (let i = 0; i < gridSize; i++) {
-          for (let j = 0; j < gridSize; j++) {
-              const lat = nycBounds.south + (i * latStep);
-              const lng = nycBounds.west + (j * lngStep);
-
-              // Find nearest restroom using optimized distance calculation
-              let minDistance = Infinity;
-              for (const coords of restroomCoords) {
-                  const [rLng, rLat] = coords;
-                  const distance = calculateFastDistance(lat, lng, rLat, rLng);
-                  if (distance < minDistance) {
-                      minDistance = distance;
-                  }
-              }
+  function selectSearchSuggestion(feature) {
+      hideSearchSuggestions();
+      const coordinates = feature.geometry.coordinates.slice();
+      map.flyTo({ center: coordinates, zoom: Math.max(map.getZoom(), 16), duration: 1500 });
+      showFacilityPopup(coordinates, feature.properties);
+  }
 
-              // Enhanced intensity calculation with more generous scaling
-              const maxDistance = 1000; // 1km max distance for more generous scaling
-              let intensity = Math.min(minDistance / maxDistance, 1);
-              
-              // Apply moderate non-linear scaling for better contrast
-              intensity = Math.pow(intensity, 0.6);
+  // Mark the place and rank the restrooms around it. The place name stays in
+  // the search box, but it is not a facility filter
+  function selectPlace(place) {
+      hideSearchSuggestions();
+      searchedPlace = place;
+      document.getElementById('searchFacility').value = place.name;
+      currentFilters.search = '';
 
-              heatmapPoints.push([lng, lat, intensity]);
-          }
+      if (!placeMarker) {
+          placeMarker = new gl.Marker({ color: '#8b5cf6' });
       }
+      placeMarker.setLngLat(place.center).addTo(map);
+      map.flyTo({ center: place.center, zoom: Math.max(map.getZoom(), 15), duration: 2000 });
 
-      console.log(`Generated ${heatmapPoints.length} heatmap points`);
+      resultsSort = 'distance';
+      document.getElementById('resultsSort').value = 'distance';
+      applyFilters();
+  }
 
-      return {
-          type: 'FeatureCollection',
-          features: [{
-              type: 'Feature',
-              geometry: {
-                  type: 'Point',
-                  coordinates: [0, 0] // Dummy point
-              },
-              properties: {
-                  heatmapData: heatmapPoints
-              }
-          }]
-      };
+  function clearSearchedPlace() {
+      searchedPlace = null;
+      if (placeMarker) {
+          placeMarker.remove();
+      }
   }
 
-  // Faster distance calculation for heatmap generation
-  function calculateFastDistance(lat1, lng1, lat2, lng2) {
-      // Simplified distance calculation for performance
-      const dLat = (lat2 - lat1) * 111000; // ~111km per degree latitude
-      const dLng = (lng2 - lng1) * 85000; // ~85km per degree longitude at NYC latitude
-      return Math.sqrt(dLat * dLat + dLng * dLng);
+  // ============================================================================
+  // RESULTS LIST
+  // ============================================================================
+  const STATUS_SORT_ORDER = ['Operational', 'Not Operational', 'Closed for Construction', 'Closed'];
+
+  // A place picked in the search box, otherwise the user once located
+  function getNearestOrigin() {
+      return searchedPlace ? searchedPlace.center : userLocation;
   }
 
-  function calculateDistance(lat1, lng1, lat2, lng2) {
-      const R = 6371000; // Earth's radius in meters
-      const dLat = (lat2 - lat1) * Math.PI / 180;
-      const dLng = (lng2 - lng1) * Math.PI / 180;
-      const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                Math.sin(dLng/2) * Math.sin(dLng/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      return R * c;
+  // Distances are measured from the nearest-list origin, otherwise from the map center
+  function getResultsOrigin() {
+      const origin = getNearestOrigin();
+      if (origin) return origin;
+      const center = map.getCenter();
+      return [center.lng, center.lat];
   }
 
-  function toggleHeatmap() {
-      const button = document.getElementById('toggleHeatmap');
-      const legend = document.getElementById('heatmapLegend');
+  // Re-sort the filtered facilities and go back to the first page
+  function updateResultsList() {
+      const [originLng, originLat] = getResultsOrigin();
+      const byName = (a, b) => (a.feature.properties.facility_name || '')
+          .localeCompare(b.feature.properties.facility_name || '');
+      const statusRank = status => {
+          const rank = STATUS_SORT_ORDER.indexOf(status);
+          return rank === -1 ? STATUS_SORT_ORDER.length : rank;
+      };
 
-      console.log('Toggle heatmap clicked. Current state:', isHeatmapVisible);
+      sortedResults = currentFilteredFeatures.map(feature => {
+          const [lng, lat] = feature.geometry.coordinates;
+          return { feature, distance: calculateDistance(originLat, originLng, lat, lng) };
+      });
 
-      if (!isHeatmapVisible) {
-          // Generate and show heatmap
-          if (!heatmapData) {
-              button.textContent = 'Generating Danger Zone Analysis...';
-              button.disabled = true;
-              
-              setTimeout(() => {
-                  console.log('Generating emergency zone analysis...');
-                  const startTime = performance.now();
-                  heatmapData = generateCoverageHeatmap();
-                  const endTime = performance.now();
-                  console.log(`Emergency zone analysis completed in ${(endTime - startTime).toFixed(2)}ms`);
-                  console.log('Heatmap data generated:', heatmapData);
-                  
-                  addHeatmapLayer();
-                  isHeatmapVisible = true;
-                  button.textContent = 'Hide Danger Zone Analysis';
-                  button.disabled = false;
-                  legend.classList.remove('hidden');
-                  console.log('Danger zone analysis layer added and visible');
-              }, 100);
-          } else {
-              addHeatmapLayer();
-              isHeatmapVisible = true;
-              button.textContent = 'Hide Danger Zone Analysis';
-              legend.classList.remove('hidden');
-              console.log('Existing danger zone analysis made visible');
-          }
+      if (resultsSort === 'relevance' && searchScores) {
+          sortedResults.sort((a, b) =>
+              searchScores.get(b.feature.properties) - searchScores.get(a.feature.properties) || byName(a, b));
+      } else if (resultsSort === 'distance') {
+          sortedResults.sort((a, b) => a.distance - b.distance);
+      } else if (resultsSort === 'status') {
+          sortedResults.sort((a, b) =>
+              statusRank(a.feature.properties.status) - statusRank(b.feature.properties.status) || byName(a, b));
       } else {
-          // Hide heatmap
-          removeHeatmapLayer();
-          isHeatmapVisible = false;
-          button.textContent = 'Show Danger Zone Analysis';
-          legend.classList.add('hidden');
-          console.log('Danger zone analysis hidden');
+          sortedResults.sort(byName);
       }
+
+      resultsPage = 0;
+      renderResultsList();
   }
 
-  function addHeatmapLayer() {
-      if (!heatmapData) {
-          console.error('No heatmap data available');
+  function renderResultsList() {
+      const list = document.getElementById('resultsList');
+      const pageCount = Math.max(1, Math.ceil(sortedResults.length / RESULTS_PAGE_SIZE));
+      resultsPage = Math.min(resultsPage, pageCount - 1);
+      const start = resultsPage * RESULTS_PAGE_SIZE;
+      const pageResults = sortedResults.slice(start, start + RESULTS_PAGE_SIZE);
+
+      const operationalCount = currentFilteredFeatures
+          .filter(feature => feature.properties.status === 'Operational').length;
+      document.getElementById('resultsSummary').textContent = sortedResults.length === 0
+          ? translate('results.noMatches', { count: allRestroomData.features.length })
+          : translate('results.summary', {
+              from: start + 1,
+              to: start + pageResults.length,
+              count: sortedResults.length,
+              operational: operationalCount,
+              total: allRestroomData.features.length
+          });
+      document.getElementById('resultsPageInfo').textContent =
+          translate('results.page', { page: resultsPage + 1, pages: pageCount });
+      document.getElementById('resultsPrev').disabled = resultsPage === 0;
+      document.getElementById('resultsNext').disabled = resultsPage >= pageCount - 1;
+
+      list.innerHTML = '';
+      if (pageResults.length === 0) {
+          list.appendChild(createTextElement('li', 'results-empty', translate('results.empty')));
           return;
       }
 
-      console.log('Adding heatmap layer...');
-
-      // Remove existing layer if it exists
-      if (map.getLayer('heatmap-layer')) {
-          map.removeLayer('heatmap-layer');
-      }
-      if (map.getSource('heatmap-source')) {
-          map.removeSource('heatmap-source');
+      let origin = translate('results.fromCenter');
+      if (searchedPlace) {
+          origin = translate('results.fromPlace', { place: searchedPlace.name });
+      } else if (userLocation) {
+          origin = translate('results.fromYou');
       }
+      pageResults.forEach(result => {
+          const props = result.feature.properties;
+          const item = document.createElement('li');
+          item.className = 'results-item';
+          item.tabIndex = 0;
+          item.dataset.key = getFacilityKey(props);
+
+          const name = document.createElement('div');
+          name.className = 'results-name';
+          name.textContent = personalStore.isFavorite(props.facility_id)
+              ? `${getFacilityLabel(props)} ★`
+              : getFacilityLabel(props);
+
+          const meta = document.createElement('div');
+          meta.className = 'results-meta';
+          meta.textContent = `${translateValue('status', props.status)} · ` +
+              translate('results.distance', { distance: formatDistance(result.distance), origin });
+
+          item.append(name, meta);
+          item.addEventListener('mouseenter', () => highlightFacility(result.feature));
+          item.addEventListener('mouseleave', () => highlightFacility(null));
+          item.addEventListener('click', () => selectResult(result));
+          item.addEventListener('keydown', (e) => {
+              if (e.key === 'Enter') selectResult(result);
+          });
+          list.appendChild(item);
+      });
 
-      const heatmapPoints = heatmapData.features[0].properties.heatmapData;
-      console.log('Heatmap points count:', heatmapPoints.length);
-      
-      // Create GeoJSON from heatmap points
-      const heatmapGeoJSON = {
-          type: 'FeatureCollection',
-          features: heatmapPoints.map(point => ({
-              type: 'Feature',
-              geometry: {
-                  type: 'Point',
-                  coordinates: [point[0], point[1]]
-              },
-              properties: {
-                  intensity: point[2]
-              }
-          }))
-      };
+      markSelectedResult();
+  }
 
-      console.log('Created heatmap GeoJSON with', heatmapGeoJSON.features.length, 'features');
+  function changeResultsPage(delta) {
+      resultsPage += delta;
+      renderResultsList();
+      document.getElementById('resultsList').scrollTop = 0;
+  }
 
-      map.addSource('heatmap-source', {
-          type: 'geojson',
-          data: heatmapGeoJSON
-      });
+  function selectResult(result) {
+      const coordinates = result.feature.geometry.coordinates.slice();
+      map.flyTo({ center: coordinates, zoom: Math.max(map.getZoom(), CLUSTER_MAX_ZOOM + 1) });
+      showFacilityPopup(coordinates, result.feature.properties);
+  }
 
-      map.addLayer({
-          id: 'heatmap-layer',
-          type: 'heatmap',
-          source: 'heatmap-source',
-          maxzoom: 15,
-          paint: {
-              'heatmap-weight': ['get', 'intensity'],
-              'heatmap-intensity': [
-                  'interpolate',
-                  ['linear'],
-                  ['zoom'],
-                  0, 0.7,
-                  10, 1.0,
-                  15, 1.8
-              ],
-              'heatmap-color': [
-                  'interpolate',
-                  ['linear'],
-                  ['heatmap-density'],
-                  0, 'rgba(0,255,0,0)',
-                  0.1, 'rgba(0,255,0,0.5)',     // Safe: < 200m
-                  0.3, 'rgba(128,255,0,0.6)',   // Caution: 200-400m
-                  0.5, 'rgba(255,255,0,0.6)',   // Risk: 400-600m
-                  0.7, 'rgba(255,128,0,0.7)',   // Danger: 600-800m
-                  0.9, 'rgba(255,64,0,0.8)',    // High Danger: 800-1000m
-                  1, 'rgba(255,0,0,0.9)'        // Critical: > 1000m
-              ],
-              'heatmap-radius': [
-                  'interpolate',
-                  ['linear'],
-                  ['zoom'],
-                  0, 18,
-                  10, 30,
-                  15, 45
-              ],
-              'heatmap-opacity': [
-                  'interpolate',
-                  ['linear'],
-                  ['zoom'],
-                  0, 0.6,
-                  10, 0.7,
-                  15, 0.8
-              ]
-          }
-      }, 'restroom-points');
+  function highlightFacility(feature) {
+      map.getSource('restroom-highlight').setData({
+          type: 'FeatureCollection',
+          features: feature ? [feature] : []
+      });
+  }
 
-      console.log('Emergency zone analysis layer added successfully');
+  function markSelectedResult() {
+      document.querySelectorAll('#resultsList .results-item').forEach(item => {
+          item.classList.toggle('is-selected', item.dataset.key === selectedFacilityKey);
+      });
   }
 
-  function removeHeatmapLayer() {
-      if (map.getLayer('heatmap-layer')) {
-          map.removeLayer('heatmap-layer');
+  // Turn to the page holding a facility and scroll its row into view
+  function revealResult(key) {
+      const index = sortedResults.findIndex(result => getFacilityKey(result.feature.properties) === key);
+      if (index === -1) {
+          markSelectedResult();
+          return;
+      }
+
+      const page = Math.floor(index / RESULTS_PAGE_SIZE);
+      if (page !== resultsPage) {
+          resultsPage = page;
+          renderResultsList();
+      } else {
+          markSelectedResult();
       }
-      if (map.getSource('heatmap-source')) {
-          map.removeSource('heatmap-source');
+
+      const row = document.querySelector(`#resultsList .results-item[data-key="${CSS.escape(key)}"]`);
+      if (row) {
+          row.scrollIntoView({ block: 'nearest' });
       }
   }
 
   // ============================================================================
-  // EVENT LISTENERS SETUP
+  // URL STATE
   // ============================================================================
-  function setupEventListeners() {
-      // Search functionality
-      document.getElementById('searchFacility').addEventListener('input', (e) => {
-          currentFilters.search = e.target.value.toLowerCase();
-          applyFilters();
-      });
-
-      // Status filter
-      document.getElementById('statusFilter').addEventListener('change', (e) => {
-          currentFilters.status = e.target.value;
-          applyFilters();
-      });
+  const HISTORY_MERGE_WINDOW_MS = 1000; // typing in the search box is one entry
+  let lastHistoryPush = 0;
+  let isRestoringState = false;
 
-      // Accessibility filter
-      document.getElementById('accessibilityFilter').addEventListener('change', (e) => {
-          currentFilters.accessibility = e.target.value;
-          applyFilters();
-      });
+  function getAppState() {
+      const center = map.getCenter();
+      return {
+          filters: currentFilters,
+          view: { center: [center.lng, center.lat], zoom: map.getZoom() },
+          heatmap: isHeatmapVisible,
+          facility: selectedFacilityKey
+      };
+  }
 
-      // Location type filter
-      document.getElementById('locationTypeFilter').addEventListener('change', (e) => {
-          currentFilters.locationType = e.target.value;
-          applyFilters();
-      });
+  function updateUrlState(options = {}) {
+      if (isRestoringState || !allRestroomData) return;
 
-      // Button event listeners
-      document.getElementById('resetAllFilters').addEventListener('click', resetAllFilters);
-      document.getElementById('fitToRestrooms').addEventListener('click', fitMapToData);
-      document.getElementById('findNearMe').addEventListener('click', findNearMe);
-      document.getElementById('toggleHeatmap').addEventListener('click', toggleHeatmap);
+      const hash = '#' + encodeAppState(getAppState(), createDefaultFilters());
+      if (hash === window.location.hash) return;
 
-      // Keyboard shortcuts
-      document.addEventListener('keydown', handleKeyboardShortcuts);
+      const now = Date.now();
+      if (options.pushHistory && now - lastHistoryPush > HISTORY_MERGE_WINDOW_MS) {
+          history.pushState(null, '', hash);
+          lastHistoryPush = now;
+      } else {
+          history.replaceState(null, '', hash);
+      }
   }
 
-  // ============================================================================
-  // FILTER APPLICATION
-  // ============================================================================
-  function applyFilters() {
-      if (!allRestroomData) return;
-
-      let filteredFeatures = allRestroomData.features.filter(feature => {
-          const props = feature.properties;
-          
-          // Search filter
-          if (currentFilters.search !== '') {
-              const searchableText = [
-                  props.facility_name,
-                  props.operator,
-                  props.location_type
-              ].join(' ').toLowerCase();
-              
-              if (!searchableText.includes(currentFilters.search)) {
-                  return false;
-              }
-          }
+  function restoreStateFromUrl() {
+      const state = decodeAppState(window.location.hash, createDefaultFilters());
+      isRestoringState = true;
 
-          // Status filter
-          if (currentFilters.status !== 'all' && props.status !== currentFilters.status) {
-              return false;
-          }
+      currentFilters = { ...createDefaultFilters(), ...state.filters };
+      syncFilterControls();
+      applyFilters();
 
-          // Accessibility filter
-          if (currentFilters.accessibility !== 'all' && props.accessibility !== currentFilters.accessibility) {
-              return false;
-          }
+      if (state.view) {
+          map.jumpTo({ center: state.view.center, zoom: state.view.zoom });
+      }
 
-          // Location type filter
-          if (currentFilters.locationType !== 'all' && props.location_type !== currentFilters.locationType) {
-              return false;
-          }
+      if (state.heatmap !== (isHeatmapVisible || isCoverageRunning)) {
+          toggleHeatmap();
+      }
 
-          return true;
-      });
+      const feature = findFeatureByKey(state.facility);
+      if (feature) {
+          showFacilityPopup(feature.geometry.coordinates.slice(), feature.properties);
+      } else if (currentPopup) {
+          currentPopup.remove();
+      }
 
-      // Update map data
-      map.getSource('restrooms').setData({
-          type: 'FeatureCollection',
-          features: filteredFeatures
-      });
+      isRestoringState = false;
+      updateUrlState();
   }
 
   // ============================================================================
   // UTILITY FUNCTIONS
   // ============================================================================
   function resetAllFilters() {
-      currentFilters = {
-          search: '',
-          status: 'all',
-          accessibility: 'all',
-          locationType: 'all'
-      };
-
-      document.getElementById('searchFacility').value = '';
-      document.getElementById('statusFilter').value = 'all';
-      document.getElementById('accessibilityFilter').value = 'all';
-      document.getElementById('locationTypeFilter').value = 'all';
-
+      currentFilters = createDefaultFilters();
+      syncFilterControls();
       applyFilters();
   }
 
+  // Make every filter control reflect currentFilters
+  function syncFilterControls() {
+      document.getElementById('searchFacility').value = currentFilters.search;
+      CATEGORY_FILTERS.forEach(filter => setMultiSelectValues(filter, currentFilters[filter.key]));
+      document.getElementById('openFilter').value = currentFilters.openTime;
+      document.getElementById('openAtTime').value = currentFilters.openAt;
+      document.getElementById('openAtTime').classList.toggle('hidden', currentFilters.openTime !== 'at');
+      document.getElementById('openAtDay').value = currentFilters.openDay;
+      document.getElementById('openAtDay').classList.toggle('hidden', currentFilters.openTime !== 'at');
+      document.getElementById('includeUnknownHours').checked = currentFilters.includeUnknownHours;
+      document.getElementById('favoritesOnly').checked = currentFilters.favoritesOnly;
+      document.getElementById('hideReportedClosed').checked = currentFilters.hideReportedClosed;
+  }
+
   function fitMapToData() {
       if (!allRestroomData) return;
 
-      const bounds = new mapboxgl.LngLatBounds();
+      const bounds = new gl.LngLatBounds();
       allRestroomData.features.forEach(feature => {
           bounds.extend(feature.geometry.coordinates);
       });
@@ -703,29 +3290,214 @@ function initializeMap(token) {
               (position) => {
                   const userLng = position.coords.longitude;
                   const userLat = position.coords.latitude;
+                  userLocation = [userLng, userLat];
+                  clearSearchedPlace();
                   
                   map.flyTo({
-                      center: [userLng, userLat],
+                      center: userLocation,
                       zoom: 14,
                       duration: 2000
                   });
 
-                  // Add user location marker
-                  new mapboxgl.Marker({ color: '#3b82f6' })
-                      .setLngLat([userLng, userLat])
-                      .addTo(map);
+                  // Add (or move) the user location marker
+                  if (!userMarker) {
+                      userMarker = new gl.Marker({ color: '#3b82f6' });
+                  }
+                  userMarker.setLngLat(userLocation).addTo(map);
+
+                  updateNearestResults();
+                  updateResultsList();
               },
               (error) => {
                   console.error('Geolocation error:', error);
-                  alert('Unable to access your location. Please enable location services.');
+                  alert(translate('location.unavailable'));
               }
           );
       } else {
-          alert('Geolocation is not supported by this browser.');
+          alert(translate('location.unsupported'));
+      }
+  }
+
+  // ============================================================================
+  // NEAREST RESTROOMS
+  // ============================================================================
+  let nearestRequestId = 0;
+  let nearestResults = [];        // ranking shown in the nearest list, in list order
+
+  function updateNearestResults() {
+      const panel = document.getElementById('nearestResults');
+      const list = document.getElementById('nearestResultsList');
+      const requestId = ++nearestRequestId;
+
+      panel.classList.remove('hidden');
+      renderNearestOrigin();
+      nearestResults = [];
+      showNearestMessage('nearest.calculating');
+
+      findNearestFacilities(filteredIndex, getNearestOrigin(), activeRouter, NEAREST_RESULT_COUNT)
+          .then(results => {
+              // A newer request (filter change, new location) superseded this one
+              if (requestId !== nearestRequestId) return;
+              renderNearestResults(results);
+          })
+          .catch(error => {
+              console.error('Error ranking nearest restrooms:', error);
+              showNearestMessage('nearest.failed');
+          });
+  }
+
+  function renderNearestOrigin() {
+      document.getElementById('nearestOrigin').textContent = searchedPlace
+          ? translate('nearest.fromPlace', { place: searchedPlace.name })
+          : translate('nearest.fromYou');
+  }
+
+  // A placeholder line in place of the list; data-i18n keeps it translated
+  function showNearestMessage(key) {
+      const item = createTextElement('li', 'nearest-empty', translate(key));
+      item.dataset.i18n = key;
+      document.getElementById('nearestResultsList').replaceChildren(item);
+  }
+
+  function renderNearestResults(results) {
+      const list = document.getElementById('nearestResultsList');
+      list.innerHTML = '';
+      removeRouteLine();
+      nearestResults = results;
+
+      if (results.length === 0) {
+          showNearestMessage('results.empty');
+          return;
+      }
+
+      results.forEach((result, index) => {
+          const props = result.feature.properties;
+          const item = document.createElement('li');
+          item.className = 'nearest-item';
+          item.tabIndex = 0;
+
+          const name = document.createElement('div');
+          name.className = 'nearest-name';
+          name.textContent = getFacilityLabel(props);
+
+          const meta = document.createElement('div');
+          meta.className = 'nearest-meta';
+          meta.textContent = describeNearestRoute(result);
+
+          item.append(name, meta);
+          item.addEventListener('click', () => selectNearestResult(result, item));
+          item.addEventListener('keydown', (e) => {
+              if (e.key === 'Enter') selectNearestResult(result, item);
+          });
+          list.appendChild(item);
+
+          // Show the way to the closest one straight away
+          if (index === 0) {
+              drawRouteLine(result.route.coordinates);
+              item.classList.add('is-selected');
+          }
+      });
+  }
+
+  // "~450 ft · ~2 min walk · Operational"; estimated routes are marked with ~
+  function describeNearestRoute(result) {
+      const prefix = result.route.estimated ? '~' : '';
+      return `${prefix}${formatDistance(result.route.distance)} · ` +
+          `${prefix}${formatWalkingTime(result.route.duration)} · ` +
+          translateValue('status', result.feature.properties.status);
+  }
+
+  // The nearest list is redrawn in place so the chosen route stays selected
+  function relabelNearestResults() {
+      renderNearestOrigin();
+      document.querySelectorAll('#nearestResultsList .nearest-item').forEach((item, index) => {
+          const result = nearestResults[index];
+          item.querySelector('.nearest-name').textContent = getFacilityLabel(result.feature.properties);
+          item.querySelector('.nearest-meta').textContent = describeNearestRoute(result);
+      });
+  }
+
+  function selectNearestResult(result, item) {
+      document.querySelectorAll('#nearestResultsList .nearest-item').forEach(element => {
+          element.classList.toggle('is-selected', element === item);
+      });
+
+      drawRouteLine(result.route.coordinates);
+      showFacilityPopup(result.feature.geometry.coordinates.slice(), result.feature.properties);
+
+      const bounds = new gl.LngLatBounds();
+      result.route.coordinates.forEach(coordinate => bounds.extend(coordinate));
+      map.fitBounds(bounds, { padding: 80, duration: 1000, maxZoom: 17 });
+  }
+
+  function drawRouteLine(coordinates) {
+      const routeGeoJSON = {
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates },
+          properties: {}
+      };
+
+      if (map.getSource('route-line')) {
+          map.getSource('route-line').setData(routeGeoJSON);
+          return;
+      }
+
+      map.addSource('route-line', {
+          type: 'geojson',
+          data: routeGeoJSON
+      });
+
+      map.addLayer({
+          id: 'route-line',
+          type: 'line',
+          source: 'route-line',
+          layout: {
+              'line-join': 'round',
+              'line-cap': 'round'
+          },
+          paint: {
+              'line-color': '#3b82f6',
+              'line-width': 4,
+              'line-dasharray': [1, 1.5],
+              'line-opacity': 0.9
+          }
+      }, 'restroom-points');
+  }
+
+  function removeRouteLine() {
+      if (map.getLayer('route-line')) {
+          map.removeLayer('route-line');
+      }
+      if (map.getSource('route-line')) {
+          map.removeSource('route-line');
+      }
+  }
+
+  function clearNearestResults() {
+      nearestRequestId++;
+      userLocation = null;
+      if (userMarker) {
+          userMarker.remove();
       }
+      clearSearchedPlace();
+      removeRouteLine();
+      document.getElementById('nearestResults').classList.add('hidden');
+      updateResultsList();
   }
 
+  // Letters typed into the search box or another field are text, not
+  // shortcuts; only Escape still clears the search from the search box
   function handleKeyboardShortcuts(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isEditingText(e.target) && !(e.key === 'Escape' && e.target.id === 'searchFacility')) return;
+
+      // Escape stops drawing an export area before it clears the search
+      if (e.key === 'Escape' && drawingVertices) {
+          e.preventDefault();
+          clearExportArea();
+          return;
+      }
+
       switch(e.key.toLowerCase()) {
           case 'f':
               e.preventDefault();
@@ -744,8 +3516,190 @@ function initializeMap(token) {
       }
   }
 
+  // Inputs, selects and editable regions take typed letters as text
+  function isEditingText(element) {
+      if (!element || !element.tagName) return false;
+      if (element.isContentEditable) return true;
+      if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+      return element.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes(element.type);
+  }
+
+  // ============================================================================
+  // KEYBOARD AND SCREEN READER NAVIGATION
+  // ============================================================================
+
+  // With the map focused, Enter selects the restroom nearest the center and the
+  // arrow keys then move to the next one in that direction on screen. Without a
+  // selection the arrows keep panning the map as usual
+  function handleMapKeys(e) {
+      if (e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+      if (!filteredIndex || isEditingText(e.target)) return;
+
+      const angle = ARROW_KEY_ANGLES[e.key];
+      if (angle !== undefined && selectedFacilityKey) {
+          e.preventDefault();
+          e.stopPropagation();
+          moveSelection(angle);
+      } else if (e.key === 'Enter' && e.target === map.getCanvas()) {
+          e.preventDefault();
+          const center = map.getCenter();
+          const nearest = filteredIndex.nearest(center.lng, center.lat);
+          if (nearest) {
+              selectFacilityFromKeyboard(nearest.item);
+          }
+      }
+  }
+
+  // `angle` is on screen (0 = right, 90 = up); the map may be rotated
+  function moveSelection(angle) {
+      const selected = findFeatureByKey(selectedFacilityKey);
+      if (!selected) return;
+
+      const [lng, lat] = selected.geometry.coordinates;
+      const next = findFacilityInDirection(lng, lat, angle - map.getBearing());
+      if (next) {
+          selectFacilityFromKeyboard(next);
+      } else {
+          announce(translate('a11y.noneInDirection'));
+      }
+  }
+
+  // The closest filtered restroom within 60° of `angle` (degrees counterclockwise
+  // from east), preferring ones straight ahead over nearer ones off to the side
+  function findFacilityInDirection(lng, lat, angle) {
+      let best = null;
+      let bestScore = Infinity;
+
+      filteredIndex.kNearest(lng, lat, DIRECTION_CANDIDATE_COUNT).forEach(({ item, distance }) => {
+          if (distance === 0) return;
+          const [itemLng, itemLat] = item.geometry.coordinates;
+          const dx = (itemLng - lng) * FAST_METERS_PER_DEGREE_LNG;
+          const dy = (itemLat - lat) * FAST_METERS_PER_DEGREE_LAT;
+          const bearing = Math.atan2(dy, dx) * 180 / Math.PI;
+          const offAxis = Math.abs(((bearing - angle) % 360 + 540) % 360 - 180);
+          if (offAxis > 60) return;
+
+          const score = distance * (1 + offAxis / 30);
+          if (score < bestScore) {
+              best = item;
+              bestScore = score;
+          }
+      });
+      return best;
+  }
+
+  // Keep focus on the map so the next arrow key carries on from here
+  function selectFacilityFromKeyboard(feature) {
+      const coordinates = feature.geometry.coordinates.slice();
+      map.easeTo({ center: coordinates });
+      showFacilityPopup(coordinates, feature.properties);
+      announce(describeFacility(feature.properties));
+      map.getCanvas().focus();
+  }
+
+  // "Bryant Park: Operational, Open now · closes in 45 min"
+  function describeFacility(props) {
+      const clock = getNycClock();
+      return translate('a11y.facility', {
+          name: getFacilityLabel(props),
+          status: translateValue('status', props.status || UNKNOWN_VALUE),
+          hours: describeOpenState(getOpenState(getFacilitySchedule(props), clock), clock)
+      });
+  }
+
+  // Screen readers only read a live region when its text changes, so it is
+  // emptied first and refilled a moment later
+  function announce(message) {
+      const announcer = document.getElementById('mapAnnouncer');
+      announcer.textContent = '';
+      setTimeout(() => {
+          announcer.textContent = message;
+      }, 50);
+  }
+
+  // Read out the number of matches once the filters settle, not per keystroke.
+  // The count on first load is not announced
+  function scheduleResultsAnnouncement() {
+      clearTimeout(resultsAnnouncementTimer);
+      resultsAnnouncementTimer = setTimeout(() => {
+          const count = currentFilteredFeatures.length;
+          if (announcedResultCount === null || count === announcedResultCount) {
+              announcedResultCount = count;
+              return;
+          }
+          announcedResultCount = count;
+          const operational = currentFilteredFeatures.filter(feature =>
+              feature.properties.status === 'Operational'
+          ).length;
+          announce(translate('a11y.resultsChanged', { count, operational }));
+      }, RESULTS_ANNOUNCEMENT_DELAY);
+  }
+
+  // Text alternative to the map: the filtered restrooms in view, nearest the
+  // center first, each one a button that opens its popup
+  function updateVisibleFacilities() {
+      if (!allRestroomData) return;
+
+      const list = document.getElementById('visibleFacilitiesList');
+      const focusedKey = list.contains(document.activeElement) ? document.activeElement.dataset.key : null;
+      const bounds = map.getBounds();
+      const center = map.getCenter();
+      const visible = currentFilteredFeatures
+          .filter(feature => bounds.contains(feature.geometry.coordinates))
+          .map(feature => {
+              const [lng, lat] = feature.geometry.coordinates;
+              return { feature, distance: calculateDistance(center.lat, center.lng, lat, lng) };
+          })
+          .sort((a, b) => a.distance - b.distance);
+
+      document.getElementById('visibleFacilitiesSummary').textContent =
+          translate('a11y.visible.title', { count: visible.length });
+
+      list.replaceChildren();
+      visible.slice(0, VISIBLE_FACILITY_LIMIT).forEach(({ feature }) => {
+          const props = feature.properties;
+          const item = document.createElement('li');
+          const button = createTextElement('button', 'visible-facility',
+              `${getFacilityLabel(props)} · ${translateValue('status', props.status || UNKNOWN_VALUE)}`);
+          button.type = 'button';
+          button.dataset.key = getFacilityKey(props);
+          button.addEventListener('focus', () => highlightFacility(feature));
+          button.addEventListener('blur', () => highlightFacility(null));
+          button.addEventListener('click', () => selectResult({ feature }));
+          item.appendChild(button);
+          list.appendChild(item);
+      });
+
+      if (visible.length === 0) {
+          list.appendChild(createTextElement('li', 'visible-facilities-more', translate('a11y.visible.empty')));
+      } else if (visible.length > VISIBLE_FACILITY_LIMIT) {
+          list.appendChild(createTextElement('li', 'visible-facilities-more',
+              translate('a11y.visible.more', { count: visible.length - VISIBLE_FACILITY_LIMIT })));
+      }
+
+      // Rebuilding the list must not throw a keyboard user out of it
+      if (focusedKey) {
+          const button = list.querySelector(`button[data-key="${CSS.escape(focusedKey)}"]`);
+          if (button) button.focus();
+      }
+  }
+
+  // Up and down move between the rows; Tab still leaves the list
+  function handleVisibleListKeys(e) {
+      if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+      const buttons = Array.from(document.querySelectorAll('#visibleFacilitiesList .visible-facility'));
+      const index = buttons.indexOf(document.activeElement);
+      if (index === -1) return;
+
+      e.preventDefault();
+      const next = buttons[index + (e.key === 'ArrowDown' ? 1 : -1)];
+      if (next) next.focus();
+  }
+
+
   function showErrorMessage(error) {
       const errorDiv = document.createElement('div');
+      errorDiv.id = 'dataErrorMessage';
       errorDiv.style.cssText = `
           position: absolute;
           top: 50%;
@@ -760,66 +3714,102 @@ function initializeMap(token) {
           z-index: 1000;
           max-width: 400px;
       `;
-      errorDiv.innerHTML = `
-          <h3>❌ Error Loading Data</h3>
-          <p>Could not load the public restroom data. Please make sure you're running this on a local server.</p>
-          <p><strong>Error:</strong> ${error.message}</p>
-          <p><em>💡 Tip: Use VS Code Live Server or Python's http.server to run locally.</em></p>
-      `;
+      // data-i18n keeps the box translated if the language changes while it
+      // shows; the error message, which can quote the data, stays plain text
+      const translated = (tag, key) => {
+          const element = createTextElement(tag, null, translate(key));
+          element.dataset.i18n = key;
+          return element;
+      };
+      const details = document.createElement('p');
+      details.append(translated('strong', 'error.label'), ' ', error.message);
+      const tip = document.createElement('p');
+      tip.appendChild(translated('em', 'error.tip'));
+      errorDiv.append(translated('h3', 'error.title'), translated('p', 'error.text'), details, tip);
       document.getElementById('mapbox-container-restrooms').appendChild(errorDiv);
   }
 
+  // ============================================================================
+  // LANGUAGE AND UNITS
+  // ============================================================================
+
+  // Static markup is translated by translateDocument(); this redraws what was
+  // built from the data, keeping filters, the open popup and the chosen route
+  function refreshLocalizedContent() {
+      scaleControl.setUnit(getUnits());
+      if (isMapLoaded) {
+          renderer.localizeLabels(map, getLocale());
+      }
+      updateCoverageButton();
+      renderCoverageThresholdInput();
+      CATEGORY_FILTERS.forEach(filter => updateMultiSelectSummary(filter));
+      renderOpenDayOptions();
+      renderFilterProfileOptions();
+      hideSearchSuggestions();
+      hideCoverageReadout();
+      if (!allRestroomData) return;
+
+      buildFilterOptions();
+      updateFilterCounts(currentFilters.openTime !== 'any' ? getFilterClock() : null);
+      renderResultsList();
+      relabelNearestResults();
+      const selectedFeature = findFeatureByKey(selectedFacilityKey);
+      if (currentPopup && selectedFeature) {
+          currentPopup.setDOMContent(createPopupContent(selectedFeature.properties));
+      }
+
+      renderDataSourceStatus();
+      renderDatasetChanges();
+      renderDataQuality();
+      if (coverageResult) {
+          renderHeatmapLegend();
+      }
+      renderBoroughSummary();
+      updateVisibleFacilities();
+      renderPersonalPanel();
+      updateExportSummary();
+  }
+
+  refreshLocalizedContent();
+  window.addEventListener('localechange', refreshLocalizedContent);
+
   // ============================================================================
   // INITIALIZATION COMPLETE
   // ============================================================================
   console.log('🚻 NYC Public Restrooms Map Application Initialized');
-  console.log('🎮 Keyboard Shortcuts: F = Fit to data, R = Reset filters, Escape = Clear search');
+  console.log('🎮 Keyboard Shortcuts: F = Fit to data, R = Reset filters, Escape = Clear search, Enter/arrows on the map = Move between restrooms');
   
-  // Add token reset functionality (for debugging/testing)
+  // Forget the Mapbox token (for debugging/testing); the map falls back to MapLibre
   window.resetMapboxToken = function() {
-    localStorage.removeItem('mapbox_access_token');
+    saveMapboxToken('');
     location.reload();
   };
+  
+  // Inspect which dataset values were normalized or could not be mapped
+  window.getNormalizationReport = function() {
+    return normalizationReport;
+  };
+
+  // Inspect every validation issue of the dataset shown
+  window.getDataQualityReport = function() {
+    return dataQualityReport;
+  };
 }
 
-// Add token management controls to the page
-function addTokenControls() {
+// Add a button that opens the map settings to the controls
+function addMapSettingsControl() {
   const controls = document.querySelector('.controls');
-  if (controls && localStorage.getItem('mapbox_access_token')) {
-    const tokenControl = document.createElement('div');
-    tokenControl.className = 'filter-group';
-    tokenControl.innerHTML = `
-      <button id="resetToken" style="background: #dc2626; color: white; padding: 8px 16px; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
-        Change Token
-      </button>
-    `;
-    controls.appendChild(tokenControl);
+  if (controls && !document.getElementById('openMapSettings')) {
+    const settingsControl = document.createElement('div');
+    settingsControl.className = 'filter-group';
+    const button = createTextElement('button', null, translate('settings.title'));
+    button.id = 'openMapSettings';
+    button.dataset.i18n = 'settings.title';
+    button.style.cssText = 'background: #475569; color: white; padding: 8px 16px; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;';
+    settingsControl.appendChild(button);
+    controls.appendChild(settingsControl);
     
-    document.getElementById('resetToken').addEventListener('click', function() {
-      if (confirm('토큰을 변경하시겠습니까? 토큰 입력 화면으로 돌아갑니다.')) {
-        localStorage.removeItem('mapbox_access_token');
-        
-        // Show token section and hide map
-        document.getElementById('mapSection').classList.add('hidden');
-        document.getElementById('tokenSection').classList.remove('hidden');
-        
-        // Clear the token input and focus
-        const tokenInput = document.getElementById('mapboxToken');
-        tokenInput.value = '';
-        
-        // Scroll to token section
-        setTimeout(() => {
-          document.getElementById('tokenSection').scrollIntoView({ 
-            behavior: 'smooth', 
-            block: 'start' 
-          });
-          tokenInput.focus();
-        }, 100);
-        
-        // Re-setup token input handlers
-        setupTokenInput();
-      }
-    });
+    document.getElementById('openMapSettings').addEventListener('click', () => showMapSettings());
   }
 }
 
@@ -0,0 +1,134 @@
+/*
+ * WALKING ROUTE ESTIMATION
+ * ========================
+ *
+ * Pluggable routing backends used by "Find Safe Zones Near Me". Every backend
+ * exposes the same interface:
+ *
+ *   router.route([fromLng, fromLat], [toLng, toLat])
+ *     -> Promise<{ distance, duration, coordinates, estimated }>
+ *
+ * distance is in meters, duration in seconds, coordinates is the line to draw.
+ * The offline estimators need no network access and are the default; the
+ * Mapbox Directions backend is optional and falls back to the Manhattan-grid
+ * estimate if the request fails.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const WALKING_SPEED_MPS = 1.34;         // ~4.8 km/h, typical urban walking pace
+const STRAIGHT_LINE_DETOUR_FACTOR = 1.3; // streets are never a straight line
+const MANHATTAN_GRID_BEARING = 29;      // Manhattan's avenues run ~29° east of true north
+
+// ============================================================================
+// BACKENDS
+// ============================================================================
+
+// As the crow flies, with a detour factor for the walking distance
+function createStraightLineRouter() {
+    return {
+        id: 'straight',
+        label: 'Straight line (offline)',
+        route(from, to) {
+            const distance = calculateDistance(from[1], from[0], to[1], to[0]) * STRAIGHT_LINE_DETOUR_FACTOR;
+            return Promise.resolve({
+                distance,
+                duration: distance / WALKING_SPEED_MPS,
+                coordinates: [from, to],
+                estimated: true
+            });
+        }
+    };
+}
+
+// Walk along the street grid: one leg along the avenues, one along the streets
+function createManhattanGridRouter(gridBearing = MANHATTAN_GRID_BEARING) {
+    const angle = gridBearing * Math.PI / 180;
+    // Unit vectors of the grid axes in east/north space
+    const avenue = { east: Math.sin(angle), north: Math.cos(angle) };
+    const street = { east: Math.cos(angle), north: -Math.sin(angle) };
+
+    return {
+        id: 'manhattan',
+        label: 'Street grid (offline)',
+        route(from, to) {
+            const offset = offsetInMeters(from[1], from[0], to[1], to[0]);
+            const alongAvenue = offset.east * avenue.east + offset.north * avenue.north;
+            const alongStreet = offset.east * street.east + offset.north * street.north;
+            const distance = Math.abs(alongAvenue) + Math.abs(alongStreet);
+
+            // Turn the corner after walking the avenue leg
+            const corner = pointAtOffset(
+                from[1], from[0],
+                avenue.east * alongAvenue,
+                avenue.north * alongAvenue
+            );
+
+            return Promise.resolve({
+                distance,
+                duration: distance / WALKING_SPEED_MPS,
+                coordinates: [from, corner, to],
+                estimated: true
+            });
+        }
+    };
+}
+
+// Mapbox Directions API (walking profile); needs network access and a token
+function createMapboxDirectionsRouter(accessToken, fallbackRouter = createManhattanGridRouter()) {
+    return {
+        id: 'mapbox',
+        label: 'Mapbox Directions (online)',
+        route(from, to) {
+            const url = 'https://api.mapbox.com/directions/v5/mapbox/walking/' +
+                `${from[0]},${from[1]};${to[0]},${to[1]}` +
+                `?geometries=geojson&overview=full&access_token=${encodeURIComponent(accessToken)}`;
+
+            return fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Directions request failed: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    const route = data.routes && data.routes[0];
+                    if (!route) {
+                        throw new Error('No walking route found');
+                    }
+                    return {
+                        distance: route.distance,
+                        duration: route.duration,
+                        coordinates: route.geometry.coordinates,
+                        estimated: false
+                    };
+                })
+                .catch(error => {
+                    console.warn('Mapbox Directions unavailable, using offline estimate:', error.message);
+                    return fallbackRouter.route(from, to);
+                });
+        }
+    };
+}
+
+// ============================================================================
+// NEAREST FACILITIES
+// ============================================================================
+
+/**
+ * Take the `count` features closest to `origin` ([lng, lat]) from a spatial
+ * index, ask the router for walking estimates and re-sort by walking distance.
+ * Resolves to [{ feature, crowDistance, route }].
+ */
+function findNearestFacilities(index, origin, router, count = 5) {
+    const candidates = index.kNearest(origin[0], origin[1], count).map(({ item }) => {
+        const [lng, lat] = item.geometry.coordinates;
+        return { feature: item, crowDistance: calculateDistance(origin[1], origin[0], lat, lng) };
+    });
+
+    return Promise.all(candidates.map(candidate =>
+        router.route(origin, candidate.feature.geometry.coordinates)
+            .then(route => ({ ...candidate, route }))
+    )).then(results => results.sort((a, b) => a.route.distance - b.route.distance));
+}
@@ -0,0 +1,183 @@
+/*
+ * FACILITY SEARCH
+ * ===============
+ *
+ * Tokenized, typo-tolerant search over several text fields with ranked
+ * results. Every field is split into normalized tokens ("42nd" -> "42",
+ * "Ave" -> "avenue"); a query token matches a document token exactly, as a
+ * prefix (for search-as-you-type) or within a small edit distance
+ * ("prk" -> "park"). A document's score is the sum, over the query tokens, of
+ * its best match quality times the weight of the field it matched in.
+ */
+
+// Fields searched, with how much a match in each counts towards the rank
+const SEARCH_FIELDS = [
+    { property: 'facility_name', weight: 3 },
+    { property: 'operator', weight: 2 },
+    { property: 'borough', weight: 1.5 },
+    { property: 'location_type', weight: 1.5 },
+    { property: 'restroom_type', weight: 1 },
+    { property: 'additional_notes', weight: 0.75 }
+];
+
+// Common abbreviations, expanded on both sides of the comparison
+const SEARCH_SYNONYMS = {
+    st: 'street',
+    ave: 'avenue',
+    av: 'avenue',
+    blvd: 'boulevard',
+    pkwy: 'parkway',
+    pk: 'park',
+    pl: 'place',
+    sq: 'square',
+    lib: 'library',
+    ctr: 'center',
+    centre: 'center',
+    bk: 'brooklyn',
+    bx: 'bronx',
+    mt: 'mount',
+    ft: 'fort',
+    e: 'east',
+    w: 'west',
+    n: 'north',
+    s: 'south'
+};
+
+// Match qualities, multiplied by the field weight
+const SEARCH_MATCH_EXACT = 1;
+const SEARCH_MATCH_PREFIX = 0.8;
+const SEARCH_MATCH_FUZZY = [1, 0.6, 0.4]; // by edit distance
+
+// Lowercase, without accents or punctuation
+function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function tokenizeSearchText(text) {
+    const normalized = normalizeSearchText(text);
+    if (!normalized) return [];
+    return normalized.split(' ').map(token => {
+        const ordinal = token.match(/^(\d+)(st|nd|rd|th)$/);
+        if (ordinal) return ordinal[1];
+        return SEARCH_SYNONYMS[token] || token;
+    });
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMinimum = Math.min(rowMinimum, value);
+        }
+        if (rowMinimum > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Typos allowed for a query token of this length
+function allowedTypos(length) {
+    if (length < 3) return 0;
+    return length < 7 ? 1 : 2;
+}
+
+// How well `queryToken` matches `token`, 0 if not at all
+function tokenMatchQuality(queryToken, token, allowPrefix) {
+    if (queryToken === token) return SEARCH_MATCH_EXACT;
+    if (allowPrefix && queryToken.length >= 2 && token.startsWith(queryToken)) return SEARCH_MATCH_PREFIX;
+    // Numbers must match exactly: "42" should not find "43"
+    if (/^\d+$/.test(queryToken)) return 0;
+
+    const max = allowedTypos(queryToken.length);
+    if (max === 0) return 0;
+    const distance = boundedEditDistance(queryToken, token, max);
+    return distance <= max ? SEARCH_MATCH_FUZZY[distance] : 0;
+}
+
+/**
+ * Build a search index over `items`; `getFields(item)` returns an object with
+ * the SEARCH_FIELDS properties as text.
+ *
+ * search(query) returns [{ item, score }], best first. Items matching every
+ * query token come first; if none does, the items matching the most tokens
+ * are returned instead, so a query with one unknown word still finds something.
+ */
+function createSearchIndex(items, getFields) {
+    // token -> Map(itemIndex -> weight of the best field it appears in)
+    const postings = new Map();
+
+    items.forEach((item, itemIndex) => {
+        const fields = getFields(item);
+        SEARCH_FIELDS.forEach(({ property, weight }) => {
+            tokenizeSearchText(fields[property]).forEach(token => {
+                if (!postings.has(token)) postings.set(token, new Map());
+                const itemWeights = postings.get(token);
+                itemWeights.set(itemIndex, Math.max(itemWeights.get(itemIndex) || 0, weight));
+            });
+        });
+    });
+
+    function search(query) {
+        const queryTokens = tokenizeSearchText(query);
+        if (queryTokens.length === 0) return [];
+
+        const scores = new Float64Array(items.length);
+        const matchedTokens = new Uint8Array(items.length);
+
+        queryTokens.forEach((queryToken, position) => {
+            // Only the token being typed may be incomplete
+            const allowPrefix = position === queryTokens.length - 1;
+            const best = new Map(); // itemIndex -> best score for this query token
+
+            postings.forEach((itemWeights, token) => {
+                const quality = tokenMatchQuality(queryToken, token, allowPrefix);
+                if (quality === 0) return;
+                itemWeights.forEach((weight, itemIndex) => {
+                    best.set(itemIndex, Math.max(best.get(itemIndex) || 0, quality * weight));
+                });
+            });
+
+            best.forEach((score, itemIndex) => {
+                scores[itemIndex] += score;
+                matchedTokens[itemIndex]++;
+            });
+        });
+
+        const mostMatched = matchedTokens.reduce((max, count) => Math.max(max, count), 0);
+        if (mostMatched === 0) return [];
+
+        const results = [];
+        for (let i = 0; i < items.length; i++) {
+            if (matchedTokens[i] === mostMatched) {
+                results.push({ item: items[i], score: scores[i] });
+            }
+        }
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    return { search };
+}
+
+// Node (search-index.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSearchIndex, tokenizeSearchText };
+}
@@ -0,0 +1,70 @@
+/*
+ * FACILITY SEARCH TESTS
+ * =====================
+ *
+ * Queries against facilities from the bundled dataset:
+ *
+ *   node --test search-index.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createSearchIndex, tokenizeSearchText } = require('./search-index.js');
+
+const features = JSON.parse(fs.readFileSync(path.join(__dirname, 'Public Restrooms_20250720.geojson'), 'utf8')).features;
+const index = createSearchIndex(features, feature => feature.properties);
+
+function names(query, count = 3) {
+    return index.search(query).slice(0, count).map(result => result.item.properties.facility_name);
+}
+
+test('text is split into normalized tokens', () => {
+    assert.deepStrictEqual(tokenizeSearchText('W. 42nd St & 5th Ave'), ['west', '42', 'street', '5', 'avenue']);
+    assert.deepStrictEqual(tokenizeSearchText('Café  O’Neill-Lib'), ['cafe', 'oneill', 'library']);
+    assert.deepStrictEqual(tokenizeSearchText('  ,. '), []);
+    assert.deepStrictEqual(tokenizeSearchText(null), []);
+});
+
+test('exact, prefix and misspelled words find the facility', () => {
+    assert.strictEqual(names('Battery Park Zone 1', 1)[0], 'Battery Park Zone 1');
+    assert.strictEqual(names('batt', 1)[0].startsWith('Battery'), true);
+    assert.strictEqual(names('Baterry', 1)[0].startsWith('Battery'), true);
+});
+
+test('results are ranked, names matching every word first', () => {
+    const results = index.search('Battery Park');
+    assert.ok(results.every((result, i) => i === 0 || results[i - 1].score >= result.score));
+    assert.deepStrictEqual(names('Battery Park', 4).sort(), [
+        'Battery Park City Library, NYPL', 'Battery Park City Zone 1', 'Battery Park Zone 1', 'Battery Park Zone 2'
+    ]);
+});
+
+test('an unknown word still leaves the best partial matches', () => {
+    assert.deepStrictEqual(names('Battery xqzvw', 4).sort(), names('Battery', 4).sort());
+});
+
+test('numbers match exactly, very short words do not fuzz', () => {
+    const items = [
+        { facility_name: 'Pier 42' },
+        { facility_name: 'Pier 43' },
+        { facility_name: 'Mid Library', operator: 'NYPL' }
+    ];
+    const small = createSearchIndex(items, item => item);
+
+    assert.deepStrictEqual(small.search('pier 42').map(result => result.item.facility_name), ['Pier 42']);
+    assert.deepStrictEqual(small.search('lib').map(result => result.item.facility_name), ['Mid Library']);
+    assert.deepStrictEqual(small.search('mud').map(result => result.item.facility_name), ['Mid Library']);
+    assert.deepStrictEqual(small.search('md'), []);
+    assert.deepStrictEqual(small.search(''), []);
+});
+
+test('a name match outranks a notes match', () => {
+    const items = [
+        { facility_name: 'Harbor View', additional_notes: 'Near the library' },
+        { facility_name: 'Library Hall', additional_notes: '' }
+    ];
+    const small = createSearchIndex(items, item => item);
+    assert.deepStrictEqual(small.search('library').map(result => result.item.facility_name), ['Library Hall', 'Harbor View']);
+});
@@ -0,0 +1,210 @@
+/*
+ * OFFLINE SUPPORT (SERVICE WORKER)
+ * ================================
+ *
+ * Keeps the map usable without a connection, e.g. on the subway.
+ *
+ * - The app itself (page, scripts, stylesheet, restroom data, borough
+ *   boundaries, gazetteer) is cached on install. It is loaded from the
+ *   network first, so after a deploy every file comes from the same release,
+ *   and from the cache when the network fails or takes longer than
+ *   NETWORK_TIMEOUT.
+ * - The map libraries (CDN_FILES) are cached on install when they can be
+ *   fetched, otherwise the first time the page loads them; a CDN that is down
+ *   never stops the install. Their URLs are versioned, so the cache is used
+ *   first.
+ * - Map tiles, fonts and sprites (Mapbox, or OpenFreeMap for the bundled
+ *   MapLibre style) are cached as they are viewed, keeping the most recent
+ *   MAX_TILE_ENTRIES, so recently viewed areas still draw offline. Directions,
+ *   geocoding and token checks are never cached; the app falls back to its
+ *   offline estimators for those.
+ * - Visitor status reports (/api/) always come from the network, so they are
+ *   never stale; offline the map simply shows none.
+ *
+ * Bump CACHE_VERSION when APP_SHELL_FILES changes; older caches are removed
+ * when the new worker activates.
+ */
+
+const CACHE_VERSION = 'v9';
+const APP_SHELL_CACHE = `restroom-map-shell-${CACHE_VERSION}`;
+const MAP_TILE_CACHE = `restroom-map-tiles-${CACHE_VERSION}`;
+const MAX_TILE_ENTRIES = 1500;
+const NETWORK_TIMEOUT = 4000;   // ms to wait for the network before using the cached app
+
+const APP_SHELL_FILES = [
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'geo-utils.js',
+    'spatial-index.js',
+    'routing.js',
+    'contours.js',
+    'land-boundaries.js',
+    'coverage-analysis.js',
+    'coverage-worker.js',
+    'data-normalizer.js',
+    'data-sources.js',
+    'data-validator.js',
+    'search-index.js',
+    'geocoding.js',
+    'url-state.js',
+    'filter-profiles.js',
+    'personal-data.js',
+    'status-reports.js',
+    'export-formats.js',
+    'hours-parser.js',
+    'messages-en.js',
+    'messages-ko.js',
+    'messages-es.js',
+    'i18n.js',
+    'map-renderers.js',
+    'restroom-map.js',
+    'map-style.json',
+    'Public Restrooms_20250720.geojson',
+    'nyc-boroughs.geojson',
+    'nyc-gazetteer.json'
+];
+
+// Map libraries, loaded by <script>/<link> without CORS, so cached as opaque
+// responses (see map-renderers.js)
+const CDN_FILES = [
+    'https://unpkg.com/maplibre-gl@4.7.1/dist/maplibre-gl.js',
+    'https://unpkg.com/maplibre-gl@4.7.1/dist/maplibre-gl.css',
+    'https://api.mapbox.com/mapbox-gl-js/v2.15.0/mapbox-gl.js',
+    'https://api.mapbox.com/mapbox-gl-js/v2.15.0/mapbox-gl.css'
+];
+
+const MAP_TILE_HOSTS = /(^|\.)(mapbox\.com|openfreemap\.org)$/;
+const UNCACHED_MAPBOX_PATHS = /^\/(directions|geocoding|tokens)\//;
+const FONT_HOSTS = /^fonts\.(googleapis|gstatic)\.com$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(APP_SHELL_CACHE).then(cache => Promise.all([
+            cache.addAll(APP_SHELL_FILES),
+            ...CDN_FILES.map(url =>
+                fetch(new Request(url, { mode: 'no-cors' }))
+                    .then(response => cache.put(url, response))
+                    .catch(error => console.warn(`Not cached for offline use yet: ${url}`, error.message))
+            )
+        ])).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [APP_SHELL_CACHE, MAP_TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('restroom-map-') && !currentCaches.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && url.pathname.includes('/api/')) {
+        // Visitor reports: straight to the network
+        return;
+    } else if (url.origin === self.location.origin) {
+        // Any navigation (e.g. "/" or a shared link) opens the cached page
+        const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+        event.respondWith(networkFirst(event, APP_SHELL_CACHE, cacheKey));
+    } else if (CDN_FILES.includes(request.url)) {
+        event.respondWith(cacheFirst(event, APP_SHELL_CACHE, request.url));
+    } else if (MAP_TILE_HOSTS.test(url.hostname) && !UNCACHED_MAPBOX_PATHS.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, MAP_TILE_CACHE, mapboxCacheKey(url), MAX_TILE_ENTRIES));
+    } else if (FONT_HOSTS.test(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, APP_SHELL_CACHE, request));
+    }
+});
+
+/**
+ * Answer from the network and keep a copy; use the cached copy when the
+ * network fails or is slower than NETWORK_TIMEOUT.
+ */
+function networkFirst(event, cacheName, cacheKey) {
+    return caches.open(cacheName).then(cache => {
+        const fromNetwork = fetch(event.request).then(response => {
+            if (response.ok) {
+                event.waitUntil(cache.put(cacheKey, response.clone()));
+            }
+            return response;
+        });
+        const timeout = new Promise((resolve, reject) => {
+            setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT);
+        });
+
+        return Promise.race([fromNetwork, timeout]).catch(error => cache.match(cacheKey).then(cached => {
+            if (cached) {
+                // A slow answer still refreshes the cache for next time
+                event.waitUntil(fromNetwork.catch(() => {}));
+                return cached;
+            }
+            return fromNetwork.catch(() => { throw error; });
+        }));
+    });
+}
+
+// Versioned files never change: the cached copy, or the network once
+function cacheFirst(event, cacheName, cacheKey) {
+    return caches.open(cacheName).then(cache => cache.match(cacheKey).then(cached => cached ||
+        fetch(event.request).then(response => {
+            if (response.ok || response.type === 'opaque') {
+                event.waitUntil(cache.put(cacheKey, response.clone()));
+            }
+            return response;
+        })
+    ));
+}
+
+/**
+ * Answer from the cache when possible and refresh the entry from the network
+ * in the background; without a cached copy, wait for the network.
+ * `maxEntries` keeps only the most recently fetched entries.
+ */
+function staleWhileRevalidate(event, cacheName, cacheKey, maxEntries = null) {
+    return caches.open(cacheName).then(cache => cache.match(cacheKey).then(cached => {
+        const fromNetwork = fetch(event.request).then(response => {
+            if (response.ok || response.type === 'opaque') {
+                const copy = response.clone();
+                // Re-adding moves the entry to the end of the cache's key order
+                event.waitUntil(cache.delete(cacheKey)
+                    .then(() => cache.put(cacheKey, copy))
+                    .then(() => maxEntries && trimCache(cache, maxEntries)));
+            }
+            return response;
+        });
+
+        if (cached) {
+            // Offline: keep the cached copy and ignore the failed refresh
+            event.waitUntil(fromNetwork.catch(() => {}));
+            return cached;
+        }
+        return fromNetwork;
+    }));
+}
+
+// Drop the least recently fetched entries beyond maxEntries
+function trimCache(cache, maxEntries) {
+    return cache.keys().then(keys => {
+        const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+        return Promise.all(excess.map(key => cache.delete(key)));
+    });
+}
+
+// Mapbox adds a session "sku" parameter that changes every few hours; leave it
+// out so tiles cached in one session are found in the next
+function mapboxCacheKey(url) {
+    const key = new URL(url);
+    key.searchParams.delete('sku');
+    return key.toString();
+}
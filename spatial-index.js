@@ -0,0 +1,217 @@
+/*
+ * SPATIAL INDEX
+ * =============
+ *
+ * Grid-bucket index over restroom coordinates. Points are projected to local
+ * meters (the same flat approximation as calculateFastDistance) and dropped
+ * into square cells, so nearest-neighbour and radius queries only look at the
+ * handful of cells around the query point instead of every restroom.
+ *
+ * Used by the coverage heatmap, the nearest-restroom list and radius searches.
+ */
+
+const DEFAULT_INDEX_CELL_SIZE = 500; // meters
+
+function projectToMeters(lng, lat) {
+    return [lng * FAST_METERS_PER_DEGREE_LNG, lat * FAST_METERS_PER_DEGREE_LAT];
+}
+
+/**
+ * Build an index from `items` using `getCoordinates(item) -> [lng, lat]`
+ * (defaults to GeoJSON point features).
+ */
+function createSpatialIndex(items, getCoordinates = item => item.geometry.coordinates, cellSize = DEFAULT_INDEX_CELL_SIZE) {
+    const xs = new Float64Array(items.length);
+    const ys = new Float64Array(items.length);
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+
+    items.forEach((item, i) => {
+        const [lng, lat] = getCoordinates(item);
+        const [x, y] = projectToMeters(lng, lat);
+        xs[i] = x;
+        ys[i] = y;
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+    });
+
+    // Dense grid covering the points, stored as one flat list per cell
+    const originX = items.length ? Math.floor(minX / cellSize) : 0;
+    const originY = items.length ? Math.floor(minY / cellSize) : 0;
+    const columns = items.length ? Math.floor(maxX / cellSize) - originX + 1 : 0;
+    const rows = items.length ? Math.floor(maxY / cellSize) - originY + 1 : 0;
+    const cells = new Array(columns * rows);
+
+    for (let i = 0; i < items.length; i++) {
+        const cell = (Math.floor(ys[i] / cellSize) - originY) * columns + (Math.floor(xs[i] / cellSize) - originX);
+        (cells[cell] = cells[cell] || []).push(i);
+    }
+
+    // Visit every item in the cells exactly `ring` steps away from (cx, cy)
+    function forEachInRing(cx, cy, ring, visit) {
+        const fromX = Math.max(cx - ring, 0);
+        const toX = Math.min(cx + ring, columns - 1);
+        const fromY = Math.max(cy - ring, 0);
+        const toY = Math.min(cy + ring, rows - 1);
+
+        for (let gy = fromY; gy <= toY; gy++) {
+            const onHorizontalEdge = gy === cy - ring || gy === cy + ring;
+            const step = onHorizontalEdge ? 1 : 2 * ring;
+            for (let gx = onHorizontalEdge ? fromX : cx - ring; gx <= toX; gx += step || 1) {
+                if (gx < 0) continue;
+                const bucket = cells[gy * columns + gx];
+                if (bucket) {
+                    for (let b = 0; b < bucket.length; b++) visit(bucket[b]);
+                }
+            }
+        }
+    }
+
+    // Rings beyond this can't contain anything
+    function maxRingFor(cx, cy) {
+        return Math.max(Math.abs(cx), Math.abs(cx - columns + 1), Math.abs(cy), Math.abs(cy - rows + 1));
+    }
+
+    // Grid cell of a projected point (may lie outside the grid)
+    function cellOf(x, y) {
+        return [Math.floor(x / cellSize) - originX, Math.floor(y / cellSize) - originY];
+    }
+
+    /**
+     * The k items closest to (lng, lat), nearest first, as [{ item, distance }].
+     * Stops early once nothing closer than `maxDistance` can remain.
+     */
+    function kNearest(lng, lat, k, maxDistance = Infinity) {
+        if (items.length === 0 || k <= 0) return [];
+
+        const [x, y] = projectToMeters(lng, lat);
+        const [cx, cy] = cellOf(x, y);
+        const lastRing = maxRingFor(cx, cy);
+        const best = []; // sorted [{ index, distance }]
+
+        for (let ring = 0; ring <= lastRing; ring++) {
+            forEachInRing(cx, cy, ring, i => {
+                const dx = xs[i] - x;
+                const dy = ys[i] - y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > maxDistance) return;
+                if (best.length === k && distance >= best[k - 1].distance) return;
+
+                let position = best.length;
+                while (position > 0 && best[position - 1].distance > distance) position--;
+                best.splice(position, 0, { index: i, distance });
+                if (best.length > k) best.pop();
+            });
+
+            // Anything in the next ring is at least ring * cellSize away
+            const reach = ring * cellSize;
+            if (reach >= maxDistance) break;
+            if (best.length === k && best[k - 1].distance <= reach) break;
+        }
+
+        return best.map(entry => ({ item: items[entry.index], distance: entry.distance }));
+    }
+
+    // Index of the closest item and its distance; the hot path of the
+    // coverage grid, so no callbacks or allocations per point
+    function nearestIndex(x, y, maxDistance) {
+        const [cx, cy] = cellOf(x, y);
+        const lastRing = maxRingFor(cx, cy);
+        let bestIndex = -1;
+        let bestSquared = maxDistance * maxDistance;
+
+        for (let ring = 0; ring <= lastRing; ring++) {
+            const fromY = Math.max(cy - ring, 0);
+            const toY = Math.min(cy + ring, rows - 1);
+            const fromX = Math.max(cx - ring, 0);
+            const toX = Math.min(cx + ring, columns - 1);
+
+            for (let gy = fromY; gy <= toY; gy++) {
+                const onHorizontalEdge = gy === cy - ring || gy === cy + ring;
+                for (let gx = fromX; gx <= toX; gx++) {
+                    if (!onHorizontalEdge && gx !== cx - ring && gx !== cx + ring) {
+                        // Jump straight to the right-hand edge of the ring
+                        if (gx < cx + ring) gx = cx + ring - 1;
+                        continue;
+                    }
+                    const bucket = cells[gy * columns + gx];
+                    if (!bucket) continue;
+                    for (let b = 0; b < bucket.length; b++) {
+                        const i = bucket[b];
+                        const dx = xs[i] - x;
+                        const dy = ys[i] - y;
+                        const squared = dx * dx + dy * dy;
+                        if (squared < bestSquared) {
+                            bestSquared = squared;
+                            bestIndex = i;
+                        }
+                    }
+                }
+            }
+
+            // Anything in the next ring is at least ring * cellSize away
+            // (bestSquared starts at maxDistance², so this also caps the search)
+            const reach = ring * cellSize;
+            if (bestSquared <= reach * reach) break;
+        }
+
+        return { index: bestIndex, distance: Math.sqrt(bestSquared) };
+    }
+
+    // Closest item to (lng, lat) as { item, distance }, or null
+    function nearest(lng, lat, maxDistance = Infinity) {
+        if (items.length === 0) return null;
+        const [x, y] = projectToMeters(lng, lat);
+        const result = nearestIndex(x, y, maxDistance);
+        return result.index === -1 ? null : { item: items[result.index], distance: result.distance };
+    }
+
+    // Distance in meters to the closest item. Searching stops at maxDistance,
+    // returning Infinity when nothing is that close (or the index is empty).
+    function nearestDistance(lng, lat, maxDistance = Infinity) {
+        if (items.length === 0) return Infinity;
+        const [x, y] = projectToMeters(lng, lat);
+        const result = nearestIndex(x, y, maxDistance);
+        return result.index === -1 ? Infinity : result.distance;
+    }
+
+    // Every item within `radius` meters of (lng, lat), nearest first
+    function withinRadius(lng, lat, radius) {
+        const [x, y] = projectToMeters(lng, lat);
+        const results = [];
+
+        const [fromX, fromY] = cellOf(x - radius, y - radius);
+        const [toX, toY] = cellOf(x + radius, y + radius);
+
+        for (let gx = Math.max(fromX, 0); gx <= Math.min(toX, columns - 1); gx++) {
+            for (let gy = Math.max(fromY, 0); gy <= Math.min(toY, rows - 1); gy++) {
+                const bucket = cells[gy * columns + gx];
+                if (!bucket) continue;
+                bucket.forEach(i => {
+                    const dx = xs[i] - x;
+                    const dy = ys[i] - y;
+                    const distance = Math.sqrt(dx * dx + dy * dy);
+                    if (distance <= radius) {
+                        results.push({ item: items[i], distance });
+                    }
+                });
+            }
+        }
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    return {
+        size: items.length,
+        nearest,
+        nearestDistance,
+        kNearest,
+        withinRadius
+    };
+}
+
+// Node (spatial-index.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSpatialIndex };
+}
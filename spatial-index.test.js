@@ -0,0 +1,71 @@
+/*
+ * SPATIAL INDEX TESTS
+ * ===================
+ *
+ * Compares the grid index with a scan of every facility in the bundled
+ * dataset:
+ *
+ *   node --test spatial-index.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The page shares these between its scripts as globals
+Object.assign(global, require('./geo-utils.js'));
+const { createSpatialIndex } = require('./spatial-index.js');
+
+const features = JSON.parse(fs.readFileSync(path.join(__dirname, 'Public Restrooms_20250720.geojson'), 'utf8')).features;
+
+// Query points around the city, including one off the grid out at sea
+const QUERIES = [[-73.9857, 40.7484], [-73.9442, 40.6782], [-73.7949, 40.7282], [-74.1502, 40.5795], [-73.5, 40.3]];
+
+// Every facility with its distance, in the index's own flat projection
+function scan(lng, lat) {
+    return features
+        .map(item => {
+            const [itemLng, itemLat] = item.geometry.coordinates;
+            return { item, distance: calculateFastDistance(lat, lng, itemLat, itemLng) };
+        })
+        .sort((a, b) => a.distance - b.distance);
+}
+
+test('nearest and k nearest agree with a full scan', () => {
+    const index = createSpatialIndex(features);
+    assert.strictEqual(index.size, features.length);
+
+    QUERIES.forEach(([lng, lat]) => {
+        const expected = scan(lng, lat);
+        const nearest = index.nearest(lng, lat);
+        assert.ok(Math.abs(nearest.distance - expected[0].distance) < 1e-6);
+
+        const five = index.kNearest(lng, lat, 5);
+        assert.deepStrictEqual(
+            five.map(result => Math.round(result.distance)),
+            expected.slice(0, 5).map(result => Math.round(result.distance))
+        );
+    });
+});
+
+test('radius queries and distance limits', () => {
+    const index = createSpatialIndex(features);
+    const [lng, lat] = QUERIES[0];
+    const expected = scan(lng, lat).filter(result => result.distance <= 800);
+
+    const within = index.withinRadius(lng, lat, 800);
+    assert.strictEqual(within.length, expected.length);
+    assert.ok(within.every((result, i) => i === 0 || within[i - 1].distance <= result.distance));
+
+    // Out at sea nothing is within a kilometer
+    assert.strictEqual(index.nearest(-73.5, 40.3, 1000), null);
+    assert.strictEqual(index.nearestDistance(-73.5, 40.3, 1000), Infinity);
+});
+
+test('an empty index finds nothing', () => {
+    const index = createSpatialIndex([]);
+    assert.strictEqual(index.nearest(-73.98, 40.75), null);
+    assert.deepStrictEqual(index.kNearest(-73.98, 40.75, 3), []);
+    assert.deepStrictEqual(index.withinRadius(-73.98, 40.75, 500), []);
+});
@@ -0,0 +1,105 @@
+/*
+ * STATUS REPORTS
+ * ==============
+ *
+ * Client for the visitor status reports kept by report-server.js ("closed",
+ * "dirty", "no soap", "inaccessible"). The API is expected next to the app,
+ * which is how report-server.js serves it; when the app is opened from
+ * another server (not named in the server's ALLOWED_ORIGIN) or from file://,
+ * requests fail and the page carries on without reports.
+ *
+ *   client.fetchRecent()  -> Promise<[report]> from the last REPORT_WINDOW_HOURS
+ *   client.submit(report) -> Promise<report> as stored
+ *
+ * summarizeReports() groups reports by facility ID for badges and filtering.
+ *
+ * The constants are shared with report-server.js, which loads this file in
+ * Node, so the page and the server accept the same report types.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+const REPORTS_API_URL = 'api/reports';
+const REPORT_TYPES = ['closed', 'dirty', 'no_soap', 'inaccessible'];
+const REPORT_WINDOW_HOURS = 24;     // reports older than this are not shown
+const REPORT_COMMENT_MAX_LENGTH = 500;
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+function createReportClient(baseUrl = REPORTS_API_URL) {
+    return {
+        fetchRecent() {
+            const since = new Date(Date.now() - REPORT_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+            return requestReports(`${baseUrl}?since=${encodeURIComponent(since)}`)
+                .then(body => Array.isArray(body.reports) ? body.reports : []);
+        },
+
+        submit({ facilityId, facilityName, type, comment }) {
+            return requestReports(baseUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ facility_id: facilityId, facility_name: facilityName, type, comment })
+            }).then(body => body.report);
+        }
+    };
+}
+
+// The server explains rejected requests in { error }
+function requestReports(url, options) {
+    return fetch(url, options).then(response => response.json()
+        .catch(() => ({}))
+        .then(body => {
+            if (!response.ok) {
+                throw new Error(body.error || `HTTP error! status: ${response.status}`);
+            }
+            return body;
+        }));
+}
+
+// ============================================================================
+// SUMMARIES
+// ============================================================================
+
+/**
+ * Reports grouped by facility:
+ * facility_id -> { count, counts: { type: n }, latest: ISO time, closedAt: ISO time | null,
+ *                 comments: [{ type, comment, created_at }] }
+ * `closedAt` is the latest "closed" report, if any; comments are newest first.
+ */
+function summarizeReports(reports) {
+    const summaries = new Map();
+
+    reports.forEach(report => {
+        if (!REPORT_TYPES.includes(report.type)) return;
+        if (!summaries.has(report.facility_id)) {
+            summaries.set(report.facility_id, { count: 0, counts: {}, latest: null, closedAt: null, comments: [] });
+        }
+
+        const summary = summaries.get(report.facility_id);
+        summary.count++;
+        summary.counts[report.type] = (summary.counts[report.type] || 0) + 1;
+        if (!summary.latest || report.created_at > summary.latest) {
+            summary.latest = report.created_at;
+        }
+        if (report.type === 'closed' && (!summary.closedAt || report.created_at > summary.closedAt)) {
+            summary.closedAt = report.created_at;
+        }
+        if (report.comment) {
+            summary.comments.push({ type: report.type, comment: report.comment, created_at: report.created_at });
+        }
+    });
+
+    summaries.forEach(summary => {
+        summary.comments.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    });
+
+    return summaries;
+}
+
+// Node (report-server.js) shares the constants; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPORT_TYPES, REPORT_WINDOW_HOURS, REPORT_COMMENT_MAX_LENGTH };
+}
@@ -0,0 +1,124 @@
+/*
+ * SHAREABLE URL STATE
+ * ===================
+ *
+ * Encodes the map state (filters, viewport, heatmap toggle and the facility
+ * whose popup is open) into the URL hash and reads it back, so a link like
+ *
+ *   index.html#status=Operational&access=Fully+Accessible&type=Library&map=15/40.7536/-73.9832
+ *
+ * reopens the same view. Multi-select filters repeat their parameter once per
+ * selected value. Only values that differ from the defaults are written.
+ */
+
+// Filter key in currentFilters -> short URL parameter
+const URL_FILTER_PARAMS = {
+    search: 'q',
+    status: 'status',
+    accessibility: 'access',
+    locationType: 'type',
+    operator: 'operator',
+    restroomType: 'restroom',
+    changingStations: 'changing',
+    season: 'season',
+    openTime: 'open',
+    openAt: 'at',
+    openDay: 'day',
+    includeUnknownHours: 'unknownHours',
+    favoritesOnly: 'favorites',
+    hideReportedClosed: 'hideReported'
+};
+
+// Single-value filters a URL could set to something the page can't use;
+// values failing the check fall back to the default
+const URL_FILTER_CHECKS = {
+    openTime: value => ['any', 'now', 'at'].includes(value),
+    openAt: value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+    openDay: value => /^(today|[0-6])$/.test(value)
+};
+
+/**
+ * Build the hash (without "#") for a state of the shape
+ * { filters, view: { center: [lng, lat], zoom }, heatmap, facility }.
+ * `defaultFilters` decides which filter values are worth writing.
+ */
+function encodeAppState(state, defaultFilters) {
+    const params = new URLSearchParams();
+
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        const value = state.filters[key];
+        const defaultValue = defaultFilters[key];
+        if (value === undefined) return;
+
+        if (Array.isArray(value)) {
+            value.forEach(item => params.append(param, item));
+        } else if (typeof value === 'boolean') {
+            if (value !== defaultValue) params.set(param, value ? '1' : '0');
+        } else if (value !== defaultValue) {
+            params.set(param, value);
+        }
+    });
+
+    if (state.view) {
+        const [lng, lat] = state.view.center;
+        params.set('map', `${state.view.zoom.toFixed(2)}/${lat.toFixed(5)}/${lng.toFixed(5)}`);
+    }
+
+    if (state.heatmap) {
+        params.set('heatmap', '1');
+    }
+
+    if (state.facility) {
+        params.set('facility', state.facility);
+    }
+
+    // "/", "," and "@" are legal in a fragment; keep links readable
+    return params.toString().replace(/%2F/gi, '/').replace(/%2C/gi, ',').replace(/%40/gi, '@');
+}
+
+/**
+ * Parse a hash (with or without "#") back into { filters, view, heatmap, facility }.
+ * Filters missing from the URL, or with a value the page can't use, take their
+ * default; value types follow the defaults.
+ */
+function decodeAppState(hash, defaultFilters) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const filters = {};
+
+    Object.entries(URL_FILTER_PARAMS).forEach(([key, param]) => {
+        const defaultValue = defaultFilters[key];
+
+        if (Array.isArray(defaultValue)) {
+            filters[key] = params.getAll(param);
+        } else if (typeof defaultValue === 'boolean') {
+            filters[key] = params.has(param) ? params.get(param) === '1' : defaultValue;
+        } else {
+            const value = params.get(param);
+            const check = URL_FILTER_CHECKS[key];
+            filters[key] = value !== null && (!check || check(value)) ? value : defaultValue;
+        }
+    });
+
+    return {
+        filters,
+        view: parseViewParam(params.get('map')),
+        heatmap: params.get('heatmap') === '1',
+        facility: params.get('facility')
+    };
+}
+
+// "zoom/lat/lng" -> { center: [lng, lat], zoom } or null
+function parseViewParam(value) {
+    if (!value) return null;
+
+    const [zoom, lat, lng] = value.split('/').map(Number);
+    if ([zoom, lat, lng].some(Number.isNaN) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
+    return { center: [lng, lat], zoom };
+}
+
+// Node (url-state.test.js) loads this file directly; browsers have no `module`
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { encodeAppState, decodeAppState };
+}
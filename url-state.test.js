@@ -0,0 +1,76 @@
+/*
+ * SHAREABLE URL STATE TESTS
+ * =========================
+ *
+ * Round-trips the page state through the URL hash:
+ *
+ *   node --test url-state.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeAppState, decodeAppState } = require('./url-state.js');
+
+// Same shape as createDefaultFilters() in restroom-map.js
+const DEFAULT_FILTERS = {
+    search: '',
+    openTime: 'any',
+    openAt: '12:00',
+    openDay: 'today',
+    includeUnknownHours: true,
+    favoritesOnly: false,
+    hideReportedClosed: false,
+    status: [],
+    accessibility: [],
+    locationType: [],
+    operator: [],
+    restroomType: [],
+    changingStations: [],
+    season: []
+};
+
+test('default state encodes to an empty hash and back', () => {
+    const hash = encodeAppState({ filters: DEFAULT_FILTERS }, DEFAULT_FILTERS);
+    assert.strictEqual(hash, '');
+    assert.deepStrictEqual(decodeAppState(hash, DEFAULT_FILTERS), {
+        filters: DEFAULT_FILTERS, view: null, heatmap: false, facility: null
+    });
+});
+
+test('filters, view, heatmap and facility survive a round trip', () => {
+    const state = {
+        filters: {
+            ...DEFAULT_FILTERS,
+            search: 'bryant park & 42nd',
+            status: ['Operational'],
+            accessibility: ['Fully Accessible', 'Partially Accessible'],
+            operator: ['NYC DOT/JCDecaux'],
+            changingStations: ['Yes, in women\'s restroom only'],
+            openTime: 'at',
+            openAt: '07:30',
+            openDay: '0',
+            includeUnknownHours: false,
+            favoritesOnly: true
+        },
+        view: { center: [-73.98321, 40.75362], zoom: 15.5 },
+        heatmap: true,
+        facility: 'bryant-park-2'
+    };
+    const hash = encodeAppState(state, DEFAULT_FILTERS);
+
+    assert.ok(hash.includes('map=15.50/40.75362/-73.98321'), hash);
+    assert.ok(hash.includes('operator=NYC+DOT/JCDecaux'), hash);
+    assert.deepStrictEqual(decodeAppState(`#${hash}`, DEFAULT_FILTERS), state);
+});
+
+test('values the page cannot use fall back to the defaults', () => {
+    const decoded = decodeAppState('open=later&at=25:00&day=8&favorites=yes&map=15/95/-73.98', DEFAULT_FILTERS);
+
+    assert.strictEqual(decoded.filters.openTime, 'any');
+    assert.strictEqual(decoded.filters.openAt, '12:00');
+    assert.strictEqual(decoded.filters.openDay, 'today');
+    assert.strictEqual(decoded.filters.favoritesOnly, false);
+    assert.strictEqual(decoded.view, null);
+    assert.strictEqual(decodeAppState('map=a/b/c', DEFAULT_FILTERS).view, null);
+    assert.strictEqual(decodeAppState(undefined, DEFAULT_FILTERS).filters.search, '');
+});